@@ -0,0 +1,367 @@
+import { Client, GatewayIntentBits } from 'discord.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './src/logger.js';
+import { loadConfig, findConfigFile } from './src/config.js';
+import { openTweetStore } from './src/store.js';
+import { readRoutingConfig, buildRoutingTable, resolveChannels } from './src/routing.js';
+import { compileAlertRules } from './src/alerts.js';
+import { createSource, getSourceConfigs } from './src/sources/index.js';
+import { BULLX_HEADERS } from './src/sources/bullx.js';
+import { createMarketDataProvider } from './src/market.js';
+import { createDeliveryQueue } from './src/delivery.js';
+import { createPipeline } from './src/pipeline.js';
+import { createDryRunOutput, createDryRunChannel } from './src/dryrun.js';
+import { readStateFile, getBackupPath } from './src/state.js';
+import {
+  ADMIN_USAGE,
+  parseAdminArgs,
+  parseDuration,
+  getStateStatus,
+  formatStateStatus,
+  markTweetsSeen,
+  unmarkTweets,
+  buildTestMessage
+} from './src/admin.js';
+
+// Load environment variables
+dotenv.config();
+
+// Set up directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Read the same config as the bot, so the same profile works on the same
+// files. The Discord token is only needed to send to Discord.
+const config = loadConfig({
+  file: findConfigFile(__dirname, process.env.CONFIG_FILE),
+  profile: process.env.CONFIG_PROFILE || null,
+  env: process.env,
+  baseDir: __dirname,
+  requireSecrets: false
+});
+if (config.errors.length > 0) {
+  console.error('Invalid configuration:');
+  for (const error of config.errors) {
+    console.error(`  - ${error}`);
+  }
+  process.exit(1);
+}
+const { settings } = config;
+
+// File paths
+const PROCESSED_IDS_FILE = path.join(__dirname, 'processed_ids.json');
+const STATE_FILE = path.join(__dirname, 'bot_state.json');
+const STATE_DB_FILE = settings.STATE_DB_FILE;
+
+// Read the command line
+let parsed;
+try {
+  parsed = parseAdminArgs(process.argv.slice(2));
+} catch (error) {
+  console.error(`${error.message}\n\n${ADMIN_USAGE}`);
+  process.exit(1);
+}
+
+// Log as the admin component; command output goes to stdout. A replay writing
+// its messages to stdout logs to stderr, so the messages can be piped on their own.
+const replayToStdout = parsed.command === 'replay' && !parsed.options.output && !parsed.options.send;
+const log = createLogger({
+  level: settings.LOG_LEVEL,
+  write: line => (replayToStdout ? process.stderr : process.stdout).write(line)
+}).child('admin');
+
+// Run fn with the tweet store open, closing it afterwards
+async function withTweetStore(fn) {
+  const store = openTweetStore(STATE_DB_FILE);
+  try {
+    return await fn(store);
+  } finally {
+    store.close();
+  }
+}
+
+// The routing table the bot uses: the routes file and the routes added
+// through slash commands
+function loadRoutingTable() {
+  const routesConfig = readRoutingConfig(settings.ROUTES_FILE);
+  const runtimeRoutes = readStateFile(STATE_FILE)?.state.routes || [];
+  const routingTable = buildRoutingTable(routesConfig, runtimeRoutes, settings.DISCORD_CHANNEL_ID);
+  return { routesConfig, routingTable };
+}
+
+// Log in to Discord, to send messages
+async function connectToDiscord() {
+  if (!settings.DISCORD_TOKEN) {
+    throw new Error('DISCORD_TOKEN is needed to send to Discord');
+  }
+  const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+  await client.login(settings.DISCORD_TOKEN);
+  return client;
+}
+
+// Show the size of the state and when tweets were last fetched
+async function showStatus() {
+  if (!fs.existsSync(STATE_DB_FILE)) {
+    console.log(`No tweet store at ${STATE_DB_FILE} yet, the bot hasn't run`);
+    return;
+  }
+  await withTweetStore(store => {
+    console.log(formatStateStatus(getStateStatus({ store, dbFile: STATE_DB_FILE, stateFile: STATE_FILE })));
+  });
+}
+
+// Mark tweets as seen so the bot never posts them
+async function markSeen(tweetIds) {
+  if (tweetIds.length === 0) {
+    throw new Error('Give the IDs of the tweets to mark as seen');
+  }
+  await withTweetStore(store => {
+    const added = markTweetsSeen(store, tweetIds);
+    log.info(`Marked ${added.length} tweet(s) as seen${added.length < tweetIds.length ? `, ${tweetIds.length - added.length} already were` : ''}`);
+  });
+}
+
+// Forget tweets so the bot posts them again if a feed still has them
+async function unmark(tweetIds) {
+  if (tweetIds.length === 0) {
+    throw new Error('Give the IDs of the tweets to unmark');
+  }
+  await withTweetStore(store => {
+    const removed = unmarkTweets(store, tweetIds);
+    log.info(`Forgot ${removed.length} tweet(s)${removed.length < tweetIds.length ? `, ${tweetIds.length - removed.length} weren't recorded` : ''}`);
+  });
+}
+
+// Fetch a tweet and run it through the same embed and media pipeline as the
+// bot, writing the messages out like a dry run of the bot or sending them.
+// Nothing is recorded in the bot's tweet store, and alert rules don't ping.
+async function replay([tweetId], options) {
+  if (!tweetId) {
+    throw new Error('Give the ID of the tweet to replay');
+  }
+  
+  const { routesConfig, routingTable } = loadRoutingTable();
+  const sources = getSourceConfigs(settings, { logger: log }).map(createSource);
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-replay-'));
+  const store = openTweetStore(':memory:');
+  const client = options.send ? await connectToDiscord() : null;
+  const output = createDryRunOutput(options.output || null);
+  const dryRunChannels = new Map();
+  
+  // Without --send, each channel is a stand-in that writes the messages out
+  function getChannel(channelId) {
+    if (client) {
+      return client.channels.fetch(channelId).catch(error => {
+        log.error(`Could not find Discord channel with ID ${channelId}:`, error.message);
+        return null;
+      });
+    }
+    if (!dryRunChannels.has(channelId)) {
+      dryRunChannels.set(channelId, createDryRunChannel(channelId, output));
+    }
+    return dryRunChannels.get(channelId);
+  }
+  
+  let expected = Infinity;
+  const finished = [];
+  let allFinished;
+  const done = new Promise(resolve => {
+    allFinished = resolve;
+  });
+  const deliveryQueue = createDeliveryQueue({
+    store,
+    getChannel,
+    maxAttempts: settings.DELIVERY_MAX_ATTEMPTS,
+    baseDelay: settings.DELIVERY_RETRY_DELAY,
+    maxDelay: settings.DELIVERY_MAX_RETRY_DELAY,
+    logger: log,
+    onFinished(delivery) {
+      finished.push(delivery);
+      if (finished.length >= expected) {
+        allFinished();
+      }
+    }
+  });
+  const pipeline = createPipeline({
+    getSources: () => sources,
+    store,
+    deliveryQueue,
+    getRoutingTable: () => routingTable,
+    getAlertRules: () => compileAlertRules(routesConfig.alerts),
+    getSettings: () => settings,
+    marketDataProvider: createMarketDataProvider(settings, { headers: BULLX_HEADERS, logger: log }),
+    marketDataTimeout: settings.MARKET_DATA_TIMEOUT,
+    cacheDir,
+    logger: log
+  });
+  
+  try {
+    const tweet = await pipeline.fetchTweet(tweetId);
+    if (!tweet) {
+      throw new Error(`Tweet ${tweetId} could not be fetched`);
+    }
+    const channelIds = options.channel
+      ? [options.channel]
+      : resolveChannels(routingTable, { username: tweet.author.username, tweetType: tweet.type, text: tweet.text }).channelIds;
+    if (channelIds.length === 0) {
+      throw new Error(`Tweet ${tweetId} isn't routed to any channel, pick one with --channel`);
+    }
+    
+    expected = (await pipeline.queueTweet(tweet, { targetChannelIds: channelIds })).length;
+    deliveryQueue.start();
+    await done;
+    for (const delivery of finished) {
+      if (delivery.status === 'sent') {
+        log.info(`Replayed tweet ${tweetId} ${client ? 'to' : 'for'} channel ${delivery.channelId}`);
+      } else {
+        log.error(`Could not replay tweet ${tweetId} to channel ${delivery.channelId}: ${delivery.error}`);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    await deliveryQueue.stop();
+    store.close();
+    client?.destroy();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  }
+}
+
+// Send a test message to the given channels, or to every channel tweets are routed to
+async function sendTest(channelIds) {
+  const { routingTable } = loadRoutingTable();
+  const targets = channelIds.length > 0
+    ? channelIds
+    : [...new Set([...routingTable.defaultChannels, ...routingTable.routes.flatMap(route => route.channels)])];
+  if (targets.length === 0) {
+    throw new Error('No channels to send to');
+  }
+  
+  const client = await connectToDiscord();
+  try {
+    for (const channelId of targets) {
+      try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.send(buildTestMessage(channelId));
+        log.info(`Sent a test message to channel ${channelId}`);
+      } catch (error) {
+        log.error(`Could not send a test message to channel ${channelId}:`, error.message);
+        process.exitCode = 1;
+      }
+    }
+  } finally {
+    client.destroy();
+  }
+}
+
+// Forget the tweets seen more than olderThan ago (such as 30d), or delete all
+// state files so the bot starts fresh
+async function reset(args, options) {
+  if (options['older-than'] !== undefined) {
+    const maxAge = parseDuration(options['older-than']);
+    if (maxAge === null) {
+      throw new Error(`Invalid --older-than "${options['older-than']}", expected a duration such as 12h or 30d`);
+    }
+    await withTweetStore(store => {
+      const removed = store.prune(maxAge);
+      log.info(`Forgot ${removed} tweets seen more than ${options['older-than']} ago`);
+    });
+    return;
+  }
+  resetBotState();
+}
+
+// Delete the state files if they exist
+function resetBotState() {
+  log.info('Resetting bot state...');
+  
+  let resetOccurred = false;
+  
+  // Try to delete processed IDs file
+  if (fs.existsSync(PROCESSED_IDS_FILE)) {
+    try {
+      fs.unlinkSync(PROCESSED_IDS_FILE);
+      log.info(`Deleted ${PROCESSED_IDS_FILE}`);
+      resetOccurred = true;
+    } catch (error) {
+      log.error(`Error deleting ${PROCESSED_IDS_FILE}:`, error);
+    }
+  } else {
+    log.info(`${PROCESSED_IDS_FILE} does not exist, no need to delete`);
+  }
+  
+  // Try to delete state file
+  if (fs.existsSync(STATE_FILE)) {
+    try {
+      fs.unlinkSync(STATE_FILE);
+      log.info(`Deleted ${STATE_FILE}`);
+      resetOccurred = true;
+    } catch (error) {
+      log.error(`Error deleting ${STATE_FILE}:`, error);
+    }
+  } else {
+    log.info(`${STATE_FILE} does not exist, no need to delete`);
+  }
+  
+  // Try to delete the state file's backup, which would otherwise be loaded in its place
+  for (const stateFile of [getBackupPath(STATE_FILE), `${STATE_FILE}.tmp`]) {
+    if (fs.existsSync(stateFile)) {
+      try {
+        fs.unlinkSync(stateFile);
+        log.info(`Deleted ${stateFile}`);
+        resetOccurred = true;
+      } catch (error) {
+        log.error(`Error deleting ${stateFile}:`, error);
+      }
+    }
+  }
+  
+  // Try to delete the tweet store and its SQLite journal files
+  for (const dbFile of [STATE_DB_FILE, `${STATE_DB_FILE}-wal`, `${STATE_DB_FILE}-shm`]) {
+    if (fs.existsSync(dbFile)) {
+      try {
+        fs.unlinkSync(dbFile);
+        log.info(`Deleted ${dbFile}`);
+        resetOccurred = true;
+      } catch (error) {
+        log.error(`Error deleting ${dbFile}:`, error);
+      }
+    }
+  }
+  
+  if (resetOccurred) {
+    log.info('Bot state has been reset. The bot will start fresh on next run.');
+  } else {
+    log.info('No state files found. Bot is already in a fresh state.');
+  }
+}
+
+const COMMANDS = {
+  status: showStatus,
+  'mark-seen': markSeen,
+  unmark,
+  replay,
+  'send-test': sendTest,
+  reset
+};
+
+// Run the command given on the command line
+const command = COMMANDS[parsed.command];
+if (!command) {
+  const askedForHelp = ['help', '--help', '-h'].includes(parsed.command);
+  if (askedForHelp) {
+    console.log(ADMIN_USAGE);
+  } else {
+    console.error(parsed.command ? `Unknown command "${parsed.command}"\n\n${ADMIN_USAGE}` : ADMIN_USAGE);
+  }
+  process.exit(askedForHelp ? 0 : 1);
+}
+try {
+  await command(parsed.args, parsed.options);
+} catch (error) {
+  log.error(`${parsed.command} failed:`, error.message);
+  process.exitCode = 1;
+}
@@ -1,692 +1,804 @@
-import { Client, GatewayIntentBits, EmbedBuilder, AttachmentBuilder } from 'discord.js';
-import axios from 'axios';
-import dotenv from 'dotenv';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-// Load environment variables
-dotenv.config();
-
-// Set up directory paths
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Initialize Discord client
-const client = new Client({
-  intents: [
-    GatewayIntentBits.Guilds,
-    GatewayIntentBits.GuildMessages,
-  ]
-});
-
-// Configuration
-const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
-const DISCORD_CHANNEL_ID = process.env.DISCORD_CHANNEL_ID;
-const TWITTER_API_URL = process.env.AXIOM_TWITTER_API_URL;
-const TWITTER_SINGLE_TWEET_API_BASE = "api-neo.bullx.io/v2/tweet/";
-const POLLING_INTERVAL = parseInt(process.env.POLLING_INTERVAL) || 300; // Default to 300ms for near real-time updates
-const MAX_RETRIES = 3;
-const RETRY_DELAY = 1000; // 1 second
-
-// Store the last processed tweet ID and timestamp to avoid duplicates
-let lastProcessedIds = {};
-let lastFetchTimestamp = null;
-const PROCESSED_IDS_FILE = path.join(__dirname, 'processed_ids.json');
-const STATE_FILE = path.join(__dirname, 'bot_state.json');
-
-// Create a cache directory for temporarily storing media
-const CACHE_DIR = path.join(__dirname, 'cache');
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR);
-}
-
-// Load previously processed tweet IDs and state if they exist
-try {
-  if (fs.existsSync(PROCESSED_IDS_FILE)) {
-    const data = fs.readFileSync(PROCESSED_IDS_FILE, 'utf8');
-    lastProcessedIds = JSON.parse(data);
-    console.log(`Loaded ${Object.keys(lastProcessedIds).length} previously processed tweet IDs`);
-  }
-  
-  if (fs.existsSync(STATE_FILE)) {
-    const stateData = fs.readFileSync(STATE_FILE, 'utf8');
-    const state = JSON.parse(stateData);
-    lastFetchTimestamp = state.lastFetchTimestamp || null;
-    console.log(`Loaded last fetch timestamp: ${new Date(lastFetchTimestamp).toISOString()}`);
-  }
-} catch (error) {
-  console.error('Error loading state files:', error);
-  // Continue with empty state if files don't exist or are invalid
-}
-
-// Save state
-function saveState() {
-  try {
-    // Save processed IDs
-    fs.writeFileSync(PROCESSED_IDS_FILE, JSON.stringify(lastProcessedIds, null, 2));
-    
-    // Save fetch timestamp
-    fs.writeFileSync(STATE_FILE, JSON.stringify({
-      lastFetchTimestamp: lastFetchTimestamp
-    }, null, 2));
-  } catch (error) {
-    console.error('Error saving state:', error);
-  }
-}
-
-// Helper function for retry logic
-async function withRetry(fn, maxRetries = MAX_RETRIES, delay = RETRY_DELAY) {
-  let lastError;
-  
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await fn();
-    } catch (error) {
-      lastError = error;
-      console.error(`Attempt ${attempt}/${maxRetries} failed:`, error.message);
-      
-      if (attempt < maxRetries) {
-        console.log(`Retrying in ${delay/1000} seconds...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
-  }
-  
-  throw lastError;
-}
-
-// Function to fetch tweets from Twitter API
-async function fetchTweets() {
-  return withRetry(async () => {
-    console.log('Fetching tweets from Twitter API...');
-    
-    const response = await axios.get(TWITTER_API_URL, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Referer': 'https://api-neo.bullx.io/',
-        'Origin': 'https://api-neo.bullx.io',
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    });
-
-    if (response.status === 200) {
-      // The new API returns tweets in a data array
-      return response.data?.data || [];
-    } else {
-      console.error('Unexpected status code:', response.status);
-      throw new Error(`API returned status code ${response.status}`);
-    }
-  });
-}
-
-// New function to fetch detailed tweet data for a single tweet ID
-async function fetchSingleTweet(tweetId) {
-  return withRetry(async () => {
-    console.log(`Fetching detailed data for tweet ID: ${tweetId}`);
-    
-    const url = `https://${TWITTER_SINGLE_TWEET_API_BASE}${tweetId}`;
-    
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Referer': 'https://api-neo.bullx.io/',
-        'Origin': 'https://api-neo.bullx.io',
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    });
-
-    if (response.status === 200) {
-      return response.data?.data;
-    } else {
-      console.error(`Failed to fetch tweet ${tweetId}, status: ${response.status}`);
-      throw new Error(`API returned status code ${response.status}`);
-    }
-  });
-}
-
-// Function to download media file
-async function downloadMedia(url, filename) {
-  return withRetry(async () => {
-    console.log(`Downloading media from ${url}`);
-    
-    const response = await axios({
-      url,
-      method: 'GET',
-      responseType: 'arraybuffer',
-      timeout: 15000 // 15 second timeout for media download
-    });
-    
-    const filePath = path.join(CACHE_DIR, filename);
-    fs.writeFileSync(filePath, response.data);
-    console.log(`Media saved to ${filePath}`);
-    return filePath;
-  });
-}
-
-// Function to process tweets and send to Discord
-async function processTweets() {
-  try {
-    const tweets = await fetchTweets();
-    
-    if (!Array.isArray(tweets)) {
-      console.error('Unexpected response format:', typeof tweets);
-      console.error('Response preview:', JSON.stringify(tweets).substring(0, 200));
-      return;
-    }
-    
-    // Get the current timestamp
-    const currentFetchTime = Date.now();
-    
-    // First run handling - if this is the first run, we don't want to send all historical tweets
-    if (lastFetchTimestamp === null) {
-      console.log('First run detected - marking all tweets as processed without sending them');
-      for (const tweet of tweets) {
-        lastProcessedIds[tweet.id] = true;
-      }
-      lastFetchTimestamp = currentFetchTime;
-      saveState();
-      console.log('All existing tweets marked as processed. Will only send new tweets from now on.');
-      return;
-    }
-    
-    // Get the Discord channel
-    const channel = await client.channels.fetch(DISCORD_CHANNEL_ID);
-    if (!channel) {
-      console.error('Could not find Discord channel with ID:', DISCORD_CHANNEL_ID);
-      return;
-    }
-    
-    // Sort tweets newest first to prioritize most recent
-    const sortedTweets = [...tweets].sort((a, b) => {
-      const timeA = new Date(a.created_at || 0).getTime();
-      const timeB = new Date(b.created_at || 0).getTime();
-      return timeB - timeA; // Descending order (newest first)
-    });
-    
-    // Time threshold - only process tweets created within the last minute
-    // This helps filter out older tweets that keep appearing in the API response
-    const ONE_MINUTE = 60 * 1000;
-    const currentTime = Date.now();
-    const recentTweets = sortedTweets.filter(tweet => {
-      const tweetTime = new Date(tweet.created_at).getTime();
-      return (currentTime - tweetTime) <= ONE_MINUTE; 
-    });
-    
-    // Fast return if no recent tweets
-    if (recentTweets.length === 0) {
-      // Quick update timestamp without saving state (for performance)
-      lastFetchTimestamp = currentFetchTime;
-      return;
-    }
-    
-    console.log(`Found ${recentTweets.length} recent tweets to process`);
-    
-    // Process each tweet immediately if it's new
-    for (const tweet of recentTweets) {
-      // Skip if we've already processed this tweet
-      if (lastProcessedIds[tweet.id]) {
-        continue;
-      }
-      
-      // Mark as processed immediately to prevent duplicates
-      lastProcessedIds[tweet.id] = true;
-      
-      try {
-        // Get user information - handling BullX API format
-        const user = tweet.user;
-        if (!user) {
-          console.log('User data missing, skipping:', tweet.id);
-          continue;
-        }
-        
-        // Extract username properly (use username if available, otherwise screen_name)
-        const username = user.username || user.screen_name || 'unknown';
-        const authorName = user.name || username;
-        
-        console.log(`New tweet detected: ${tweet.id} from @${username}`);
-        
-        const tweetUrl = `https://twitter.com/${username}/status/${tweet.id}`;
-        const tweetText = tweet.text || '';
-        
-        // Determine tweet type (normal tweet, retweet, reply)
-        const tweetType = tweet.referenced_tweets?.find(rt => rt.type === 'retweeted') 
-          ? 'retweet' 
-          : tweet.in_reply_to_user_id 
-            ? 'reply' 
-            : 'tweet';
-            
-        // Get user's profile image URL (try different possible paths)
-        const avatarUrl = user.profile_image_url_https || user.profile_image_url || 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png';
-        
-        // Create embed
-        const embed = new EmbedBuilder()
-          .setColor('#1DA1F2')
-          .setAuthor({
-            name: `${authorName} (@${username})`,
-            iconURL: avatarUrl,
-            url: `https://twitter.com/${username}`
-          })
-          .setURL(tweetUrl);
-        
-        if (tweetText && tweetText.trim() !== '') {
-          embed.setDescription(tweetText);
-        } else {
-          if (tweetType === 'retweet') {
-            embed.setDescription('Retweeted');
-          } else if (tweet.attachments?.media_keys?.length > 0) {
-            embed.setDescription('Shared media');
-          } else {
-            embed.setDescription('Posted a tweet');
-          }
-        }
-        
-        embed.setTimestamp(new Date(tweet.created_at || Date.now()));
-        
-        // Add a field with the tweet link for easy access
-        embed.addFields({
-          name: 'Tweet Link',
-          value: `[View original tweet](${tweetUrl})`
-        });
-        
-        embed.setFooter({
-          text: `${tweetType.charAt(0).toUpperCase() + tweetType.slice(1)} • via Twitter Feed`,
-          iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-        });
-        
-        // Variables to track media
-        let hasFoundImage = false;
-        let hasFoundVideo = false;
-        let videoPath = null;
-        let videoFilename = null;
-        
-        // NEW: Try to fetch detailed tweet data to get better media 
-        try {
-          const detailedTweet = await fetchSingleTweet(tweet.id);
-          console.log(`Got detailed tweet data for ${tweet.id}`);
-          
-          // Check for video first (priority over images)
-          if (detailedTweet) {
-            // Case 1: Handle direct video object in the detailed tweet data
-            if (detailedTweet.video && !hasFoundVideo) {
-              const videoVariants = detailedTweet.video.variants;
-              if (videoVariants && videoVariants.length > 0) {
-                // Find mp4 variant with highest quality
-                const mp4Variant = videoVariants.find(v => v.type === 'video/mp4' || v.src?.endsWith('.mp4'));
-                if (mp4Variant) {
-                  const videoUrl = mp4Variant.src || mp4Variant.url;
-                  console.log('Found video URL in detailed tweet:', videoUrl);
-                  
-                  videoFilename = `video_${tweet.id}.mp4`;
-                  videoPath = await downloadMedia(videoUrl, videoFilename);
-                  
-                  if (videoPath) {
-                    hasFoundVideo = true;
-                    
-                    // Update footer to indicate there's a video
-                    const currentFooter = embed.data.footer.text;
-                    embed.setFooter({
-                      text: `${currentFooter} • Video will follow`,
-                      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                    });
-                  }
-                }
-              }
-            }
-            
-            // Case 2: Check for videos in parent tweet (for replies)
-            if (!hasFoundVideo && detailedTweet.parent && detailedTweet.parent.video) {
-              const parentVideo = detailedTweet.parent.video;
-              if (parentVideo.variants && parentVideo.variants.length > 0) {
-                const mp4Variant = parentVideo.variants.find(v => v.type === 'video/mp4' || v.src?.endsWith('.mp4'));
-                if (mp4Variant) {
-                  const videoUrl = mp4Variant.src || mp4Variant.url;
-                  console.log('Found video URL in parent tweet:', videoUrl);
-                  
-                  videoFilename = `video_parent_${tweet.id}.mp4`;
-                  videoPath = await downloadMedia(videoUrl, videoFilename);
-                  
-                  if (videoPath) {
-                    hasFoundVideo = true;
-                    
-                    // Update footer to indicate there's a video from referenced tweet
-                    const currentFooter = embed.data.footer.text;
-                    embed.setFooter({
-                      text: `${currentFooter} • Video from referenced tweet will follow`,
-                      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                    });
-                  }
-                }
-              }
-            }
-            
-            // Case 3: Check for videos in mediaDetails
-            if (!hasFoundVideo && detailedTweet.mediaDetails && detailedTweet.mediaDetails.length > 0) {
-              for (const media of detailedTweet.mediaDetails) {
-                if ((media.type === 'video' || media.type === 'animated_gif') && media.video_info?.variants) {
-                  // Get best mp4 variant
-                  const mp4Variants = media.video_info.variants
-                    .filter(variant => variant.content_type === 'video/mp4')
-                    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
-                  
-                  if (mp4Variants.length > 0) {
-                    const videoUrl = mp4Variants[0].url;
-                    console.log('Found video URL in mediaDetails:', videoUrl);
-                    
-                    videoFilename = `video_${tweet.id}.mp4`;
-                    videoPath = await downloadMedia(videoUrl, videoFilename);
-                    
-                    if (videoPath) {
-                      hasFoundVideo = true;
-                      
-                      // Update footer to indicate there's a video
-                      const currentFooter = embed.data.footer.text;
-                      embed.setFooter({
-                        text: `${currentFooter} • Video will follow`,
-                        iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                      });
-                      
-                      break; // Found a video, no need to check more
-                    }
-                  }
-                }
-              }
-            }
-            
-            // Only look for photos if no video was found
-            if (!hasFoundVideo) {
-              if (detailedTweet.photos && detailedTweet.photos.length > 0) {
-                // Process photos from detailed tweet data
-                for (const photo of detailedTweet.photos) {
-                  if (photo.url && photo.url.includes('media/')) {
-                    console.log(`Found high quality photo URL: ${photo.url}`);
-                    embed.setImage(photo.url);
-                    hasFoundImage = true;
-                    
-                    if (detailedTweet.photos.length > 1) {
-                      const currentFooter = embed.data.footer.text;
-                      embed.setFooter({
-                        text: `${currentFooter} • ${detailedTweet.photos.length} images`,
-                        iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                      });
-                    }
-                    break; // Use the first photo in the embed
-                  }
-                }
-              } else if (detailedTweet.mediaDetails && detailedTweet.mediaDetails.length > 0) {
-                // Process mediaDetails if photos aren't available
-                for (const media of detailedTweet.mediaDetails) {
-                  if (media.media_url_https && media.type === 'photo') {
-                    console.log(`Found media_url_https: ${media.media_url_https}`);
-                    embed.setImage(media.media_url_https);
-                    hasFoundImage = true;
-                    
-                    if (detailedTweet.mediaDetails.length > 1) {
-                      const currentFooter = embed.data.footer.text;
-                      embed.setFooter({
-                        text: `${currentFooter} • ${detailedTweet.mediaDetails.length} images`,
-                        iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                      });
-                    }
-                    break; // Use the first photo in the embed
-                  }
-                }
-              }
-            }
-          }
-        } catch (detailError) {
-          console.error(`Error fetching detailed tweet data for ${tweet.id}:`, detailError);
-          // Continue with the standard media handling if detailed fetch fails
-        }
-        
-        // If we didn't find media from the detailed API, fall back to original methods
-        if (!hasFoundImage && !hasFoundVideo) {
-          // First check for videos in extended_entities (most reliable source)
-          if (tweet.extended_entities?.media?.length > 0) {
-            console.log('Found extended_entities with media');
-            
-            // Look for videos first (they take priority)
-            const videoMedia = tweet.extended_entities.media.find(media => 
-              media.type === 'video' || media.type === 'animated_gif'
-            );
-            
-            if (videoMedia && videoMedia.video_info?.variants) {
-              try {
-                // Get the highest quality MP4 video variant
-                const mp4Variants = videoMedia.video_info.variants
-                  .filter(variant => variant.content_type === 'video/mp4')
-                  .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
-                
-                if (mp4Variants.length > 0) {
-                  const videoUrl = mp4Variants[0].url;
-                  console.log('Found video URL in extended_entities:', videoUrl);
-                  
-                  videoFilename = `video_${tweet.id}.mp4`;
-                  videoPath = await downloadMedia(videoUrl, videoFilename);
-                  
-                  if (videoPath) {
-                    hasFoundVideo = true;
-                    
-                    // Update footer to indicate there's a video
-                    const currentFooter = embed.data.footer.text;
-                    embed.setFooter({
-                      text: `${currentFooter} • Video will follow`,
-                      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                    });
-                  }
-                }
-              } catch (videoError) {
-                console.error('Error handling video from extended_entities:', videoError);
-              }
-            }
-            
-            // If no video was found, look for images
-            if (!hasFoundVideo && !hasFoundImage) {
-              const mediaUrl = tweet.extended_entities.media[0].media_url_https || 
-                            tweet.extended_entities.media[0].media_url;
-              if (mediaUrl) {
-                console.log('Found image URL in extended_entities:', mediaUrl);
-                embed.setImage(mediaUrl);
-                hasFoundImage = true;
-                
-                if (tweet.extended_entities.media.length > 1) {
-                  const currentFooter = embed.data.footer.text;
-                  embed.setFooter({
-                    text: `${currentFooter} • ${tweet.extended_entities.media.length} images`,
-                    iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                  });
-                }
-              }
-            }
-          }
-          
-          // If we still don't have media, check for media URLs in the tweet entities
-          if (!hasFoundImage && !hasFoundVideo && tweet.entities) {
-            // Look for media attached directly in entities
-            if (tweet.entities.media?.length > 0) {
-              const mediaUrl = tweet.entities.media[0].media_url_https || tweet.entities.media[0].media_url;
-              if (mediaUrl) {
-                console.log('Found direct media URL in entities:', mediaUrl);
-                embed.setImage(mediaUrl);
-                hasFoundImage = true;
-              }
-            }
-            
-            // Look for image URLs in entities.urls that have images property (BullX API specific)
-            if (!hasFoundImage && tweet.entities.urls?.length > 0) {
-              // First check for URLs with images property (BullX API format)
-              const imageUrlsWithData = tweet.entities.urls.filter(url => url.images?.length > 0);
-              if (imageUrlsWithData.length > 0) {
-                // Get the URL of the first image, using the largest available
-                const imageUrl = imageUrlsWithData[0].images[0].url;
-                console.log('Found image URL with data:', imageUrl);
-                embed.setImage(imageUrl);
-                hasFoundImage = true;
-                
-                if (imageUrlsWithData.length > 1) {
-                  const currentFooter = embed.data.footer.text;
-                  embed.setFooter({
-                    text: `${currentFooter} • ${imageUrlsWithData.length} images`,
-                    iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                  });
-                }
-              }
-              
-              // If no images with data were found, fallback to pic.twitter.com links
-              if (!hasFoundImage) {
-                const mediaUrls = tweet.entities.urls
-                  .filter(url => 
-                    url.display_url?.includes('pic.twitter.com') || 
-                    url.display_url?.includes('pic.x.com') ||
-                    url.expanded_url?.includes('/photo/')
-                  )
-                  .map(url => url.expanded_url);
-                
-                if (mediaUrls.length > 0) {
-                  console.log(`Found ${mediaUrls.length} image URLs in entities.urls:`, mediaUrls[0]);
-                  embed.setImage(mediaUrls[0]);
-                  hasFoundImage = true;
-                  
-                  if (mediaUrls.length > 1) {
-                    const currentFooter = embed.data.footer.text;
-                    embed.setFooter({
-                      text: `${currentFooter} • ${mediaUrls.length} images`,
-                      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-                    });
-                  }
-                }
-              }
-            }
-          }
-        }
-        
-        // Handle direct media attachments
-        if (!hasFoundImage && !hasFoundVideo && tweet.attachments) {
-          if (tweet.attachments.media_keys?.length > 0) {
-            console.log('Found media keys in attachments:', tweet.attachments.media_keys[0]);
-            
-            // We can't directly access the media, but we can indicate it's there
-            const currentFooter = embed.data.footer.text;
-            embed.setFooter({
-              text: `${currentFooter} • Contains media`,
-              iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
-            });
-          }
-        }
-        
-        // Handle reply
-        if (tweet.in_reply_to_user_id) {
-          embed.addFields({
-            name: `Replying to a tweet`,
-            value: `This is a reply to another user's tweet.`
-          });
-        }
-        
-        // First, send the tweet embed without video attachments
-        const embedMessage = await channel.send({ embeds: [embed] });
-        console.log(`Sent tweet ${tweet.id} to Discord`);
-        
-        // If we have video, send it as a separate message
-        if (hasFoundVideo && videoPath) {
-          try {
-            // Create a video attachment
-            const videoAttachment = new AttachmentBuilder(videoPath, { name: videoFilename });
-            
-            // Send video as a separate message (as a reply to the embed if possible)
-            await channel.send({ files: [videoAttachment] });
-            console.log(`Sent video for tweet ${tweet.id} as a separate message`);
-            
-            // Clean up video file after sending (5 seconds delay)
-            setTimeout(() => {
-              try {
-                if (fs.existsSync(videoPath)) {
-                  fs.unlinkSync(videoPath);
-                  console.log(`Cleaned up temp file: ${videoPath}`);
-                }
-              } catch (cleanupError) {
-                console.error('Error cleaning up temp file:', cleanupError);
-              }
-            }, 5000);
-          } catch (videoError) {
-            console.error('Error sending video as separate message:', videoError);
-          }
-        }
-        
-      } catch (error) {
-        console.error(`Error processing tweet ${tweet.id}:`, error);
-      }
-    }
-    
-    // Only save state occasionally to reduce disk I/O
-    if (recentTweets.length > 0) {
-      lastFetchTimestamp = currentFetchTime;
-      saveState();
-    } else {
-      // Just update the timestamp without saving
-      lastFetchTimestamp = currentFetchTime;
-    }
-    
-  } catch (error) {
-    console.error('Error in processTweets function:', error);
-  }
-}
-
-// Function to validate API configuration
-function validateApiConfig() {
-  // Since we no longer use Axiom cookies, we just need to validate the API URL
-  if (!TWITTER_API_URL) {
-    console.error('ERROR: No API URL provided in .env file');
-    return false;
-  }
-  
-  if (!TWITTER_API_URL.includes('api-neo.bullx.io')) {
-    console.warn('WARNING: The API URL does not appear to be for the BullX API. Please verify it is correct.');
-  }
-  
-  return true;
-}
-
-// Function to poll for tweets periodically
-async function pollTweets() {
-  console.log(`Starting real-time tweet monitoring with ${POLLING_INTERVAL}ms interval...`);
-  
-  // Process immediately on startup
-  await processTweets();
-  
-  // Set up continuous polling
-  setInterval(async () => {
-    try {
-      await processTweets();
-    } catch (error) {
-      console.error('Error in polling cycle:', error);
-    }
-  }, POLLING_INTERVAL);
-}
-
-// Main bot startup
-client.once('ready', async () => {
-  console.log(`Logged in as ${client.user.tag}`);
-  
-  // Validate API configuration before starting
-  if (!validateApiConfig()) {
-    console.error('Bot shutting down due to invalid API configuration');
-    process.exit(1);
-  }
-  
-  // Start polling for tweets
-  pollTweets();
-});
-
-// Error handling
-process.on('unhandledRejection', error => {
-  console.error('Unhandled promise rejection:', error);
-});
-
-// Login to Discord
-console.log('Connecting to Discord...');
-client.login(DISCORD_TOKEN).catch(error => {
-  console.error('Failed to login to Discord:', error);
-  process.exit(1);
-});
\ No newline at end of file
+import { Client, GatewayIntentBits } from 'discord.js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { readRoutingConfig, buildRoutingTable } from './src/routing.js';
+import { registerCommands, handleTrackerCommand } from './src/commands.js';
+import { createMarketDataProvider } from './src/market.js';
+import { createSource, getSourceConfigs } from './src/sources/index.js';
+import { openTweetStore } from './src/store.js';
+import { createPollScheduler, createRollingStats, getRetryAfter } from './src/scheduler.js';
+import { createDeliveryQueue, getUploadLimit } from './src/delivery.js';
+import { sweepCache } from './src/cache.js';
+import { createTweetWatcher, markEmbedDeleted, markEmbedEdited, buildChangeAlert } from './src/watcher.js';
+import { createWebhookSender } from './src/webhooks.js';
+import { createSink, isSinkDestination } from './src/sinks/index.js';
+import { createMetricsRegistry, LATENCY_BUCKETS, DURATION_BUCKETS } from './src/metrics.js';
+import { checkHealth, createHealthServer } from './src/health.js';
+import { createLogger } from './src/logger.js';
+import { createOpsAlerter } from './src/ops.js';
+import { loadConfig, findConfigFile, diffSettings, watchFiles } from './src/config.js';
+import { BULLX_HEADERS } from './src/sources/bullx.js';
+import { createPipeline } from './src/pipeline.js';
+import { createDigestScheduler } from './src/digest.js';
+import { compileAlertRules } from './src/alerts.js';
+import { compileFilters } from './src/filters.js';
+import { markEmbedAlsoPosted } from './src/dedup.js';
+import { readStateFile, writeStateFile, getBackupPath } from './src/state.js';
+import { parseDryRunOption, createDryRunOutput, createDryRunChannel, snapshotTweetStore } from './src/dryrun.js';
+import { stopBot } from './src/shutdown.js';
+
+// Load environment variables
+dotenv.config();
+
+// Set up directory paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// With --dry-run (or --dry-run=<file>) the bot writes the messages it would
+// send to stdout (or the file) instead of sending them, without connecting to
+// Discord, working on a snapshot of the tweet store and without saving state
+const DRY_RUN = parseDryRunOption(process.argv.slice(2));
+const DRY_RUN_DIR = DRY_RUN && fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-dry-run-'));
+if (DRY_RUN) {
+  process.on('exit', () => fs.rmSync(DRY_RUN_DIR, { recursive: true, force: true }));
+}
+
+// Initialize Discord client
+const client = new Client({
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMessages,
+  ]
+});
+
+// Configuration, from the config file (CONFIG_FILE, or config.yaml or
+// config.json when present) and its CONFIG_PROFILE profile, overridden by
+// environment variables. Settings that can change while the bot runs are read
+// from settings, which is replaced when the config is reloaded.
+const CONFIG_FILE = findConfigFile(__dirname, process.env.CONFIG_FILE);
+const CONFIG_PROFILE = process.env.CONFIG_PROFILE || null;
+const config = loadConfig({ file: CONFIG_FILE, profile: CONFIG_PROFILE, env: process.env, baseDir: __dirname, requireSecrets: !DRY_RUN });
+if (config.errors.length > 0) {
+  console.error(`Invalid configuration${CONFIG_FILE ? ` in ${CONFIG_FILE}${CONFIG_PROFILE ? ` (profile ${CONFIG_PROFILE})` : ''}` : ''}:`);
+  for (const error of config.errors) {
+    console.error(`  - ${error}`);
+  }
+  process.exit(1);
+}
+let settings = config.settings;
+const {
+  DISCORD_TOKEN,
+  DISCORD_CHANNEL_ID,
+  DISCORD_GUILD_ID,
+  ADMIN_ROLE_ID,
+  DISCORD_OUTPUT_MODE,
+  TWEET_SOURCES,
+  BULLX_TWEETS_URL,
+  BULLX_TWEET_URL_BASE,
+  AXIOM_FEED_URL,
+  AXIOM_COOKIES,
+  JSON_SOURCE_CONFIG,
+  ROUTES_FILE,
+  MARKET_DATA_PROVIDER,
+  MARKET_DATA_API_URL,
+  MARKET_DATA_MOCK_FILE,
+  MARKET_DATA_CACHE_TTL,
+  MARKET_DATA_TIMEOUT,
+  STATE_DB_FILE,
+  EDIT_CHECK_INTERVAL,
+  ALERT_CHANNEL_ID,
+  DELIVERY_MAX_ATTEMPTS,
+  DELIVERY_RETRY_DELAY,
+  DELIVERY_MAX_RETRY_DELAY,
+  TELEGRAM_BOT_TOKEN,
+  TELEGRAM_CHAT_ID,
+  SLACK_WEBHOOK_URL,
+  HTTP_SINK_URL,
+  HTTP_SINK_SECRET,
+  HEALTH_PORT,
+  HEALTH_HOST,
+  LOG_LEVEL,
+  LOG_LEVELS,
+  LOG_FILE,
+  LOG_MAX_SIZE,
+  LOG_MAX_FILES,
+  OPS_CHANNEL_ID,
+  OPS_ALERT_COOLDOWN
+} = config.settings;
+const EDIT_TRACKING_WINDOW = config.settings.EDIT_TRACKING_MINUTES * 60 * 1000; // How long relayed tweets are re-checked for edits and deletion (0 disables)
+const PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+const CACHE_SWEEP_INTERVAL = 10 * 60 * 1000; // 10 minutes
+const CONFIG_CHECK_INTERVAL = 2000; // How often the config and routes files are checked for changes
+const SHUTDOWN_TIMEOUT = 30 * 1000; // How long shutting down may wait for sends in flight before exiting anyway
+
+// Leveled JSON logger, with a logger for each component whose level can be set on its own
+let log;
+try {
+  log = createLogger({
+    level: LOG_LEVEL,
+    levels: LOG_LEVELS,
+    file: LOG_FILE,
+    maxSize: LOG_MAX_SIZE,
+    maxFiles: LOG_MAX_FILES,
+    // A dry run writing its messages to stdout logs to stderr, so the messages can be piped on their own
+    write: line => (DRY_RUN && !DRY_RUN.file ? process.stderr : process.stdout).write(line)
+  });
+} catch (error) {
+  console.error(`Could not set up logging: ${error.message}`);
+  process.exit(1);
+}
+const fetchLog = log.child('fetch');
+const mediaLog = log.child('media');
+const deliveryLog = log.child('delivery');
+const stateLog = log.child('state');
+
+if (CONFIG_FILE) {
+  log.info(`Loaded config from ${CONFIG_FILE}${CONFIG_PROFILE ? ` with profile ${CONFIG_PROFILE}` : ''}`);
+}
+for (const warning of config.warnings) {
+  log.warn(warning);
+}
+
+// Feed sources, created once the API configuration has been validated
+let sources = [];
+
+// Poll scheduler, and the time from a tweet being posted to it reaching Discord
+let pollScheduler = null;
+const deliveryLatency = createRollingStats();
+
+// The last fetch timestamps saved by the last run, overall and by source,
+// which the pipeline keeps up to date from then on; processed tweet IDs are
+// kept in the tweet store
+let lastFetchTimestamp = null;
+let sourceFetchTimestamps = {};
+
+// When the bot started, for /healthz
+const startedAt = Date.now();
+
+// Runtime settings managed through slash commands, persisted with the rest of the state
+let paused = false;
+let mutedUsernames = [];
+let runtimeRoutes = [];
+const PROCESSED_IDS_FILE = path.join(__dirname, 'processed_ids.json'); // Replaced by the tweet store, migrated on startup
+const STATE_FILE = path.join(__dirname, 'bot_state.json');
+
+// Create a cache directory for temporarily storing media
+const CACHE_DIR = DRY_RUN ? path.join(DRY_RUN_DIR, 'cache') : path.join(__dirname, 'cache');
+if (!fs.existsSync(CACHE_DIR)) {
+  fs.mkdirSync(CACHE_DIR);
+}
+
+// Set up the market data provider used to enrich contract addresses
+const marketDataProvider = createMarketDataProvider(settings, { headers: BULLX_HEADERS, logger: log });
+
+// Open the tweet store, importing the IDs from processed_ids.json on the first start after upgrading
+let tweetStore;
+try {
+  tweetStore = openTweetStore(DRY_RUN ? snapshotTweetStore(STATE_DB_FILE, DRY_RUN_DIR) : STATE_DB_FILE);
+  const migrated = DRY_RUN ? 0 : tweetStore.migrateFromJson(PROCESSED_IDS_FILE);
+  if (migrated > 0) {
+    stateLog.info(`Migrated ${migrated} processed tweet IDs from ${PROCESSED_IDS_FILE}`);
+  }
+  stateLog.info(`Loaded tweet store with ${tweetStore.count()} previously processed tweets`);
+} catch (error) {
+  stateLog.error(`Error opening tweet store ${STATE_DB_FILE}. Restore it, or run "node admin.js reset" to start fresh:`, error);
+  process.exit(1);
+}
+
+// Set up the output sinks that are configured, by destination ID. A sink with
+// incomplete configuration is left out rather than stopping the bot.
+function createSinks() {
+  const configs = [
+    TELEGRAM_BOT_TOKEN || TELEGRAM_CHAT_ID ? { type: 'telegram', botToken: TELEGRAM_BOT_TOKEN, chatId: TELEGRAM_CHAT_ID } : null,
+    SLACK_WEBHOOK_URL ? { type: 'slack', webhookUrl: SLACK_WEBHOOK_URL } : null,
+    HTTP_SINK_URL || HTTP_SINK_SECRET ? { type: 'http', url: HTTP_SINK_URL, secret: HTTP_SINK_SECRET } : null
+  ];
+  
+  const sinks = new Map();
+  for (const config of configs.filter(Boolean)) {
+    try {
+      const sink = createSink(config);
+      sinks.set(sink.id, sink);
+      log.info(`Output sink enabled: ${sink.name}`);
+    } catch (error) {
+      log.error(`Output sink ${config.type} disabled:`, error.message);
+    }
+  }
+  return sinks;
+}
+const sinks = createSinks();
+
+// Metrics exposed at /metrics
+const metrics = createMetricsRegistry({ prefix: 'tracker_', logger: log });
+const pollsTotal = metrics.counter('polls_total', 'Poll cycles, by result', ['result']);
+const pollDuration = metrics.histogram('poll_duration_seconds', 'How long poll cycles took', { buckets: DURATION_BUCKETS });
+const tweetsDeliveredTotal = metrics.counter('tweets_delivered_total', 'Tweets sent to a channel or output sink', ['destination']);
+const deliveryFailuresTotal = metrics.counter('delivery_failures_total', 'Tweets given up on sending to a channel or output sink', ['destination']);
+const digestsPostedTotal = metrics.counter('digests_posted_total', 'Digests posted, by route', ['route']);
+const deliveryLatencySeconds = metrics.histogram('delivery_latency_seconds', 'Time from a tweet being posted to it reaching Discord', { buckets: LATENCY_BUCKETS });
+metrics.gauge('discord_connected', 'Whether the bot is connected to Discord', () => client.isReady() ? 1 : 0);
+metrics.gauge('last_fetch_success_timestamp_seconds', 'When fetching tweets last succeeded', () => pipeline.getLastSuccessfulFetchAt() && pipeline.getLastSuccessfulFetchAt() / 1000);
+metrics.gauge('deliveries', 'Deliveries in the queue ledger, by status', () => Object.entries(deliveryQueue.getStats())
+  .map(([status, value]) => ({ labels: { status }, value })));
+metrics.gauge('paused', 'Whether posting is paused with /tracker pause', () => paused ? 1 : 0);
+
+// Posts through channel webhooks as the tweet author in webhook mode
+const webhookSender = createWebhookSender({ getOwnerId: () => client.user.id, logger: deliveryLog });
+
+// Rate-limited alerts about the bot itself, for the ops channel
+const opsAlerter = createOpsAlerter({
+  send: OPS_CHANNEL_ID ? sendOpsAlert : null,
+  cooldown: OPS_ALERT_COOLDOWN,
+  logger: log
+});
+
+// Outbound queue that sends queued tweets to their channels, oldest first
+const deliveryQueue = createDeliveryQueue({
+  store: tweetStore,
+  getChannel: destinationId => DRY_RUN ? getChannel(destinationId) : sinks.get(destinationId) || getChannel(destinationId),
+  sendMessage: DISCORD_OUTPUT_MODE === 'webhook' && !DRY_RUN
+    ? (target, message, delivery) => webhookSender.send(target, message, delivery.payload.author)
+    : undefined,
+  maxAttempts: DELIVERY_MAX_ATTEMPTS,
+  baseDelay: DELIVERY_RETRY_DELAY,
+  maxDelay: DELIVERY_MAX_RETRY_DELAY,
+  logger: deliveryLog,
+  onFinished(delivery) {
+    if (delivery.status !== 'sent') {
+      deliveryFailuresTotal.inc({ destination: delivery.channelId });
+      opsAlerter.alert(`delivery:${delivery.channelId}`, {
+        title: `Could not send tweets to ${delivery.channelId}`,
+        description: `Gave up on tweet ${delivery.tweetId}: ${delivery.error || 'unknown error'}`
+      });
+      return;
+    }
+    tweetsDeliveredTotal.inc({ destination: delivery.channelId });
+    const tweet = tweetStore.getTweet(delivery.tweetId);
+    if (tweet?.createdAt && !isSinkDestination(delivery.channelId)) {
+      const latency = Date.now() - tweet.createdAt;
+      deliveryLatency.add(latency);
+      deliveryLatencySeconds.observe({}, latency / 1000);
+      deliveryLog.info(`Tweet ${tweet.id} reached Discord channel ${delivery.channelId} ${latency}ms after it was posted`);
+    }
+    // Near-duplicates that arrived while the tweet was still queued
+    if (!isSinkDestination(delivery.channelId) && tweetStore.getDuplicates(delivery.tweetId).length > 0) {
+      showDuplicates(delivery.tweetId);
+    }
+  }
+});
+
+// Remove tweets older than the retention period from the store
+function pruneTweetStore() {
+  try {
+    const removed = tweetStore.prune(settings.STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    if (removed > 0) {
+      stateLog.info(`Pruned ${removed} tweets older than ${settings.STATE_RETENTION_DAYS} days from the tweet store`);
+    }
+  } catch (error) {
+    stateLog.error('Error pruning tweet store:', error);
+  }
+}
+
+// Delete downloaded media that is old and no longer queued, such as files left
+// behind by a crash
+function sweepMediaCache() {
+  try {
+    const removed = sweepCache(CACHE_DIR, {
+      maxAge: settings.CACHE_MAX_AGE_MINUTES * 60 * 1000,
+      isFileQueued: filePath => tweetStore.isFileQueued(filePath),
+      logger: mediaLog
+    });
+    if (removed > 0) {
+      mediaLog.info(`Removed ${removed} stale files from the media cache`);
+    }
+  } catch (error) {
+    mediaLog.error('Error sweeping the media cache:', error);
+  }
+}
+sweepMediaCache();
+setInterval(sweepMediaCache, CACHE_SWEEP_INTERVAL);
+
+// Load previously saved state if it exists. A state file that can't be read
+// stops the bot instead of starting over as a first run, which would skip
+// the tweets posted while it was down.
+try {
+  const saved = readStateFile(STATE_FILE);
+  if (saved) {
+    const { state } = saved;
+    lastFetchTimestamp = state.lastFetchTimestamp || null;
+    sourceFetchTimestamps = state.sourceFetchTimestamps || {};
+    paused = Boolean(state.paused);
+    mutedUsernames = state.mutedUsernames || [];
+    runtimeRoutes = state.routes || [];
+    if (saved.fromBackup) {
+      stateLog.warn(`Could not read ${STATE_FILE}, loaded the state saved before it from ${getBackupPath(STATE_FILE)}`);
+    }
+    stateLog.info(`Loaded last fetch timestamp: ${new Date(lastFetchTimestamp).toISOString()}`);
+  }
+} catch (error) {
+  stateLog.error(`${error.message}. Restore it, or run "node admin.js reset" to start fresh.`);
+  process.exit(1);
+}
+
+// Load the channel routing table (falls back to DISCORD_CHANNEL_ID for everything)
+// and the alert rules and content filters kept with it
+let routesConfig;
+let routingTable;
+let alertRules;
+let contentFilters;
+try {
+  routesConfig = readRoutingConfig(ROUTES_FILE);
+  routingTable = buildRoutingTable(routesConfig, runtimeRoutes, DISCORD_CHANNEL_ID);
+  alertRules = compileAlertRules(routesConfig.alerts);
+  contentFilters = compileFilters(routesConfig.filters);
+  log.info(`Loaded ${routingTable.routes.length} channel routes and ${alertRules.length} alert rules, default channels: ${routingTable.defaultChannels.join(', ') || 'none'}`);
+} catch (error) {
+  log.error(`Error loading routing table from ${ROUTES_FILE}:`, error.message);
+  process.exit(1);
+}
+
+// Fetches the feeds, builds the messages for new tweets and queues them
+const pipeline = createPipeline({
+  getSources: () => sources,
+  store: tweetStore,
+  deliveryQueue,
+  sinks,
+  getRoutingTable: () => routingTable,
+  getAlertRules: () => alertRules,
+  getFilters: () => contentFilters,
+  getSettings: () => settings,
+  getMutedUsernames: () => mutedUsernames,
+  isPaused: () => paused,
+  getUploadLimit: async channelIds => Math.min(...(await Promise.all(channelIds.map(getChannel))).map(getUploadLimit)),
+  marketDataProvider,
+  marketDataTimeout: MARKET_DATA_TIMEOUT,
+  cacheDir: CACHE_DIR,
+  lastFetchTimestamp,
+  sourceFetchTimestamps,
+  onStateChange: saveState,
+  onDuplicate: showDuplicates,
+  opsAlerter,
+  metrics,
+  logger: log
+});
+
+// Apply changes to the config and routes files without restarting. Settings
+// that can't change while the bot runs are reported and keep their old value;
+// a config or routes file with errors is not applied at all.
+function reloadConfig(reason) {
+  const next = loadConfig({ file: CONFIG_FILE, profile: CONFIG_PROFILE, env: process.env, baseDir: __dirname, requireSecrets: !DRY_RUN });
+  if (next.errors.length > 0) {
+    log.error(`Not reloading the config (${reason}), it has errors`, { errors: next.errors });
+    return false;
+  }
+  
+  const previousRoutesConfig = routesConfig;
+  try {
+    routesConfig = readRoutingConfig(ROUTES_FILE);
+    const nextAlertRules = compileAlertRules(routesConfig.alerts);
+    const nextFilters = compileFilters(routesConfig.filters);
+    routingTable = buildRoutingTable(routesConfig, runtimeRoutes, DISCORD_CHANNEL_ID);
+    alertRules = nextAlertRules;
+    contentFilters = nextFilters;
+  } catch (error) {
+    routesConfig = previousRoutesConfig;
+    log.error(`Not reloading the config (${reason}), the routing table in ${ROUTES_FILE} has errors:`, error.message);
+    return false;
+  }
+  
+  const { reloadable, restartRequired } = diffSettings(settings, next.settings);
+  if (restartRequired.length > 0) {
+    log.warn(`Restart the bot to apply the changes to ${restartRequired.join(', ')}`);
+  }
+  settings = { ...settings, ...Object.fromEntries(reloadable.map(name => [name, next.settings[name]])) };
+  pollScheduler?.update({
+    minInterval: settings.POLLING_INTERVAL,
+    idleInterval: settings.IDLE_POLLING_INTERVAL,
+    maxBackoff: settings.MAX_POLL_BACKOFF
+  });
+  
+  log.info(`Reloaded the config (${reason})${reloadable.length > 0 ? `, changed ${reloadable.join(', ')}` : ''}; ${routingTable.routes.length} channel routes and ${alertRules.length} alert rules`);
+  return true;
+}
+
+// Save state
+function saveState() {
+  if (DRY_RUN) {
+    return;
+  }
+  try {
+    // Save fetch timestamp and runtime settings (processed IDs are saved by the tweet store as they happen)
+    writeStateFile(STATE_FILE, {
+      lastFetchTimestamp: pipeline.getLastFetchTimestamp(),
+      sourceFetchTimestamps: pipeline.getSourceFetchTimestamps(),
+      paused,
+      mutedUsernames,
+      routes: runtimeRoutes
+    });
+  } catch (error) {
+    stateLog.error('Error saving state:', error);
+  }
+}
+
+// Stand-ins for the channels (and output sinks) in a dry run, by ID
+const dryRunOutput = DRY_RUN && createDryRunOutput(DRY_RUN.file);
+const dryRunChannels = new Map();
+
+// Get a Discord channel by ID, returning null if it can't be found. In a dry
+// run every channel is a stand-in that writes out what is sent to it.
+async function getChannel(channelId) {
+  if (DRY_RUN) {
+    if (!dryRunChannels.has(channelId)) {
+      dryRunChannels.set(channelId, createDryRunChannel(channelId, dryRunOutput));
+    }
+    return dryRunChannels.get(channelId);
+  }
+  try {
+    return await client.channels.fetch(channelId);
+  } catch (error) {
+    log.error(`Could not find Discord channel with ID ${channelId}:`, error.message);
+    return null;
+  }
+}
+
+// Edit the Discord messages a tweet was relayed as, passing the tweet's embed
+// (as JSON) through updateEmbed. Returns the URLs of the edited messages.
+async function updateRelayedMessages(tweetId, updateEmbed) {
+  const messageUrls = [];
+  for (const delivery of tweetStore.getDeliveries(tweetId)) {
+    // Messages already sent to output sinks can't be edited
+    if (delivery.status !== 'sent' || delivery.messageIds.length === 0 || isSinkDestination(delivery.channelId)) {
+      continue;
+    }
+    
+    // A tweet posted in a Discord thread has its message there instead of the channel
+    for (const channelId of [delivery.channelId, delivery.threadId].filter(Boolean)) {
+      try {
+        const channel = await getChannel(channelId);
+        const message = await channel.messages.fetch(delivery.messageIds[0]);
+        const [embed, ...otherEmbeds] = message.embeds;
+        await webhookSender.editMessage(message, { embeds: [updateEmbed(embed.toJSON()), ...otherEmbeds] });
+        messageUrls.push(message.url);
+        break;
+      } catch (error) {
+        deliveryLog.warn(`Could not update the message for tweet ${tweetId} in channel ${channelId}:`, error.message);
+      }
+    }
+  }
+  return messageUrls;
+}
+
+// List the accounts that posted near-duplicates of a tweet on its messages
+async function showDuplicates(tweetId) {
+  try {
+    const duplicates = tweetStore.getDuplicates(tweetId);
+    await updateRelayedMessages(tweetId, embed => markEmbedAlsoPosted(embed, duplicates));
+  } catch (error) {
+    deliveryLog.error(`Error listing the near-duplicates of tweet ${tweetId}:`, error);
+  }
+}
+
+// Tell the alert channel about a deleted or edited tweet, if one is configured
+async function sendChangeAlert(embed) {
+  if (!ALERT_CHANNEL_ID) {
+    return;
+  }
+  const channel = await getChannel(ALERT_CHANNEL_ID);
+  if (!channel) {
+    return;
+  }
+  try {
+    await channel.send({ embeds: [embed] });
+  } catch (error) {
+    deliveryLog.error('Error sending alert:', error);
+  }
+}
+
+// Post an alert to the ops channel
+async function sendOpsAlert(embed) {
+  const channel = client.isReady() || DRY_RUN ? await getChannel(OPS_CHANNEL_ID) : null;
+  if (!channel) {
+    throw new Error(`Ops channel ${OPS_CHANNEL_ID} is not available`);
+  }
+  await channel.send({ embeds: [embed] });
+}
+
+// Re-checks relayed tweets and updates their messages when they are deleted or edited
+const tweetWatcher = createTweetWatcher({
+  store: tweetStore,
+  fetchTweet: tweetId => pipeline.fetchTweet(tweetId),
+  window: EDIT_TRACKING_WINDOW,
+  interval: EDIT_CHECK_INTERVAL,
+  logger: log.child('watcher'),
+  async onDeleted(record) {
+    const messageUrls = await updateRelayedMessages(record.id, embed => markEmbedDeleted(embed, record.deletedAt));
+    await sendChangeAlert(buildChangeAlert(record, { change: 'deleted', messageUrls }));
+  },
+  async onEdited(record, newText, diff) {
+    const messageUrls = await updateRelayedMessages(record.id, embed => markEmbedEdited(embed, diff, record.editedAt));
+    await sendChangeAlert(buildChangeAlert(record, { change: 'edited', diff, messageUrls }));
+  }
+});
+
+// Posts the digests of routes with a digest window once each window is over
+const digestScheduler = createDigestScheduler({
+  store: tweetStore,
+  getRoutingTable: () => routingTable,
+  async send(channelId, message) {
+    const channel = await getChannel(channelId);
+    if (!channel) {
+      throw new Error(`Channel ${channelId} is not available`);
+    }
+    await channel.send(message);
+  },
+  onPosted: route => digestsPostedTotal.inc({ route: route.name }),
+  logger: log.child('digest')
+});
+
+// Function to validate API configuration and create the feed sources
+function validateApiConfig() {
+  if (TWEET_SOURCES.length === 0) {
+    log.error('No tweet sources configured in TWEET_SOURCES');
+    return false;
+  }
+  
+  try {
+    sources = getSourceConfigs(settings, { logger: fetchLog }).map(createSource);
+  } catch (error) {
+    log.error('Invalid source configuration:', error.message);
+    return false;
+  }
+  
+  log.info(`Using tweet sources: ${sources.map(source => source.name).join(', ')}`);
+  return true;
+}
+
+// Function to poll for tweets. Cycles never overlap: the next one is scheduled
+// when the previous one finishes, sooner while the feed is active and later
+// while it is quiet or failing.
+async function pollTweets() {
+  fetchLog.info(`Starting real-time tweet monitoring with ${settings.POLLING_INTERVAL}ms interval (up to ${settings.IDLE_POLLING_INTERVAL}ms when idle)...`);
+  
+  // Prune old tweets from the store now and then every hour
+  pruneTweetStore();
+  setInterval(pruneTweetStore, PRUNE_INTERVAL);
+  
+  pollScheduler = createPollScheduler({
+    task: pipeline.processTweets,
+    minInterval: settings.POLLING_INTERVAL,
+    idleInterval: settings.IDLE_POLLING_INTERVAL,
+    maxBackoff: settings.MAX_POLL_BACKOFF,
+    logger: fetchLog,
+    onCycle(cycle, error) {
+      pollsTotal.inc({ result: error ? 'error' : 'success' });
+      pollDuration.observe({}, cycle.durationMs / 1000);
+      if (error) {
+        const retryAfter = getRetryAfter(error);
+        fetchLog.warn(`Polling cycle failed${retryAfter !== null ? ' (rate limited)' : ''}, retrying in ${cycle.nextDelayMs}ms`);
+        const { consecutiveErrors } = pollScheduler.getStats();
+        if (consecutiveErrors >= settings.OPS_FETCH_FAILURE_THRESHOLD) {
+          opsAlerter.alert('fetch-failures', {
+            title: `Fetching tweets failed ${consecutiveErrors} times in a row`,
+            description: `Last error: ${error.message}`
+          });
+        }
+      } else if (cycle.newTweets > 0) {
+        fetchLog.info(`Polling cycle took ${cycle.durationMs}ms (fetch ${cycle.fetchMs}ms) for ${cycle.newTweets} new tweets`);
+      }
+    }
+  });
+  pollScheduler.start();
+}
+
+// Bot state exposed to the /tracker slash commands
+const trackerController = {
+  getStatus() {
+    return {
+      paused,
+      lastFetchTimestamp: pipeline.getLastFetchTimestamp(),
+      processedCount: tweetStore.count(),
+      polling: pollScheduler?.getStats() || null,
+      deliveryLatency: deliveryLatency.summary(),
+      deliveries: deliveryQueue.getStats(),
+      routeCount: routingTable.routes.length,
+      defaultChannels: routingTable.defaultChannels,
+      mutedUsernames
+    };
+  },
+  
+  setPaused(value) {
+    paused = value;
+    saveState();
+    log.info(value ? 'Tracker paused via slash command' : 'Tracker resumed via slash command');
+  },
+  
+  muteUsername(username) {
+    if (mutedUsernames.includes(username)) {
+      return false;
+    }
+    mutedUsernames = [...mutedUsernames, username];
+    saveState();
+    return true;
+  },
+  
+  unmuteUsername(username) {
+    if (!mutedUsernames.includes(username)) {
+      return false;
+    }
+    mutedUsernames = mutedUsernames.filter(muted => muted !== username);
+    saveState();
+    return true;
+  },
+  
+  listRoutes() {
+    return routingTable.routes.map(route => ({
+      ...route,
+      patterns: route.patterns?.map(pattern => pattern.source) || null,
+      allow: route.allow?.map(pattern => pattern.source) || null,
+      block: route.block?.map(pattern => pattern.source) || null
+    }));
+  },
+  
+  addRoute(route) {
+    if (routingTable.routes.some(existing => existing.name === route.name)) {
+      throw new Error(`A route named "${route.name}" already exists`);
+    }
+    // Compile before storing so invalid patterns are rejected
+    const newTable = buildRoutingTable(routesConfig, [...runtimeRoutes, route], DISCORD_CHANNEL_ID);
+    runtimeRoutes = [...runtimeRoutes, route];
+    routingTable = newTable;
+    saveState();
+  },
+  
+  removeRoute(name) {
+    if (!runtimeRoutes.some(route => route.name === name)) {
+      return false;
+    }
+    runtimeRoutes = runtimeRoutes.filter(route => route.name !== name);
+    routingTable = buildRoutingTable(routesConfig, runtimeRoutes, DISCORD_CHANNEL_ID);
+    saveState();
+    return true;
+  },
+  
+  async replayTweet(tweetId, channelId = null) {
+    const tweet = await pipeline.fetchTweet(tweetId);
+    if (!tweet) {
+      throw new Error(`Tweet ${tweetId} could not be fetched`);
+    }
+    
+    const channelIds = await pipeline.queueTweet(tweet, { targetChannelIds: channelId ? [channelId] : null });
+    if (channelIds.length === 0) {
+      throw new Error(`Tweet ${tweetId} isn't routed to any channel`);
+    }
+    return channelIds;
+  },
+  
+  getHistory(username, { since, until }) {
+    return tweetStore.getTweetsByAuthor(username, { since, until, limit: 25 });
+  },
+  
+  getFilteredTweets({ since }) {
+    return tweetStore.getFilteredTweets({ since, limit: 25 });
+  }
+};
+
+// Health and metrics server for the container orchestrator and Prometheus
+const healthServer = HEALTH_PORT && createHealthServer({
+  port: HEALTH_PORT,
+  host: HEALTH_HOST,
+  metrics,
+  logger: log,
+  getHealth: () => checkHealth({
+    discord: { ready: client.isReady(), status: client.ws.status, pingMs: client.ws.ping },
+    lastFetchAt: pipeline.getLastSuccessfulFetchAt(),
+    startedAt,
+    maxFetchAge: settings.HEALTH_MAX_FETCH_AGE,
+    paused
+  })
+});
+if (healthServer) {
+  healthServer.start()
+    .then(port => log.info(`Serving /healthz and /metrics on port ${port}`))
+    .catch(error => log.error(`Could not start the health server on port ${HEALTH_PORT}:`, error.message));
+}
+
+// Handle slash commands
+client.on('interactionCreate', async interaction => {
+  if (!interaction.isChatInputCommand() || interaction.commandName !== 'tracker') {
+    return;
+  }
+  
+  try {
+    await handleTrackerCommand(interaction, trackerController, { adminRoleId: ADMIN_ROLE_ID, logger: log });
+  } catch (error) {
+    log.error('Error handling slash command:', error);
+  }
+});
+
+// Start fetching and sending tweets, once connected to Discord (or right away
+// in a dry run)
+function startTracking() {
+  // Validate API configuration before starting
+  if (!validateApiConfig()) {
+    log.error('Bot shutting down due to invalid API configuration');
+    process.exit(1);
+  }
+  
+  // Send anything left in the delivery queue by the last run, then start polling for tweets
+  deliveryQueue.start();
+  pollTweets();
+  digestScheduler.start();
+  
+  // Pick up edits to the config and routes files, or reload on SIGHUP
+  watchFiles([CONFIG_FILE, ROUTES_FILE], file => reloadConfig(`${path.basename(file)} changed`), { interval: CONFIG_CHECK_INTERVAL });
+  process.on('SIGHUP', () => reloadConfig('SIGHUP'));
+  
+  // Single tweet lookups are needed to notice edits and deletion
+  if (EDIT_TRACKING_WINDOW > 0 && sources.some(source => source.fetchTweet)) {
+    tweetWatcher.start();
+    log.info(`Re-checking relayed tweets for edits and deletion for ${EDIT_TRACKING_WINDOW / 60000} minutes after they are posted`);
+  }
+}
+
+// Main bot startup
+client.once('ready', async () => {
+  log.info(`Logged in as ${client.user.tag}`);
+  
+  // Register the /tracker slash commands
+  try {
+    await registerCommands(client, DISCORD_GUILD_ID);
+    log.info(`Registered slash commands ${DISCORD_GUILD_ID ? `in guild ${DISCORD_GUILD_ID}` : 'globally'}`);
+  } catch (error) {
+    log.error('Error registering slash commands:', error);
+  }
+  
+  startTracking();
+});
+
+// Shut down cleanly in the order stopBot() sets out. What is still queued is
+// sent after the next start. A second signal, or draining for longer than
+// SHUTDOWN_TIMEOUT, exits right away.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) {
+    log.warn(`Received ${signal} again, exiting without waiting`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  log.info(`Received ${signal}, shutting down...`);
+  setTimeout(() => {
+    log.error(`Shutting down took more than ${SHUTDOWN_TIMEOUT / 1000}s, exiting`);
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT).unref();
+  
+  try {
+    await stopBot({ pollScheduler, digestScheduler, tweetWatcher, deliveryQueue, healthServer: healthServer || null, saveState, tweetStore, client });
+    log.info('Shut down cleanly');
+    process.exit(0);
+  } catch (error) {
+    log.error('Error shutting down:', error);
+    process.exit(1);
+  }
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Error handling
+process.on('unhandledRejection', error => {
+  log.error('Unhandled promise rejection:', error);
+});
+
+if (DRY_RUN) {
+  log.info(`Dry run: writing the messages to ${DRY_RUN.file || 'stdout'} instead of sending them, without connecting to Discord`);
+  startTracking();
+} else {
+  // Login to Discord
+  log.info('Connecting to Discord...');
+  client.login(DISCORD_TOKEN).catch(error => {
+    log.error('Failed to login to Discord:', error);
+    process.exit(1);
+  });
+}
\ No newline at end of file
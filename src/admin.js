@@ -0,0 +1,140 @@
+// Admin commands for the bot's state, run with admin.js: showing it, marking
+// tweets as seen or new again, replaying a tweet, sending a test message and
+// resetting. They work on the same files as the bot, picked by the same config
+// file and profile, and can run while the bot does.
+
+import { EmbedBuilder } from 'discord.js';
+import fs from 'fs';
+import { formatAge } from './market.js';
+import { readStateFile } from './state.js';
+
+export const ADMIN_USAGE = `Usage: node admin.js <command> [options]
+
+Commands:
+  status                         Show the size of the state and the last fetch time
+  mark-seen <tweet id>...        Mark tweets as seen, so the bot never posts them
+  unmark <tweet id>...           Forget tweets, so the bot posts them if a feed still has them
+  replay <tweet id>              Fetch a tweet and build its messages as the bot would, writing them as JSON
+      --channel <id>             Build them for this channel instead of the routed ones
+      --output <file>            Write them to a file instead of stdout
+      --send                     Send them to Discord instead
+  send-test [channel id]...      Send a test message to the given channels, or to every routed channel
+  reset                          Delete all state, so the bot starts fresh (stop the bot first)
+      --older-than <duration>    Only forget tweets seen more than this long ago, such as 12h or 30d`;
+
+// Options that take a value; the others are flags
+const VALUE_OPTIONS = ['channel', 'output', 'older-than'];
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parse a duration such as 30m, 12h or 7d into milliseconds, or null when it
+// isn't one
+export function parseDuration(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+)([mhd])$/);
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+// Split command line arguments into { command, args, options }. Options are
+// given as --name value or --name=value; flags are true when given.
+export function parseAdminArgs(argv) {
+  const [command = null, ...rest] = argv;
+  const args = [];
+  const options = {};
+  for (let index = 0; index < rest.length; index++) {
+    const arg = rest[index];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const [name, value] = arg.slice(2).split(/=(.*)/s);
+    if (!VALUE_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (value !== undefined) {
+      options[name] = value;
+    } else if (index + 1 < rest.length) {
+      options[name] = rest[++index];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+  return { command, args, options };
+}
+
+// Size in bytes of a file and its SQLite journal files, 0 when there are none
+function totalFileSize(filePath) {
+  return [filePath, `${filePath}-wal`, `${filePath}-shm`]
+    .filter(file => fs.existsSync(file))
+    .reduce((total, file) => total + fs.statSync(file).size, 0);
+}
+
+// Gather what the status command shows from the tweet store and state file
+export function getStateStatus({ store, dbFile, stateFile }) {
+  const state = readStateFile(stateFile)?.state || {};
+  return {
+    dbFile,
+    dbSize: totalFileSize(dbFile),
+    tweetCount: store.count(),
+    tweetsByStatus: store.countByStatus(),
+    deliveries: store.countDeliveries(),
+    lastFetchTimestamp: state.lastFetchTimestamp || null,
+    paused: Boolean(state.paused),
+    mutedUsernames: state.mutedUsernames || [],
+    runtimeRouteCount: (state.routes || []).length
+  };
+}
+
+// Format a number of bytes, e.g. 1.5 MB
+export function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Format the status command output
+export function formatStateStatus(status, now = Date.now()) {
+  const byStatus = Object.entries(status.tweetsByStatus).map(([name, count]) => `${count} ${name}`).join(', ');
+  const lastFetch = status.lastFetchTimestamp
+    ? `${new Date(status.lastFetchTimestamp).toISOString()} (${formatAge(now - status.lastFetchTimestamp)} ago)`
+    : 'never';
+  return [
+    `Tweet store: ${status.dbFile} (${formatBytes(status.dbSize)})`,
+    `Tweets: ${status.tweetCount}${byStatus ? ` (${byStatus})` : ''}`,
+    `Deliveries: ${status.deliveries.pending} pending, ${status.deliveries.sent} sent, ${status.deliveries.failed} failed`,
+    `Last fetch: ${lastFetch}`,
+    `State: ${status.paused ? 'Paused' : 'Running'}`,
+    `Muted accounts: ${status.mutedUsernames.map(username => `@${username}`).join(', ') || 'none'}`,
+    `Routes added with slash commands: ${status.runtimeRouteCount}`
+  ].join('\n');
+}
+
+// Mark tweets as seen by ID. Returns the IDs that weren't recorded before.
+export function markTweetsSeen(store, tweetIds) {
+  return tweetIds.filter(tweetId => store.markSeen({ id: tweetId }));
+}
+
+// Forget tweets by ID. Returns the IDs that were recorded.
+export function unmarkTweets(store, tweetIds) {
+  return tweetIds.filter(tweetId => store.forgetTweet(tweetId));
+}
+
+// The message send-test posts
+export function buildTestMessage(channelId, now = Date.now()) {
+  const embed = new EmbedBuilder()
+    .setColor('#1DA1F2')
+    .setTitle('Test message')
+    .setDescription(`If you can read this, the bot can post tweets in <#${channelId}>.`)
+    .setTimestamp(new Date(now))
+    .setFooter({
+      text: 'Sent with admin.js send-test',
+      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+    });
+  return { embeds: [embed.toJSON()] };
+}
@@ -0,0 +1,133 @@
+// Alert rules for tweets that shouldn't be missed in a busy channel. A rule
+// matches on author, tweet type, patterns, keywords and whether the tweet has a
+// contract address; a matching tweet is posted in the rule's color and pings
+// its roles and users, at most once per cooldown.
+
+import { normalizeUsername, compileTweetTypes, compilePatterns } from './routing.js';
+
+export const DEFAULT_ALERT_COOLDOWN_MINUTES = 10;
+
+// Parse a color given as "#FF4500" or "FF4500" into the number Discord uses
+function parseColor(value, name) {
+  const match = String(value).match(/^#?([0-9a-f]{6})$/i);
+  if (!match) {
+    throw new Error(`Alert rule "${name}" has invalid color "${value}", expected a hex color such as #FF4500`);
+  }
+  return parseInt(match[1], 16);
+}
+
+// Turn a raw alert rule into a rule with compiled matchers
+export function compileAlertRule(rule, index = 0) {
+  const name = rule.name || `alert-${index + 1}`;
+  
+  const types = compileTweetTypes(rule.types, `Alert rule "${name}"`);
+  const patterns = compilePatterns(rule.patterns, `Alert rule "${name}"`);
+  const roles = [].concat(rule.roles || []).map(String).filter(Boolean);
+  const users = [].concat(rule.users || []).map(String).filter(Boolean);
+  const color = rule.color ? parseColor(rule.color, name) : null;
+  if (roles.length === 0 && users.length === 0 && color === null) {
+    throw new Error(`Alert rule "${name}" has no roles, users or color`);
+  }
+  
+  const cooldownMinutes = rule.cooldownMinutes ?? DEFAULT_ALERT_COOLDOWN_MINUTES;
+  if (typeof cooldownMinutes !== 'number' || cooldownMinutes < 0) {
+    throw new Error(`Alert rule "${name}" has invalid cooldownMinutes "${rule.cooldownMinutes}"`);
+  }
+  
+  return {
+    name,
+    usernames: rule.usernames ? [].concat(rule.usernames).map(normalizeUsername) : null,
+    types,
+    patterns,
+    keywords: rule.keywords ? [].concat(rule.keywords).map(keyword => String(keyword).toLowerCase()) : null,
+    hasContractAddress: typeof rule.hasContractAddress === 'boolean' ? rule.hasContractAddress : null,
+    roles,
+    users,
+    color,
+    cooldown: cooldownMinutes * 60 * 1000
+  };
+}
+
+// Compile the alerts list of the routes file
+export function compileAlertRules(rules = []) {
+  return rules.map((rule, index) => compileAlertRule(rule, index));
+}
+
+// Check whether an alert rule matches a tweet. Like routes, every criterion a
+// rule defines must match.
+export function alertRuleMatches(rule, { username, tweetType, text, hasContractAddress }) {
+  const lowerText = (text || '').toLowerCase();
+  
+  if (rule.usernames && !rule.usernames.includes(normalizeUsername(username))) {
+    return false;
+  }
+  
+  if (rule.types && !rule.types.includes(tweetType)) {
+    return false;
+  }
+  
+  if (rule.patterns && !rule.patterns.some(pattern => pattern.test(text || ''))) {
+    return false;
+  }
+  
+  if (rule.keywords && !rule.keywords.some(keyword => lowerText.includes(keyword))) {
+    return false;
+  }
+  
+  if (rule.hasContractAddress !== null && rule.hasContractAddress !== Boolean(hasContractAddress)) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Create the evaluator, which remembers when each rule last pinged (by rule
+// name, so cooldowns survive reloading the rules)
+export function createAlertEvaluator({ now = Date.now } = {}) {
+  const lastPingAt = new Map(); // rule name -> when it last pinged
+  
+  return {
+    // Work out what the rules matching a tweet do to it: { rules, color,
+    // roles, users, pinged } where color is the first matching rule's and the
+    // roles and users are those of the rules not in their cooldown. Returns
+    // null when no rule matches. With ping false (for replays) nothing is
+    // pinged and no cooldown starts.
+    evaluate(rules, tweetInfo, { ping = true } = {}) {
+      const matched = rules.filter(rule => alertRuleMatches(rule, tweetInfo));
+      if (matched.length === 0) {
+        return null;
+      }
+      
+      const time = now();
+      const pinged = ping
+        ? matched.filter(rule => (rule.roles.length > 0 || rule.users.length > 0) && time - (lastPingAt.get(rule.name) ?? -Infinity) >= rule.cooldown)
+        : [];
+      for (const rule of pinged) {
+        lastPingAt.set(rule.name, time);
+      }
+      
+      return {
+        rules: matched.map(rule => rule.name),
+        color: matched.find(rule => rule.color !== null)?.color ?? null,
+        roles: [...new Set(pinged.flatMap(rule => rule.roles))],
+        users: [...new Set(pinged.flatMap(rule => rule.users))],
+        pinged: pinged.map(rule => rule.name)
+      };
+    }
+  };
+}
+
+// Apply an alert to a tweet's queued payload: its embed takes the alert color
+// and its first message mentions the roles and users, allowing only those
+// mentions
+export function applyAlert(payload, alert) {
+  const [first] = payload.messages;
+  if (alert.color !== null && first.embeds?.length > 0) {
+    first.embeds[0] = { ...first.embeds[0], color: alert.color };
+  }
+  if (alert.roles.length > 0 || alert.users.length > 0) {
+    first.content = [...alert.roles.map(id => `<@&${id}>`), ...alert.users.map(id => `<@${id}>`)].join(' ');
+    first.allowedMentions = { roles: alert.roles, users: alert.users };
+  }
+  return payload;
+}
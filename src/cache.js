@@ -0,0 +1,75 @@
+// The media cache. Videos are streamed into the cache directory with a size
+// cap before they are attached to a message, and files left behind, such as by
+// a crash or a send that was given up on, are swept once they are old and no
+// queued delivery needs them.
+
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+// The error for a download over its size cap. It is permanent: retrying the
+// same URL won't make the file smaller.
+function tooLargeError(url, bytes, maxBytes) {
+  const error = new Error(`${url} is larger than ${maxBytes} bytes (got ${bytes})`);
+  error.code = 'FILE_TOO_LARGE';
+  error.permanent = true;
+  return error;
+}
+
+// Stream url to filePath, stopping as soon as it is known to be larger than
+// maxBytes, from its Content-Length or while downloading. The file is written
+// under a .part name and renamed once complete, so a crash never leaves a
+// truncated file that looks finished. Resolves to the size in bytes.
+export async function downloadToFile(url, filePath, { maxBytes = Infinity, timeout = 60000 } = {}) {
+  const partPath = `${filePath}.part`;
+  const response = await axios({ url, method: 'GET', responseType: 'stream', signal: AbortSignal.timeout(timeout) });
+  
+  const declaredSize = Number(response.headers['content-length']);
+  if (declaredSize > maxBytes) {
+    response.data.destroy();
+    throw tooLargeError(url, declaredSize, maxBytes);
+  }
+  
+  let bytes = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      callback(bytes > maxBytes ? tooLargeError(url, bytes, maxBytes) : null, chunk);
+    }
+  });
+  
+  try {
+    await pipeline(response.data, counter, fs.createWriteStream(partPath));
+    fs.renameSync(partPath, filePath);
+  } catch (error) {
+    fs.rmSync(partPath, { force: true });
+    throw error;
+  }
+  return bytes;
+}
+
+// Delete the files in dir last modified more than maxAge ago that no pending
+// delivery needs (isFileQueued(filePath) is false). Returns how many were deleted.
+export function sweepCache(dir, { maxAge, isFileQueued = () => false, now = Date.now(), logger = console }) {
+  if (!fs.existsSync(dir)) {
+    return 0;
+  }
+  
+  let removed = 0;
+  for (const name of fs.readdirSync(dir)) {
+    const filePath = path.join(dir, name);
+    try {
+      const stats = fs.statSync(filePath);
+      if (!stats.isFile() || now - stats.mtimeMs < maxAge || isFileQueued(filePath)) {
+        continue;
+      }
+      fs.unlinkSync(filePath);
+      removed++;
+    } catch (error) {
+      logger.warn(`Could not remove cached file ${filePath}:`, error.message);
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,357 @@
+import {
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+  MessageFlags,
+  ChannelType,
+  InteractionContextType
+} from 'discord.js';
+import { TWEET_TYPES, DIGEST_WINDOWS, normalizeUsername, parseDigestWindow } from './routing.js';
+import { formatDigestWindow } from './digest.js';
+import { truncateText } from './text.js';
+
+const MESSAGE_LIMIT = 2000; // Discord's limit for a message's content
+
+// Definition of the /tracker command and its subcommands
+export const trackerCommand = new SlashCommandBuilder()
+  .setName('tracker')
+  .setDescription('Manage the Twitter tracker bot')
+  .setContexts(InteractionContextType.Guild)
+  .addSubcommand(sub => sub
+    .setName('status')
+    .setDescription('Show the current tracker status'))
+  .addSubcommand(sub => sub
+    .setName('pause')
+    .setDescription('Stop posting tweets until resumed'))
+  .addSubcommand(sub => sub
+    .setName('resume')
+    .setDescription('Resume posting tweets'))
+  .addSubcommand(sub => sub
+    .setName('mute')
+    .setDescription('Stop posting tweets from an account')
+    .addStringOption(option => option
+      .setName('handle')
+      .setDescription('Twitter handle, e.g. @username')
+      .setRequired(true)))
+  .addSubcommand(sub => sub
+    .setName('unmute')
+    .setDescription('Resume posting tweets from a muted account')
+    .addStringOption(option => option
+      .setName('handle')
+      .setDescription('Twitter handle, e.g. @username')
+      .setRequired(true)))
+  .addSubcommandGroup(group => group
+    .setName('route')
+    .setDescription('Manage channel routes')
+    .addSubcommand(sub => sub
+      .setName('list')
+      .setDescription('List the channel routes'))
+    .addSubcommand(sub => sub
+      .setName('add')
+      .setDescription('Add a channel route')
+      .addStringOption(option => option
+        .setName('name')
+        .setDescription('Unique route name')
+        .setRequired(true))
+      .addChannelOption(option => option
+        .setName('channel')
+        .setDescription('Channel that receives matching tweets')
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(true))
+      .addStringOption(option => option
+        .setName('handles')
+        .setDescription('Comma-separated Twitter handles'))
+      .addStringOption(option => option
+        .setName('type')
+        .setDescription('Tweet type')
+        .addChoices(...TWEET_TYPES.map(type => ({ name: type, value: type }))))
+      .addStringOption(option => option
+        .setName('pattern')
+        .setDescription('Regular expression matched against the tweet text'))
+      .addStringOption(option => option
+        .setName('digest')
+        .setDescription('Post a summary of the matching tweets every hour or day instead of each tweet')
+        .addChoices(...Object.keys(DIGEST_WINDOWS).map(window => ({ name: window, value: window })))))
+    .addSubcommand(sub => sub
+      .setName('remove')
+      .setDescription('Remove a channel route added with /tracker route add')
+      .addStringOption(option => option
+        .setName('name')
+        .setDescription('Route name')
+        .setRequired(true))))
+  .addSubcommand(sub => sub
+    .setName('history')
+    .setDescription('Show the tweets an account posted recently')
+    .addStringOption(option => option
+      .setName('handle')
+      .setDescription('Twitter handle, e.g. @username')
+      .setRequired(true))
+    .addIntegerOption(option => option
+      .setName('hours')
+      .setDescription('How many hours to look back (default 24)')
+      .setMinValue(1)
+      .setMaxValue(24 * 30)))
+  .addSubcommand(sub => sub
+    .setName('filtered')
+    .setDescription('Show the tweets the content filters dropped recently, and why')
+    .addIntegerOption(option => option
+      .setName('hours')
+      .setDescription('How many hours to look back (default 24)')
+      .setMinValue(1)
+      .setMaxValue(24 * 30)))
+  .addSubcommand(sub => sub
+    .setName('replay')
+    .setDescription('Fetch a tweet and post it again')
+    .addStringOption(option => option
+      .setName('tweet_id')
+      .setDescription('ID of the tweet to replay')
+      .setRequired(true))
+    .addChannelOption(option => option
+      .setName('channel')
+      .setDescription('Post to this channel instead of the routed channels')
+      .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)));
+
+// Register the slash commands, per guild if a guild ID is given (instant) or globally
+export async function registerCommands(client, guildId = null) {
+  const commands = [trackerCommand.toJSON()];
+  
+  if (guildId) {
+    await client.application.commands.set(commands, guildId);
+  } else {
+    await client.application.commands.set(commands);
+  }
+}
+
+// Check whether the member running a command may manage the bot. Without a
+// configured admin role only server administrators are allowed.
+export function isTrackerAdmin(interaction, adminRoleId) {
+  if (adminRoleId) {
+    const roles = interaction.member?.roles;
+    if (Array.isArray(roles)) {
+      return roles.includes(adminRoleId);
+    }
+    return Boolean(roles?.cache?.has(adminRoleId));
+  }
+  
+  return Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.Administrator));
+}
+
+// Format a route for display in Discord
+function formatRoute(route) {
+  const criteria = [];
+  if (route.usernames?.length) criteria.push(`accounts: ${route.usernames.map(u => `@${u}`).join(', ')}`);
+  if (route.types?.length) criteria.push(`types: ${route.types.join(', ')}`);
+  if (route.patterns?.length) criteria.push(`patterns: ${route.patterns.map(p => `\`${p}\``).join(', ')}`);
+  if (route.allow?.length) criteria.push(`allow: ${route.allow.map(p => `\`${p}\``).join(', ')}`);
+  if (route.block?.length) criteria.push(`block: ${route.block.map(p => `\`${p}\``).join(', ')}`);
+  
+  const channels = route.channels.map(id => `<#${id}>`).join(', ');
+  const source = route.source === 'runtime' ? ' *(added via command)*' : '';
+  const digest = route.digest ? ` (${formatDigestWindow(route.digest.window ?? parseDigestWindow(route.digest)).toLowerCase()} digest)` : '';
+  return `**${route.name}**${source} → ${channels}${digest}${criteria.length ? `\n  ${criteria.join(' • ')}` : '\n  all tweets'}`;
+}
+
+// Format the route list reply, keeping within Discord's 2000 character limit
+function formatRouteList(routes) {
+  const lines = [];
+  for (const [index, route] of routes.entries()) {
+    const line = formatRoute(route);
+    if (lines.join('\n').length + line.length > 1900) {
+      lines.push(`… and ${routes.length - index} more`);
+      break;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+// Format poll timing and tweet-to-Discord latency for the status reply
+function formatPolling(polling, latency) {
+  const lines = [];
+  if (polling?.lastCycle) {
+    const cycle = polling.lastCycle;
+    lines.push(`**Polling:** every ${polling.currentInterval}ms, last cycle ${cycle.durationMs}ms${cycle.fetchMs !== null ? ` (fetch ${cycle.fetchMs}ms)` : ''}, avg ${polling.cycleDurations.avg}ms`);
+    if (polling.consecutiveErrors > 0) {
+      lines.push(`**Fetch errors:** ${polling.consecutiveErrors} in a row, next try in ${Math.round(cycle.nextDelayMs / 1000)}s (${cycle.error})`);
+    }
+  }
+  if (latency?.count > 0) {
+    lines.push(`**Tweet to Discord:** last ${(latency.last / 1000).toFixed(1)}s, avg ${(latency.avg / 1000).toFixed(1)}s, max ${(latency.max / 1000).toFixed(1)}s`);
+  }
+  return lines;
+}
+
+// Format the status subcommand reply
+function formatStatus(status) {
+  const lines = [
+    `**State:** ${status.paused ? 'Paused' : 'Running'}`,
+    `**Last fetch:** ${status.lastFetchTimestamp ? `<t:${Math.floor(status.lastFetchTimestamp / 1000)}:R>` : 'never'}`,
+    `**Processed tweets:** ${status.processedCount}`,
+    ...formatPolling(status.polling, status.deliveryLatency),
+    `**Deliveries:** ${status.deliveries.pending} pending, ${status.deliveries.sent} sent, ${status.deliveries.failed} failed`,
+    `**Routes:** ${status.routeCount}`,
+    `**Default channels:** ${status.defaultChannels.map(id => `<#${id}>`).join(', ') || 'none'}`,
+    `**Muted accounts:** ${status.mutedUsernames.map(u => `@${u}`).join(', ') || 'none'}`
+  ];
+  return lines.join('\n');
+}
+
+// Reply to an interaction, visible only to the user who ran the command. Long
+// replies, such as the status with many muted accounts, are cut to Discord's
+// message limit.
+function reply(interaction, text) {
+  const content = truncateText(text, MESSAGE_LIMIT);
+  const payload = { content, flags: MessageFlags.Ephemeral };
+  if (interaction.deferred || interaction.replied) {
+    return interaction.editReply({ content });
+  }
+  return interaction.reply(payload);
+}
+
+// Format the history subcommand reply, keeping within Discord's 2000 character limit
+function formatHistory(username, hours, tweets) {
+  if (tweets.length === 0) {
+    return `No tweets from @${username} in the last ${hours} hours.`;
+  }
+  
+  const lines = [`**@${username}** in the last ${hours} hours (${tweets.length}${tweets.length >= 25 ? '+' : ''} tweets):`];
+  for (const tweet of tweets) {
+    const time = Math.floor((tweet.createdAt || tweet.seenAt) / 1000);
+    const text = (tweet.text || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').substring(0, 80);
+    const line = `<t:${time}:f> ${tweet.type || 'tweet'} [${text || 'link'}](<${tweet.url}>)`;
+    if (lines.join('\n').length + line.length > 1900) {
+      lines.push('…');
+      break;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+// Format the filtered subcommand reply, keeping within Discord's 2000 character limit
+function formatFiltered(hours, tweets) {
+  if (tweets.length === 0) {
+    return `No tweets were filtered in the last ${hours} hours.`;
+  }
+  
+  const lines = [`**Filtered** in the last ${hours} hours (${tweets.length}${tweets.length >= 25 ? '+' : ''} tweets):`];
+  for (const tweet of tweets) {
+    const time = Math.floor(tweet.seenAt / 1000);
+    const text = (tweet.text || '').replace(/\s+/g, ' ').replace(/[[\]]/g, '').substring(0, 60);
+    const line = `<t:${time}:f> @${tweet.author} [${text || 'link'}](<${tweet.url}>): ${tweet.filterReason}`;
+    if (lines.join('\n').length + line.length > 1900) {
+      lines.push('…');
+      break;
+    }
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+// Handle a /tracker interaction. The controller exposes the bot state:
+// getStatus, setPaused, muteUsername, unmuteUsername, listRoutes,
+// addRoute, removeRoute, replayTweet, getHistory and getFilteredTweets.
+// Errors are replied to the user and logged to logger.
+export async function handleTrackerCommand(interaction, controller, { adminRoleId = null, logger = console } = {}) {
+  if (!isTrackerAdmin(interaction, adminRoleId)) {
+    return reply(interaction, 'You do not have permission to manage the tracker.');
+  }
+  
+  const group = interaction.options.getSubcommandGroup(false);
+  const subcommand = interaction.options.getSubcommand();
+  
+  try {
+    if (group === 'route') {
+      if (subcommand === 'list') {
+        const routes = controller.listRoutes();
+        return reply(interaction, routes.length > 0
+          ? formatRouteList(routes)
+          : 'No routes configured. All tweets go to the default channels.');
+      }
+      
+      if (subcommand === 'add') {
+        const handles = interaction.options.getString('handles');
+        const type = interaction.options.getString('type');
+        const pattern = interaction.options.getString('pattern');
+        const digest = interaction.options.getString('digest');
+        
+        const route = {
+          name: interaction.options.getString('name'),
+          channels: [interaction.options.getChannel('channel').id]
+        };
+        if (handles) route.usernames = handles.split(',').map(normalizeUsername).filter(Boolean);
+        if (type) route.types = [type];
+        if (pattern) route.patterns = [pattern];
+        if (digest) route.digest = digest;
+        
+        controller.addRoute(route);
+        return reply(interaction, `Added route:\n${formatRoute({ ...route, source: 'runtime' })}`);
+      }
+      
+      if (subcommand === 'remove') {
+        const name = interaction.options.getString('name');
+        return reply(interaction, controller.removeRoute(name)
+          ? `Removed route **${name}**.`
+          : `No route named **${name}** was added via command. Routes from the routes file can only be changed there.`);
+      }
+    }
+    
+    switch (subcommand) {
+      case 'status':
+        return reply(interaction, formatStatus(controller.getStatus()));
+      
+      case 'pause':
+        controller.setPaused(true);
+        return reply(interaction, 'Tracker paused. No tweets will be posted until `/tracker resume`.');
+      
+      case 'resume':
+        controller.setPaused(false);
+        return reply(interaction, 'Tracker resumed.');
+      
+      case 'mute': {
+        const username = normalizeUsername(interaction.options.getString('handle'));
+        return reply(interaction, controller.muteUsername(username)
+          ? `Muted @${username}.`
+          : `@${username} is already muted.`);
+      }
+      
+      case 'unmute': {
+        const username = normalizeUsername(interaction.options.getString('handle'));
+        return reply(interaction, controller.unmuteUsername(username)
+          ? `Unmuted @${username}.`
+          : `@${username} is not muted.`);
+      }
+      
+      case 'history': {
+        const username = normalizeUsername(interaction.options.getString('handle'));
+        const hours = interaction.options.getInteger('hours') || 24;
+        const tweets = controller.getHistory(username, { since: Date.now() - hours * 60 * 60 * 1000 });
+        return reply(interaction, formatHistory(username, hours, tweets));
+      }
+      
+      case 'filtered': {
+        const hours = interaction.options.getInteger('hours') || 24;
+        const tweets = controller.getFilteredTweets({ since: Date.now() - hours * 60 * 60 * 1000 });
+        return reply(interaction, formatFiltered(hours, tweets));
+      }
+      
+      case 'replay': {
+        const tweetId = interaction.options.getString('tweet_id').trim();
+        if (!/^\d+$/.test(tweetId)) {
+          return reply(interaction, 'Tweet IDs are numeric.');
+        }
+        
+        // Fetching the tweet and its media can take longer than Discord's 3 second reply window
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+        const channelOption = interaction.options.getChannel('channel');
+        const channelIds = await controller.replayTweet(tweetId, channelOption?.id);
+        return reply(interaction, `Queued tweet ${tweetId} for ${channelIds.map(id => `<#${id}>`).join(', ')}.`);
+      }
+      
+      default:
+        return reply(interaction, `Unknown subcommand: ${subcommand}`);
+    }
+  } catch (error) {
+    logger.error(`Error handling /tracker ${group ? `${group} ` : ''}${subcommand}:`, error);
+    return reply(interaction, `Error: ${error.message}`);
+  }
+}
@@ -0,0 +1,336 @@
+// Bot configuration: a schema of every setting, read from an optional JSON or
+// YAML config file, the profile picked in it (such as prod or staging), and
+// environment variables, which take precedence so secrets can stay out of the
+// file. Settings marked reload can be changed while the bot runs.
+
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { LOG_LEVELS, parseComponentLevels } from './logger.js';
+import { DEFAULT_BULLX_TWEET_URL_BASE } from './sources/bullx.js';
+
+export const CONFIG_FILE_NAMES = ['config.yaml', 'config.yml', 'config.json'];
+
+// Every setting by its environment variable name. In the config file the same
+// setting is written in camelCase (POLLING_INTERVAL is pollingInterval).
+export const CONFIG_SCHEMA = {
+  DISCORD_TOKEN: { type: 'token', required: true, secret: true, description: 'Discord bot token' },
+  DISCORD_CHANNEL_ID: { type: 'snowflake', description: 'Channel tweets are posted to when no route matches' },
+  DISCORD_GUILD_ID: { type: 'snowflake', description: 'Register slash commands in this guild only (instant updates)' },
+  ADMIN_ROLE_ID: { type: 'snowflake', description: 'Role allowed to use /tracker (defaults to server administrators)' },
+  DISCORD_OUTPUT_MODE: { type: 'enum', values: ['bot', 'webhook'], default: 'bot', description: 'bot posts embeds as the bot, webhook posts them as the tweet author' },
+  TWEET_SOURCES: { type: 'list', values: ['bullx', 'axiom', 'json'], default: ['bullx'], description: 'Feeds to read tweets from' },
+  // AXIOM_TWITTER_API_URL is the old name of BULLX_TWEETS_URL, kept so existing .env files keep working
+  BULLX_TWEETS_URL: { type: 'url', aliases: ['AXIOM_TWITTER_API_URL'], description: 'BullX tweet feed' },
+  BULLX_TWEET_URL_BASE: { type: 'url', default: DEFAULT_BULLX_TWEET_URL_BASE, description: 'BullX URL single tweets are fetched from' },
+  AXIOM_FEED_URL: { type: 'url', description: 'Axiom tweet feed' },
+  AXIOM_COOKIES: { type: 'string', secret: true, description: 'Cookies used to authenticate with Axiom' },
+  JSON_SOURCE_CONFIG: { type: 'path', default: 'json-source.json', description: 'Config of the generic JSON feed' },
+  POLLING_INTERVAL: { type: 'integer', min: 100, max: 60 * 60 * 1000, default: 300, reload: true, description: 'Milliseconds between polls while the feed is active' },
+  IDLE_POLLING_INTERVAL: { type: 'integer', min: 100, max: 60 * 60 * 1000, default: settings => Math.max(settings.POLLING_INTERVAL, 3000), reload: true, description: 'Interval the poller relaxes to when the feed is quiet' },
+  MAX_POLL_BACKOFF: { type: 'integer', min: 1000, default: 5 * 60 * 1000, reload: true, description: 'Longest wait after repeated fetch errors' },
+  CATCH_UP_MAX_TWEETS: { type: 'integer', min: 0, default: 20, reload: true, description: 'Most missed tweets delivered per cycle (0 disables catch-up)' },
+  CATCH_UP_MAX_AGE_MINUTES: { type: 'number', min: 0, default: 30, reload: true, description: 'Missed tweets older than this are never delivered' },
+  THREAD_MODE: { type: 'enum', values: ['message', 'thread', 'off'], default: 'message', reload: true, description: 'How self-reply threads are posted' },
+  MUTED_ACCOUNTS: { type: 'list', default: [], reload: true, description: 'Accounts whose tweets are never posted, on top of those muted with /tracker mute' },
+  DEDUP_WINDOW_SECONDS: { type: 'number', min: 0, default: 120, reload: true, description: 'Near-duplicates from other accounts this soon after a tweet are listed on its message (0 disables)' },
+  DEDUP_SIMILARITY: { type: 'number', min: 0.5, max: 1, default: 0.85, reload: true, description: 'How alike two texts must be, from 0.5 to 1, to count as near-duplicates' },
+  VIDEO_MAX_UPLOAD_SIZE: { type: 'integer', min: 1024, reload: true, description: 'Most bytes of video attached to a tweet, below the guild upload limit' },
+  CACHE_MAX_AGE_MINUTES: { type: 'number', min: 1, default: 60, reload: true, description: 'Downloaded media no queued message needs is deleted after this long' },
+  ROUTES_FILE: { type: 'path', default: 'routes.json', description: 'Channel routing table, reloaded with the config' },
+  MARKET_DATA_PROVIDER: { type: 'enum', values: ['bullx', 'mock', 'none'], default: 'bullx', description: 'Where token market data comes from' },
+  MARKET_DATA_API_URL: { type: 'string', default: 'https://api-neo.bullx.io/v2/token/{address}?chainId={chainId}', description: 'URL template for the BullX market data provider' },
+  MARKET_DATA_MOCK_FILE: { type: 'path', default: 'market_data.mock.json', description: 'Market data used by the mock provider' },
+  MARKET_DATA_CACHE_TTL: { type: 'integer', min: 0, default: 60 * 1000, description: 'How long market data is cached per address' },
+  MARKET_DATA_TIMEOUT: { type: 'integer', min: 100, default: 2000, description: 'Max wait before sending without market data' },
+  STATE_DB_FILE: { type: 'path', default: 'tweets.db', description: 'SQLite database of seen tweets' },
+  STATE_RETENTION_DAYS: { type: 'number', min: 0.01, default: 30, reload: true, description: 'How long seen tweets are kept' },
+  EDIT_TRACKING_MINUTES: { type: 'number', min: 0, default: 30, description: 'How long relayed tweets are re-checked for edits and deletion (0 disables)' },
+  EDIT_CHECK_INTERVAL: { type: 'integer', min: 1000, default: 60 * 1000, description: 'How often they are re-checked' },
+  ALERT_CHANNEL_ID: { type: 'snowflake', description: 'Channel told about deleted and edited tweets' },
+  DELIVERY_MAX_ATTEMPTS: { type: 'integer', min: 1, default: 5, description: 'Sends to a channel are given up on after this many failures' },
+  DELIVERY_RETRY_DELAY: { type: 'integer', min: 100, default: 2000, description: 'First wait before retrying a failed send, doubling each time' },
+  DELIVERY_MAX_RETRY_DELAY: { type: 'integer', min: 100, default: 5 * 60 * 1000, description: 'Longest wait between retries of a send' },
+  TELEGRAM_BOT_TOKEN: { type: 'string', secret: true, description: 'Also posts tweets to a Telegram chat when set with TELEGRAM_CHAT_ID' },
+  TELEGRAM_CHAT_ID: { type: 'string', description: 'Telegram chat tweets are posted to' },
+  SLACK_WEBHOOK_URL: { type: 'url', secret: true, description: 'Also posts tweets to Slack through this incoming webhook' },
+  HTTP_SINK_URL: { type: 'url', description: 'Also POSTs tweets as signed JSON to this URL' },
+  HTTP_SINK_SECRET: { type: 'string', secret: true, description: 'Secret the HTTP sink signs requests with' },
+  HEALTH_PORT: { type: 'integer', min: 1, max: 65535, description: 'Port of the /healthz and /metrics server (disabled when unset)' },
+  HEALTH_HOST: { type: 'string', default: '0.0.0.0', description: 'Address the health server listens on' },
+  HEALTH_MAX_FETCH_AGE: { type: 'integer', min: 1000, default: 5 * 60 * 1000, reload: true, description: '/healthz fails when no fetch succeeded for this long' },
+  LOG_LEVEL: { type: 'enum', values: LOG_LEVELS, default: 'info', description: 'Lowest level logged' },
+  LOG_LEVELS: { type: 'levels', default: {}, description: 'Levels for single components, such as fetch=warn,media=debug' },
+  LOG_FILE: { type: 'path', description: 'Also write logs to this file' },
+  LOG_MAX_SIZE: { type: 'integer', min: 1024, default: 10 * 1024 * 1024, description: 'The log file is rotated when it reaches this size' },
+  LOG_MAX_FILES: { type: 'integer', min: 0, default: 5, description: 'Rotated log files kept' },
+  OPS_CHANNEL_ID: { type: 'snowflake', description: 'Channel told about fetch failures, rejected credentials and failed sends' },
+  OPS_ALERT_COOLDOWN: { type: 'integer', min: 0, default: 10 * 60 * 1000, description: 'The same kind of ops alert is posted at most this often' },
+  OPS_FETCH_FAILURE_THRESHOLD: { type: 'integer', min: 1, default: 5, reload: true, description: 'Failed polls in a row before an ops alert' }
+};
+
+// Checks between settings, run once each setting is valid on its own
+const CROSS_CHECKS = [
+  {
+    check: settings => settings.IDLE_POLLING_INTERVAL >= settings.POLLING_INTERVAL,
+    message: 'IDLE_POLLING_INTERVAL must not be shorter than POLLING_INTERVAL'
+  },
+  {
+    check: settings => settings.DELIVERY_MAX_RETRY_DELAY >= settings.DELIVERY_RETRY_DELAY,
+    message: 'DELIVERY_MAX_RETRY_DELAY must not be shorter than DELIVERY_RETRY_DELAY'
+  }
+];
+
+// The config file key of a setting: POLLING_INTERVAL -> pollingInterval
+export function toFileKey(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+const SETTINGS_BY_FILE_KEY = new Map(Object.keys(CONFIG_SCHEMA).map(name => [toFileKey(name), name]));
+
+// The config file to use: the one named (relative to baseDir), or the first of
+// config.yaml, config.yml and config.json that exists. Null when there is none.
+export function findConfigFile(baseDir, configFile = null) {
+  if (configFile) {
+    return path.resolve(baseDir, configFile);
+  }
+  const found = CONFIG_FILE_NAMES.map(name => path.join(baseDir, name)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+// Read a config file as JSON or YAML, by its extension
+export function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('expected an object of settings');
+  }
+  return data;
+}
+
+// Turn a raw value from the environment (a string) or the config file into the
+// setting's type. Throws with a message saying what was expected.
+function parseValue(definition, value, baseDir) {
+  const fromString = typeof value === 'string';
+  switch (definition.type) {
+    case 'integer':
+    case 'number': {
+      const number = fromString ? Number(value.trim()) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number) || (fromString && value.trim() === '')) {
+        throw new Error(`must be a number, got ${JSON.stringify(value)}`);
+      }
+      if (definition.type === 'integer' && !Number.isInteger(number)) {
+        throw new Error(`must be a whole number, got ${JSON.stringify(value)}`);
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        throw new Error(`must be at least ${definition.min}, got ${number}`);
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        throw new Error(`must be at most ${definition.max}, got ${number}`);
+      }
+      return number;
+    }
+    case 'list': {
+      const items = fromString ? value.split(',') : value;
+      if (!Array.isArray(items) || items.some(item => typeof item !== 'string')) {
+        throw new Error('must be a list of strings or a comma-separated string');
+      }
+      const list = items.map(item => item.trim()).filter(Boolean);
+      const invalid = definition.values ? list.filter(item => !definition.values.includes(item)) : [];
+      if (invalid.length > 0) {
+        throw new Error(`has unknown values ${invalid.join(', ')}, expected some of: ${definition.values.join(', ')}`);
+      }
+      return list;
+    }
+    case 'levels': {
+      const levels = fromString ? parseComponentLevels(value) : value;
+      if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+        throw new Error('must be component=level pairs, such as fetch=warn,media=debug');
+      }
+      for (const [component, level] of Object.entries(levels)) {
+        if (!LOG_LEVELS.includes(level)) {
+          throw new Error(`has invalid level "${level}" for ${component}, expected one of: ${LOG_LEVELS.join(', ')}`);
+        }
+      }
+      return levels;
+    }
+  }
+  
+  // The other types are strings
+  if (typeof value === 'number' && (definition.type === 'snowflake' || definition.type === 'string')) {
+    // Discord IDs are too long for JSON numbers to hold exactly
+    throw new Error(`must be a string${definition.type === 'snowflake' ? ' (quote the ID so it isn\'t rounded)' : ''}`);
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`must be a string, got ${JSON.stringify(value)}`);
+  }
+  const text = value.trim();
+  switch (definition.type) {
+    case 'enum':
+      if (!definition.values.includes(text.toLowerCase())) {
+        throw new Error(`must be one of ${definition.values.join(', ')}, got "${text}"`);
+      }
+      return text.toLowerCase();
+    case 'snowflake':
+      if (!/^\d{17,20}$/.test(text)) {
+        throw new Error(`must be a Discord ID (17 to 20 digits), got "${text}"`);
+      }
+      return text;
+    case 'token':
+      if (/^Bot\s/i.test(text)) {
+        throw new Error('must be the token alone, without the "Bot " prefix');
+      }
+      if (!/^[\w-]{20,}\.[\w-]{5,}\.[\w-]{20,}$/.test(text)) {
+        throw new Error('doesn\'t look like a Discord bot token (three parts separated by dots); copy it again from the Developer Portal');
+      }
+      return text;
+    case 'url':
+      try {
+        const url = new URL(text);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error();
+        }
+      } catch {
+        throw new Error(`must be an http(s) URL, got "${text}"`);
+      }
+      return text;
+    case 'path':
+      return path.resolve(baseDir, text);
+    default:
+      return text;
+  }
+}
+
+// Describe where a setting's value came from, for error messages
+function describeOrigin(name, origin, file) {
+  if (origin.startsWith('env')) {
+    return `environment variable ${origin.slice(4) || name}`;
+  }
+  const where = origin === 'file' ? '' : ` (profile "${origin.slice(8)}")`;
+  return `"${toFileKey(name)}" in ${path.basename(file)}${where}`;
+}
+
+// Load the configuration. Values come from the schema defaults, then the config
+// file, then its profile (profiles: { name: { ... } }), then the environment.
+// Returns { settings, origins, errors, warnings }; settings are only complete
+// when errors is empty. With requireSecrets false, required settings may be
+// missing (for tools that don't connect to Discord).
+export function loadConfig({ file = null, profile = null, env = process.env, baseDir = process.cwd(), requireSecrets = true } = {}) {
+  const errors = [];
+  const warnings = [];
+  const raw = new Map(); // setting name -> { value, origin }
+  
+  // Settings from the config file and the chosen profile
+  if (file) {
+    let data = null;
+    try {
+      data = readConfigFile(file);
+    } catch (error) {
+      errors.push(`Could not read config file ${file}: ${error.message}`);
+    }
+    
+    if (data) {
+      const { profiles = {}, ...base } = data;
+      const layers = [['file', base]];
+      if (profile) {
+        if (profiles[profile] && typeof profiles[profile] === 'object') {
+          layers.push([`profile:${profile}`, profiles[profile]]);
+        } else {
+          errors.push(`Profile "${profile}" is not defined in ${path.basename(file)} (profiles: ${Object.keys(profiles).join(', ') || 'none'})`);
+        }
+      }
+      
+      for (const [origin, layer] of layers) {
+        for (const [key, value] of Object.entries(layer)) {
+          const name = SETTINGS_BY_FILE_KEY.get(key);
+          if (!name) {
+            errors.push(`Unknown setting "${key}" in ${path.basename(file)}${origin === 'file' ? '' : ` (profile "${profile}")`}`);
+            continue;
+          }
+          if (CONFIG_SCHEMA[name].secret && value) {
+            warnings.push(`${key} is a secret; consider setting it with the ${name} environment variable instead of in ${path.basename(file)}`);
+          }
+          raw.set(name, { value, origin });
+        }
+      }
+    }
+  } else if (profile) {
+    errors.push(`Profile "${profile}" was chosen but there is no config file`);
+  }
+  
+  // Environment variables, including old names, take precedence
+  for (const [name, definition] of Object.entries(CONFIG_SCHEMA)) {
+    const envName = [name, ...(definition.aliases || [])].find(candidate => env[candidate] !== undefined && env[candidate] !== '');
+    if (envName) {
+      raw.set(name, { value: env[envName], origin: `env:${envName}` });
+    }
+  }
+  
+  // Parse and validate each setting; defaults can depend on settings before them
+  const settings = {};
+  const origins = {};
+  for (const [name, definition] of Object.entries(CONFIG_SCHEMA)) {
+    const entry = raw.get(name);
+    if (!entry || entry.value === null || entry.value === undefined) {
+      const fallback = typeof definition.default === 'function' ? definition.default(settings) : definition.default;
+      settings[name] = definition.type === 'path' && fallback ? path.resolve(baseDir, fallback) : fallback ?? null;
+      origins[name] = 'default';
+      if (definition.required && requireSecrets) {
+        errors.push(`${name} is required; set the ${name} environment variable${definition.secret ? '' : ` or "${toFileKey(name)}" in the config file`}`);
+      }
+      continue;
+    }
+    
+    try {
+      settings[name] = parseValue(definition, entry.value, baseDir);
+      origins[name] = entry.origin;
+    } catch (error) {
+      errors.push(`${name} (from ${describeOrigin(name, entry.origin, file)}) ${error.message}`);
+      settings[name] = null;
+    }
+  }
+  
+  if (errors.length === 0) {
+    for (const { check, message } of CROSS_CHECKS) {
+      if (!check(settings)) {
+        errors.push(message);
+      }
+    }
+  }
+  
+  return { settings, origins, errors, warnings, file, profile };
+}
+
+// Compare two sets of settings. Returns the names of the changed settings that
+// can be applied while running (reloadable) and those that need a restart.
+export function diffSettings(previous, next) {
+  const changed = Object.keys(CONFIG_SCHEMA)
+    .filter(name => JSON.stringify(previous[name]) !== JSON.stringify(next[name]));
+  return {
+    reloadable: changed.filter(name => CONFIG_SCHEMA[name].reload),
+    restartRequired: changed.filter(name => !CONFIG_SCHEMA[name].reload)
+  };
+}
+
+// Call onChange whenever one of the files is modified, checking every interval.
+// Returns a function that stops watching.
+export function watchFiles(files, onChange, { interval = 2000 } = {}) {
+  const watched = files.filter(Boolean);
+  const listeners = watched.map(file => {
+    const listener = (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        onChange(file);
+      }
+    };
+    fs.watchFile(file, { interval, persistent: false }, listener);
+    return [file, listener];
+  });
+  return () => {
+    for (const [file, listener] of listeners) {
+      fs.unwatchFile(file, listener);
+    }
+  };
+}
@@ -0,0 +1,183 @@
+// Context shown around a tweet: the tweet it replies to, the tweet it quotes,
+// and the other tweets of a thread posted by the same author.
+
+import { EmbedBuilder } from 'discord.js';
+import { normalizeTweet } from './sources/normalize.js';
+import { normalizeUsername } from './routing.js';
+import { truncateText } from './text.js';
+
+export const QUOTE_COLOR = '#8899A6';
+const CONTEXT_TEXT_LIMIT = 300; // Characters of a parent or quoted tweet shown
+const DESCRIPTION_LIMIT = 4096; // Discord's limit for an embed description
+const THREAD_LINK_LIMIT = 12; // Links to the tweets of a thread, within Discord's 1024 character field limit
+
+// A placeholder for a referenced tweet we only know the ID (and maybe author) of
+function toPartialTweet(reference) {
+  const username = reference.username || null;
+  return {
+    id: reference.id,
+    url: `https://twitter.com/${username || 'i'}/status/${reference.id}`,
+    text: '',
+    author: { username, name: username },
+    media: [],
+    partial: true
+  };
+}
+
+// A referenced tweet from the tweet store, for when no payload came with the tweet
+function fromStoredTweet(record) {
+  return {
+    id: record.id,
+    url: record.url || `https://twitter.com/${record.author || 'i'}/status/${record.id}`,
+    text: record.text || '',
+    author: { username: record.author, name: record.authorName || record.author },
+    media: []
+  };
+}
+
+// The ID of the tweet a tweet replies to, or null
+export function getReplyParentId(tweet) {
+  return tweet.references?.find(ref => ref.type === 'replied_to')?.id || null;
+}
+
+// Whether a tweet replies to one of its author's own tweets
+export function isSelfReply(tweet) {
+  const reference = tweet.references?.find(ref => ref.type === 'replied_to');
+  if (!reference) {
+    return false;
+  }
+  if (reference.username) {
+    return normalizeUsername(reference.username) === normalizeUsername(tweet.author.username);
+  }
+  const replyToUserId = tweet.raw?.in_reply_to_user_id_str || tweet.raw?.in_reply_to_user_id;
+  return Boolean(replyToUserId && tweet.author.id && String(replyToUserId) === String(tweet.author.id));
+}
+
+// Find the tweets a tweet replies to and quotes, as normalized tweets. They come
+// from the detailed payload, then the feed payload, then the tweet store (through
+// findTweet); when none has them, only what the reference itself says is known.
+export function getReferencedTweets(tweet, detailedPayload = null, { findTweet = () => null } = {}) {
+  const find = (type, payloads) => {
+    for (const payload of payloads) {
+      const referenced = payload && normalizeTweet(payload, { source: tweet.source });
+      if (referenced) {
+        return referenced;
+      }
+    }
+    
+    const reference = tweet.references?.find(ref => ref.type === type);
+    if (!reference) {
+      return null;
+    }
+    const stored = findTweet(reference.id);
+    return stored ? fromStoredTweet(stored) : toPartialTweet(reference);
+  };
+  
+  return {
+    parent: find('replied_to', [detailedPayload?.parent, tweet.raw?.parent]),
+    quoted: find('quoted', [
+      detailedPayload?.quoted_tweet,
+      detailedPayload?.quoted_status,
+      tweet.raw?.quoted_status,
+      tweet.raw?.quoted_tweet
+    ])
+  };
+}
+
+// Format a tweet's author as "Name (@username)"
+function formatAuthor(tweet) {
+  const { username, name } = tweet.author;
+  if (!username) {
+    return null;
+  }
+  return name && name !== username ? `${name} (@${username})` : `@${username}`;
+}
+
+// Quote text as a Markdown block quote
+function blockQuote(text) {
+  return text.split('\n').map(line => `> ${line}`).join('\n');
+}
+
+// Embed field showing who and what a reply is replying to
+export function buildReplyField(parent) {
+  const author = formatAuthor(parent);
+  const lines = [];
+  if (parent.text) {
+    lines.push(blockQuote(truncateText(parent.text, CONTEXT_TEXT_LIMIT)));
+  }
+  lines.push(`[View parent tweet](${parent.url})`);
+  
+  return {
+    name: author ? `Replying to ${author}` : 'Replying to a tweet',
+    value: lines.join('\n')
+  };
+}
+
+// Nested embed for a quoted tweet, shown below the quoting tweet. Its first
+// photo is left out with showMedia false, when it is already shown above.
+export function buildQuoteEmbed(quoted, { showMedia = true } = {}) {
+  const author = formatAuthor(quoted);
+  const embed = new EmbedBuilder()
+    .setColor(QUOTE_COLOR)
+    .setURL(quoted.url)
+    .setDescription(quoted.text ? truncateText(quoted.text, CONTEXT_TEXT_LIMIT * 2) : `[View quoted tweet](${quoted.url})`)
+    .setFooter({ text: 'Quoted tweet' });
+  
+  if (author) {
+    embed.setAuthor({
+      name: author,
+      iconURL: quoted.author.avatarUrl,
+      url: `https://twitter.com/${quoted.author.username}`
+    });
+  }
+  if (quoted.createdAt) {
+    embed.setTimestamp(new Date(quoted.createdAt));
+  }
+  
+  const photo = quoted.media.find(item => item.type === 'photo') || quoted.media.find(item => item.previewUrl);
+  if (showMedia && photo) {
+    embed.setImage(photo.type === 'photo' ? photo.url : photo.previewUrl);
+  }
+  
+  return embed;
+}
+
+// Group self-replies with the tweet they continue, for tweets sorted oldest
+// first. A tweet joins a group when it replies to the group's last tweet and has
+// the same author, so each group is one unbroken thread.
+export function groupThreads(tweets) {
+  const groups = [];
+  const groupsByLastId = new Map();
+  
+  for (const tweet of tweets) {
+    let group = isSelfReply(tweet) ? groupsByLastId.get(getReplyParentId(tweet)) : null;
+    if (group) {
+      groupsByLastId.delete(getReplyParentId(tweet));
+      group.push(tweet);
+    } else {
+      group = [tweet];
+      groups.push(group);
+    }
+    groupsByLastId.set(tweet.id, group);
+  }
+  
+  return groups;
+}
+
+// Description for a thread posted as a single message: each tweet's text, numbered
+export function buildThreadDescription(tweets) {
+  const parts = tweets.map((tweet, index) => `**${index + 1}/${tweets.length}** ${tweet.text || ''}`.trimEnd());
+  return truncateText(parts.join('\n\n'), DESCRIPTION_LIMIT);
+}
+
+// Embed field linking to the tweets of a thread
+export function buildThreadField(tweets) {
+  const links = tweets.slice(0, THREAD_LINK_LIMIT).map((tweet, index) => `[${index + 1}](${tweet.url})`);
+  if (tweets.length > THREAD_LINK_LIMIT) {
+    links.push('…');
+  }
+  return {
+    name: `Thread of ${tweets.length} tweets`,
+    value: links.join(' • ')
+  };
+}
@@ -0,0 +1,125 @@
+// Near-duplicate detection. Shill campaigns make many tracked accounts post
+// nearly the same text, or the same contract address, within seconds. The
+// first of those tweets is posted as usual; the others are recorded as
+// duplicates of it and listed on its message instead of getting their own.
+// This is apart from the exact dedup by tweet ID the tweet store does.
+
+import { extractTokens } from './tokens.js';
+import { normalizeUsername } from './routing.js';
+
+export const ALSO_POSTED_FIELD = 'Also posted by';
+const MIN_TEXT_LENGTH = 20; // Shorter texts, such as "gm", are too common to compare
+const FIELD_LIMIT = 1024; // Discord's limit for an embed field value
+const MAX_FIELDS = 25; // Discord's limit for the number of fields in an embed
+
+// Text as compared for near-duplicates: lowercase, without links, mentions,
+// punctuation or repeated whitespace
+export function normalizeForComparison(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/(?<![\w@])@\w{1,15}/g, ' ')
+    .replace(/[^\p{L}\p{N}$#]+/gu, ' ')
+    .trim();
+}
+
+// The character trigrams of a normalized text
+function trigrams(text) {
+  const grams = new Set();
+  for (let index = 0; index + 3 <= text.length; index++) {
+    grams.add(text.slice(index, index + 3));
+  }
+  return grams;
+}
+
+// How alike two trigram sets are, from 0 to 1 (Jaccard similarity)
+function similarityOf(a, b) {
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) {
+      shared++;
+    }
+  }
+  const total = a.size + b.size - shared;
+  return total === 0 ? 0 : shared / total;
+}
+
+// How alike two tweet texts are, from 0 to 1, once normalized
+export function textSimilarity(a, b) {
+  return similarityOf(trigrams(normalizeForComparison(a)), trigrams(normalizeForComparison(b)));
+}
+
+// Create the detector. It remembers the tweets posted recently, each the
+// first of a possible cluster of near-duplicates.
+export function createDuplicateDetector({ now = Date.now } = {}) {
+  let clusters = []; // { tweetId, username, grams, addresses, channelIds, alertRules, startedAt }
+  
+  function describe(tweet) {
+    const text = normalizeForComparison(tweet.text);
+    return {
+      username: normalizeUsername(tweet.author.username),
+      grams: text.length >= MIN_TEXT_LENGTH ? trigrams(text) : null,
+      addresses: new Set(extractTokens(tweet.text || '', tweet.urls || []).addresses.map(token => token.address))
+    };
+  }
+  
+  return {
+    // Find the recent tweet this one is a near-duplicate of: one posted by
+    // another account less than window ms ago, to at least the channels in
+    // channelIds, that mentions a contract address this one does or whose
+    // text is at least similarity alike. Returns { tweetId, reason, alertRules }
+    // with a reason of contract_address or text and the names of the alert
+    // rules the recent tweet matched, or null.
+    find(tweet, { channelIds, window, similarity }) {
+      clusters = clusters.filter(cluster => now() - cluster.startedAt < window);
+      const { username, grams, addresses } = describe(tweet);
+      
+      for (const cluster of clusters) {
+        if (cluster.username === username || !channelIds.every(channelId => cluster.channelIds.includes(channelId))) {
+          continue;
+        }
+        if ([...addresses].some(address => cluster.addresses.has(address))) {
+          return { tweetId: cluster.tweetId, reason: 'contract_address', alertRules: cluster.alertRules };
+        }
+        if (grams && cluster.grams && similarityOf(grams, cluster.grams) >= similarity) {
+          return { tweetId: cluster.tweetId, reason: 'text', alertRules: cluster.alertRules };
+        }
+      }
+      return null;
+    },
+    
+    // Remember a tweet that was posted to channelIds, matching the alert rules
+    // named in alertRules, for later tweets to be compared with
+    add(tweet, { channelIds, alertRules = [] }) {
+      clusters.push({ tweetId: String(tweet.id), ...describe(tweet), channelIds, alertRules, startedAt: now() });
+    }
+  };
+}
+
+// List the accounts that posted near-duplicates of a tweet on its embed (as
+// JSON), replacing the list from an earlier update. duplicates are tweet
+// store records. An embed already at Discord's field limit makes room by
+// dropping its least important field: the last inline one (a cashtag's
+// links), or else its last field.
+export function markEmbedAlsoPosted(embed, duplicates) {
+  const links = duplicates.map(duplicate => `[@${duplicate.author}](${duplicate.url})`);
+  let value = '';
+  for (const [index, link] of links.entries()) {
+    const more = links.length - index - 1;
+    const next = value ? `${value}, ${link}` : link;
+    if (`${next}${more > 0 ? ` and ${more} more` : ''}`.length > FIELD_LIMIT) {
+      // When not even the first link fits, only the count is shown
+      const left = links.length - index;
+      value = value ? `${value} and ${left} more` : `${left} account${left === 1 ? '' : 's'}`;
+      break;
+    }
+    value = next;
+  }
+  
+  const fields = (embed.fields || []).filter(field => field.name !== ALSO_POSTED_FIELD);
+  while (fields.length >= MAX_FIELDS) {
+    const inlineIndex = fields.findLastIndex(field => field.inline);
+    fields.splice(inlineIndex === -1 ? fields.length - 1 : inlineIndex, 1);
+  }
+  return { ...embed, fields: [...fields, { name: ALSO_POSTED_FIELD, value }] };
+}
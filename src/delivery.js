@@ -0,0 +1,262 @@
+// Outbound delivery queue. Every send goes through the deliveries ledger in the
+// tweet store, so pending sends survive a restart. Each channel is worked
+// through oldest tweet first, one message at a time; a failing send is retried
+// with backoff and holds back the channel's later tweets so they stay in order.
+
+import fs from 'fs';
+import { getBackoffDelay } from './scheduler.js';
+
+// Discord API errors that retrying won't fix
+const PERMANENT_ERROR_CODES = new Set([
+  10003, // Unknown Channel
+  50001, // Missing Access
+  50013, // Missing Permissions
+  40005, // Request entity too large
+  50035 // Invalid form body
+]);
+
+// The most a message can attach in a guild, by the guild's boost tier
+const UPLOAD_LIMITS = {
+  0: 10 * 1024 * 1024,
+  1: 10 * 1024 * 1024,
+  2: 50 * 1024 * 1024,
+  3: 100 * 1024 * 1024
+};
+export const DEFAULT_UPLOAD_LIMIT = UPLOAD_LIMITS[0];
+
+// The most a message sent to a channel can attach, from its guild's boost tier
+export function getUploadLimit(channel) {
+  return UPLOAD_LIMITS[channel?.guild?.premiumTier] ?? DEFAULT_UPLOAD_LIMIT;
+}
+
+// Whether a send failed in a way that retrying won't fix. Output sinks mark
+// their own errors as permanent.
+export function isPermanentError(error) {
+  return PERMANENT_ERROR_CODES.has(error?.code) || error?.code === 'ENOENT' || error?.permanent === true;
+}
+
+// How long a Discord rate limit error asks us to wait, in milliseconds, or null.
+// discord.js already waits out most rate limits itself; this covers the ones it
+// rejects instead, and the retryAfter output sinks set.
+export function getDiscordRetryAfter(error) {
+  if (Number.isFinite(error?.retryAfter)) {
+    return error.retryAfter;
+  }
+  if (error?.status === 429 && Number.isFinite(error.rawError?.retry_after)) {
+    return error.rawError.retry_after * 1000;
+  }
+  return null;
+}
+
+// Files attached to a queued payload
+function getPayloadFiles(payload) {
+  return payload.messages.flatMap(message => message.files || []).map(file => file.attachment);
+}
+
+// Create the queue. getChannel(channelId) resolves a channel to send to (or
+// null); sendMessage(target, message, delivery) posts one message to a channel
+// or thread (such as through a webhook), returning the sent message; and
+// onFinished(delivery) is called once a delivery is sent or given up on.
+// logger is console or a component logger from logger.js.
+export function createDeliveryQueue({
+  store,
+  getChannel,
+  sendMessage = (target, message) => target.send(message),
+  maxAttempts = 5,
+  baseDelay = 2000,
+  maxDelay = 5 * 60 * 1000,
+  onFinished = () => {},
+  random = Math.random,
+  logger = console
+}) {
+  let started = false;
+  const running = new Set();
+  const inFlight = new Set();
+  const timers = new Map();
+  
+  // Delete downloaded files once no pending delivery needs them
+  function cleanUpFiles(payload) {
+    for (const filePath of getPayloadFiles(payload)) {
+      if (store.isFileQueued(filePath)) {
+        continue;
+      }
+      try {
+        if (fs.existsSync(filePath)) {
+          fs.unlinkSync(filePath);
+          logger.debug(`Cleaned up temp file: ${filePath}`);
+        }
+      } catch (error) {
+        logger.error('Error cleaning up temp file:', error);
+      }
+    }
+  }
+  
+  // Where a delivery is posted. A payload with a thread ({ parentTweetId, name })
+  // goes in the Discord thread under the tweet it continues, started if needed,
+  // when that tweet was sent to the same channel; otherwise in the channel.
+  async function getTarget(channel, delivery) {
+    const { thread } = delivery.payload;
+    if (!thread || !channel.messages) {
+      return { target: channel, threadId: null };
+    }
+    
+    const parent = store.getDeliveries(thread.parentTweetId).find(other =>
+      other.channelId === delivery.channelId && other.status === 'sent' && other.messageIds.length > 0
+    );
+    if (!parent) {
+      return { target: channel, threadId: null };
+    }
+    
+    try {
+      // The parent was itself posted in the thread, or already has one under it
+      if (parent.threadId) {
+        const existing = await channel.threads.fetch(parent.threadId);
+        if (existing) {
+          return { target: existing, threadId: existing.id };
+        }
+      }
+      
+      const starter = await channel.messages.fetch(parent.messageIds[0]);
+      const discordThread = starter.thread || await starter.startThread({ name: thread.name });
+      store.setDeliveryThread(thread.parentTweetId, delivery.channelId, discordThread.id);
+      return { target: discordThread, threadId: discordThread.id };
+    } catch (error) {
+      logger.warn(`Could not open a thread for tweet ${delivery.tweetId} in channel ${delivery.channelId}, posting in the channel:`, error.message);
+      return { target: channel, threadId: null };
+    }
+  }
+  
+  // Record the final outcome of a delivery and settle the tweet's status once
+  // none of its deliveries are pending
+  function finish(delivery, { messageIds, status, error = null, threadId = null }) {
+    const { tweetId, channelId } = delivery;
+    store.recordDelivery(tweetId, { channelId, messageIds, status, error, threadId });
+    
+    const deliveries = store.getDeliveries(tweetId);
+    if (!deliveries.some(other => other.status === 'pending')) {
+      store.setStatus(tweetId, deliveries.some(other => other.status === 'sent') ? 'delivered' : 'failed');
+    }
+    cleanUpFiles(delivery.payload);
+    
+    try {
+      onFinished({ ...delivery, messageIds, status, error });
+    } catch (callbackError) {
+      logger.error('Error in delivery callback:', callbackError);
+    }
+  }
+  
+  // Send the parts of a delivery that haven't gone out yet
+  async function attempt(delivery) {
+    const { tweetId, channelId, payload } = delivery;
+    const messageIds = [...delivery.messageIds];
+    let partsSent = delivery.partsSent;
+    let threadId = null;
+    
+    try {
+      const channel = await getChannel(channelId);
+      if (!channel) {
+        throw new Error(`Channel ${channelId} could not be found`);
+      }
+      
+      const resolved = await getTarget(channel, delivery);
+      threadId = resolved.threadId;
+      while (partsSent < payload.messages.length) {
+        const message = await sendMessage(resolved.target, payload.messages[partsSent], delivery);
+        messageIds.push(message.id);
+        partsSent++;
+        store.recordDeliveryProgress(tweetId, channelId, { messageIds, partsSent });
+      }
+      
+      logger.info(`Sent tweet ${tweetId} to channel ${channelId}${threadId ? ` in thread ${threadId}` : ''}`);
+      finish(delivery, { messageIds, status: 'sent', threadId });
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      if (isPermanentError(error) || attempts >= maxAttempts) {
+        // Once the tweet's embed is out, a follow-up that can't be sent (such
+        // as an oversized video) doesn't make the delivery a failure
+        const status = partsSent > 0 ? 'sent' : 'failed';
+        logger.error(`Giving up on sending tweet ${tweetId} to channel ${channelId} after ${attempts} attempts:`, error.message);
+        finish(delivery, { messageIds, status, error: error.message, threadId });
+        return;
+      }
+      
+      const delay = getDiscordRetryAfter(error) ?? getBackoffDelay(attempts, { baseDelay, maxDelay, random });
+      logger.warn(`Error sending tweet ${tweetId} to channel ${channelId} (attempt ${attempts}/${maxAttempts}), retrying in ${delay}ms:`, error.message);
+      store.recordDeliveryAttempt(tweetId, channelId, { attempts, nextAttemptAt: Date.now() + delay, error: error.message });
+    }
+  }
+  
+  // Work through a channel's pending deliveries until it is empty or its next
+  // delivery has to wait for a retry
+  async function work(channelId) {
+    try {
+      while (started) {
+        const delivery = store.getNextDelivery(channelId);
+        if (!delivery) {
+          break;
+        }
+        
+        const wait = delivery.nextAttemptAt - Date.now();
+        if (wait > 0) {
+          timers.set(channelId, setTimeout(() => schedule(channelId), wait));
+          break;
+        }
+        
+        await attempt(delivery);
+      }
+    } catch (error) {
+      logger.error(`Error working through the delivery queue for channel ${channelId}:`, error);
+    } finally {
+      running.delete(channelId);
+    }
+  }
+  
+  // Start a worker for a channel unless one is already running
+  function schedule(channelId) {
+    if (!started || running.has(channelId)) {
+      return;
+    }
+    clearTimeout(timers.get(channelId));
+    timers.delete(channelId);
+    
+    running.add(channelId);
+    const run = work(channelId);
+    inFlight.add(run);
+    run.finally(() => inFlight.delete(run));
+  }
+  
+  return {
+    // Queue a tweet for each destination ({ channelId, payload }), where the
+    // payload holds the messages to send in order ({ messages: [{ embeds },
+    // { files }], thread }). The tweet, and any tweets grouped into its
+    // messages, are marked as seen in the same transaction.
+    enqueue(tweet, destinations, groupedTweets = []) {
+      store.queueTweet(tweet, destinations, groupedTweets);
+      for (const { channelId } of destinations) {
+        schedule(String(channelId));
+      }
+    },
+    
+    // Start sending, picking up deliveries left pending by the last run
+    start() {
+      started = true;
+      for (const channelId of store.getPendingDeliveryChannels()) {
+        schedule(channelId);
+      }
+    },
+    
+    // Stop sending, waiting for the sends already in flight
+    async stop() {
+      started = false;
+      for (const timer of timers.values()) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+      await Promise.all([...inFlight]);
+    },
+    
+    getStats() {
+      return store.countDeliveries();
+    }
+  };
+}
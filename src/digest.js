@@ -0,0 +1,260 @@
+// Digests: a route with a digest window collects the tweets it matches instead
+// of posting each one, and posts one summary per window: how many tweets each
+// account posted, the most mentioned tickers and contract addresses, links to
+// the top tweets and a few thumbnails. The collected tweets are kept in the
+// tweet store, so a restart doesn't lose a window's tweets.
+
+import { EmbedBuilder } from 'discord.js';
+import { extractTokens } from './tokens.js';
+import { truncateText, joinLines } from './text.js';
+import { normalizeUsername, DIGEST_WINDOWS } from './routing.js';
+import { GALLERY_LIMIT } from './media.js';
+
+export const DIGEST_COLOR = '#1DA1F2';
+export const DIGEST_CHECK_INTERVAL = 60 * 1000; // How often digest windows are checked for being over
+const ENTRY_TEXT_LIMIT = 500; // Characters of tweet text kept per entry
+const TOP_TWEET_TEXT_LIMIT = 80; // Characters of tweet text shown per top tweet
+const LIST_LIMIT = 10; // Accounts, tickers and addresses listed per field
+const FIELD_LIMIT = 1024; // Discord's limit for an embed field value
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// What a digest keeps of a tweet: enough to count and link it without the
+// tweet's full payload. Likes and retweets are only known when the feed
+// reports them.
+export function toDigestEntry(tweet) {
+  const tokens = extractTokens(tweet.text || '', tweet.urls || []);
+  const thumbnail = (tweet.media || []).find(item => item.previewUrl || item.url);
+  return {
+    id: String(tweet.id),
+    url: tweet.url,
+    username: tweet.author.username,
+    type: tweet.type,
+    text: truncateText(tweet.text || '', ENTRY_TEXT_LIMIT),
+    createdAt: tweet.createdAt || null,
+    thumbnailUrl: thumbnail ? thumbnail.previewUrl || thumbnail.url : null,
+    likes: Number(tweet.raw?.favorite_count ?? tweet.raw?.public_metrics?.like_count) || 0,
+    retweets: Number(tweet.raw?.retweet_count ?? tweet.raw?.public_metrics?.retweet_count) || 0,
+    cashtags: tokens.cashtags,
+    addresses: tokens.addresses.map(token => token.address)
+  };
+}
+
+// Count values, most common first (ties in the order they were first seen)
+function countValues(values) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+// Rank tweets by engagement, then by how many tokens they mention, newest first
+function compareTweets(a, b) {
+  return (b.likes + 2 * b.retweets) - (a.likes + 2 * a.retweets)
+    || (b.cashtags.length + b.addresses.length) - (a.cashtags.length + a.addresses.length)
+    || (b.createdAt || 0) - (a.createdAt || 0);
+}
+
+// Summarize a window's entries: { tweetCount, authors, cashtags, addresses }
+// as [value, count] lists, the top tweets and the thumbnails to show
+export function summarizeDigest(entries, { top = 5 } = {}) {
+  // Accounts are counted case-insensitively but shown as they were first seen
+  const usernames = new Map();
+  for (const entry of entries) {
+    const key = normalizeUsername(entry.username);
+    if (!usernames.has(key)) {
+      usernames.set(key, entry.username);
+    }
+  }
+  
+  const ranked = [...entries].sort(compareTweets);
+  return {
+    tweetCount: entries.length,
+    authors: countValues(entries.map(entry => normalizeUsername(entry.username))).map(([key, count]) => [usernames.get(key), count]),
+    // Each tweet counts once per token, however often it repeats it
+    cashtags: countValues(entries.flatMap(entry => [...new Set(entry.cashtags)])),
+    addresses: countValues(entries.flatMap(entry => [...new Set(entry.addresses)])),
+    topTweets: ranked.slice(0, top),
+    thumbnails: ranked.filter(entry => entry.thumbnailUrl).slice(0, GALLERY_LIMIT)
+  };
+}
+
+// Name a digest window: "Hourly", "Daily", "6-hour", ...
+export function formatDigestWindow(window) {
+  if (window === DIGEST_WINDOWS.hourly) {
+    return 'Hourly';
+  }
+  if (window === DIGEST_WINDOWS.daily) {
+    return 'Daily';
+  }
+  if (window % DAY === 0) {
+    return `${window / DAY}-day`;
+  }
+  return window % HOUR === 0 ? `${window / HOUR}-hour` : `${Math.round(window / MINUTE)}-minute`;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Join lines into a field value, listing up to LIST_LIMIT and saying how many
+// more there were, within Discord's field limit
+function listField(lines) {
+  return joinLines(lines, FIELD_LIMIT, { maxLines: LIST_LIMIT });
+}
+
+// Build the digest message for a route's entries collected between from and to.
+// The thumbnails are shown as a gallery under the summary: Discord groups the
+// images of embeds sharing a URL, so the summary links to the top tweet.
+export function buildDigestMessage(entries, { routeName, window, from, to, top = 5 }) {
+  const summary = summarizeDigest(entries, { top });
+  const label = formatDigestWindow(window);
+  const url = summary.topTweets[0]?.url;
+  
+  const embed = new EmbedBuilder()
+    .setColor(DIGEST_COLOR)
+    .setTitle(truncateText(`${label} digest: ${routeName}`, 256))
+    .setDescription(`${plural(summary.tweetCount, 'tweet')} from ${plural(summary.authors.length, 'account')} between <t:${Math.floor(from / 1000)}:f> and <t:${Math.floor(to / 1000)}:f>`)
+    .setTimestamp(new Date(to))
+    .setFooter({
+      text: `${label} digest • via Twitter Feed`,
+      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+    });
+  if (url) {
+    embed.setURL(url);
+  }
+  
+  embed.addFields({
+    name: 'Most active',
+    value: listField(summary.authors.map(([username, count]) => `@${username}: ${plural(count, 'tweet')}`))
+  });
+  if (summary.cashtags.length > 0) {
+    embed.addFields({
+      name: 'Top tickers',
+      value: listField(summary.cashtags.map(([ticker, count]) => `$${ticker} (${count})`)),
+      inline: true
+    });
+  }
+  if (summary.addresses.length > 0) {
+    embed.addFields({
+      name: 'Top contract addresses',
+      value: listField(summary.addresses.map(([address, count]) => `\`${address}\` (${count})`)),
+      inline: true
+    });
+  }
+  embed.addFields({
+    name: 'Top tweets',
+    value: listField(summary.topTweets.map(entry => {
+      const text = truncateText((entry.text || '').replace(/\s+/g, ' ').trim(), TOP_TWEET_TEXT_LIMIT);
+      return `[@${entry.username}](${entry.url}): ${text || entry.type}`;
+    }))
+  });
+  
+  const galleryEmbeds = [];
+  if (url && summary.thumbnails.length > 0) {
+    embed.setImage(summary.thumbnails[0].thumbnailUrl);
+    for (const entry of summary.thumbnails.slice(1)) {
+      galleryEmbeds.push(new EmbedBuilder().setURL(url).setImage(entry.thumbnailUrl));
+    }
+  }
+  
+  return { embeds: [embed, ...galleryEmbeds].map(builder => builder.toJSON()) };
+}
+
+// Create the digest scheduler. Every interval it checks each digest route of
+// getRoutingTable(); once a window is over (windows are aligned to UTC, so a
+// daily digest covers a UTC day), the entries collected before its end are
+// posted with send(channelId, message) to each of the route's channels and
+// then cleared. A window with no tweets posts nothing. When a send fails the
+// entries are kept and the digest is tried again at the next check, only for
+// the channels that didn't get it.
+export function createDigestScheduler({
+  store,
+  getRoutingTable,
+  send,
+  interval = DIGEST_CHECK_INTERVAL,
+  onPosted = () => {},
+  now = Date.now,
+  logger = console
+}) {
+  const pending = new Map(); // route name -> { windowEnd, reached } of a digest some channels are still missing
+  let running = false;
+  let timer = null;
+  let currentCheck = null;
+  
+  // Post the digests of the routes whose window is over. Resolves to the
+  // number of digests fully posted.
+  async function checkOnce() {
+    let posted = 0;
+    for (const route of getRoutingTable().routes.filter(route => route.digest)) {
+      const { window, top } = route.digest;
+      
+      // A digest still being retried keeps its window, even once the next one
+      // has started, so the channels it reached don't get it again
+      const retry = pending.get(route.name);
+      const windowEnd = retry?.windowEnd ?? Math.floor(now() / window) * window;
+      const entries = store.getDigestEntries(route.name, { before: windowEnd });
+      if (entries.length === 0) {
+        pending.delete(route.name);
+        continue;
+      }
+      
+      // Entries left over from before a restart are included in the next digest
+      const from = Math.min(windowEnd - window, entries[0].collectedAt);
+      const message = buildDigestMessage(entries, { routeName: route.name, window, from, to: windowEnd, top });
+      const reached = retry?.reached || new Set();
+      for (const channelId of route.channels.filter(channelId => !reached.has(channelId))) {
+        try {
+          await send(channelId, message);
+          reached.add(channelId);
+        } catch (error) {
+          logger.error(`Could not post the ${route.name} digest to ${channelId}:`, error);
+        }
+      }
+      
+      if (reached.size < route.channels.length) {
+        pending.set(route.name, { windowEnd, reached });
+        continue;
+      }
+      pending.delete(route.name);
+      store.clearDigestEntries(route.name, { before: windowEnd });
+      logger.info(`Posted the ${route.name} digest of ${entries.length} tweets to ${route.channels.length} channel(s)`);
+      onPosted(route, entries);
+      posted++;
+    }
+    return posted;
+  }
+  
+  function scheduleNext() {
+    timer = setTimeout(async () => {
+      currentCheck = checkOnce().catch(error => logger.error('Error posting digests:', error));
+      await currentCheck;
+      currentCheck = null;
+      if (running) {
+        scheduleNext();
+      }
+    }, interval);
+  }
+  
+  return {
+    checkOnce,
+    
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      scheduleNext();
+    },
+    
+    // Stop checking, waiting for a check in progress
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      await currentCheck;
+    }
+  };
+}
@@ -0,0 +1,134 @@
+// Dry runs: the bot reads the feeds and builds every message as usual, but
+// writes each one out as a line of JSON instead of sending it, to stdout or a
+// file. The tweet store is a snapshot of the real one and the bot's state isn't
+// saved, so a dry run can try out config changes next to the live bot without
+// posting anything or changing what the live bot has seen.
+
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+
+// Read the --dry-run option from the command line arguments: null without it,
+// otherwise { file }, where --dry-run=<file> writes to that file instead of stdout
+export function parseDryRunOption(args) {
+  for (const arg of args) {
+    if (arg === '--dry-run') {
+      return { file: null };
+    }
+    if (arg.startsWith('--dry-run=')) {
+      return { file: arg.slice('--dry-run='.length) || null };
+    }
+  }
+  return null;
+}
+
+// A file's size, or null when it is gone
+function fileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch {
+    return null;
+  }
+}
+
+// Describe a message as it would be sent: its text, mentions, embeds (as
+// JSON) and the name and size of each file
+export function renderMessage(message) {
+  return {
+    content: message.content,
+    allowedMentions: message.allowedMentions,
+    embeds: (message.embeds || []).map(embed => embed.toJSON?.() ?? embed),
+    files: (message.files || []).map(file => ({ name: file.name, size: fileSize(file.attachment) }))
+  };
+}
+
+// Where a dry run writes: one JSON object per line, to stdout or appended to file
+export function createDryRunOutput(file = null) {
+  return {
+    write(entry) {
+      const line = `${JSON.stringify(entry)}\n`;
+      if (file) {
+        fs.appendFileSync(file, line);
+      } else {
+        process.stdout.write(line);
+      }
+    }
+  };
+}
+
+// Copy the tweet store at filePath into dir for a dry run to use, and return
+// the copy's path. Reading it through SQLite gives a consistent copy while the
+// live bot is writing to it.
+export function snapshotTweetStore(filePath, dir) {
+  const copyPath = path.join(dir, path.basename(filePath));
+  if (fs.existsSync(filePath)) {
+    const db = new Database(filePath, { readonly: true });
+    try {
+      fs.writeFileSync(copyPath, db.serialize());
+    } finally {
+      db.close();
+    }
+  }
+  return copyPath;
+}
+
+// Create a stand-in for a Discord channel (or an output sink) that writes what
+// is sent to it to output. Its messages can be fetched, edited and have
+// threads started under them, like those of a Discord channel, so tweet
+// updates and thread mode show up in the output too.
+export function createDryRunChannel(channelId, output, { now = Date.now } = {}) {
+  const messages = new Map(); // message ID -> { embeds, thread }
+  const threads = new Map();
+  
+  // Write an entry for the channel and return the message it describes
+  function write(action, messageId, message) {
+    const rendered = renderMessage(message);
+    output.write({ dryRun: action, time: new Date(now()).toISOString(), channelId, messageId, ...rendered });
+    messages.set(messageId, { embeds: rendered.embeds, thread: messages.get(messageId)?.thread || null });
+    return toMessage(messageId);
+  }
+  
+  // A message as discord.js returns it, as far as the bot uses one
+  function toMessage(messageId) {
+    const { embeds, thread } = messages.get(messageId);
+    return {
+      id: messageId,
+      url: `dry-run://${channelId}/${messageId}`,
+      embeds: embeds.map(embed => ({ toJSON: () => embed })),
+      thread,
+      async edit(message) {
+        return write('edit', messageId, message);
+      },
+      async startThread({ name }) {
+        const threadChannel = createDryRunChannel(`${messageId}-thread`, output, { now });
+        threadChannel.name = name;
+        threads.set(threadChannel.id, threadChannel);
+        messages.get(messageId).thread = threadChannel;
+        return threadChannel;
+      }
+    };
+  }
+  
+  return {
+    id: channelId,
+    
+    async send(message) {
+      return write('send', `${channelId}-${messages.size + 1}`, message);
+    },
+    
+    messages: {
+      async fetch(messageId) {
+        if (!messages.has(messageId)) {
+          throw new Error(`Unknown message ${messageId}`);
+        }
+        return toMessage(messageId);
+      }
+    },
+    
+    threads: {
+      async fetch(threadId) {
+        return threads.get(threadId) || null;
+      }
+    }
+  };
+}
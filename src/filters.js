@@ -0,0 +1,118 @@
+// Content filters applied to every tweet before it is routed: which tweet types
+// are posted (for everyone, or per account), global regex allowlists and
+// blocklists, and spam heuristics. Filtered tweets are recorded in the tweet
+// store with the reason, so they can be looked at later.
+
+import { normalizeUsername, compileTweetTypes, compilePatterns } from './routing.js';
+
+// The spam heuristics used for "spam": true; each can also be set on its own
+export const DEFAULT_SPAM_RULES = { maxHashtags: 5, maxMentions: 8, maxCashtags: null, linkOnlyReplies: true };
+
+const HASHTAG_REGEX = /(?<![\w#])#[\p{L}\p{N}_]+/gu;
+const MENTION_REGEX = /(?<![\w@])@\w{1,15}/g;
+const CASHTAG_REGEX = /(?<![\w$])\$[A-Za-z][A-Za-z0-9_]{0,14}(?!\w)/g;
+const URL_REGEX = /https?:\/\/\S+/g;
+
+// Turn the spam option, true or an object of heuristics, into the heuristics
+// to apply, or null when there are none
+function compileSpamRules(spam) {
+  if (!spam) {
+    return null;
+  }
+  const rules = { ...DEFAULT_SPAM_RULES, ...(spam === true ? {} : spam) };
+  for (const name of ['maxHashtags', 'maxMentions', 'maxCashtags']) {
+    if (rules[name] !== null && (!Number.isInteger(rules[name]) || rules[name] < 0)) {
+      throw new Error(`Filter spam.${name} must be a whole number or null, got "${rules[name]}"`);
+    }
+  }
+  return rules;
+}
+
+// Compile the filters object of the routes file:
+// {
+//   types: tweet types posted at all,
+//   accounts: { username: { types } } for the types posted per account,
+//   allow: patterns one of which every tweet must match,
+//   block: patterns no tweet may match,
+//   spam: true or { maxHashtags, maxMentions, maxCashtags, linkOnlyReplies }
+// }
+export function compileFilters(config = {}) {
+  const accounts = new Map();
+  for (const [username, options] of Object.entries(config.accounts || {})) {
+    const types = Array.isArray(options) ? options : options?.types;
+    if (!types) {
+      throw new Error(`Filter for @${normalizeUsername(username)} has no types`);
+    }
+    accounts.set(normalizeUsername(username), compileTweetTypes(types, `Filter for @${normalizeUsername(username)}`));
+  }
+  
+  return {
+    types: compileTweetTypes(config.types, 'Filter'),
+    accounts,
+    allow: compilePatterns(config.allow, 'Filter allowlist'),
+    block: compilePatterns(config.block, 'Filter blocklist'),
+    spam: compileSpamRules(config.spam)
+  };
+}
+
+// Why a tweet looks like spam, or null if it doesn't
+export function detectSpam(tweet, rules) {
+  const text = tweet.text || '';
+  const count = regex => (text.match(regex) || []).length;
+  
+  const hashtags = count(HASHTAG_REGEX);
+  if (rules.maxHashtags !== null && hashtags > rules.maxHashtags) {
+    return `${hashtags} hashtags`;
+  }
+  const mentions = count(MENTION_REGEX);
+  if (rules.maxMentions !== null && mentions > rules.maxMentions) {
+    return `${mentions} mentions`;
+  }
+  const cashtags = count(CASHTAG_REGEX);
+  if (rules.maxCashtags !== null && cashtags > rules.maxCashtags) {
+    return `${cashtags} cashtags`;
+  }
+  
+  // A reply that is only a link, once the mentions it starts with are taken
+  // away. Twitter links attached media in the text, so replies with media don't count.
+  const hasMedia = tweet.media?.length > 0 || tweet.raw?.attachments?.media_keys?.length > 0;
+  if (rules.linkOnlyReplies && tweet.type === 'reply' && !hasMedia && count(URL_REGEX) > 0) {
+    const rest = text.replace(URL_REGEX, '').replace(MENTION_REGEX, '').trim();
+    if (rest === '') {
+      return 'reply with only a link';
+    }
+  }
+  return null;
+}
+
+// Check a tweet against the filters. Returns { kind, reason } for a tweet
+// that is filtered out, where kind is type, allowlist, blocklist or spam, or
+// null for one that passes.
+export function checkFilters(filters, tweet) {
+  const username = normalizeUsername(tweet.author.username);
+  const text = tweet.text || '';
+  
+  const types = filters.accounts.get(username) || filters.types;
+  if (types && !types.includes(tweet.type)) {
+    return {
+      kind: 'type',
+      reason: filters.accounts.has(username) ? `${tweet.type} not posted for @${username}` : `${tweet.type} not posted`
+    };
+  }
+  
+  if (filters.allow && !filters.allow.some(pattern => pattern.test(text))) {
+    return { kind: 'allowlist', reason: 'not on the allowlist' };
+  }
+  
+  const blocked = filters.block?.find(pattern => pattern.test(text));
+  if (blocked) {
+    return { kind: 'blocklist', reason: `blocked by /${blocked.source}/` };
+  }
+  
+  const spam = filters.spam && detectSpam(tweet, filters.spam);
+  if (spam) {
+    return { kind: 'spam', reason: `spam: ${spam}` };
+  }
+  
+  return null;
+}
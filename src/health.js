@@ -0,0 +1,84 @@
+// Small HTTP server for container orchestrators and monitoring: /healthz says
+// whether the bot is connected to Discord and still getting tweets from the
+// feed, and /metrics exposes the metrics registry for Prometheus.
+
+import http from 'http';
+
+// Work out whether the bot is healthy. It is unhealthy while Discord is
+// disconnected, and when the last successful fetch (or startup, before the
+// first one) is older than maxFetchAge, which usually means the cookies or the
+// feed went stale. Fetches aren't expected while polling is paused.
+export function checkHealth({ discord, lastFetchAt, startedAt, maxFetchAge, paused = false, now = Date.now() }) {
+  const problems = [];
+  if (!discord.ready) {
+    problems.push('Discord is not connected');
+  }
+  
+  const fetchAgeMs = lastFetchAt ? now - lastFetchAt : null;
+  if (!paused && now - (lastFetchAt || startedAt) > maxFetchAge) {
+    problems.push(lastFetchAt
+      ? `Last successful fetch was ${Math.round(fetchAgeMs / 1000)}s ago`
+      : `No successful fetch in the ${Math.round((now - startedAt) / 1000)}s since startup`);
+  }
+  
+  return {
+    status: problems.length === 0 ? 'ok' : 'unhealthy',
+    problems,
+    discord,
+    paused,
+    lastFetch: {
+      at: lastFetchAt ? new Date(lastFetchAt).toISOString() : null,
+      ageSeconds: fetchAgeMs === null ? null : Math.round(fetchAgeMs / 1000)
+    },
+    uptimeSeconds: Math.round((now - startedAt) / 1000)
+  };
+}
+
+// Create the server. getHealth() returns the result of checkHealth; metrics
+// is the registry rendered at /metrics. Errors serving a request are logged to
+// logger.
+export function createHealthServer({ port, host = '0.0.0.0', getHealth, metrics, logger = console }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end();
+      return;
+    }
+    
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname === '/healthz') {
+        const health = getHealth();
+        res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+        res.end(req.method === 'HEAD' ? undefined : JSON.stringify(health));
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(req.method === 'HEAD' ? undefined : metrics.render());
+      } else {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+      }
+    } catch (error) {
+      logger.error(`Error serving ${req.url}:`, error);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal error\n');
+    }
+  });
+  
+  return {
+    // Start listening; resolves with the port, which is useful when port is 0
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.off('error', reject);
+          resolve(server.address().port);
+        });
+      });
+    },
+    
+    stop() {
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
@@ -0,0 +1,164 @@
+// Leveled logger writing one JSON object per line, to stdout and optionally to
+// a file that is rotated by size. Each part of the bot logs as a component
+// (fetch, media, delivery, state, ...) whose level can be set on its own, so a
+// noisy component can be quietened without losing errors from the others.
+//
+// Loggers take the same arguments as console.log: the first is the message,
+// Errors become the entry's error field, plain objects are merged into the
+// entry (without replacing its time, level, component or msg), and anything
+// else is appended to the message.
+
+import fs from 'fs';
+import path from 'path';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Turn an error into something JSON can hold, keeping what helps tell failures
+// apart: the HTTP status of failed requests and Discord error codes
+export function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.response?.status) {
+    serialized.status = error.response.status;
+  }
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+  return serialized;
+}
+
+// Build a log entry from console-style arguments
+export function formatEntry({ time, level, component, args }) {
+  const [first, ...rest] = args;
+  const fields = {};
+  const words = [];
+  
+  for (const arg of first === undefined ? [] : [first, ...rest]) {
+    if (arg instanceof Error) {
+      fields.error = serializeError(arg);
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else {
+      words.push(typeof arg === 'string' ? arg : JSON.stringify(arg));
+    }
+  }
+  
+  // "Error sending tweet 1:" reads as "Error sending tweet 1" once the error has its own field
+  const msg = words.join(' ').replace(/:$/, '');
+  
+  // The core fields come first in the line and are set last, so a logged
+  // object with a level or msg of its own can't overwrite them
+  return { time, level, component, msg, ...fields, time, level, component, msg };
+}
+
+// Parse per-component levels given as "fetch=warn,media=debug"
+export function parseComponentLevels(value) {
+  const levels = {};
+  for (const part of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [component, level] = part.split('=').map(item => item.trim().toLowerCase());
+    if (!component || !level) {
+      throw new Error(`Invalid log level "${part}", expected component=level`);
+    }
+    levels[component] = level;
+  }
+  return levels;
+}
+
+// Append lines to a file, moving it to file.1 (and file.1 to file.2, and so on,
+// keeping maxFiles old files) once it would grow past maxSize
+function createRotatingFile(file, { maxSize, maxFiles }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+  
+  function rotate() {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.unlinkSync(file);
+    }
+    size = 0;
+  }
+  
+  return {
+    write(line) {
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxSize) {
+        rotate();
+      }
+      fs.appendFileSync(file, line);
+      size += bytes;
+    }
+  };
+}
+
+// Create the root logger. Entries below their component's level (from levels,
+// or level for components not listed) are dropped. write() receives each line;
+// it defaults to stdout.
+export function createLogger({
+  level = 'info',
+  levels = {},
+  file = null,
+  maxSize = 10 * 1024 * 1024,
+  maxFiles = 5,
+  write = line => process.stdout.write(line),
+  now = () => new Date()
+} = {}) {
+  for (const [component, componentLevel] of Object.entries({ default: level, ...levels })) {
+    if (!LOG_LEVELS.includes(componentLevel)) {
+      throw new Error(`Invalid log level "${componentLevel}" for ${component}, expected one of: ${LOG_LEVELS.join(', ')}`);
+    }
+  }
+  let logFile = file ? createRotatingFile(file, { maxSize, maxFiles }) : null;
+  
+  function isEnabled(component, entryLevel) {
+    const threshold = levels[component] || level;
+    return LOG_LEVELS.indexOf(entryLevel) >= LOG_LEVELS.indexOf(threshold);
+  }
+  
+  function log(component, entryLevel, args) {
+    if (!isEnabled(component, entryLevel)) {
+      return;
+    }
+    
+    let line;
+    try {
+      line = `${JSON.stringify(formatEntry({ time: now().toISOString(), level: entryLevel, component, args }))}\n`;
+    } catch (error) {
+      // Circular or otherwise unserializable fields
+      line = `${JSON.stringify({ time: now().toISOString(), level: entryLevel, component, msg: String(args[0]) })}\n`;
+    }
+    
+    write(line);
+    if (logFile) {
+      try {
+        logFile.write(line);
+      } catch (error) {
+        logFile = null;
+        process.stderr.write(`Could not write to log file ${file}, logging to stdout only: ${error.message}\n`);
+      }
+    }
+  }
+  
+  // A logger for one component, with the same methods as console
+  function child(component) {
+    return {
+      component,
+      debug: (...args) => log(component, 'debug', args),
+      info: (...args) => log(component, 'info', args),
+      log: (...args) => log(component, 'info', args),
+      warn: (...args) => log(component, 'warn', args),
+      error: (...args) => log(component, 'error', args),
+      isEnabled: entryLevel => isEnabled(component, entryLevel),
+      child
+    };
+  }
+  
+  return child('bot');
+}
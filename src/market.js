@@ -0,0 +1,213 @@
+import axios from 'axios';
+import fs from 'fs';
+import { CHAINS } from './tokens.js';
+
+// Token market data providers. A provider is an object with a name and an async
+// getTokenData(address, chain) that resolves to normalized market data or null:
+// { symbol, name, priceUsd, marketCap, liquidity, volume24h, createdAt, holders }
+
+// Pick the first value that is a finite number, following dotted paths
+function pickNumber(source, paths) {
+  for (const pathName of paths) {
+    const value = pathName.split('.').reduce((obj, key) => obj?.[key], source);
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof number === 'number' && Number.isFinite(number)) {
+      return number;
+    }
+  }
+  return null;
+}
+
+// Timestamps come back in seconds or milliseconds, as numbers or date strings
+function pickTimestamp(source, paths) {
+  for (const pathName of paths) {
+    const value = pathName.split('.').reduce((obj, key) => obj?.[key], source);
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    if (typeof value === 'number' || /^\d+$/.test(value)) {
+      const number = Number(value);
+      return number < 1e12 ? number * 1000 : number;
+    }
+    const time = new Date(value).getTime();
+    if (!Number.isNaN(time)) {
+      return time;
+    }
+  }
+  return null;
+}
+
+// Map the different field names used by token APIs onto one shape
+export function normalizeTokenData(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  
+  return {
+    symbol: raw.symbol || raw.baseToken?.symbol || null,
+    name: raw.name || raw.baseToken?.name || null,
+    priceUsd: pickNumber(raw, ['priceUsd', 'priceUSD', 'price_usd', 'price']),
+    marketCap: pickNumber(raw, ['marketCap', 'marketCapUSD', 'market_cap', 'mcap', 'fdv']),
+    liquidity: pickNumber(raw, ['liquidity.usd', 'liquidityUSD', 'liquidity_usd', 'liquidity']),
+    volume24h: pickNumber(raw, ['volume.h24', 'volume24h', 'volumeUSD24h', 'volume_24h', 'v24hUSD']),
+    createdAt: pickTimestamp(raw, ['createdAt', 'creationTimestamp', 'creationBlockTimestamp', 'pairCreatedAt', 'created_at']),
+    holders: pickNumber(raw, ['holders', 'holdersCount', 'holderCount', 'holder_count'])
+  };
+}
+
+// Provider backed by the BullX API. The URL template takes {address} and {chainId}.
+export function createBullxProvider({ urlTemplate, headers = {}, timeout = 5000 }) {
+  return {
+    name: 'bullx',
+    async getTokenData(address, chain) {
+      const chainId = CHAINS[chain]?.bullxChainId;
+      if (!chainId) {
+        return null;
+      }
+      
+      const url = urlTemplate
+        .replace('{address}', encodeURIComponent(address))
+        .replace('{chainId}', chainId);
+      
+      const response = await axios.get(url, { headers, timeout });
+      return normalizeTokenData(response.data?.data ?? response.data);
+    }
+  };
+}
+
+// Provider serving fixed data keyed by address, for tests and offline runs.
+// Accepts an object of fixtures or the path to a JSON file holding one.
+export function createMockProvider(fixtures = {}) {
+  const data = typeof fixtures === 'string'
+    ? JSON.parse(fs.readFileSync(fixtures, 'utf8'))
+    : fixtures;
+  
+  return {
+    name: 'mock',
+    async getTokenData(address) {
+      return data[address] ? normalizeTokenData(data[address]) : null;
+    }
+  };
+}
+
+// Wrap a provider with a per-address cache. Concurrent lookups for the same
+// address share one request, and failures are cached briefly so a burst of
+// tweets about a token the provider can't resolve doesn't hammer it.
+export function createCachedProvider(provider, { ttl = 60 * 1000, errorTtl = 15 * 1000, maxEntries = 500, now = Date.now } = {}) {
+  const cache = new Map();
+  
+  return {
+    name: provider.name,
+    cache,
+    async getTokenData(address, chain) {
+      const key = `${chain}:${address}`;
+      const cached = cache.get(key);
+      if (cached && cached.expiresAt > now()) {
+        return cached.promise;
+      }
+      
+      const promise = provider.getTokenData(address, chain);
+      const entry = { promise, expiresAt: now() + ttl };
+      cache.set(key, entry);
+      
+      // Evict the oldest entries once the cache is full
+      while (cache.size > maxEntries) {
+        cache.delete(cache.keys().next().value);
+      }
+      
+      promise.catch(() => {
+        entry.expiresAt = now() + errorTtl;
+      });
+      
+      return promise;
+    }
+  };
+}
+
+// Set up the provider picked by the MARKET_DATA_PROVIDER setting, cached for
+// MARKET_DATA_CACHE_TTL, or null when market data is off. headers are sent
+// with BullX requests.
+export function createMarketDataProvider(settings, { headers = {}, logger = console } = {}) {
+  switch (settings.MARKET_DATA_PROVIDER) {
+    case 'none':
+      return null;
+    case 'mock':
+      return createCachedProvider(createMockProvider(settings.MARKET_DATA_MOCK_FILE), { ttl: settings.MARKET_DATA_CACHE_TTL });
+    case 'bullx':
+      return createCachedProvider(createBullxProvider({
+        urlTemplate: settings.MARKET_DATA_API_URL,
+        headers,
+        timeout: settings.MARKET_DATA_TIMEOUT
+      }), { ttl: settings.MARKET_DATA_CACHE_TTL });
+    default:
+      logger.error(`Unknown MARKET_DATA_PROVIDER "${settings.MARKET_DATA_PROVIDER}", market data disabled`);
+      return null;
+  }
+}
+
+// Look up market data for several addresses without letting a slow or failing
+// provider hold up delivery. Returns a Map of address to data for the lookups
+// that succeeded in time. Failed lookups are logged to logger.
+export async function lookupMarketData(provider, addresses, { timeout = 2000, logger = console } = {}) {
+  const results = new Map();
+  if (!provider || addresses.length === 0) {
+    return results;
+  }
+  
+  await Promise.all(addresses.map(async ({ address, chain }) => {
+    let timer;
+    try {
+      const data = await Promise.race([
+        provider.getTokenData(address, chain),
+        new Promise(resolve => { timer = setTimeout(() => resolve(null), timeout); })
+      ]);
+      if (data) {
+        results.set(address, data);
+      }
+    } catch (error) {
+      logger.error(`Market data lookup for ${address} failed:`, error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }));
+  
+  return results;
+}
+
+// Format a dollar amount compactly, e.g. $1.2M
+export function formatUsd(value) {
+  if (value === null || value === undefined) {
+    return 'n/a';
+  }
+  const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+  for (const [size, suffix] of units) {
+    if (Math.abs(value) >= size) {
+      return `$${(value / size).toFixed(value / size >= 100 ? 0 : 1)}${suffix}`;
+    }
+  }
+  return `$${value.toFixed(value >= 1 ? 0 : 6)}`;
+}
+
+// Format a duration in milliseconds as the largest whole unit, e.g. 3h
+export function formatAge(ms) {
+  if (ms === null || ms === undefined || ms < 0) {
+    return 'n/a';
+  }
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d`;
+}
+
+// One line summary of market data, with the token age measured at the time of the tweet
+export function formatMarketData(data, referenceTime = Date.now()) {
+  const parts = [
+    `MC ${formatUsd(data.marketCap)}`,
+    `Liq ${formatUsd(data.liquidity)}`,
+    `Vol 24h ${formatUsd(data.volume24h)}`,
+    `Age ${data.createdAt ? formatAge(referenceTime - data.createdAt) : 'n/a'}`,
+    `Holders ${data.holders !== null && data.holders !== undefined ? data.holders.toLocaleString('en-US') : 'n/a'}`
+  ];
+  return parts.join(' • ');
+}
@@ -0,0 +1,188 @@
+// Media extraction for tweets. Every payload shape the feeds use is reduced to
+// one list of media items:
+// { type: 'photo' | 'video' | 'gif', url, previewUrl, variants: [{ url, contentType, bitrate }], durationMs, fromReferencedTweet }
+// Photos have a url; videos and GIFs have variants, a preview (thumbnail) url
+// and their duration when the payload gives it.
+
+// Number of photos Discord shows together as a gallery
+export const GALLERY_LIMIT = 4;
+
+// Margin added to size estimates for the audio track and MP4 container
+const SIZE_ESTIMATE_MARGIN = 1.1;
+
+// Normalize the video variants of the different payload shapes
+function normalizeVariants(variants = []) {
+  return variants
+    .map(variant => ({
+      url: variant.url || variant.src,
+      contentType: variant.content_type || variant.type || null,
+      bitrate: variant.bitrate ?? null
+    }))
+    .filter(variant => variant.url);
+}
+
+// Media in Twitter's media entity format (extended_entities, entities.media, mediaDetails)
+function mediaFromEntities(mediaEntities = []) {
+  return mediaEntities.map(media => {
+    const previewUrl = media.media_url_https || media.media_url || null;
+    if (media.type === 'video' || media.type === 'animated_gif') {
+      return {
+        type: media.type === 'animated_gif' ? 'gif' : 'video',
+        url: null,
+        previewUrl,
+        variants: normalizeVariants(media.video_info?.variants),
+        durationMs: media.video_info?.duration_millis ?? null
+      };
+    }
+    return { type: 'photo', url: previewUrl, previewUrl, variants: [] };
+  }).filter(media => media.url || media.variants.length > 0);
+}
+
+// Syndication style payloads list photos and a single video separately
+function mediaFromSyndication(payload) {
+  const media = [];
+  
+  for (const photo of payload.photos || []) {
+    if (photo.url) {
+      media.push({ type: 'photo', url: photo.url, previewUrl: photo.url, variants: [] });
+    }
+  }
+  
+  if (payload.video?.variants?.length) {
+    const variants = normalizeVariants(payload.video.variants);
+    if (variants.length > 0) {
+      media.push({
+        type: payload.video.contentType === 'gif' ? 'gif' : 'video',
+        url: null,
+        previewUrl: payload.video.poster || null,
+        variants,
+        durationMs: payload.video.durationMs ?? null
+      });
+    }
+  }
+  
+  return media;
+}
+
+// Link preview images BullX attaches to entities.urls
+function mediaFromUrlPreviews(payload) {
+  return (payload.entities?.urls || [])
+    .filter(url => url.images?.length > 0 && url.images[0].url)
+    .map(url => ({ type: 'photo', url: url.images[0].url, previewUrl: url.images[0].url, variants: [] }));
+}
+
+// Key used to spot the same media item reported twice
+function mediaKey(media) {
+  const url = media.type === 'photo' ? media.url : (media.previewUrl || media.variants[0]?.url);
+  return `${media.type}:${String(url).split('?')[0]}`;
+}
+
+// Remove duplicate media items, keeping the first
+export function dedupeMedia(mediaList) {
+  const seen = new Set();
+  return mediaList.filter(media => {
+    const key = mediaKey(media);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Extract all media from one tweet payload. The media entity formats list
+// everything in order, so they are preferred over the syndication photo/video
+// fields, which are preferred over link preview images.
+export function extractPayloadMedia(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return [];
+  }
+  
+  const entityMedia = payload.mediaDetails?.length
+    ? payload.mediaDetails
+    : payload.extended_entities?.media?.length
+      ? payload.extended_entities.media
+      : payload.entities?.media || [];
+  
+  const candidates = [
+    () => mediaFromEntities(entityMedia),
+    () => mediaFromSyndication(payload),
+    () => mediaFromUrlPreviews(payload)
+  ];
+  
+  for (const candidate of candidates) {
+    const media = dedupeMedia(candidate());
+    if (media.length > 0) {
+      return media;
+    }
+  }
+  
+  return [];
+}
+
+// Get every photo, video and GIF for a tweet. The detailed single-tweet payload
+// has the best media, then the media the feed reported. When the tweet itself
+// has none, the media of the tweet it replies to or quotes is used instead.
+export function extractMedia(tweet, detailedPayload = null) {
+  const ownMedia = extractPayloadMedia(detailedPayload);
+  if (ownMedia.length > 0) {
+    return ownMedia;
+  }
+  
+  if (tweet?.media?.length > 0) {
+    return dedupeMedia(tweet.media);
+  }
+  
+  const referencedPayloads = [
+    detailedPayload?.parent,
+    detailedPayload?.quoted_tweet,
+    tweet?.raw?.quoted_status
+  ];
+  for (const payload of referencedPayloads) {
+    const media = extractPayloadMedia(payload);
+    if (media.length > 0) {
+      return media.map(item => ({ ...item, fromReferencedTweet: true }));
+    }
+  }
+  
+  return [];
+}
+
+// Pick the highest bitrate MP4 variant of a video or GIF
+export function getBestVideoVariant(media) {
+  const mp4Variants = (media?.variants || [])
+    .filter(variant => variant.contentType === 'video/mp4' || /\.mp4(\?|$)/.test(variant.url))
+    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+  return mp4Variants[0] || null;
+}
+
+// Estimate the file size of a video variant in bytes from its bitrate and the
+// video's duration, or null when either is unknown
+export function estimateVariantSize(variant, durationMs) {
+  if (!variant.bitrate || !durationMs) {
+    return null;
+  }
+  return Math.ceil(variant.bitrate / 8 * (durationMs / 1000) * SIZE_ESTIMATE_MARGIN);
+}
+
+// The MP4 variants of a video or GIF worth downloading to upload within
+// maxBytes, best first: variants estimated to be larger are left out, and those
+// that can't be estimated are kept for the download's size cap to decide
+export function getVariantsWithin(media, maxBytes) {
+  return (media?.variants || [])
+    .filter(variant => variant.contentType === 'video/mp4' || /\.mp4(\?|$)/.test(variant.url))
+    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))
+    .filter(variant => (estimateVariantSize(variant, media.durationMs) ?? 0) <= maxBytes);
+}
+
+// Split media into the photos shown in the embed gallery and the videos/GIFs sent as files
+export function partitionMedia(mediaList) {
+  const photos = mediaList.filter(media => media.type === 'photo');
+  const videos = mediaList.filter(media => media.type === 'video' || media.type === 'gif');
+  
+  return {
+    photos,
+    galleryPhotos: photos.slice(0, GALLERY_LIMIT),
+    videos
+  };
+}
@@ -0,0 +1,151 @@
+// Counters, gauges and histograms kept in memory and rendered in the Prometheus
+// text exposition format for the /metrics endpoint.
+
+export const LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 30, 60, 120, 300, 600]; // Seconds
+export const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]; // Seconds
+
+// Escape a label value for the exposition format
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Format labels as {name="value",...}, or nothing when there are none
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Format a sample value, including the special float values
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+// Key a series by its label values, in the order the metric declared them
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+// Keep only the declared labels, so a typo doesn't create a new series
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+// Create a registry. Metrics are created once through it, updated as things
+// happen and rendered together by render(). Gauges that fail to collect are
+// logged to logger.
+export function createMetricsRegistry({ prefix = '', logger = console } = {}) {
+  const metrics = [];
+  
+  function register(metric) {
+    const name = `${prefix}${metric.name}`;
+    if (metrics.some(existing => existing.name === name)) {
+      throw new Error(`Metric ${name} is already registered`);
+    }
+    metrics.push({ ...metric, name });
+  }
+  
+  return {
+    // A value that only goes up, such as the number of polls
+    counter(name, help, labelNames = []) {
+      const series = new Map(); // series key -> { labels, value }
+      register({
+        name,
+        help,
+        type: 'counter',
+        lines: fullName => [...series.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`)
+      });
+      
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { labels: pickLabels(labelNames, labels), value: 0 });
+          }
+          series.get(key).value += amount;
+        },
+        
+        get(labels = {}) {
+          return series.get(seriesKey(labelNames, labels))?.value || 0;
+        }
+      };
+    },
+    
+    // A value read when the metrics are rendered. collect() returns a number, or
+    // a list of { labels, value } for a gauge with labels; null leaves it out.
+    gauge(name, help, collect) {
+      register({
+        name,
+        help,
+        type: 'gauge',
+        lines(fullName) {
+          const result = collect();
+          if (result === null || result === undefined) {
+            return [];
+          }
+          const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+          return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(Number(value))}`);
+        }
+      });
+    },
+    
+    // A distribution of observed values, such as latencies, counted in
+    // cumulative buckets
+    histogram(name, help, { buckets, labelNames = [] }) {
+      const bounds = [...buckets].sort((a, b) => a - b);
+      const series = new Map(); // series key -> { labels, counts, sum, count }
+      register({
+        name,
+        help,
+        type: 'histogram',
+        lines: fullName => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...bounds.map((bound, index) => `${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`
+        ])
+      });
+      
+      return {
+        observe(labels, value) {
+          const key = seriesKey(labelNames, labels);
+          if (!series.has(key)) {
+            series.set(key, { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          bounds.forEach((bound, index) => {
+            if (value <= bound) {
+              entry.counts[index]++;
+            }
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+    
+    // All metrics in the Prometheus text format. A gauge that fails to collect
+    // is left out rather than failing the whole scrape.
+    render() {
+      const blocks = metrics.map(metric => {
+        let lines;
+        try {
+          lines = metric.lines(metric.name);
+        } catch (error) {
+          logger.error(`Error collecting metric ${metric.name}:`, error.message);
+          return null;
+        }
+        return [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...lines].join('\n');
+      });
+      return `${blocks.filter(Boolean).join('\n')}\n`;
+    }
+  };
+}
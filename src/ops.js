@@ -0,0 +1,59 @@
+// Alerts for the people running the bot, posted to an ops channel in Discord:
+// repeated fetch failures, rejected credentials and tweets that couldn't be
+// sent. Each kind of alert is sent at most once per cooldown, and the next one
+// says how many were held back in between.
+
+import { EmbedBuilder } from 'discord.js';
+import { truncateText } from './text.js';
+
+export const OPS_ALERT_COLOR = '#E67E22';
+
+// The embed for an ops alert
+export function buildOpsAlert({ title, description, suppressed = 0 }) {
+  const embed = new EmbedBuilder()
+    .setColor(OPS_ALERT_COLOR)
+    .setTitle(truncateText(title, 256))
+    .setTimestamp(new Date());
+  if (description) {
+    embed.setDescription(truncateText(description, 4096));
+  }
+  if (suppressed > 0) {
+    embed.setFooter({ text: `${suppressed} similar alert${suppressed === 1 ? '' : 's'} held back since the last one` });
+  }
+  return embed;
+}
+
+// Create the alerter. send(embed) posts an alert; when it is null, alerts are
+// only logged. Failures to send are logged and never thrown, so reporting a
+// problem can't cause another one.
+export function createOpsAlerter({ send = null, cooldown = 10 * 60 * 1000, logger = console, now = Date.now }) {
+  const lastSentAt = new Map(); // alert key -> when it was last sent
+  const suppressed = new Map(); // alert key -> alerts held back since then
+  
+  return {
+    // Raise an alert. key groups alerts that share a cooldown, such as
+    // "auth:bullx"; resolves to whether it was sent.
+    async alert(key, { title, description = '' }) {
+      logger.warn(`Ops alert: ${title}`, { alert: key });
+      if (!send) {
+        return false;
+      }
+      
+      if (now() - (lastSentAt.get(key) ?? -Infinity) < cooldown) {
+        suppressed.set(key, (suppressed.get(key) || 0) + 1);
+        return false;
+      }
+      lastSentAt.set(key, now());
+      const heldBack = suppressed.get(key) || 0;
+      suppressed.delete(key);
+      
+      try {
+        await send(buildOpsAlert({ title, description, suppressed: heldBack }));
+        return true;
+      } catch (error) {
+        logger.error(`Could not post ops alert "${title}":`, error.message);
+        return false;
+      }
+    }
+  };
+}
@@ -0,0 +1,654 @@
+// The tweet pipeline: fetching the feeds, picking out the new tweets, building
+// their Discord messages and queueing them for delivery. It holds no Discord
+// client or URLs of its own; the sources, tweet store and delivery queue are
+// passed in, so poll cycles can also run offline against a mock feed and an
+// in-memory channel.
+
+import { EmbedBuilder } from 'discord.js';
+import path from 'path';
+import { resolveChannels, normalizeUsername } from './routing.js';
+import { extractTokens, buildTokenFields } from './tokens.js';
+import { lookupMarketData, formatMarketData, formatAge } from './market.js';
+import { fetchFromSources, fetchTweetDetails } from './sources/index.js';
+import { extractMedia, partitionMedia, getBestVideoVariant, getVariantsWithin } from './media.js';
+import { downloadToFile } from './cache.js';
+import { DEFAULT_UPLOAD_LIMIT } from './delivery.js';
+import {
+  getReferencedTweets,
+  getReplyParentId,
+  isSelfReply,
+  groupThreads,
+  buildReplyField,
+  buildQuoteEmbed,
+  buildThreadDescription,
+  buildThreadField
+} from './context.js';
+import { truncateText } from './text.js';
+import { toSinkTweet } from './sinks/index.js';
+import { toDigestEntry } from './digest.js';
+import { createAlertEvaluator, alertRuleMatches, applyAlert } from './alerts.js';
+import { checkFilters } from './filters.js';
+import { createDuplicateDetector } from './dedup.js';
+import { createMetricsRegistry } from './metrics.js';
+
+export const LIVE_WINDOW = 60 * 1000; // Tweets older than this when delivered are marked as delayed
+export const MAX_MARKET_DATA_LOOKUPS = 3; // Per tweet
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000; // 1 second
+
+// Helper function for retry logic, logging failed attempts to logger
+export async function withRetry(fn, { logger = console, maxRetries = MAX_RETRIES, delay = RETRY_DELAY } = {}) {
+  let lastError;
+  
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Attempt ${attempt}/${maxRetries} failed:`, error.message);
+      
+      // Don't hammer a rate-limited API; let the caller back off instead. A
+      // tweet that doesn't exist won't turn up on a retry either, nor will a
+      // failure marked permanent.
+      if (error.response?.status === 429 || error.response?.status === 404 || error.permanent) {
+        break;
+      }
+      
+      if (attempt < maxRetries) {
+        logger.info(`Retrying in ${delay/1000} seconds...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+  
+  throw lastError;
+}
+
+// Create the pipeline. getSources(), getRoutingTable(), getAlertRules(),
+// getFilters() and getSettings() return the current sources, routing table,
+// alert rules (see alerts.js), content filters (see filters.js, or null) and
+// settings (see config.js), which can change while the bot runs;
+// getMutedUsernames() and isPaused() reflect the /tracker slash commands.
+// Videos are downloaded to cacheDir, within the upload limit
+// getUploadLimit(channelIds) resolves to for the channels a tweet is posted to
+// (and VIDEO_MAX_UPLOAD_SIZE when set). onStateChange() is called when the last
+// fetch times (lastFetchTimestamp and the per-source sourceFetchTimestamps,
+// passed back in on restart) should be saved, and onDuplicate(tweetId) when a
+// near-duplicate of a posted tweet is recorded, to update its message. Its
+// counters are registered on metrics. logger is console or the bot logger from
+// logger.js, whose fetch, media, delivery and state components are used for
+// those parts.
+export function createPipeline({
+  getSources,
+  store,
+  deliveryQueue,
+  sinks = new Map(),
+  getRoutingTable,
+  getAlertRules = () => [],
+  getFilters = () => null,
+  getSettings,
+  getMutedUsernames = () => [],
+  isPaused = () => false,
+  getUploadLimit = async () => DEFAULT_UPLOAD_LIMIT,
+  marketDataProvider = null,
+  marketDataTimeout = 2000,
+  cacheDir,
+  lastFetchTimestamp = null,
+  sourceFetchTimestamps = {},
+  onStateChange = () => {},
+  onDuplicate = () => {},
+  opsAlerter = null,
+  metrics = createMetricsRegistry(),
+  retryDelay = RETRY_DELAY,
+  now = Date.now,
+  logger = console
+}) {
+  const fetchLog = logger.child?.('fetch') || logger;
+  const mediaLog = logger.child?.('media') || logger;
+  const deliveryLog = logger.child?.('delivery') || logger;
+  const stateLog = logger.child?.('state') || logger;
+  
+  const fetchErrorsTotal = metrics.counter('fetch_errors_total', 'Failed feed fetches, by source and HTTP status code', ['source', 'status']);
+  const tweetsSeenTotal = metrics.counter('tweets_seen_total', 'New tweets found in the feeds, by source', ['source']);
+  const mediaDownloadsTotal = metrics.counter('media_downloads_total', 'Media downloads, by result', ['result']);
+  const mediaBytesTotal = metrics.counter('media_downloaded_bytes_total', 'Bytes of media downloaded');
+  const tweetsFilteredTotal = metrics.counter('tweets_filtered_total', 'Tweets dropped by content filters, by kind of filter', ['kind']);
+  const tweetsDeduplicatedTotal = metrics.counter('tweets_deduplicated_total', 'Near-duplicate tweets added to an earlier tweet\'s message, by what they shared', ['reason']);
+  const alertPingsTotal = metrics.counter('alert_pings_total', 'Tweets that pinged for an alert rule, by rule', ['rule']);
+  
+  const alertEvaluator = createAlertEvaluator({ now });
+  const duplicateDetector = createDuplicateDetector({ now });
+  
+  // When fetchTweets() last succeeded, for /healthz
+  let lastSuccessfulFetchAt = null;
+  
+  // When each source was last fetched from successfully, by source name, so a
+  // source that was down or rate limited catches up from its own last fetch
+  sourceFetchTimestamps = { ...sourceFetchTimestamps };
+  
+  // Function to fetch tweets from all configured sources. Failed fetches aren't
+  // retried here; the poll scheduler backs off and tries again. Resolves to the
+  // tweets and the names of the sources that were fetched from successfully.
+  async function fetchTweets() {
+    fetchLog.debug('Fetching tweets from Twitter API...');
+    const fetchedSources = [];
+    const tweets = await fetchFromSources(getSources(), {
+      logger: fetchLog,
+      onFetch(source, error) {
+        if (!error) {
+          fetchedSources.push(source.name);
+          return;
+        }
+        const status = error.response?.status;
+        fetchErrorsTotal.inc({ source: source.name, status: status || 'network' });
+        if ((status === 401 || status === 403) && opsAlerter) {
+          opsAlerter.alert(`auth:${source.name}`, {
+            title: `Source "${source.name}" rejected the bot's credentials (${status})`,
+            description: 'The cookies or API credentials for this feed have probably expired.'
+          });
+        }
+      }
+    });
+    lastSuccessfulFetchAt = now();
+    return { tweets, fetchedSources };
+  }
+  
+  // Record a cycle's fetch time, for the sources that were fetched from. A
+  // source that failed or was skipped while rate limited keeps its last fetch
+  // time, so the tweets it missed are caught up once it is back.
+  function recordFetch(fetchedSources, fetchTime) {
+    lastFetchTimestamp = fetchTime;
+    for (const sourceName of fetchedSources) {
+      sourceFetchTimestamps[sourceName] = fetchTime;
+    }
+  }
+  
+  // Function to fetch detailed data for a single tweet ID
+  async function fetchSingleTweet(tweetId, sourceName = null) {
+    return withRetry(async () => {
+      fetchLog.debug(`Fetching detailed data for tweet ID: ${tweetId}`);
+      return fetchTweetDetails(getSources(), tweetId, sourceName);
+    }, { logger: fetchLog, delay: retryDelay });
+  }
+  
+  // Function to download media file, streamed to the cache directory and
+  // given up on once it is larger than maxBytes. Resolves to { path, size }.
+  async function downloadMedia(url, filename, maxBytes) {
+    const file = await withRetry(async () => {
+      mediaLog.debug(`Downloading media from ${url}`);
+      
+      const filePath = path.join(cacheDir, filename);
+      const size = await downloadToFile(url, filePath, { maxBytes });
+      mediaBytesTotal.inc({}, size);
+      mediaLog.debug(`Media saved to ${filePath} (${size} bytes)`);
+      return { path: filePath, size };
+    }, { logger: mediaLog, delay: retryDelay }).catch(error => {
+      mediaDownloadsTotal.inc({ result: error.code === 'FILE_TOO_LARGE' ? 'too_large' : 'error' });
+      throw error;
+    });
+    
+    mediaDownloadsTotal.inc({ result: 'success' });
+    return file;
+  }
+  
+  // Build the Discord messages for a single tweet: the embed (and gallery, and
+  // any quoted tweet), then any videos as a separate message. Self-replies given
+  // in thread are posted in the same embed. Delayed tweets (caught up after
+  // downtime) are marked as such. Videos are only attached up to uploadLimit
+  // bytes in total. Returns the payload stored in the delivery queue,
+  // with the author that webhook mode posts as, and the sink tweet output sinks
+  // render their own messages from.
+  async function buildTweetMessages(tweet, { delayed = false, thread = [], uploadLimit = DEFAULT_UPLOAD_LIMIT } = {}) {
+    const { username, name: authorName, avatarUrl } = tweet.author;
+    
+    const tweetUrl = tweet.url;
+    const tweetText = tweet.text;
+    const tweetType = tweet.type;
+    
+    // Create embed
+    const embed = new EmbedBuilder()
+      .setColor('#1DA1F2')
+      .setAuthor({
+        name: `${authorName} (@${username})`,
+        iconURL: avatarUrl,
+        url: `https://twitter.com/${username}`
+      })
+      .setURL(tweetUrl);
+    
+    if (thread.length > 0) {
+      embed.setDescription(buildThreadDescription([tweet, ...thread]));
+    } else if (tweetText && tweetText.trim() !== '') {
+      embed.setDescription(tweetText);
+    } else {
+      if (tweetType === 'retweet') {
+        embed.setDescription('Retweeted');
+      } else if (tweet.media.length > 0 || tweet.raw?.attachments?.media_keys?.length > 0) {
+        embed.setDescription('Shared media');
+      } else {
+        embed.setDescription('Posted a tweet');
+      }
+    }
+    
+    embed.setTimestamp(new Date(tweet.createdAt || now()));
+    
+    // Make it obvious when a tweet is relayed late
+    if (delayed) {
+      embed.setTitle(`⏱ Delayed: posted ${formatAge(now() - tweet.createdAt)} ago`);
+    }
+    
+    // Add a field with the tweet link for easy access
+    embed.addFields({
+      name: 'Tweet Link',
+      value: `[View original tweet](${tweetUrl})`
+    });
+    
+    if (thread.length > 0) {
+      embed.addFields(buildThreadField([tweet, ...thread]));
+    }
+    
+    // Add copyable fields for contract addresses, cashtags and token links
+    const tokens = extractTokens([tweet, ...thread].map(part => part.text).join('\n'), [tweet, ...thread].flatMap(part => part.urls));
+    
+    // Enrich contract addresses with market data, without holding up delivery if the lookup fails
+    const marketData = new Map();
+    const tweetTime = tweet.createdAt || now();
+    const lookups = await lookupMarketData(marketDataProvider, tokens.addresses.slice(0, MAX_MARKET_DATA_LOOKUPS), {
+      timeout: marketDataTimeout,
+      logger
+    });
+    for (const [address, data] of lookups) {
+      marketData.set(address, { symbol: data.symbol, summary: formatMarketData(data, tweetTime) });
+    }
+    
+    const tokenFields = buildTokenFields(tokens, { marketData });
+    if (tokenFields.length > 0) {
+      logger.debug(`Detected ${tokens.addresses.length} contract addresses and ${tokens.cashtags.length} cashtags in tweet ${tweet.id}`);
+      embed.addFields(tokenFields);
+    }
+    
+    embed.setFooter({
+      text: `${delayed ? 'Delayed ' : ''}${tweetType.charAt(0).toUpperCase() + tweetType.slice(1)} • via Twitter Feed`,
+      iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+    });
+    
+    // Try to fetch detailed tweet data to get better media
+    let detailedTweet = null;
+    try {
+      detailedTweet = (await fetchSingleTweet(tweet.id, tweet.source))?.raw || null;
+      if (detailedTweet) {
+        fetchLog.debug(`Got detailed tweet data for ${tweet.id}`);
+      }
+    } catch (detailError) {
+      fetchLog.error(`Error fetching detailed tweet data for ${tweet.id}:`, detailError);
+      // Continue with the media the feed reported if detailed fetch fails
+    }
+    
+    const media = extractMedia(tweet, detailedTweet);
+    const { photos, galleryPhotos, videos } = partitionMedia(media);
+    const fromReferencedTweet = media.some(item => item.fromReferencedTweet);
+    const footerNotes = [];
+    
+    // Photos are shown as a gallery: Discord groups the images of embeds sharing a URL
+    const galleryEmbeds = [];
+    if (galleryPhotos.length > 0) {
+      mediaLog.debug(`Found ${photos.length} photos for tweet ${tweet.id}`);
+      embed.setImage(galleryPhotos[0].url);
+      for (const photo of galleryPhotos.slice(1)) {
+        galleryEmbeds.push(new EmbedBuilder().setURL(tweetUrl).setImage(photo.url));
+      }
+      if (photos.length > galleryPhotos.length) {
+        footerNotes.push(`${galleryPhotos.length} of ${photos.length} images`);
+      }
+    }
+    
+    // Videos and GIFs are downloaded and sent as files after the embed, in the
+    // best quality that fits what is left of the upload limit
+    const videoFiles = [];
+    const linkedVideos = [];
+    let uploadBudget = uploadLimit;
+    for (const [index, video] of videos.entries()) {
+      const filename = `video_${fromReferencedTweet ? 'parent_' : ''}${tweet.id}_${index}.mp4`;
+      let file = null;
+      for (const variant of getVariantsWithin(video, uploadBudget)) {
+        try {
+          mediaLog.debug(`Found ${video.type} URL:`, variant.url);
+          file = await downloadMedia(variant.url, filename, uploadBudget);
+          break;
+        } catch (videoError) {
+          if (videoError.code !== 'FILE_TOO_LARGE') {
+            mediaLog.error(`Error downloading ${video.type} for tweet ${tweet.id}:`, videoError);
+            break;
+          }
+          mediaLog.info(`The ${variant.bitrate ? `${variant.bitrate}bps ` : ''}${video.type} of tweet ${tweet.id} is over the ${uploadBudget} bytes left to upload, trying a smaller one`);
+        }
+      }
+      
+      if (file) {
+        videoFiles.push({ path: file.path, name: filename });
+        uploadBudget -= file.size;
+        continue;
+      }
+      
+      // Link the video when it can't be attached, with the thumbnail when there is no photo in the embed
+      const bestVariant = getBestVideoVariant(video);
+      if (bestVariant) {
+        linkedVideos.push({ type: video.type, url: bestVariant.url });
+      }
+      if (!embed.data.image && video.previewUrl) {
+        embed.setImage(video.previewUrl);
+      }
+    }
+    
+    if (linkedVideos.length > 0) {
+      embed.addFields({
+        name: linkedVideos.length > 1 ? 'Videos' : 'Video',
+        value: linkedVideos.map(video => `[Play ${video.type === 'gif' ? 'GIF' : 'video'}](${video.url})`).join('\n')
+      });
+    }
+    
+    if (videoFiles.length > 0) {
+      const label = videoFiles.length > 1 ? `${videoFiles.length} videos` : 'Video';
+      footerNotes.push(`${label}${fromReferencedTweet ? ' from referenced tweet' : ''} will follow`);
+    } else if (media.length === 0 && tweet.raw?.attachments?.media_keys?.length > 0) {
+      // We can't directly access the media, but we can indicate it's there
+      footerNotes.push('Contains media');
+    }
+    
+    if (footerNotes.length > 0) {
+      const currentFooter = embed.data.footer.text;
+      embed.setFooter({
+        text: [currentFooter, ...footerNotes].join(' • '),
+        iconURL: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png'
+      });
+    }
+    
+    // Show what a reply replies to, and a quoted tweet as a nested embed
+    const { parent, quoted } = getReferencedTweets(tweet, detailedTweet, {
+      findTweet: id => store.getTweet(id)
+    });
+    if (tweetType === 'reply') {
+      embed.addFields(parent ? buildReplyField(parent) : {
+        name: `Replying to a tweet`,
+        value: `This is a reply to another user's tweet.`
+      });
+    }
+    const quoteEmbeds = quoted ? [buildQuoteEmbed(quoted, { showMedia: !fromReferencedTweet })] : [];
+    
+    // The embed (and gallery) goes first, then any videos as a separate message
+    const messages = [{ embeds: [embed, ...galleryEmbeds, ...quoteEmbeds].map(builder => builder.toJSON()) }];
+    if (videoFiles.length > 0) {
+      messages.push({ files: videoFiles.map(file => ({ attachment: file.path, name: file.name })) });
+    }
+    return {
+      payload: { author: { name: authorName, avatarUrl }, messages },
+      sinkTweet: toSinkTweet(tweet, { media, tokens, marketData, parent, quoted, thread, delayed })
+    };
+  }
+  
+  // Record tweets dropped by a filter, with the reason, so they are counted and
+  // can be looked at with /tracker filtered
+  function recordFiltered(tweets, { kind, reason }) {
+    logger.info(`Filtered tweet ${tweets[0].id} from @${tweets[0].author.username}: ${reason}`);
+    store.markManySeen(tweets, { status: 'filtered', filterReason: reason });
+    tweetsFilteredTotal.inc({ kind }, tweets.length);
+  }
+  
+  // Queue a tweet for its routed channels, or for targetChannelIds when given.
+  // The tweet (and the self-replies in thread, posted with it) is marked as seen
+  // once its messages are queued. Digest routes it matches collect it for their
+  // next digest; a tweet that only digest routes match is marked as digested
+  // without building any messages. Returns the IDs of the channels it was queued for.
+  async function queueTweet(tweet, { targetChannelIds = null, delayed = false, thread = [] } = {}) {
+    const { username } = tweet.author;
+    
+    logger.info(`New tweet detected: ${tweet.id} from @${username} via ${tweet.source}`);
+    
+    // Work out which channels this tweet goes to
+    const { channelIds, routes, digests, filtered } = targetChannelIds
+      ? { channelIds: targetChannelIds, routes: [], digests: [], filtered: [] }
+      : resolveChannels(getRoutingTable(), { username, tweetType: tweet.type, text: tweet.text });
+    
+    // Every route the tweet matched filtered it out with its own allowlist or blocklist
+    if (channelIds.length === 0 && digests.length === 0 && filtered.length > 0) {
+      recordFiltered([tweet, ...thread], { kind: 'route', reason: filtered.join('; ') });
+      return [];
+    }
+    
+    // Collected before it is marked as seen, so a crash in between collects it
+    // again on the next cycle rather than losing it
+    if (digests.length > 0) {
+      store.addDigestEntries(digests, [tweet, ...thread].map(toDigestEntry), now());
+      logger.info(`Collected tweet ${tweet.id} for digest route(s): ${digests.join(', ')}`);
+    }
+    if (channelIds.length === 0 && digests.length > 0) {
+      store.markManySeen([tweet, ...thread], { status: 'digested' });
+      return [];
+    }
+    if (channelIds.length === 0) {
+      logger.info(`No channel route for tweet ${tweet.id}, skipping`);
+      store.markManySeen([tweet, ...thread], { status: 'skipped' });
+      return [];
+    }
+    
+    if (routes.length > 0) {
+      logger.debug(`Tweet ${tweet.id} matched routes: ${routes.join(', ')}`);
+    }
+    if (filtered.length > 0) {
+      logger.debug(`Tweet ${tweet.id} was filtered out of some routes: ${filtered.join('; ')}`);
+    }
+    
+    // A near-duplicate from another account of a tweet just posted to the same
+    // channels is listed on that tweet's message instead of posted again,
+    // unless it matches an alert rule that tweet didn't, whose alert would be lost
+    const settings = getSettings();
+    if (!targetChannelIds && thread.length === 0 && settings.DEDUP_WINDOW_SECONDS > 0) {
+      const duplicate = duplicateDetector.find(tweet, {
+        channelIds,
+        window: settings.DEDUP_WINDOW_SECONDS * 1000,
+        similarity: settings.DEDUP_SIMILARITY
+      });
+      const alertInfo = duplicate && {
+        username,
+        tweetType: tweet.type,
+        text: tweet.text,
+        hasContractAddress: extractTokens(tweet.text, tweet.urls).addresses.length > 0
+      };
+      const newAlertRules = duplicate
+        ? getAlertRules().filter(rule => !duplicate.alertRules.includes(rule.name) && alertRuleMatches(rule, alertInfo))
+        : [];
+      if (newAlertRules.length > 0) {
+        logger.info(`Tweet ${tweet.id} from @${username} is a near-duplicate of tweet ${duplicate.tweetId} but matches alert rule(s) it didn't: ${newAlertRules.map(rule => rule.name).join(', ')}, posting it`);
+      } else if (duplicate) {
+        logger.info(`Tweet ${tweet.id} from @${username} is a near-duplicate of tweet ${duplicate.tweetId} (same ${duplicate.reason.replace('_', ' ')}), adding it to that message`);
+        store.markSeen(tweet, { status: 'duplicate', duplicateOf: duplicate.tweetId });
+        tweetsDeduplicatedTotal.inc({ reason: duplicate.reason });
+        onDuplicate(duplicate.tweetId);
+        return [];
+      }
+    }
+    
+    // Videos have to fit the smallest upload limit of the channels it goes to
+    const uploadLimit = Math.min(await getUploadLimit(channelIds), settings.VIDEO_MAX_UPLOAD_SIZE || Infinity);
+    const { payload, sinkTweet } = await buildTweetMessages(tweet, { delayed, thread, uploadLimit });
+    
+    // Alert rules highlight the tweet and ping their roles and users; a replay
+    // to a channel keeps the highlight but doesn't ping
+    const alert = alertEvaluator.evaluate(getAlertRules(), {
+      username,
+      tweetType: tweet.type,
+      text: [tweet, ...thread].map(part => part.text).join('\n'),
+      hasContractAddress: sinkTweet.tokens.addresses.length > 0
+    }, { ping: !targetChannelIds });
+    if (alert) {
+      applyAlert(payload, alert);
+      for (const rule of alert.pinged) {
+        alertPingsTotal.inc({ rule });
+      }
+      logger.info(`Tweet ${tweet.id} matched alert rule(s): ${alert.rules.join(', ')}${alert.pinged.length > 0 ? `, pinging for ${alert.pinged.join(', ')}` : ''}`);
+    }
+    
+    // In thread mode, a self-reply goes in a Discord thread under the tweet it continues
+    if (settings.THREAD_MODE === 'thread' && isSelfReply(tweet)) {
+      payload.thread = {
+        parentTweetId: getReplyParentId(tweet),
+        name: truncateText(`Thread by @${username}`, 100)
+      };
+    }
+    
+    // Output sinks get every routed tweet in their own format, but not replays to a channel
+    const destinations = channelIds.map(channelId => ({ channelId, payload }));
+    if (!targetChannelIds) {
+      for (const sink of sinks.values()) {
+        destinations.push({ channelId: sink.id, payload: { messages: sink.render(sinkTweet) } });
+      }
+    }
+    
+    deliveryQueue.enqueue(tweet, destinations, thread);
+    if (!targetChannelIds) {
+      duplicateDetector.add(tweet, { channelIds, alertRules: alert?.rules || [] });
+    }
+    deliveryLog.info(`Queued tweet ${tweet.id}${thread.length > 0 ? ` with ${thread.length} self-replies` : ''} for ${channelIds.length} channel(s)${destinations.length > channelIds.length ? ` and ${destinations.length - channelIds.length} sink(s)` : ''}`);
+    return channelIds;
+  }
+  
+  // Function to process tweets and send to Discord. Returns the number of new
+  // tweets found and how long the fetch took, which the poll scheduler uses.
+  async function processTweets() {
+    // Nothing is fetched while paused with /tracker pause
+    if (isPaused()) {
+      return { newTweets: 0, fetchMs: null };
+    }
+    
+    try {
+      const fetchStartedAt = now();
+      const { tweets, fetchedSources } = await fetchTweets();
+      const fetchMs = now() - fetchStartedAt;
+      
+      // Get the current timestamp
+      const currentFetchTime = now();
+      
+      // First run handling - if this is the first run, we don't want to send all historical tweets
+      if (lastFetchTimestamp === null) {
+        stateLog.info('First run detected - marking all tweets as processed without sending them');
+        store.markManySeen(tweets);
+        recordFetch(fetchedSources, currentFetchTime);
+        onStateChange();
+        stateLog.info('All existing tweets marked as processed. Will only send new tweets from now on.');
+        return { newTweets: 0, fetchMs };
+      }
+      
+      // Sort tweets oldest first so each channel gets them in the order they were posted
+      const sortedTweets = [...tweets].sort((a, b) => {
+        const timeA = a.createdAt || 0;
+        const timeB = b.createdAt || 0;
+        return timeA - timeB;
+      });
+      
+      // Time threshold - only process tweets created within the last minute, or
+      // since shortly before the last successful fetch from the tweet's source
+      // when catching up after downtime, a slow cycle or that source failing.
+      // This filters out older tweets that keep appearing in the API response.
+      const settings = getSettings();
+      const currentTime = now();
+      const getWindowStart = sourceName => {
+        if (settings.CATCH_UP_MAX_TWEETS === 0) {
+          return currentTime - LIVE_WINDOW;
+        }
+        const sourceFetchTimestamp = sourceFetchTimestamps[sourceName] ?? lastFetchTimestamp;
+        const catchUpStart = Math.max(Math.min(sourceFetchTimestamp, currentTime) - LIVE_WINDOW, currentTime - settings.CATCH_UP_MAX_AGE_MINUTES * 60 * 1000);
+        return Math.min(catchUpStart, currentTime - LIVE_WINDOW);
+      };
+      const recentTweets = sortedTweets.filter(tweet => {
+        const tweetTime = tweet.createdAt;
+        return tweetTime >= getWindowStart(tweet.source) && !store.hasSeen(tweet.id);
+      });
+      for (const tweet of recentTweets) {
+        tweetsSeenTotal.inc({ source: tweet.source });
+      }
+      
+      // Fast return if no recent tweets. The fetch times are still saved, so a
+      // restart after a run of quiet cycles doesn't catch up over them again.
+      if (recentTweets.length === 0) {
+        recordFetch(fetchedSources, currentFetchTime);
+        onStateChange();
+        return { newTweets: 0, fetchMs };
+      }
+      
+      // Tweets missed while the bot was down or busy are delivered up to the cap,
+      // keeping the newest; the older ones are recorded as skipped
+      const delayedTweets = recentTweets.filter(tweet => currentTime - tweet.createdAt > LIVE_WINDOW);
+      const droppedTweets = delayedTweets.slice(0, Math.max(0, delayedTweets.length - settings.CATCH_UP_MAX_TWEETS));
+      if (delayedTweets.length > 0) {
+        logger.info(`Catching up on ${delayedTweets.length - droppedTweets.length} tweets posted since the last successful cycle`);
+      }
+      if (droppedTweets.length > 0) {
+        logger.info(`Skipping ${droppedTweets.length} older missed tweets over the catch-up limit of ${settings.CATCH_UP_MAX_TWEETS}`);
+        store.markManySeen(droppedTweets, { status: 'skipped' });
+      }
+      const tweetsToProcess = recentTweets.filter(tweet => !droppedTweets.includes(tweet));
+      
+      logger.debug(`Found ${tweetsToProcess.length} recent tweets to process`);
+      
+      // Skip accounts muted with /tracker mute or in the config, and tweets
+      // the content filters drop
+      const configMuted = settings.MUTED_ACCOUNTS.map(normalizeUsername);
+      const filters = getFilters();
+      const tweetsToQueue = tweetsToProcess.filter(tweet => {
+        const username = normalizeUsername(tweet.author.username);
+        if (getMutedUsernames().includes(username) || configMuted.includes(username)) {
+          logger.info(`Skipping tweet ${tweet.id} from muted account @${username}`);
+          store.markSeen(tweet, { status: 'skipped' });
+          return false;
+        }
+        const filtered = filters && checkFilters(filters, tweet);
+        if (filtered) {
+          recordFiltered([tweet], filtered);
+          return false;
+        }
+        return true;
+      });
+      
+      // In message mode, self-replies found together are posted as one thread message
+      const groups = settings.THREAD_MODE === 'message' ? groupThreads(tweetsToQueue) : tweetsToQueue.map(tweet => [tweet]);
+      
+      // Queue each tweet; the delivery queue sends them and retries failed sends
+      const newTweets = tweetsToProcess.length;
+      for (const [tweet, ...thread] of groups) {
+        try {
+          await queueTweet(tweet, { delayed: now() - tweet.createdAt > LIVE_WINDOW, thread });
+        } catch (error) {
+          // Mark it anyway so a tweet that can't be built isn't retried every cycle
+          logger.error(`Error processing tweet ${tweet.id}:`, error);
+          store.markManySeen([tweet, ...thread], { status: 'failed' });
+        }
+      }
+      
+      recordFetch(fetchedSources, currentFetchTime);
+      onStateChange();
+      
+      return { newTweets, fetchMs };
+    } catch (error) {
+      fetchLog.error('Error in processTweets function:', error);
+      throw error;
+    }
+  }
+  
+  return {
+    processTweets,
+    queueTweet,
+    buildTweetMessages,
+    fetchTweet: fetchSingleTweet,
+    
+    getLastFetchTimestamp() {
+      return lastFetchTimestamp;
+    },
+    
+    getSourceFetchTimestamps() {
+      return { ...sourceFetchTimestamps };
+    },
+    
+    getLastSuccessfulFetchAt() {
+      return lastSuccessfulFetchAt;
+    }
+  };
+}
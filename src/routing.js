@@ -0,0 +1,193 @@
+import fs from 'fs';
+
+// Tweet types as computed in processTweets
+export const TWEET_TYPES = ['tweet', 'retweet', 'reply'];
+
+// Digest windows that can be given by name; others are given as "30m", "6h" or "2d"
+export const DIGEST_WINDOWS = { hourly: 60 * 60 * 1000, daily: 24 * 60 * 60 * 1000 };
+const DIGEST_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+export const DEFAULT_DIGEST_TOP = 5;
+
+// Parse a digest window ("hourly", "daily", "30m", "6h", "2d") into milliseconds,
+// or null if it isn't one
+export function parseDigestWindow(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (DIGEST_WINDOWS[text]) {
+    return DIGEST_WINDOWS[text];
+  }
+  const match = text.match(/^(\d+)\s*([mhd])$/);
+  const window = match ? Number(match[1]) * DIGEST_UNITS[match[2]] : 0;
+  return window > 0 ? window : null;
+}
+
+// Turn a route's digest option, either a window or { window, top }, into
+// { window, top }, or null when the route posts each tweet as it comes
+function compileDigest(digest, name) {
+  if (digest === undefined || digest === null || digest === false) {
+    return null;
+  }
+  
+  const options = typeof digest === 'object' ? digest : { window: digest };
+  const window = parseDigestWindow(options.window);
+  if (!window) {
+    throw new Error(`Route "${name}" has invalid digest window "${options.window}", expected hourly, daily or a duration such as 6h`);
+  }
+  const top = options.top ?? DEFAULT_DIGEST_TOP;
+  if (!Number.isInteger(top) || top < 1) {
+    throw new Error(`Route "${name}" has invalid digest top "${options.top}", expected a positive whole number`);
+  }
+  return { window, top };
+}
+
+// Normalize a username for comparison (strip leading @, lowercase)
+export function normalizeUsername(username) {
+  return String(username || '').replace(/^@/, '').trim().toLowerCase();
+}
+
+// Check a list of tweet types and lowercase them, naming what they belong to,
+// such as 'Route "news"', when one is unknown. Returns null when there are none.
+export function compileTweetTypes(types, owner) {
+  if (!types) {
+    return null;
+  }
+  const compiled = [].concat(types).map(type => String(type).toLowerCase());
+  const unknownType = compiled.find(type => !TWEET_TYPES.includes(type));
+  if (unknownType) {
+    throw new Error(`${owner} has unknown tweet type "${unknownType}"`);
+  }
+  return compiled;
+}
+
+// Compile a list of regular expressions (case-insensitive), naming what they
+// belong to, such as 'Route "news"', when one is invalid. Returns null when
+// there are none.
+export function compilePatterns(patterns, owner) {
+  if (!patterns) {
+    return null;
+  }
+  return [].concat(patterns).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`${owner} has invalid pattern "${pattern}": ${error.message}`);
+    }
+  });
+}
+
+// Turn a raw route definition into a route with compiled matchers
+export function compileRoute(route, index = 0) {
+  const name = route.name || `route-${index + 1}`;
+  
+  const channels = [].concat(route.channels || route.channel || []).map(String).filter(Boolean);
+  if (channels.length === 0) {
+    throw new Error(`Route "${name}" has no target channels`);
+  }
+  
+  return {
+    name,
+    source: route.source || 'file',
+    usernames: route.usernames ? [].concat(route.usernames).map(normalizeUsername) : null,
+    types: compileTweetTypes(route.types, `Route "${name}"`),
+    patterns: compilePatterns(route.patterns, `Route "${name}"`),
+    allow: compilePatterns(route.allow, `Route "${name}"`),
+    block: compilePatterns(route.block, `Route "${name}"`),
+    channels,
+    digest: compileDigest(route.digest, name)
+  };
+}
+
+// Build a routing table from its JSON form
+export function compileRoutingTable(config = {}, fallbackChannelId = null) {
+  const defaultChannels = [].concat(config.defaultChannels || config.defaultChannel || fallbackChannelId || [])
+    .map(String)
+    .filter(Boolean);
+  
+  return {
+    defaultChannels,
+    routes: (config.routes || []).map((route, index) => compileRoute(route, index))
+  };
+}
+
+// Read the raw routing config from a JSON file (empty if the file doesn't exist)
+export function readRoutingConfig(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return {};
+  }
+  
+  const data = fs.readFileSync(filePath, 'utf8');
+  return JSON.parse(data);
+}
+
+// Build the routing table the bot uses: the routes of the routing config
+// (read from the routes file) followed by the routes added through slash
+// commands, falling back to a single default channel
+export function buildRoutingTable(routesConfig, runtimeRoutes = [], fallbackChannelId = null) {
+  return compileRoutingTable({
+    ...routesConfig,
+    routes: [
+      ...(routesConfig.routes || []).map(route => ({ ...route, source: 'file' })),
+      ...runtimeRoutes.map(route => ({ ...route, source: 'runtime' }))
+    ]
+  }, fallbackChannelId);
+}
+
+// Check whether a single route accepts a tweet. Every criterion a route
+// defines must match; a route without criteria matches everything.
+export function routeMatches(route, { username, tweetType, text }) {
+  if (route.usernames && !route.usernames.includes(normalizeUsername(username))) {
+    return false;
+  }
+  
+  if (route.types && !route.types.includes(tweetType)) {
+    return false;
+  }
+  
+  if (route.patterns && !route.patterns.some(pattern => pattern.test(text || ''))) {
+    return false;
+  }
+  
+  return true;
+}
+
+// Check a route's own allowlist and blocklist against a tweet it matches.
+// Returns why the route filters the tweet out, or null if it doesn't.
+export function routeFilterReason(route, { text }) {
+  if (route.allow && !route.allow.some(pattern => pattern.test(text || ''))) {
+    return `not on the allowlist of route ${route.name}`;
+  }
+  const blocked = route.block?.find(pattern => pattern.test(text || ''));
+  return blocked ? `blocked by /${blocked.source}/ on route ${route.name}` : null;
+}
+
+// Resolve the list of channel IDs a tweet should be sent to. Channels from
+// all matching routes are combined; the default channels are used when
+// no route matches. Digest routes collect the tweet for their next digest
+// instead, and are listed in digests rather than adding channels. Routes
+// whose allowlist or blocklist filter the tweet out are left out, with the
+// reasons in filtered; a tweet every matching route filtered out goes nowhere.
+export function resolveChannels(table, tweetInfo) {
+  const filtered = [];
+  const matchedRoutes = table.routes.filter(route => {
+    if (!routeMatches(route, tweetInfo)) {
+      return false;
+    }
+    const reason = routeFilterReason(route, tweetInfo);
+    if (reason) {
+      filtered.push(reason);
+    }
+    return !reason;
+  });
+  
+  if (matchedRoutes.length === 0) {
+    return { channelIds: filtered.length > 0 ? [] : [...table.defaultChannels], routes: [], digests: [], filtered };
+  }
+  
+  const liveRoutes = matchedRoutes.filter(route => !route.digest);
+  const channelIds = [...new Set(liveRoutes.flatMap(route => route.channels))];
+  return {
+    channelIds,
+    routes: matchedRoutes.map(route => route.name),
+    digests: matchedRoutes.filter(route => route.digest).map(route => route.name),
+    filtered
+  };
+}
@@ -0,0 +1,204 @@
+// Poll scheduler that runs one cycle at a time, adapting the interval to how
+// busy the feed is and backing off (with jitter) when cycles fail.
+
+// How long a rate-limited request asks us to wait, from an HTTP 429 Retry-After
+// header (seconds or an HTTP date). Returns milliseconds or null.
+export function getRetryAfter(error) {
+  // Errors raised while every source is cooling down carry the time to retry at
+  if (error?.retryAt) {
+    return Math.max(0, error.retryAt - Date.now());
+  }
+  
+  if (error?.response?.status !== 429) {
+    return null;
+  }
+  
+  const header = error.response.headers?.['retry-after'];
+  if (header === undefined || header === null || header === '') {
+    return null;
+  }
+  
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  
+  const date = new Date(header).getTime();
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Exponential backoff with jitter: a random delay between half and all of the
+// capped exponential delay, so restarts of several bots don't line up
+export function getBackoffDelay(attempt, { baseDelay, maxDelay, random = Math.random }) {
+  const delay = Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempt - 1));
+  return Math.round(delay / 2 + random() * (delay / 2));
+}
+
+// Keep the last N samples of a measurement and summarize them
+export function createRollingStats(size = 100) {
+  const samples = [];
+  
+  return {
+    add(value) {
+      samples.push(value);
+      if (samples.length > size) {
+        samples.shift();
+      }
+    },
+    
+    summary() {
+      if (samples.length === 0) {
+        return { count: 0, last: null, avg: null, max: null };
+      }
+      return {
+        count: samples.length,
+        last: samples[samples.length - 1],
+        avg: Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length),
+        max: Math.max(...samples)
+      };
+    }
+  };
+}
+
+// Create a scheduler for task, an async function resolving to { newTweets }.
+// After a cycle with new tweets the interval drops to minInterval; quiet cycles
+// relax it step by step up to idleInterval. Failed cycles back off from
+// minInterval up to maxBackoff, or longer if the error carries a Retry-After.
+// onCycle(cycle, error) is called after each cycle; errors it throws are logged
+// to logger.
+export function createPollScheduler({
+  task,
+  minInterval,
+  idleInterval = Math.max(minInterval, 3000),
+  idleGrowth = 1.25,
+  maxBackoff = 5 * 60 * 1000,
+  onCycle = null,
+  random = Math.random,
+  logger = console
+}) {
+  let timer = null;
+  let running = false;
+  let cycleInProgress = null;
+  let interval = minInterval;
+  let consecutiveErrors = 0;
+  
+  const stats = {
+    cycles: 0,
+    errors: 0,
+    lastCycle: null,
+    cycleDurations: createRollingStats()
+  };
+  
+  // Work out the delay before the next cycle from the outcome of this one
+  function nextDelay(result, error) {
+    if (error) {
+      consecutiveErrors++;
+      const backoff = getBackoffDelay(consecutiveErrors, { baseDelay: Math.max(minInterval, 1000), maxDelay: maxBackoff, random });
+      const retryAfter = getRetryAfter(error);
+      return retryAfter !== null ? Math.max(backoff, retryAfter) : backoff;
+    }
+    
+    consecutiveErrors = 0;
+    interval = result?.newTweets > 0
+      ? minInterval
+      : Math.min(idleInterval, Math.round(interval * idleGrowth));
+    return interval;
+  }
+  
+  async function runCycle() {
+    const startedAt = Date.now();
+    let result = null;
+    let error = null;
+    
+    try {
+      result = await task();
+    } catch (cycleError) {
+      error = cycleError;
+      stats.errors++;
+    }
+    
+    const durationMs = Date.now() - startedAt;
+    const delay = nextDelay(result, error);
+    
+    stats.cycles++;
+    stats.cycleDurations.add(durationMs);
+    stats.lastCycle = {
+      startedAt,
+      durationMs,
+      newTweets: result?.newTweets ?? 0,
+      fetchMs: result?.fetchMs ?? null,
+      error: error ? error.message : null,
+      nextDelayMs: delay
+    };
+    
+    if (onCycle) {
+      try {
+        onCycle(stats.lastCycle, error);
+      } catch (hookError) {
+        logger.error('Error in poll cycle hook:', hookError);
+      }
+    }
+    
+    return delay;
+  }
+  
+  // Run cycles back to back, each scheduled only after the previous one finished
+  function schedule(delay) {
+    if (!running) {
+      return;
+    }
+    timer = setTimeout(async () => {
+      timer = null;
+      cycleInProgress = runCycle();
+      const next = await cycleInProgress;
+      cycleInProgress = null;
+      schedule(next);
+    }, delay);
+  }
+  
+  return {
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      schedule(0);
+    },
+    
+    // Stop scheduling cycles; resolves once any cycle in progress has finished
+    async stop() {
+      running = false;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      if (cycleInProgress) {
+        await cycleInProgress;
+      }
+    },
+    
+    isRunning() {
+      return running;
+    },
+    
+    // Change the intervals, such as after the config is reloaded; they apply
+    // from the next cycle on
+    update(options) {
+      minInterval = options.minInterval ?? minInterval;
+      idleInterval = options.idleInterval ?? idleInterval;
+      maxBackoff = options.maxBackoff ?? maxBackoff;
+      interval = Math.min(Math.max(interval, minInterval), idleInterval);
+    },
+    
+    getStats() {
+      return {
+        cycles: stats.cycles,
+        errors: stats.errors,
+        consecutiveErrors,
+        currentInterval: interval,
+        lastCycle: stats.lastCycle,
+        cycleDurations: stats.cycleDurations.summary()
+      };
+    }
+  };
+}
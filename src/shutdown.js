@@ -0,0 +1,16 @@
+// The order the bot's parts are stopped in on shutdown
+
+// Stop polling and the other schedulers, let the sends and video uploads in
+// flight finish, stop the health server, save the state, close the tweet store
+// and disconnect from Discord. The health server is stopped before the store
+// is closed, since its requests read from the store. Parts the bot runs without
+// (polling before the first start, the health server) may be null.
+export async function stopBot({ pollScheduler, digestScheduler, tweetWatcher, deliveryQueue, healthServer, saveState, tweetStore, client }) {
+  await pollScheduler?.stop();
+  await Promise.all([digestScheduler.stop(), tweetWatcher.stop()]);
+  await deliveryQueue.stop();
+  await healthServer?.stop();
+  saveState();
+  tweetStore.close();
+  await client.destroy();
+}
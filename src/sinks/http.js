@@ -0,0 +1,43 @@
+import axios from 'axios';
+import crypto from 'crypto';
+
+// Sign a request body: HMAC-SHA256 of "<timestamp>.<body>", so a receiver can
+// check both where it came from and that it isn't an old request replayed
+export function signBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Generic HTTP sink: POSTs each tweet as JSON, signed with a shared secret in
+// the X-Tracker-Signature header (sha256=<hex>) alongside X-Tracker-Timestamp
+export function createHttpSink({ name = 'http', url, secret, headers = {}, timeout = 10000 }) {
+  if (!url) {
+    throw new Error(`Sink "${name}" needs a URL`);
+  }
+  if (!secret) {
+    throw new Error(`Sink "${name}" needs a secret to sign requests with`);
+  }
+  
+  return {
+    name,
+    
+    render(tweet) {
+      return [{ event: 'tweet', tweet }];
+    },
+    
+    async send(message) {
+      // The body is serialized once so the signature matches the bytes sent
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const body = JSON.stringify({ ...message, sentAt: new Date().toISOString() });
+      const response = await axios.post(url, body, {
+        timeout,
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          'X-Tracker-Timestamp': timestamp,
+          'X-Tracker-Signature': `sha256=${signBody(secret, timestamp, body)}`
+        }
+      });
+      return { id: response.data?.id ? String(response.data.id) : null };
+    }
+  };
+}
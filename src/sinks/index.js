@@ -0,0 +1,93 @@
+import { createTelegramSink } from './telegram.js';
+import { createSlackSink } from './slack.js';
+import { createHttpSink } from './http.js';
+import { getBestVideoVariant } from '../media.js';
+
+// Output sinks deliver tweets somewhere other than Discord. Each one renders a
+// sink tweet (see toSinkTweet) into the messages it sends, which go through the
+// delivery queue like Discord messages, under the destination ID "sink:<name>".
+
+export const SINK_PREFIX = 'sink:';
+
+const SINK_FACTORIES = {
+  telegram: createTelegramSink,
+  slack: createSlackSink,
+  http: createHttpSink
+};
+
+// Create an output sink from its config; config.type picks the adapter. Its
+// send() errors are turned into ones the delivery queue can retry or give up on.
+export function createSink(config) {
+  const factory = SINK_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown sink type "${config.type}". Expected one of: ${Object.keys(SINK_FACTORIES).join(', ')}`);
+  }
+  const sink = factory({ name: config.type, ...config });
+  return {
+    ...sink,
+    id: `${SINK_PREFIX}${sink.name}`,
+    async send(message) {
+      try {
+        return await sink.send(message);
+      } catch (error) {
+        throw toSinkError(error, sink.name);
+      }
+    }
+  };
+}
+
+// Whether a delivery destination is an output sink rather than a Discord channel
+export function isSinkDestination(destinationId) {
+  return String(destinationId).startsWith(SINK_PREFIX);
+}
+
+// The JSON-safe view of a tweet that every sink renders: the normalized tweet
+// with its media (videos by their best MP4), detected tokens with any market
+// data, and the tweets it replies to, quotes or continues
+export function toSinkTweet(tweet, { media = [], tokens = null, marketData = new Map(), parent = null, quoted = null, thread = [], delayed = false }) {
+  const summarize = referenced => referenced && {
+    id: referenced.id,
+    url: referenced.url,
+    text: referenced.text,
+    author: { username: referenced.author.username, name: referenced.author.name }
+  };
+  
+  return {
+    id: tweet.id,
+    source: tweet.source,
+    url: tweet.url,
+    text: tweet.text,
+    type: tweet.type,
+    createdAt: tweet.createdAt,
+    delayed,
+    author: { ...tweet.author },
+    media: media.map(item => ({
+      type: item.type,
+      url: item.type === 'photo' ? item.url : getBestVideoVariant(item)?.url || null,
+      previewUrl: item.previewUrl || null
+    })),
+    urls: tweet.urls || [],
+    tokens: {
+      addresses: (tokens?.addresses || []).map(token => ({ ...token, ...marketData.get(token.address) })),
+      cashtags: tokens?.cashtags || [],
+      links: tokens?.links || []
+    },
+    parent: summarize(parent),
+    quoted: summarize(quoted),
+    thread: thread.map(summarize)
+  };
+}
+
+// Turn a failed HTTP request into an error the delivery queue understands:
+// rate limits carry retryAfter (ms), and other client errors are permanent
+export function toSinkError(error, sinkName) {
+  const status = error.response?.status;
+  const sinkError = new Error(`Sink "${sinkName}" failed${status ? ` with status ${status}` : ''}: ${error.response?.data?.description || error.message}`);
+  if (status === 429) {
+    const seconds = Number(error.response.data?.parameters?.retry_after ?? error.response.headers?.['retry-after']);
+    sinkError.retryAfter = Number.isFinite(seconds) ? seconds * 1000 : null;
+  } else if (status >= 400 && status < 500 && status !== 408) {
+    sinkError.permanent = true;
+  }
+  return sinkError;
+}
@@ -0,0 +1,62 @@
+import axios from 'axios';
+
+const SECTION_LIMIT = 3000; // Slack's limit for a section block's text
+const IMAGE_LIMIT = 4;
+
+// Escape text for Slack mrkdwn
+export function escapeMrkdwn(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Slack incoming webhook sink: posts each tweet as one message with blocks
+export function createSlackSink({ name = 'slack', webhookUrl, timeout = 10000 }) {
+  if (!webhookUrl) {
+    throw new Error(`Sink "${name}" needs an incoming webhook URL`);
+  }
+  
+  return {
+    name,
+    
+    // Render a sink tweet as a single Slack message
+    render(tweet) {
+      const { author } = tweet;
+      const heading = `*<${tweet.url}|${escapeMrkdwn(author.name)} (@${escapeMrkdwn(author.username)})>*${tweet.delayed ? ' :stopwatch: delayed' : ''}`;
+      const text = [tweet.text, ...tweet.thread.map(part => part.text)].filter(Boolean).join('\n\n');
+      
+      const blocks = [{
+        type: 'section',
+        text: { type: 'mrkdwn', text: `${heading}\n${escapeMrkdwn(text)}`.substring(0, SECTION_LIMIT) }
+      }];
+      
+      const context = [];
+      if (tweet.parent) {
+        context.push(`Replying to <${tweet.parent.url}|@${escapeMrkdwn(tweet.parent.author.username || 'unknown')}>`);
+      }
+      if (tweet.quoted) {
+        context.push(`Quoting <${tweet.quoted.url}|@${escapeMrkdwn(tweet.quoted.author.username || 'unknown')}>: ${escapeMrkdwn((tweet.quoted.text || '').substring(0, 300))}`);
+      }
+      for (const token of tweet.tokens.addresses) {
+        context.push(`${token.symbol ? `$${escapeMrkdwn(token.symbol)} ` : ''}\`${token.address}\`${token.summary ? ` ${escapeMrkdwn(token.summary)}` : ''}`);
+      }
+      if (context.length > 0) {
+        blocks.push({ type: 'context', elements: context.slice(0, 10).map(line => ({ type: 'mrkdwn', text: line })) });
+      }
+      
+      for (const photo of tweet.media.filter(item => item.type === 'photo').slice(0, IMAGE_LIMIT)) {
+        blocks.push({ type: 'image', image_url: photo.url, alt_text: `Photo from @${author.username}` });
+      }
+      const videoLinks = tweet.media.filter(item => item.type !== 'photo' && item.url).map((video, index) => `<${video.url}|Video ${index + 1}>`);
+      if (videoLinks.length > 0) {
+        blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: videoLinks.join(' • ') }] });
+      }
+      
+      return [{ text: `@${author.username}: ${text}`.substring(0, SECTION_LIMIT), blocks }];
+    },
+    
+    // Incoming webhooks answer "ok" and don't return a message ID
+    async send(message) {
+      await axios.post(webhookUrl, message, { timeout });
+      return { id: null };
+    }
+  };
+}
@@ -0,0 +1,98 @@
+import axios from 'axios';
+
+const TEXT_LIMIT = 4096; // Telegram's limit for a message
+const MEDIA_GROUP_LIMIT = 10; // Most photos in one album
+
+// Escape text for Telegram's HTML parse mode
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Escape text and cut it to a limit, counting the escaped length, so the cut
+// never lands inside an entity
+function escapeWithin(text, limit) {
+  const escaped = escapeHtml(text);
+  if (escaped.length <= limit) {
+    return escaped;
+  }
+  
+  let cut = '';
+  for (const char of text) {
+    const part = escapeHtml(char);
+    if (cut.length + part.length > limit - 1) {
+      break;
+    }
+    cut += part;
+  }
+  return `${cut.trimEnd()}…`;
+}
+
+// The text message for a tweet, in Telegram HTML
+function renderText(tweet) {
+  const { author } = tweet;
+  const header = [`<b>${escapeHtml(author.name)}</b> (@${escapeHtml(author.username)})${tweet.delayed ? ' ⏱ delayed' : ''}`];
+  const footer = [];
+  
+  if (tweet.parent) {
+    header.push(`↩️ Replying to @${escapeHtml(tweet.parent.author.username || 'unknown')}${tweet.parent.text ? `: <i>${escapeHtml(tweet.parent.text.substring(0, 200))}</i>` : ''}`);
+  }
+  if (tweet.quoted) {
+    footer.push('', `💬 Quoting <a href="${tweet.quoted.url}">@${escapeHtml(tweet.quoted.author.username || 'unknown')}</a>${tweet.quoted.text ? `: <i>${escapeHtml(tweet.quoted.text.substring(0, 300))}</i>` : ''}`);
+  }
+  
+  for (const token of tweet.tokens.addresses) {
+    footer.push(`${token.symbol ? `$${escapeHtml(token.symbol)} ` : ''}<code>${token.address}</code>${token.summary ? `\n${escapeHtml(token.summary)}` : ''}`);
+  }
+  if (tweet.tokens.cashtags.length > 0) {
+    footer.push(tweet.tokens.cashtags.map(tag => `$${escapeHtml(tag)}`).join(' '));
+  }
+  
+  footer.push('', `<a href="${tweet.url}">View tweet</a>`);
+  
+  // Cut the tweet text rather than the lines around it
+  const frame = [...header, '', '', ...footer].join('\n');
+  const text = [tweet.text, ...tweet.thread.map(part => part.text)].filter(Boolean).join('\n\n');
+  return [...header, '', escapeWithin(text, Math.max(TEXT_LIMIT - frame.length, 0)), ...footer].join('\n');
+}
+
+// Telegram Bot API sink: posts the tweet text to a chat, then its photos as an
+// album and its videos, which Telegram downloads from their URLs
+export function createTelegramSink({ name = 'telegram', botToken, chatId, apiUrl = 'https://api.telegram.org', timeout = 15000 }) {
+  if (!botToken || !chatId) {
+    throw new Error(`Sink "${name}" needs a bot token and a chat ID`);
+  }
+  
+  return {
+    name,
+    
+    // Render a sink tweet as Telegram API calls ({ method, body })
+    render(tweet) {
+      const photos = tweet.media.filter(item => item.type === 'photo');
+      const videos = tweet.media.filter(item => item.type !== 'photo' && item.url);
+      
+      const messages = [{
+        method: 'sendMessage',
+        body: { text: renderText(tweet), parse_mode: 'HTML', link_preview_options: { is_disabled: photos.length + videos.length > 0 } }
+      }];
+      if (photos.length === 1) {
+        messages.push({ method: 'sendPhoto', body: { photo: photos[0].url } });
+      } else if (photos.length > 1) {
+        messages.push({
+          method: 'sendMediaGroup',
+          body: { media: photos.slice(0, MEDIA_GROUP_LIMIT).map(photo => ({ type: 'photo', media: photo.url })) }
+        });
+      }
+      for (const video of videos) {
+        messages.push({ method: video.type === 'gif' ? 'sendAnimation' : 'sendVideo', body: { [video.type === 'gif' ? 'animation' : 'video']: video.url } });
+      }
+      return messages;
+    },
+    
+    async send({ method, body }) {
+      const response = await axios.post(`${apiUrl}/bot${botToken}/${method}`, { chat_id: chatId, ...body }, { timeout });
+      const result = response.data?.result;
+      const messageId = Array.isArray(result) ? result[0]?.message_id : result?.message_id;
+      return { id: messageId ? String(messageId) : null };
+    }
+  };
+}
@@ -0,0 +1,44 @@
+import axios from 'axios';
+import { normalizeTweet } from './normalize.js';
+
+// Find the tweet array in an Axiom response, which may or may not be wrapped
+function findTweetArray(body) {
+  const candidates = [body, body?.data, body?.tweets, body?.data?.tweets, body?.data?.data];
+  return candidates.find(Array.isArray) || null;
+}
+
+// Feed source for an Axiom tweet feed, authenticated with the browser session cookies
+export function createAxiomSource({ name = 'axiom', url, cookies, timeout = 10000 }) {
+  if (!url) {
+    throw new Error(`Source "${name}" needs a feed URL`);
+  }
+  if (!cookies) {
+    throw new Error(`Source "${name}" needs AXIOM_COOKIES to authenticate`);
+  }
+  
+  const headers = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Referer': 'https://axiom.trade/',
+    'Origin': 'https://axiom.trade',
+    'Cookie': cookies
+  };
+  
+  return {
+    name,
+    
+    async fetchTweets() {
+      const response = await axios.get(url, { headers, timeout });
+      
+      if (response.status !== 200) {
+        throw new Error(`API returned status code ${response.status}`);
+      }
+      
+      const tweets = findTweetArray(response.data);
+      if (!tweets) {
+        throw new Error(`Unexpected response format: ${JSON.stringify(response.data).substring(0, 200)}`);
+      }
+      
+      return tweets.map(tweet => normalizeTweet(tweet, { source: name })).filter(Boolean);
+    }
+  };
+}
@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { normalizeTweet } from './normalize.js';
+
+// Headers the BullX API expects from browser requests
+export const BULLX_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Referer': 'https://api-neo.bullx.io/',
+  'Origin': 'https://api-neo.bullx.io',
+  'Content-Type': 'application/json'
+};
+
+export const DEFAULT_BULLX_TWEET_URL_BASE = 'https://api-neo.bullx.io/v2/tweet/';
+
+// Feed source for the BullX tweet feed of followed accounts
+export function createBullxSource({ name = 'bullx', url, tweetUrlBase = DEFAULT_BULLX_TWEET_URL_BASE, timeout = 10000, logger = console }) {
+  if (!url) {
+    throw new Error(`Source "${name}" needs a feed URL`);
+  }
+  if (!url.includes('api-neo.bullx.io')) {
+    logger.warn(`WARNING: The URL for source "${name}" does not appear to be for the BullX API. Please verify it is correct.`);
+  }
+  
+  return {
+    name,
+    
+    async fetchTweets() {
+      const response = await axios.get(url, { headers: BULLX_HEADERS, timeout });
+      
+      if (response.status !== 200) {
+        throw new Error(`API returned status code ${response.status}`);
+      }
+      
+      // The API returns tweets in a data array. Anything else, such as an HTML
+      // challenge page served with a 200, is an error rather than an empty feed.
+      const tweets = response.data && typeof response.data === 'object' ? response.data.data || [] : response.data;
+      if (!Array.isArray(tweets)) {
+        throw new Error(`Unexpected response format: ${JSON.stringify(tweets).substring(0, 200)}`);
+      }
+      
+      return tweets.map(tweet => normalizeTweet(tweet, { source: name })).filter(Boolean);
+    },
+    
+    // Fetch detailed data for a single tweet, which has better media than the feed
+    async fetchTweet(tweetId) {
+      const response = await axios.get(`${tweetUrlBase}${tweetId}`, { headers: BULLX_HEADERS, timeout });
+      
+      if (response.status !== 200) {
+        throw new Error(`API returned status code ${response.status}`);
+      }
+      
+      const detailedTweet = response.data?.data;
+      return detailedTweet ? normalizeTweet({ id: tweetId, ...detailedTweet }, { source: name }) : null;
+    }
+  };
+}
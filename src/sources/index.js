@@ -0,0 +1,94 @@
+import fs from 'fs';
+import { createBullxSource } from './bullx.js';
+import { createAxiomSource } from './axiom.js';
+import { createJsonSource } from './json.js';
+import { mergeTweets } from './normalize.js';
+import { getRetryAfter } from '../scheduler.js';
+
+export { normalizeTweet, mergeTweets } from './normalize.js';
+
+const SOURCE_FACTORIES = {
+  bullx: createBullxSource,
+  axiom: createAxiomSource,
+  json: createJsonSource
+};
+
+// Create a feed source from its config; config.type picks the adapter
+export function createSource(config) {
+  const factory = SOURCE_FACTORIES[config.type];
+  if (!factory) {
+    throw new Error(`Unknown source type "${config.type}". Expected one of: ${Object.keys(SOURCE_FACTORIES).join(', ')}`);
+  }
+  return factory({ name: config.type, ...config });
+}
+
+// Build the config of each source named in TWEET_SOURCES from the bot
+// settings. The JSON source's config is read from JSON_SOURCE_CONFIG.
+export function getSourceConfigs(settings, { logger = console } = {}) {
+  return settings.TWEET_SOURCES.map(type => {
+    switch (type) {
+      case 'bullx':
+        return { type, url: settings.BULLX_TWEETS_URL, tweetUrlBase: settings.BULLX_TWEET_URL_BASE, logger };
+      case 'axiom':
+        return { type, url: settings.AXIOM_FEED_URL, cookies: settings.AXIOM_COOKIES };
+      case 'json':
+        if (!fs.existsSync(settings.JSON_SOURCE_CONFIG)) {
+          throw new Error(`JSON source config ${settings.JSON_SOURCE_CONFIG} not found`);
+        }
+        return { type, ...JSON.parse(fs.readFileSync(settings.JSON_SOURCE_CONFIG, 'utf8')) };
+      default:
+        return { type };
+    }
+  });
+}
+
+// Fetch from every source at once and merge the results, dropping tweets
+// reported by more than one source. A failing source doesn't stop the others;
+// an error is only thrown when every source failed. A source that was rate
+// limited is skipped until its Retry-After has passed. onFetch(source, error)
+// is called after each source's fetch, with null when it succeeded. logger is
+// console or a component logger from logger.js.
+export async function fetchFromSources(sources, { retry = fn => fn(), onFetch = null, logger = console } = {}) {
+  const now = Date.now();
+  const activeSources = sources.filter(source => !(source.cooldownUntil > now));
+  if (activeSources.length === 0) {
+    const error = new Error('All sources are rate limited');
+    error.retryAt = Math.min(...sources.map(source => source.cooldownUntil));
+    throw error;
+  }
+  
+  const results = await Promise.allSettled(activeSources.map(source => retry(() => source.fetchTweets())));
+  
+  const tweetLists = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    const source = activeSources[index];
+    onFetch?.(source, result.status === 'rejected' ? result.reason : null);
+    if (result.status === 'fulfilled') {
+      tweetLists.push(result.value);
+      return;
+    }
+    
+    errors.push(result.reason);
+    const retryAfter = getRetryAfter(result.reason);
+    if (retryAfter !== null) {
+      source.cooldownUntil = Date.now() + retryAfter;
+      logger.warn(`Source "${source.name}" is rate limited, skipping it for ${retryAfter}ms`);
+    } else {
+      logger.error(`Error fetching tweets from source "${source.name}":`, result.reason.message);
+    }
+  });
+  
+  if (errors.length === activeSources.length) {
+    throw errors[0];
+  }
+  
+  return mergeTweets(tweetLists);
+}
+
+// Fetch detailed data for a tweet from the source that reported it, if that source supports it
+export async function fetchTweetDetails(sources, tweetId, sourceName = null) {
+  const candidates = sources.filter(source => source.fetchTweet && (!sourceName || source.name === sourceName));
+  const source = candidates[0] || sources.find(s => s.fetchTweet);
+  return source ? source.fetchTweet(tweetId) : null;
+}
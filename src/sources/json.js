@@ -0,0 +1,89 @@
+import axios from 'axios';
+import { getPath, normalizeTweet, parseTimestamp } from './normalize.js';
+import { TWEET_TYPES } from '../routing.js';
+
+// Feed source for any JSON endpoint. The config names where the tweet array is
+// (itemsPath) and, for payloads that aren't Twitter-shaped, where each field of
+// the normalized tweet is found (fields). Unmapped fields fall back to the
+// Twitter-style defaults.
+//
+// {
+//   "url": "https://example.com/feed",
+//   "method": "GET",
+//   "headers": { "Authorization": "Bearer ..." },
+//   "itemsPath": "result.items",
+//   "fields": {
+//     "id": "postId", "text": "body", "createdAt": "timestamp", "type": "kind",
+//     "username": "author.handle", "name": "author.displayName", "avatarUrl": "author.avatar",
+//     "mediaUrls": "images", "url": "permalink"
+//   }
+// }
+export function createJsonSource({ name = 'json', url, method = 'GET', headers = {}, body = null, itemsPath = null, fields = {}, timeout = 10000 }) {
+  if (!url) {
+    throw new Error(`Source "${name}" needs a feed URL`);
+  }
+  
+  // Apply the field mapping on top of the default normalization
+  function mapItem(item) {
+    const tweet = normalizeTweet({ ...item, id: getPath(item, fields.id) ?? item.id }, { source: name });
+    if (!tweet) {
+      return null;
+    }
+    
+    const text = getPath(item, fields.text);
+    if (text !== undefined) tweet.text = String(text ?? '');
+    
+    const createdAt = getPath(item, fields.createdAt);
+    if (createdAt !== undefined) tweet.createdAt = parseTimestamp(createdAt);
+    
+    const type = getPath(item, fields.type);
+    if (TWEET_TYPES.includes(type)) tweet.type = type;
+    
+    const username = getPath(item, fields.username);
+    if (username) {
+      tweet.author.username = String(username).replace(/^@/, '');
+      tweet.author.name = tweet.author.name === 'unknown' ? tweet.author.username : tweet.author.name;
+      tweet.url = `https://twitter.com/${tweet.author.username}/status/${tweet.id}`;
+    }
+    
+    const authorName = getPath(item, fields.name);
+    if (authorName) tweet.author.name = authorName;
+    
+    const avatarUrl = getPath(item, fields.avatarUrl);
+    if (avatarUrl) tweet.author.avatarUrl = avatarUrl;
+    
+    const permalink = getPath(item, fields.url);
+    if (permalink) tweet.url = permalink;
+    
+    const mediaUrls = getPath(item, fields.mediaUrls);
+    if (Array.isArray(mediaUrls)) {
+      tweet.media = mediaUrls.filter(Boolean).map(mediaUrl => ({
+        type: /\.(mp4|mov|webm)(\?|$)/i.test(mediaUrl) ? 'video' : 'photo',
+        url: mediaUrl,
+        previewUrl: mediaUrl,
+        variants: []
+      }));
+    }
+    
+    return tweet;
+  }
+  
+  return {
+    name,
+    
+    async fetchTweets() {
+      const response = await axios({ url, method, headers, data: body, timeout });
+      
+      if (response.status !== 200) {
+        throw new Error(`API returned status code ${response.status}`);
+      }
+      
+      const items = itemsPath ? getPath(response.data, itemsPath) : response.data;
+      if (!Array.isArray(items)) {
+        throw new Error(`Unexpected response format: ${JSON.stringify(response.data).substring(0, 200)}`);
+      }
+      
+      return items.map(mapItem).filter(Boolean);
+    }
+  };
+}
@@ -0,0 +1,128 @@
+import { extractPayloadMedia } from '../media.js';
+
+// Normalized tweet model shared by all feed sources:
+// {
+//   id, source, url, text,
+//   type: 'tweet' | 'retweet' | 'reply',
+//   createdAt: epoch milliseconds (null if unknown),
+//   author: { id, username, name, avatarUrl },
+//   media: [media items, see src/media.js],
+//   references: [{ type: 'retweeted' | 'replied_to' | 'quoted', id, username }],
+//   urls: [expanded URLs from the tweet entities],
+//   raw: the payload the tweet was built from
+// }
+
+export const DEFAULT_AVATAR_URL = 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png';
+
+// Read a dotted path such as "user.screen_name" from an object
+export function getPath(source, pathName) {
+  if (!pathName) {
+    return undefined;
+  }
+  return String(pathName).split('.').reduce((obj, key) => obj?.[key], source);
+}
+
+// Parse a timestamp given as a date string, seconds or milliseconds
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'number' || /^\d+$/.test(value)) {
+    const number = Number(value);
+    return number < 1e12 ? number * 1000 : number;
+  }
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+// Work out which tweets this one references
+function extractReferences(payload) {
+  const references = [];
+  const add = (type, id, username = null) => {
+    if (id && !references.some(ref => ref.type === type && ref.id === String(id))) {
+      references.push({ type, id: String(id), username });
+    }
+  };
+  
+  for (const ref of payload.referenced_tweets || []) {
+    add(ref.type, ref.id);
+  }
+  if (payload.retweeted_status) {
+    add('retweeted', payload.retweeted_status.id_str || payload.retweeted_status.id, payload.retweeted_status.user?.screen_name);
+  }
+  if (payload.quoted_status || payload.quoted_tweet) {
+    const quoted = payload.quoted_status || payload.quoted_tweet;
+    add('quoted', quoted.id_str || quoted.id, quoted.user?.screen_name || quoted.user?.username);
+  } else if (payload.quoted_status_id_str) {
+    add('quoted', payload.quoted_status_id_str);
+  }
+  if (payload.parent) {
+    add('replied_to', payload.parent.id_str || payload.parent.id, payload.parent.user?.screen_name);
+  } else if (payload.in_reply_to_status_id_str || payload.in_reply_to_status_id) {
+    add('replied_to', payload.in_reply_to_status_id_str || payload.in_reply_to_status_id, payload.in_reply_to_screen_name);
+  }
+  
+  return references;
+}
+
+// Build a normalized tweet from a Twitter-style payload (BullX, Axiom and the
+// syndication format used for single tweet lookups all follow this closely)
+export function normalizeTweet(payload, { source = 'unknown' } = {}) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+  
+  const id = payload.id_str || payload.id || payload.rest_id;
+  if (!id) {
+    return null;
+  }
+  
+  const user = payload.user || payload.author || {};
+  const username = user.username || user.screen_name || user.userName || 'unknown';
+  const references = extractReferences(payload);
+  
+  // Determine tweet type (normal tweet, retweet, reply)
+  const type = references.some(ref => ref.type === 'retweeted')
+    ? 'retweet'
+    : payload.in_reply_to_user_id || payload.in_reply_to_user_id_str || references.some(ref => ref.type === 'replied_to')
+      ? 'reply'
+      : 'tweet';
+  
+  return {
+    id: String(id),
+    source,
+    url: `https://twitter.com/${username}/status/${id}`,
+    text: payload.full_text || payload.text || payload.note_tweet?.text || '',
+    type,
+    createdAt: parseTimestamp(payload.created_at ?? payload.createdAt),
+    author: {
+      id: user.id_str || user.id || payload.author_id || null,
+      username,
+      name: user.name || username,
+      avatarUrl: user.profile_image_url_https || user.profile_image_url || user.avatar || DEFAULT_AVATAR_URL
+    },
+    media: extractPayloadMedia(payload),
+    references,
+    urls: (payload.entities?.urls || []).map(url => url.expanded_url || url.url).filter(Boolean),
+    raw: payload
+  };
+}
+
+// Combine the tweets from several sources, dropping duplicates by tweet ID.
+// The first source to report a tweet wins; later ones only fill in missing media.
+export function mergeTweets(tweetLists) {
+  const merged = new Map();
+  
+  for (const tweets of tweetLists) {
+    for (const tweet of tweets) {
+      const existing = merged.get(tweet.id);
+      if (!existing) {
+        merged.set(tweet.id, tweet);
+      } else if (existing.media.length === 0 && tweet.media.length > 0) {
+        merged.set(tweet.id, { ...existing, media: tweet.media });
+      }
+    }
+  }
+  
+  return [...merged.values()];
+}
@@ -0,0 +1,90 @@
+// The bot state file (bot_state.json): the last fetch time and the settings
+// changed through slash commands. It is written atomically, so a crash or kill
+// mid-write leaves the previous version rather than a half-written file, and
+// the version it replaces is kept as a backup. A state file that can't be read
+// is an error rather than a first run, which would skip the tweets posted while
+// the bot was down.
+
+import fs from 'fs';
+import path from 'path';
+
+// The backup kept of the state before the last write
+export function getBackupPath(filePath) {
+  return `${filePath}.bak`;
+}
+
+// Flush a file's (or directory's) data to disk. Directories can't be opened
+// for this on every platform, where it is skipped.
+function syncPath(filePath, { directory = false } = {}) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, directory ? 'r' : 'r+');
+    fs.fsyncSync(fd);
+  } catch (error) {
+    if (!directory) {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+// Write the state: to a temporary file that is flushed to disk, then renamed
+// over the state file, keeping the state file it replaces as the backup
+export function writeStateFile(filePath, state) {
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+  syncPath(tempPath);
+  if (fs.existsSync(filePath)) {
+    fs.copyFileSync(filePath, getBackupPath(filePath));
+  }
+  fs.renameSync(tempPath, filePath);
+  syncPath(path.dirname(filePath), { directory: true });
+}
+
+// Parse a state file, throwing when it isn't a JSON object with valid last
+// fetch times
+function parseStateFile(filePath) {
+  const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new Error('not a JSON object');
+  }
+  if (state.lastFetchTimestamp != null && !Number.isFinite(state.lastFetchTimestamp)) {
+    throw new Error(`invalid lastFetchTimestamp "${state.lastFetchTimestamp}"`);
+  }
+  const { sourceFetchTimestamps } = state;
+  if (sourceFetchTimestamps != null && (typeof sourceFetchTimestamps !== 'object' || !Object.values(sourceFetchTimestamps).every(Number.isFinite))) {
+    throw new Error('invalid sourceFetchTimestamps');
+  }
+  return state;
+}
+
+// Read the state: { state, fromBackup }, where fromBackup is true when the
+// state file was missing or corrupt and the backup was read instead, or null
+// when there is no state yet. Throws when the state file is corrupt and there
+// is no usable backup.
+export function readStateFile(filePath) {
+  const backupPath = getBackupPath(filePath);
+  let stateError = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      return { state: parseStateFile(filePath), fromBackup: false };
+    } catch (error) {
+      stateError = error;
+    }
+  }
+  if (!fs.existsSync(backupPath)) {
+    if (stateError) {
+      throw new Error(`State file ${filePath} is corrupt (${stateError.message}) and has no backup`);
+    }
+    return null;
+  }
+  
+  try {
+    return { state: parseStateFile(backupPath), fromBackup: true };
+  } catch (error) {
+    throw new Error(`State file ${filePath} is ${stateError ? `corrupt (${stateError.message}) and so is its backup` : 'missing and its backup is corrupt'} (${error.message})`);
+  }
+}
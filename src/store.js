@@ -0,0 +1,503 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import { normalizeUsername } from './routing.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS tweets (
+    id TEXT PRIMARY KEY,
+    source TEXT,
+    author TEXT,
+    author_name TEXT,
+    type TEXT,
+    text TEXT,
+    url TEXT,
+    created_at INTEGER,
+    seen_at INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'seen'
+  );
+  CREATE INDEX IF NOT EXISTS idx_tweets_author_created ON tweets (author, created_at);
+  CREATE INDEX IF NOT EXISTS idx_tweets_seen_at ON tweets (seen_at);
+  
+  CREATE TABLE IF NOT EXISTS deliveries (
+    tweet_id TEXT NOT NULL,
+    channel_id TEXT NOT NULL,
+    message_ids TEXT NOT NULL DEFAULT '[]',
+    status TEXT NOT NULL,
+    error TEXT,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (tweet_id, channel_id)
+  );
+  
+  CREATE TABLE IF NOT EXISTS digest_entries (
+    route TEXT NOT NULL,
+    tweet_id TEXT NOT NULL,
+    entry TEXT NOT NULL,
+    collected_at INTEGER NOT NULL,
+    PRIMARY KEY (route, tweet_id)
+  );
+`;
+
+// Columns added since the tables were first created, added to stores created
+// before then: edit and deletion tracking, filter reasons and near-duplicates
+// for tweets, and the outbound queue ledger and Discord threads for deliveries
+const ADDED_COLUMNS = {
+  tweets: {
+    checked_at: 'INTEGER',
+    missing_checks: 'INTEGER NOT NULL DEFAULT 0',
+    deleted_at: 'INTEGER',
+    edited_at: 'INTEGER',
+    filter_reason: 'TEXT',
+    duplicate_of: 'TEXT'
+  },
+  deliveries: {
+    payload: 'TEXT',
+    parts_sent: 'INTEGER NOT NULL DEFAULT 0',
+    attempts: 'INTEGER NOT NULL DEFAULT 0',
+    next_attempt_at: 'INTEGER',
+    sort_key: 'INTEGER',
+    thread_id: 'TEXT'
+  }
+};
+
+// Turn a database row into a plain record
+function toTweetRecord(row) {
+  return row && {
+    id: row.id,
+    source: row.source,
+    author: row.author,
+    authorName: row.author_name,
+    type: row.type,
+    text: row.text,
+    url: row.url,
+    createdAt: row.created_at,
+    seenAt: row.seen_at,
+    status: row.status,
+    checkedAt: row.checked_at,
+    deletedAt: row.deleted_at,
+    editedAt: row.edited_at,
+    filterReason: row.filter_reason,
+    duplicateOf: row.duplicate_of
+  };
+}
+
+function toDeliveryRecord(row) {
+  return {
+    tweetId: row.tweet_id,
+    channelId: row.channel_id,
+    messageIds: JSON.parse(row.message_ids),
+    status: row.status,
+    error: row.error,
+    updatedAt: row.updated_at,
+    attempts: row.attempts,
+    nextAttemptAt: row.next_attempt_at,
+    threadId: row.thread_id
+  };
+}
+
+// A pending delivery with what is left to send
+function toQueuedDelivery(row) {
+  return row && {
+    ...toDeliveryRecord(row),
+    payload: JSON.parse(row.payload),
+    partsSent: row.parts_sent,
+    sortKey: row.sort_key
+  };
+}
+
+// Add any columns missing from older tables, then the indexes that use them
+function migrateColumns(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name));
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!existing.has(name)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      }
+    }
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_deliveries_queue ON deliveries (status, channel_id, sort_key)');
+  db.exec('CREATE INDEX IF NOT EXISTS idx_tweets_duplicate_of ON tweets (duplicate_of)');
+}
+
+// Open (or create) the SQLite store of seen tweets and their Discord deliveries.
+// Tweet status is one of: seen (marked without sending), queued, delivered,
+// failed, skipped, grouped (posted in an earlier tweet's thread message),
+// digested (only collected for digests), filtered (dropped by a content
+// filter, with the reason), duplicate (a near-duplicate of the tweet in
+// duplicate_of, listed on its message). Deliveries double as the outbound
+// queue ledger, with a status of pending, sent or failed. Digest entries are
+// the tweets collected for each digest route until its next digest is posted.
+export function openTweetStore(filePath) {
+  const db = new Database(filePath);
+  // A damaged store is an error rather than something to start over from
+  const integrity = db.pragma('quick_check', { simple: true });
+  if (integrity !== 'ok') {
+    db.close();
+    throw new Error(`Tweet store ${filePath} is corrupt: ${integrity}`);
+  }
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+  migrateColumns(db);
+  
+  const statements = {
+    has: db.prepare('SELECT 1 FROM tweets WHERE id = ?'),
+    get: db.prepare('SELECT * FROM tweets WHERE id = ?'),
+    insert: db.prepare(`
+      INSERT INTO tweets (id, source, author, author_name, type, text, url, created_at, seen_at, status, filter_reason, duplicate_of)
+      VALUES (@id, @source, @author, @authorName, @type, @text, @url, @createdAt, @seenAt, @status, @filterReason, @duplicateOf)
+      ON CONFLICT (id) DO NOTHING
+    `),
+    setStatus: db.prepare('UPDATE tweets SET status = ? WHERE id = ?'),
+    toRecheck: db.prepare(`
+      SELECT * FROM tweets
+      WHERE status = 'delivered' AND deleted_at IS NULL AND COALESCE(created_at, seen_at) >= ?
+      ORDER BY COALESCE(checked_at, 0), seen_at
+      LIMIT ?
+    `),
+    recordCheck: db.prepare(`
+      UPDATE tweets SET checked_at = @checkedAt,
+        missing_checks = CASE WHEN @missing THEN missing_checks + 1 ELSE 0 END
+      WHERE id = @id
+      RETURNING missing_checks
+    `),
+    markDeleted: db.prepare('UPDATE tweets SET deleted_at = ? WHERE id = ?'),
+    markEdited: db.prepare('UPDATE tweets SET text = ?, edited_at = ? WHERE id = ?'),
+    count: db.prepare('SELECT COUNT(*) AS count FROM tweets'),
+    upsertDelivery: db.prepare(`
+      INSERT INTO deliveries (tweet_id, channel_id, message_ids, status, error, updated_at, thread_id)
+      VALUES (@tweetId, @channelId, @messageIds, @status, @error, @updatedAt, @threadId)
+      ON CONFLICT (tweet_id, channel_id) DO UPDATE SET
+        message_ids = excluded.message_ids,
+        status = excluded.status,
+        error = excluded.error,
+        updated_at = excluded.updated_at,
+        thread_id = COALESCE(excluded.thread_id, thread_id),
+        payload = NULL,
+        next_attempt_at = NULL
+    `),
+    queueDelivery: db.prepare(`
+      INSERT INTO deliveries (tweet_id, channel_id, message_ids, status, error, updated_at, payload, parts_sent, attempts, next_attempt_at, sort_key)
+      VALUES (@tweetId, @channelId, '[]', 'pending', NULL, @updatedAt, @payload, 0, 0, @updatedAt, @sortKey)
+      ON CONFLICT (tweet_id, channel_id) DO UPDATE SET
+        message_ids = '[]',
+        status = 'pending',
+        error = NULL,
+        updated_at = excluded.updated_at,
+        payload = excluded.payload,
+        parts_sent = 0,
+        attempts = 0,
+        next_attempt_at = excluded.next_attempt_at,
+        sort_key = excluded.sort_key
+    `),
+    deliveryProgress: db.prepare(`
+      UPDATE deliveries SET message_ids = @messageIds, parts_sent = @partsSent, updated_at = @updatedAt
+      WHERE tweet_id = @tweetId AND channel_id = @channelId
+    `),
+    deliveryAttempt: db.prepare(`
+      UPDATE deliveries SET attempts = @attempts, next_attempt_at = @nextAttemptAt, error = @error, updated_at = @updatedAt
+      WHERE tweet_id = @tweetId AND channel_id = @channelId
+    `),
+    deliveryThread: db.prepare('UPDATE deliveries SET thread_id = ? WHERE tweet_id = ? AND channel_id = ?'),
+    nextDelivery: db.prepare(`
+      SELECT * FROM deliveries WHERE status = 'pending' AND channel_id = ?
+      ORDER BY sort_key, rowid
+      LIMIT 1
+    `),
+    pendingChannels: db.prepare("SELECT DISTINCT channel_id FROM deliveries WHERE status = 'pending'"),
+    fileQueued: db.prepare("SELECT 1 FROM deliveries WHERE status = 'pending' AND instr(payload, ?) > 0 LIMIT 1"),
+    deliveryCounts: db.prepare('SELECT status, COUNT(*) AS count FROM deliveries GROUP BY status'),
+    deliveriesFor: db.prepare('SELECT * FROM deliveries WHERE tweet_id = ? ORDER BY channel_id'),
+    byAuthor: db.prepare(`
+      SELECT * FROM tweets
+      WHERE author = ? AND COALESCE(created_at, seen_at) >= ? AND COALESCE(created_at, seen_at) < ?
+      ORDER BY COALESCE(created_at, seen_at) DESC
+      LIMIT ?
+    `),
+    recent: db.prepare(`
+      SELECT * FROM tweets
+      WHERE COALESCE(created_at, seen_at) >= ? AND COALESCE(created_at, seen_at) < ?
+      ORDER BY COALESCE(created_at, seen_at) DESC
+      LIMIT ?
+    `),
+    addDigestEntry: db.prepare(`
+      INSERT INTO digest_entries (route, tweet_id, entry, collected_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (route, tweet_id) DO NOTHING
+    `),
+    digestEntries: db.prepare('SELECT * FROM digest_entries WHERE route = ? AND collected_at < ? ORDER BY collected_at'),
+    clearDigestEntries: db.prepare('DELETE FROM digest_entries WHERE route = ? AND collected_at < ?'),
+    pruneDigestEntries: db.prepare('DELETE FROM digest_entries WHERE collected_at < ?'),
+    filtered: db.prepare(`
+      SELECT * FROM tweets
+      WHERE status = 'filtered' AND seen_at >= ?
+      ORDER BY seen_at DESC
+      LIMIT ?
+    `),
+    duplicates: db.prepare('SELECT * FROM tweets WHERE duplicate_of = ? ORDER BY seen_at, id'),
+    statusCounts: db.prepare('SELECT status, COUNT(*) AS count FROM tweets GROUP BY status ORDER BY count DESC, status'),
+    forgetTweet: db.prepare('DELETE FROM tweets WHERE id = ?'),
+    forgetDeliveries: db.prepare('DELETE FROM deliveries WHERE tweet_id = ?'),
+    forgetDigestEntries: db.prepare('DELETE FROM digest_entries WHERE tweet_id = ?'),
+    pruneDeliveries: db.prepare('DELETE FROM deliveries WHERE tweet_id IN (SELECT id FROM tweets WHERE seen_at < ?)'),
+    pruneTweets: db.prepare('DELETE FROM tweets WHERE seen_at < ?')
+  };
+  
+  // Record a tweet as seen. Accepts a normalized tweet or just { id }, and
+  // the reason for a filtered tweet or the tweet a duplicate is a duplicate
+  // of. Returns false if the tweet was already recorded.
+  function markSeen(tweet, { status = 'seen', seenAt = Date.now(), filterReason = null, duplicateOf = null } = {}) {
+    const result = statements.insert.run({
+      id: String(tweet.id),
+      source: tweet.source || null,
+      author: tweet.author?.username ? normalizeUsername(tweet.author.username) : null,
+      authorName: tweet.author?.name || null,
+      type: tweet.type || null,
+      text: tweet.text ?? null,
+      url: tweet.url || null,
+      createdAt: tweet.createdAt || null,
+      seenAt,
+      status,
+      filterReason,
+      duplicateOf
+    });
+    return result.changes > 0;
+  }
+  
+  const markManySeen = db.transaction((tweets, options) => {
+    let added = 0;
+    for (const tweet of tweets) {
+      if (markSeen(tweet, options)) {
+        added++;
+      }
+    }
+    return added;
+  });
+  
+  // Mark a tweet as seen and queue it for each destination ({ channelId,
+  // payload }, where channelId is a Discord channel or an output sink) in one
+  // transaction, so a crash can't leave it marked without anything left to send
+  // it. Tweets posted as part of its thread message are marked as grouped.
+  const queueTweet = db.transaction((tweet, destinations, groupedTweets = []) => {
+    if (!markSeen(tweet, { status: 'queued' })) {
+      statements.setStatus.run('queued', String(tweet.id));
+    }
+    for (const grouped of groupedTweets) {
+      markSeen(grouped, { status: 'grouped' });
+    }
+    const updatedAt = Date.now();
+    for (const { channelId, payload } of destinations) {
+      statements.queueDelivery.run({
+        tweetId: String(tweet.id),
+        channelId: String(channelId),
+        payload: JSON.stringify(payload),
+        sortKey: tweet.createdAt || updatedAt,
+        updatedAt
+      });
+    }
+  });
+  
+  return {
+    db,
+    
+    hasSeen(tweetId) {
+      return Boolean(statements.has.get(String(tweetId)));
+    },
+    
+    markSeen,
+    markManySeen,
+    
+    setStatus(tweetId, status) {
+      statements.setStatus.run(status, String(tweetId));
+    },
+    
+    getTweet(tweetId) {
+      return toTweetRecord(statements.get.get(String(tweetId)));
+    },
+    
+    // Delivered tweets created since a time that haven't been found deleted,
+    // least recently checked first
+    getTweetsToRecheck({ since, limit = 20 }) {
+      return statements.toRecheck.all(since, limit).map(toTweetRecord);
+    },
+    
+    // Record that a tweet was checked for edits and deletion. Returns how many
+    // checks in a row have found it missing.
+    recordCheck(tweetId, { missing = false, checkedAt = Date.now() } = {}) {
+      const row = statements.recordCheck.get({ id: String(tweetId), missing: missing ? 1 : 0, checkedAt });
+      return row ? row.missing_checks : 0;
+    },
+    
+    markDeleted(tweetId, deletedAt = Date.now()) {
+      statements.markDeleted.run(deletedAt, String(tweetId));
+    },
+    
+    // Replace a tweet's text after it was edited
+    markEdited(tweetId, text, editedAt = Date.now()) {
+      statements.markEdited.run(text, editedAt, String(tweetId));
+    },
+    
+    count() {
+      return statements.count.get().count;
+    },
+    
+    // Number of tweets by status, most common first
+    countByStatus() {
+      return Object.fromEntries(statements.statusCounts.all().map(row => [row.status, row.count]));
+    },
+    
+    // Record the outcome of sending a tweet to one channel
+    recordDelivery(tweetId, { channelId, messageIds = [], status, error = null, threadId = null }) {
+      statements.upsertDelivery.run({
+        tweetId: String(tweetId),
+        channelId: String(channelId),
+        messageIds: JSON.stringify(messageIds),
+        status,
+        error: error ? String(error).substring(0, 500) : null,
+        updatedAt: Date.now(),
+        threadId: threadId ? String(threadId) : null
+      });
+    },
+    
+    // Save the Discord thread started under a delivered tweet's message
+    setDeliveryThread(tweetId, channelId, threadId) {
+      statements.deliveryThread.run(String(threadId), String(tweetId), String(channelId));
+    },
+    
+    getDeliveries(tweetId) {
+      return statements.deliveriesFor.all(String(tweetId)).map(toDeliveryRecord);
+    },
+    
+    queueTweet,
+    
+    // The oldest pending delivery for a channel, or null
+    getNextDelivery(channelId) {
+      return toQueuedDelivery(statements.nextDelivery.get(String(channelId))) || null;
+    },
+    
+    getPendingDeliveryChannels() {
+      return statements.pendingChannels.all().map(row => row.channel_id);
+    },
+    
+    // Save the messages already sent for a pending delivery, so a retry carries on after them
+    recordDeliveryProgress(tweetId, channelId, { messageIds, partsSent }) {
+      statements.deliveryProgress.run({
+        tweetId: String(tweetId),
+        channelId: String(channelId),
+        messageIds: JSON.stringify(messageIds),
+        partsSent,
+        updatedAt: Date.now()
+      });
+    },
+    
+    // Save a failed attempt and when to try again
+    recordDeliveryAttempt(tweetId, channelId, { attempts, nextAttemptAt, error = null }) {
+      statements.deliveryAttempt.run({
+        tweetId: String(tweetId),
+        channelId: String(channelId),
+        attempts,
+        nextAttemptAt,
+        error: error ? String(error).substring(0, 500) : null,
+        updatedAt: Date.now()
+      });
+    },
+    
+    // Whether a pending delivery still needs a file (such as a downloaded video)
+    isFileQueued(filePath) {
+      return Boolean(statements.fileQueued.get(JSON.stringify(filePath)));
+    },
+    
+    // Number of deliveries by status: { pending, sent, failed }
+    countDeliveries() {
+      const counts = { pending: 0, sent: 0, failed: 0 };
+      for (const row of statements.deliveryCounts.all()) {
+        counts[row.status] = row.count;
+      }
+      return counts;
+    },
+    
+    // Collect digest entries (each with the id of its tweet) for the named
+    // routes. An entry already collected for a route is kept as it was.
+    addDigestEntries: db.transaction((routeNames, entries, collectedAt = Date.now()) => {
+      for (const route of routeNames) {
+        for (const entry of entries) {
+          statements.addDigestEntry.run(route, String(entry.id), JSON.stringify(entry), collectedAt);
+        }
+      }
+    }),
+    
+    // The entries collected for a route before a time, oldest first, each
+    // with the collectedAt time
+    getDigestEntries(route, { before = Date.now() + 1 } = {}) {
+      return statements.digestEntries.all(route, before).map(row => ({ ...JSON.parse(row.entry), collectedAt: row.collected_at }));
+    },
+    
+    // Delete the entries collected for a route before a time, once its digest is posted
+    clearDigestEntries(route, { before = Date.now() + 1 } = {}) {
+      return statements.clearDigestEntries.run(route, before).changes;
+    },
+    
+    // Tweets by one account within a time range (defaults to the last 24 hours)
+    getTweetsByAuthor(username, { since = Date.now() - DAY, until = Date.now() + 1, limit = 50 } = {}) {
+      return statements.byAuthor.all(normalizeUsername(username), since, until, limit).map(toTweetRecord);
+    },
+    
+    // The near-duplicates of a tweet, in the order they were seen
+    getDuplicates(tweetId) {
+      return statements.duplicates.all(String(tweetId)).map(toTweetRecord);
+    },
+    
+    // The tweets most recently dropped by content filters, newest first
+    getFilteredTweets({ since = Date.now() - DAY, limit = 25 } = {}) {
+      return statements.filtered.all(since, limit).map(toTweetRecord);
+    },
+    
+    // Tweets from all accounts within a time range (defaults to the last 24 hours)
+    getRecentTweets({ since = Date.now() - DAY, until = Date.now() + 1, limit = 50 } = {}) {
+      return statements.recent.all(since, until, limit).map(toTweetRecord);
+    },
+    
+    // Delete tweets (and their deliveries) first seen, and digest entries
+    // collected, more than maxAge ms ago
+    prune(maxAge) {
+      const cutoff = Date.now() - maxAge;
+      return db.transaction(() => {
+        statements.pruneDeliveries.run(cutoff);
+        statements.pruneDigestEntries.run(cutoff);
+        return statements.pruneTweets.run(cutoff).changes;
+      })();
+    },
+    
+    // Forget a tweet, with its deliveries and digest entries, so it counts as
+    // new the next time a feed has it. Returns false if it wasn't recorded.
+    forgetTweet(tweetId) {
+      return db.transaction(() => {
+        statements.forgetDeliveries.run(String(tweetId));
+        statements.forgetDigestEntries.run(String(tweetId));
+        return statements.forgetTweet.run(String(tweetId)).changes > 0;
+      })();
+    },
+    
+    // Import the IDs from the old processed_ids.json file, then rename it so
+    // the import only happens once. Returns the number of IDs imported.
+    migrateFromJson(processedIdsFile) {
+      if (!fs.existsSync(processedIdsFile)) {
+        return 0;
+      }
+      
+      let processedIds;
+      try {
+        processedIds = JSON.parse(fs.readFileSync(processedIdsFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`${processedIdsFile} is corrupt, so it can't be migrated: ${error.message}`);
+      }
+      const imported = markManySeen(Object.keys(processedIds).map(id => ({ id })));
+      fs.renameSync(processedIdsFile, `${processedIdsFile}.migrated`);
+      return imported;
+    },
+    
+    close() {
+      db.close();
+    }
+  };
+}
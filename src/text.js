@@ -0,0 +1,23 @@
+// Text helpers shared by the modules that build messages
+
+// Shorten text to a limit, ending with an ellipsis when cut
+export function truncateText(text, limit) {
+  if (!text || text.length <= limit) {
+    return text || '';
+  }
+  return `${text.substring(0, limit - 1).trimEnd()}…`;
+}
+
+// Join up to maxLines lines within a length limit, dropping whole lines rather
+// than cutting one, and saying how many more there were
+export function joinLines(lines, limit, { maxLines = lines.length } = {}) {
+  const shown = [];
+  for (const line of lines.slice(0, maxLines)) {
+    if ([...shown, line, '…and 999 more'].join('\n').length > limit) {
+      break;
+    }
+    shown.push(line);
+  }
+  const hidden = lines.length - shown.length;
+  return hidden > 0 ? [...shown, `…and ${hidden} more`].join('\n') : shown.join('\n');
+}
@@ -0,0 +1,238 @@
+// Detection of contract addresses, cashtags and token links in tweet text
+
+import { joinLines } from './text.js';
+
+const FIELD_LIMIT = 1024; // Discord's limit for an embed field value
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+// Candidate Solana addresses are 32-44 base58 characters; they are confirmed by decoding
+const SOLANA_ADDRESS_REGEX = /(?<![1-9A-HJ-NP-Za-km-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![1-9A-HJ-NP-Za-km-z])/g;
+const EVM_ADDRESS_REGEX = /(?<![0-9a-zA-Z])0x[a-fA-F0-9]{40}(?![0-9a-zA-Z])/g;
+// Cashtags start with a letter so amounts like $100 aren't matched
+const CASHTAG_REGEX = /(?<![\w$])\$([A-Za-z][A-Za-z0-9_]{0,14})(?![\w])/g;
+const URL_REGEX = /https?:\/\/[^\s<>"')\]]+/g;
+
+// Chains we can build quick links for, keyed by the slug Dexscreener uses
+export const CHAINS = {
+  solana: { name: 'Solana', bullxChainId: 1399811149 },
+  ethereum: { name: 'Ethereum', bullxChainId: 1 },
+  base: { name: 'Base', bullxChainId: 8453 },
+  bsc: { name: 'BSC', bullxChainId: 56 }
+};
+
+// Decode a base58 string, returning the number of bytes or -1 if it isn't valid base58
+function base58ByteLength(value) {
+  const bytes = [0];
+  
+  for (const char of value) {
+    const digit = BASE58_ALPHABET.indexOf(char);
+    if (digit === -1) {
+      return -1;
+    }
+    
+    let carry = digit;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  
+  // Leading '1's are leading zero bytes
+  let leadingZeros = 0;
+  while (value[leadingZeros] === '1') {
+    leadingZeros++;
+  }
+  
+  const length = bytes.length === 1 && bytes[0] === 0 ? 0 : bytes.length;
+  return leadingZeros + length;
+}
+
+// A Solana address is a base58 encoded 32 byte public key
+export function isSolanaAddress(value) {
+  return typeof value === 'string'
+    && value.length >= 32
+    && value.length <= 44
+    && base58ByteLength(value) === 32;
+}
+
+export function isEvmAddress(value) {
+  return typeof value === 'string' && /^0x[a-fA-F0-9]{40}$/.test(value);
+}
+
+// Work out the chain of an address, using a hint from a link when available
+function chainForAddress(address, chainHint = null) {
+  if (isSolanaAddress(address)) {
+    return 'solana';
+  }
+  if (isEvmAddress(address)) {
+    return chainHint && chainHint !== 'solana' && CHAINS[chainHint] ? chainHint : 'ethereum';
+  }
+  return null;
+}
+
+// Recognize a pump.fun, Dexscreener or Birdeye link and pull out its chain and address
+export function parseTokenLink(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  
+  const host = parsed.hostname.replace(/^www\./, '').toLowerCase();
+  const segments = parsed.pathname.split('/').filter(Boolean);
+  
+  if (host === 'pump.fun') {
+    // pump.fun/coin/<mint> or pump.fun/<mint>
+    const address = segments[0] === 'coin' ? segments[1] : segments[0];
+    if (isSolanaAddress(address)) {
+      return { platform: 'pump.fun', url, chain: 'solana', address, isToken: true };
+    }
+    return null;
+  }
+  
+  if (host === 'dexscreener.com') {
+    // dexscreener.com/<chain>/<pair or token address>
+    const [chain, address] = segments;
+    if (chain && address && chainForAddress(address, chain.toLowerCase())) {
+      // Dexscreener paths usually hold the pair address, not the token mint
+      return { platform: 'Dexscreener', url, chain: chain.toLowerCase(), address, isToken: false };
+    }
+    return null;
+  }
+  
+  if (host === 'birdeye.so') {
+    // birdeye.so/token/<address>?chain=<chain>
+    const index = segments.indexOf('token');
+    const address = index !== -1 ? segments[index + 1] : null;
+    const chainHint = (parsed.searchParams.get('chain') || 'solana').toLowerCase();
+    const chain = address ? chainForAddress(address, chainHint) : null;
+    if (chain) {
+      return { platform: 'Birdeye', url, chain, address, isToken: true };
+    }
+    return null;
+  }
+  
+  return null;
+}
+
+// Collect the expanded URLs from a tweet's entities
+export function getTweetUrls(tweet) {
+  return (tweet?.entities?.urls || [])
+    .map(entity => entity.expanded_url || entity.url)
+    .filter(Boolean);
+}
+
+// Find contract addresses, cashtags and token links in tweet text and its expanded URLs.
+// Returns { addresses: [{ address, chain }], cashtags: ['WIF'], links: [...] }
+export function extractTokens(text = '', urls = []) {
+  const addresses = new Map();
+  const cashtags = new Map();
+  const links = new Map();
+  const pairAddresses = new Set();
+  
+  const addAddress = (address, chain) => {
+    if (chain && !addresses.has(address) && !pairAddresses.has(address)) {
+      addresses.set(address, { address, chain });
+    }
+  };
+  
+  // Links first, so their chain hints win for EVM addresses
+  const allUrls = [...urls, ...(text.match(URL_REGEX) || [])];
+  for (const url of allUrls) {
+    const link = parseTokenLink(url);
+    if (link && !links.has(link.url)) {
+      links.set(link.url, link);
+      if (link.isToken) {
+        addAddress(link.address, link.chain);
+      } else {
+        pairAddresses.add(link.address);
+      }
+    }
+  }
+  
+  // Search the text and URLs, but skip twitter's own t.co shortlinks in the text
+  const searchText = [text.replace(/https?:\/\/t\.co\/\w+/g, ' '), ...urls].join(' ');
+  
+  for (const match of searchText.matchAll(EVM_ADDRESS_REGEX)) {
+    addAddress(match[0], chainForAddress(match[0]));
+  }
+  
+  for (const match of searchText.matchAll(SOLANA_ADDRESS_REGEX)) {
+    if (isSolanaAddress(match[0])) {
+      addAddress(match[0], 'solana');
+    }
+  }
+  
+  for (const match of text.matchAll(CASHTAG_REGEX)) {
+    const ticker = match[1].toUpperCase();
+    if (!cashtags.has(ticker)) {
+      cashtags.set(ticker, ticker);
+    }
+  }
+  
+  return {
+    addresses: [...addresses.values()],
+    cashtags: [...cashtags.values()],
+    links: [...links.values()]
+  };
+}
+
+// Quick links to trading terminals for a token address
+export function getQuickLinks(address, chain) {
+  const chainInfo = CHAINS[chain];
+  const links = [];
+  
+  if (chainInfo) {
+    links.push({ name: 'BullX', url: `https://neo.bullx.io/terminal?chainId=${chainInfo.bullxChainId}&address=${address}` });
+  }
+  if (chain === 'solana') {
+    links.push({ name: 'Axiom', url: `https://axiom.trade/t/${address}` });
+  }
+  links.push({
+    name: 'Dexscreener',
+    url: chainInfo ? `https://dexscreener.com/${chain}/${address}` : `https://dexscreener.com/search?q=${address}`
+  });
+  
+  return links;
+}
+
+// Build embed fields for the detected tokens, capped to stay within Discord's 25 field limit.
+// marketData optionally maps an address to { symbol, summary } shown with it.
+export function buildTokenFields(tokens, { maxFields = 10, marketData = null } = {}) {
+  const fields = [];
+  
+  for (const { address, chain } of tokens.addresses) {
+    const quickLinks = getQuickLinks(address, chain).map(link => `[${link.name}](${link.url})`).join(' • ');
+    const market = marketData?.get(address);
+    const symbol = market?.symbol ? ` ($${market.symbol})` : '';
+    fields.push({
+      name: `${CHAINS[chain]?.name || 'EVM'} CA${symbol}`,
+      value: `\`${address}\`\n${market ? `${market.summary}\n` : ''}${quickLinks}`
+    });
+  }
+  
+  for (const ticker of tokens.cashtags) {
+    fields.push({
+      name: `$${ticker}`,
+      value: `[Dexscreener](https://dexscreener.com/search?q=${encodeURIComponent(ticker)})`,
+      inline: true
+    });
+  }
+  
+  // Links whose address isn't already listed as a CA (e.g. Dexscreener pair pages)
+  const pairLinks = tokens.links.filter(link => !link.isToken);
+  if (pairLinks.length > 0) {
+    fields.push({
+      name: 'Token Links',
+      value: joinLines(pairLinks.map(link => `[${link.platform} (${CHAINS[link.chain]?.name || link.chain})](${link.url})`), FIELD_LIMIT)
+    });
+  }
+  
+  return fields.slice(0, maxFields);
+}
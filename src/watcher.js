@@ -0,0 +1,233 @@
+// Watches recently relayed tweets for edits and deletion by looking them up
+// again for a while after they were posted, and builds the embeds that show
+// the change in Discord.
+
+import { EmbedBuilder } from 'discord.js';
+import { truncateText } from './text.js';
+
+export const DELETED_COLOR = '#E0245E';
+export const EDITED_COLOR = '#F5A623';
+const FIELD_LIMIT = 1024; // Discord's limit for an embed field value
+
+// Look a tweet up again. Returns { status: 'found', tweet }, { status: 'missing' }
+// when it no longer exists, or { status: 'error', error } when the lookup failed
+// and nothing can be said about it.
+export async function lookUpTweet(fetchTweet, tweetId) {
+  try {
+    const tweet = await fetchTweet(tweetId);
+    if (!tweet || tweet.raw?.__typename === 'TweetTombstone' || tweet.raw?.tombstone) {
+      return { status: 'missing' };
+    }
+    return { status: 'found', tweet };
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { status: 'missing' };
+    }
+    return { status: 'error', error };
+  }
+}
+
+// Tweet text as compared for edits: the feeds and the single tweet lookup
+// differ in t.co links, HTML entities and whitespace, which aren't edits
+export function normalizeTweetText(text) {
+  return (text || '')
+    .replace(/https:\/\/t\.co\/\S+/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Word by word difference between two texts, as a list of
+// { type: 'same' | 'removed' | 'added', text } parts
+export function diffWords(oldText, newText) {
+  const oldWords = oldText.split(/\s+/).filter(Boolean);
+  const newWords = newText.split(/\s+/).filter(Boolean);
+  
+  // Longest common subsequence table, filled from the end
+  const lengths = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+  for (let i = oldWords.length - 1; i >= 0; i--) {
+    for (let j = newWords.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldWords[i] === newWords[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+  
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+  
+  let i = 0;
+  let j = 0;
+  while (i < oldWords.length || j < newWords.length) {
+    if (i < oldWords.length && j < newWords.length && oldWords[i] === newWords[j]) {
+      push('same', oldWords[i]);
+      i++;
+      j++;
+    } else if (j < newWords.length && (i === oldWords.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      push('added', newWords[j]);
+      j++;
+    } else {
+      push('removed', oldWords[i]);
+      i++;
+    }
+  }
+  return parts;
+}
+
+// Show a diff in Markdown: removed words struck through, added words in bold
+export function formatDiff(parts) {
+  const text = parts.map(part => {
+    if (part.type === 'removed') {
+      return `~~${part.text}~~`;
+    }
+    if (part.type === 'added') {
+      return `**${part.text}**`;
+    }
+    return part.text;
+  }).join(' ');
+  return truncateText(text, FIELD_LIMIT);
+}
+
+// A relayed tweet's embed (as JSON), marked as deleted
+export function markEmbedDeleted(embedData, deletedAt) {
+  return new EmbedBuilder(embedData)
+    .setColor(DELETED_COLOR)
+    .setTitle('🗑 Tweet deleted')
+    .addFields({ name: 'Deleted', value: `<t:${Math.floor(deletedAt / 1000)}:R>` });
+}
+
+// A relayed tweet's embed (as JSON) with a field showing its latest edit
+export function markEmbedEdited(embedData, diff, editedAt) {
+  const fields = (embedData.fields || []).filter(field => field.name !== 'Edited');
+  return new EmbedBuilder({ ...embedData, fields })
+    .setColor(EDITED_COLOR)
+    .setTitle('✏️ Tweet edited')
+    .addFields({ name: 'Edited', value: `${formatDiff(diff)}\n<t:${Math.floor(editedAt / 1000)}:R>`.substring(0, FIELD_LIMIT) });
+}
+
+// Alert for the alert channel about a deleted or edited tweet, linking to the
+// Discord messages it was relayed as
+export function buildChangeAlert(record, { change, diff = null, messageUrls = [] }) {
+  const deleted = change === 'deleted';
+  const embed = new EmbedBuilder()
+    .setColor(deleted ? DELETED_COLOR : EDITED_COLOR)
+    .setTitle(`@${record.author} ${deleted ? 'deleted' : 'edited'} a tweet`)
+    .setURL(record.url)
+    .setTimestamp(new Date());
+  
+  if (deleted) {
+    embed.setDescription(truncateText(record.text || '*No text*', FIELD_LIMIT * 2));
+    if (record.createdAt) {
+      embed.addFields({ name: 'Lived for', value: `${Math.max(1, Math.round((Date.now() - record.createdAt) / 60000))} min` });
+    }
+  } else {
+    embed.setDescription(formatDiff(diff));
+  }
+  if (messageUrls.length > 0) {
+    embed.addFields({ name: 'Relayed as', value: truncateText(messageUrls.join('\n'), FIELD_LIMIT) });
+  }
+  return embed;
+}
+
+// Create the watcher. Every interval it looks up delivered tweets younger than
+// window again (batchSize at most, least recently checked first). A tweet is
+// deleted once confirmations lookups in a row have found it missing, so a
+// single bad response doesn't count. onDeleted(record) and
+// onEdited(record, newText, diff) are called with the stored tweet record.
+// logger is console or a component logger from logger.js.
+export function createTweetWatcher({
+  store,
+  fetchTweet,
+  window,
+  interval = 60 * 1000,
+  batchSize = 20,
+  confirmations = 2,
+  onDeleted = async () => {},
+  onEdited = async () => {},
+  logger = console
+}) {
+  let timer = null;
+  let running = false;
+  let currentCheck = null;
+  
+  // Report a change, without letting a failure stop the other checks
+  async function report(callback, ...args) {
+    try {
+      await callback(...args);
+    } catch (error) {
+      logger.error(`Error reporting a change to tweet ${args[0].id}:`, error);
+    }
+  }
+  
+  // Look each tweet due for a check up again
+  async function checkOnce() {
+    const records = store.getTweetsToRecheck({ since: Date.now() - window, limit: batchSize });
+    for (const record of records) {
+      const result = await lookUpTweet(fetchTweet, record.id);
+      if (result.status === 'error') {
+        logger.warn(`Could not re-check tweet ${record.id}:`, result.error.message);
+        continue;
+      }
+      
+      if (result.status === 'missing') {
+        const missingChecks = store.recordCheck(record.id, { missing: true });
+        if (missingChecks >= confirmations) {
+          const deletedAt = Date.now();
+          store.markDeleted(record.id, deletedAt);
+          logger.info(`Tweet ${record.id} from @${record.author} was deleted`);
+          await report(onDeleted, { ...record, deletedAt });
+        }
+        continue;
+      }
+      
+      store.recordCheck(record.id);
+      const oldText = normalizeTweetText(record.text);
+      const newText = normalizeTweetText(result.tweet.text);
+      if (newText && newText !== oldText) {
+        const editedAt = Date.now();
+        store.markEdited(record.id, result.tweet.text, editedAt);
+        logger.info(`Tweet ${record.id} from @${record.author} was edited`);
+        await report(onEdited, { ...record, editedAt }, result.tweet.text, diffWords(oldText, newText));
+      }
+    }
+  }
+  
+  function scheduleNext() {
+    timer = setTimeout(async () => {
+      currentCheck = checkOnce().catch(error => logger.error('Error checking tweets for edits and deletion:', error));
+      await currentCheck;
+      currentCheck = null;
+      if (running) {
+        scheduleNext();
+      }
+    }, interval);
+  }
+  
+  return {
+    checkOnce,
+    
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      scheduleNext();
+    },
+    
+    // Stop checking, waiting for a check in progress
+    async stop() {
+      running = false;
+      clearTimeout(timer);
+      await currentCheck;
+    }
+  };
+}
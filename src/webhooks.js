@@ -0,0 +1,97 @@
+// Posting through channel webhooks, so each message shows the tweet author's
+// name and avatar instead of the bot's. The bot creates one webhook per channel
+// and reuses it; where it can't (no Manage Webhooks permission, or a channel
+// type without webhooks) it posts as itself.
+
+export const WEBHOOK_NAME = 'Twitter Tracker';
+const FAILED_LOOKUP_TTL = 10 * 60 * 1000; // How long to post as the bot before trying webhooks in a channel again
+const UNKNOWN_WEBHOOK = 10015; // Discord error code for a webhook that was deleted
+
+// Webhook usernames are 1-80 characters and may not contain "discord" or "clyde"
+export function toWebhookUsername(name) {
+  const username = String(name || '')
+    .replace(/discord/gi, 'disc0rd')
+    .replace(/clyde/gi, 'clyd3')
+    .trim()
+    .substring(0, 80);
+  return username || WEBHOOK_NAME;
+}
+
+// Create the sender. getOwnerId() returns the bot's user ID, used to find the
+// webhooks it created earlier. logger is console or a component logger.
+export function createWebhookSender({ getOwnerId, name = WEBHOOK_NAME, logger = console }) {
+  const webhooks = new Map(); // channel ID -> Promise of the webhook, or null
+  const failedAt = new Map(); // channel ID -> when webhooks last couldn't be used there
+  
+  // Reuse the bot's webhook in a channel, or create one
+  async function findOrCreate(channel) {
+    const existing = await channel.fetchWebhooks();
+    const own = existing.find(webhook => webhook.name === name && webhook.token && webhook.owner?.id === getOwnerId());
+    if (own) {
+      return own;
+    }
+    logger.info(`Creating webhook in channel ${channel.id}`);
+    return channel.createWebhook({ name, reason: 'Posting tweets as their authors' });
+  }
+  
+  // The webhook for a channel, or null to post as the bot
+  async function getWebhook(channel) {
+    if (!channel?.fetchWebhooks || Date.now() - (failedAt.get(channel.id) || 0) < FAILED_LOOKUP_TTL) {
+      return null;
+    }
+    if (!webhooks.has(channel.id)) {
+      webhooks.set(channel.id, findOrCreate(channel).catch(error => {
+        logger.warn(`Can't use a webhook in channel ${channel.id}, posting as the bot instead:`, error.message);
+        failedAt.set(channel.id, Date.now());
+        webhooks.delete(channel.id);
+        return null;
+      }));
+    }
+    return webhooks.get(channel.id);
+  }
+  
+  // Threads are posted to through their parent channel's webhook
+  function splitThread(target) {
+    const thread = target.isThread?.() ? target : null;
+    return { thread, channel: thread ? target.parent : target };
+  }
+  
+  return {
+    // Send a message to a channel or thread as author ({ name, avatarUrl })
+    async send(target, message, author = null) {
+      const { thread, channel } = splitThread(target);
+      const webhook = await getWebhook(channel);
+      if (!webhook) {
+        return target.send(message);
+      }
+      
+      try {
+        return await webhook.send({
+          ...message,
+          username: toWebhookUsername(author?.name),
+          avatarURL: author?.avatarUrl,
+          threadId: thread?.id
+        });
+      } catch (error) {
+        // Someone deleted the webhook; a new one is created on the next try
+        if (error.code === UNKNOWN_WEBHOOK) {
+          webhooks.delete(channel.id);
+        }
+        throw error;
+      }
+    },
+    
+    // Edit a message, through the webhook that posted it if there is one
+    async editMessage(message, data) {
+      if (!message.webhookId) {
+        return message.edit(data);
+      }
+      const { thread, channel } = splitThread(message.channel);
+      const webhook = await getWebhook(channel);
+      if (!webhook || webhook.id !== message.webhookId) {
+        throw new Error(`Message ${message.id} was posted by a webhook the bot doesn't have`);
+      }
+      return webhook.editMessage(message, { ...data, threadId: thread?.id });
+    }
+  };
+}
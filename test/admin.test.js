@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openTweetStore } from '../src/store.js';
+import { parseAdminArgs, parseDuration, getStateStatus, formatStateStatus, formatBytes, markTweetsSeen, unmarkTweets } from '../src/admin.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('parses commands, arguments and options', () => {
+  assert.deepEqual(parseAdminArgs(['replay', '123', '--channel', '456', '--send']), { command: 'replay', args: ['123'], options: { channel: '456', send: true } });
+  assert.deepEqual(parseAdminArgs(['reset', '--older-than=30d']), { command: 'reset', args: [], options: { 'older-than': '30d' } });
+  assert.deepEqual(parseAdminArgs([]), { command: null, args: [], options: {} });
+  assert.throws(() => parseAdminArgs(['replay', '123', '--output']), /--output needs a value/);
+  
+  assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+  assert.equal(parseDuration('12h'), 12 * HOUR);
+  assert.equal(parseDuration('7D'), 7 * 24 * HOUR);
+  assert.equal(parseDuration('0d'), null);
+  assert.equal(parseDuration('7 days'), null);
+});
+
+test('marks tweets as seen and forgets them by ID', () => {
+  const store = openTweetStore(':memory:');
+  
+  assert.deepEqual(markTweetsSeen(store, ['1', '2']), ['1', '2']);
+  assert.deepEqual(markTweetsSeen(store, ['2', '3']), ['3']);
+  assert.equal(store.hasSeen('3'), true);
+  
+  assert.deepEqual(unmarkTweets(store, ['1', '4']), ['1']);
+  assert.equal(store.hasSeen('1'), false);
+  assert.equal(store.count(), 2);
+  
+  store.close();
+});
+
+test('shows the size of the state and the last fetch time', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-test-'));
+  const dbFile = path.join(dir, 'tweets.db');
+  const stateFile = path.join(dir, 'bot_state.json');
+  const now = Date.parse('2024-05-13T10:00:00.000Z');
+  fs.writeFileSync(stateFile, JSON.stringify({ lastFetchTimestamp: now - 2 * HOUR, paused: true, mutedUsernames: ['spammer'], routes: [{ name: 'extra' }] }));
+  
+  const store = openTweetStore(dbFile);
+  try {
+    markTweetsSeen(store, ['1', '2']);
+    store.markSeen({ id: '3' }, { status: 'filtered', filterReason: 'spam: 9 hashtags' });
+    
+    const status = getStateStatus({ store, dbFile, stateFile });
+    assert.ok(status.dbSize > 0);
+    assert.deepEqual(status.tweetsByStatus, { seen: 2, filtered: 1 });
+    
+    const lines = formatStateStatus({ ...status, dbSize: 1536 }, now).split('\n');
+    assert.deepEqual(lines, [
+      `Tweet store: ${dbFile} (1.5 KB)`,
+      'Tweets: 3 (2 seen, 1 filtered)',
+      'Deliveries: 0 pending, 0 sent, 0 failed',
+      'Last fetch: 2024-05-13T08:00:00.000Z (2h ago)',
+      'State: Paused',
+      'Muted accounts: @spammer',
+      'Routes added with slash commands: 1'
+    ]);
+  } finally {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(3 * 1024 * 1024), '3.0 MB');
+});
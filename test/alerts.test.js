@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileAlertRules, alertRuleMatches, createAlertEvaluator, applyAlert } from '../src/alerts.js';
+
+const MINUTE = 60 * 1000;
+
+test('compiles alert rules and rejects invalid ones', () => {
+  const [rule] = compileAlertRules([{
+    name: 'callers',
+    usernames: ['@Ansem'],
+    types: 'tweet',
+    keywords: ['Presale'],
+    hasContractAddress: true,
+    roles: ['111'],
+    color: '#ff4500',
+    cooldownMinutes: 5
+  }]);
+  assert.deepEqual(rule, {
+    name: 'callers',
+    usernames: ['ansem'],
+    types: ['tweet'],
+    patterns: null,
+    keywords: ['presale'],
+    hasContractAddress: true,
+    roles: ['111'],
+    users: [],
+    color: 0xFF4500,
+    cooldown: 5 * MINUTE
+  });
+  
+  assert.throws(() => compileAlertRules([{ name: 'quiet', usernames: ['ansem'] }]), /has no roles, users or color/);
+  assert.throws(() => compileAlertRules([{ name: 'red', color: 'red' }]), /invalid color "red"/);
+  assert.throws(() => compileAlertRules([{ name: 'odd', types: ['quote'], roles: ['1'] }]), /Alert rule "odd" has unknown tweet type "quote"/);
+  assert.throws(() => compileAlertRules([{ name: 'bad', patterns: ['('], roles: ['1'] }]), /invalid pattern/);
+});
+
+test('matches rules on every criterion they define', () => {
+  const [rule] = compileAlertRules([{ usernames: ['ansem'], patterns: ['\\bcall\\b'], hasContractAddress: true, users: ['1'] }]);
+  const tweet = { username: 'Ansem', tweetType: 'tweet', text: 'new call', hasContractAddress: true };
+  
+  assert.equal(alertRuleMatches(rule, tweet), true);
+  assert.equal(alertRuleMatches(rule, { ...tweet, username: 'someone' }), false);
+  assert.equal(alertRuleMatches(rule, { ...tweet, text: 'recall' }), false);
+  assert.equal(alertRuleMatches(rule, { ...tweet, hasContractAddress: false }), false);
+  
+  const [anyTweet] = compileAlertRules([{ color: '#FF0000' }]);
+  assert.equal(alertRuleMatches(anyTweet, { ...tweet, hasContractAddress: false }), true);
+});
+
+test('pings once per cooldown and keeps the highlight in between', () => {
+  const clock = { time: 0 };
+  const evaluator = createAlertEvaluator({ now: () => clock.time });
+  const rules = compileAlertRules([
+    { name: 'callers', usernames: ['ansem'], roles: ['111'], color: '#FF4500', cooldownMinutes: 10 },
+    { name: 'cas', hasContractAddress: true, users: ['222'], cooldownMinutes: 0 }
+  ]);
+  const tweet = { username: 'ansem', tweetType: 'tweet', text: 'gm', hasContractAddress: false };
+  
+  assert.deepEqual(evaluator.evaluate(rules, tweet), { rules: ['callers'], color: 0xFF4500, roles: ['111'], users: [], pinged: ['callers'] });
+  
+  clock.time = 5 * MINUTE;
+  assert.deepEqual(evaluator.evaluate(rules, { ...tweet, hasContractAddress: true }), { rules: ['callers', 'cas'], color: 0xFF4500, roles: [], users: ['222'], pinged: ['cas'] });
+  assert.equal(evaluator.evaluate(rules, { ...tweet, username: 'someone' }), null);
+  
+  // Replays don't ping or start a cooldown
+  clock.time = 10 * MINUTE;
+  assert.deepEqual(evaluator.evaluate(rules, tweet, { ping: false }).pinged, []);
+  assert.deepEqual(evaluator.evaluate(rules, tweet).pinged, ['callers']);
+});
+
+test('applies the color and mentions to the first message of a payload', () => {
+  const payload = { messages: [{ embeds: [{ color: 0x1DA1F2, description: 'gm' }] }, { files: [] }] };
+  
+  applyAlert(payload, { color: 0xFF4500, roles: ['111'], users: ['222'] });
+  assert.deepEqual(payload.messages, [
+    {
+      embeds: [{ color: 0xFF4500, description: 'gm' }],
+      content: '<@&111> <@222>',
+      allowedMentions: { roles: ['111'], users: ['222'] }
+    },
+    { files: [] }
+  ]);
+});
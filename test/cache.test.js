@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { downloadToFile, sweepCache } from '../src/cache.js';
+
+function makeDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+}
+
+// Serve body at every path, with a Content-Length unless chunked is set
+async function serve(body, { chunked = false } = {}) {
+  const server = http.createServer((req, res) => {
+    if (chunked) {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      res.write(body.subarray(0, body.length / 2));
+      res.end(body.subarray(body.length / 2));
+    } else {
+      res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': body.length });
+      res.end(body);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/video.mp4`,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+test('streams a download to disk and returns its size', async () => {
+  const dir = makeDir();
+  const server = await serve(Buffer.alloc(5000, 1), { chunked: true });
+  
+  try {
+    const filePath = path.join(dir, 'video.mp4');
+    assert.equal(await downloadToFile(server.url, filePath, { maxBytes: 5000 }), 5000);
+    assert.equal(fs.statSync(filePath).size, 5000);
+    assert.deepEqual(fs.readdirSync(dir), ['video.mp4']);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('stops downloads over the size cap and leaves no partial file', async () => {
+  const dir = makeDir();
+  const declared = await serve(Buffer.alloc(5000));
+  const chunked = await serve(Buffer.alloc(5000), { chunked: true });
+  
+  try {
+    for (const server of [declared, chunked]) {
+      await assert.rejects(downloadToFile(server.url, path.join(dir, 'video.mp4'), { maxBytes: 4000 }), error => {
+        assert.equal(error.code, 'FILE_TOO_LARGE');
+        assert.equal(error.permanent, true);
+        return true;
+      });
+    }
+    assert.deepEqual(fs.readdirSync(dir), []);
+  } finally {
+    await declared.close();
+    await chunked.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sweeps old cache files that no delivery needs', () => {
+  const dir = makeDir();
+  const now = Date.now();
+  const write = (name, ageMs) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, 'video');
+    fs.utimesSync(filePath, new Date(now - ageMs), new Date(now - ageMs));
+    return filePath;
+  };
+  
+  try {
+    write('video_1_0.mp4', 2 * 60 * 60 * 1000);
+    write('video_2_0.mp4.part', 2 * 60 * 60 * 1000);
+    const queued = write('video_3_0.mp4', 2 * 60 * 60 * 1000);
+    write('video_4_0.mp4', 60 * 1000);
+    
+    const removed = sweepCache(dir, { maxAge: 60 * 60 * 1000, isFileQueued: filePath => filePath === queued, now });
+    assert.equal(removed, 2);
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['video_3_0.mp4', 'video_4_0.mp4']);
+    assert.equal(sweepCache(path.join(dir, 'missing'), { maxAge: 0 }), 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleTrackerCommand } from '../src/commands.js';
+import { compileRoute } from '../src/routing.js';
+
+// A /tracker interaction from a server administrator, recording the replies
+function makeInteraction(subcommand, group = null) {
+  const replies = [];
+  return {
+    replies,
+    memberPermissions: { has: () => true },
+    options: {
+      getSubcommandGroup: () => group,
+      getSubcommand: () => subcommand
+    },
+    async reply({ content }) {
+      replies.push(content);
+    }
+  };
+}
+
+test('keeps a long route list within Discord\'s message limit', async () => {
+  const routes = Array.from({ length: 60 }, (_, index) => compileRoute({
+    name: `route-${index}`,
+    usernames: [`account${index}`, `other${index}`],
+    channels: ['123456789012345678']
+  }));
+  const interaction = makeInteraction('list', 'route');
+  
+  await handleTrackerCommand(interaction, { listRoutes: () => routes });
+  const [content] = interaction.replies;
+  assert.ok(content.length <= 2000);
+  assert.match(content, /^\*\*route-0\*\* → <#123456789012345678>\n  accounts: @account0, @other0\n/);
+  assert.match(content, /\n… and \d+ more$/);
+});
+
+test('cuts a long status reply to Discord\'s message limit', async () => {
+  const interaction = makeInteraction('status');
+  const status = {
+    paused: false,
+    lastFetchTimestamp: null,
+    processedCount: 0,
+    polling: null,
+    deliveryLatency: null,
+    deliveries: { pending: 0, sent: 0, failed: 0 },
+    routeCount: 0,
+    defaultChannels: [],
+    mutedUsernames: Array.from({ length: 300 }, (_, index) => `muted_account_${index}`)
+  };
+  
+  await handleTrackerCommand(interaction, { getStatus: () => status });
+  const [content] = interaction.replies;
+  assert.equal(content.length, 2000);
+  assert.match(content, /^\*\*State:\*\* Running\n/);
+  assert.match(content, /…$/);
+});
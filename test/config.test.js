@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, diffSettings, findConfigFile, toFileKey } from '../src/config.js';
+
+const TOKEN = 'MTIzNDU2Nzg5MDEyMzQ1Njc4OQ.GabcDe.abcdefghijklmnopqrstuvwxyz012345';
+const CHANNEL_ID = '123456789012345678';
+
+// Write a config file into a fresh temp directory
+function writeConfig(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, contents);
+  return { dir, file };
+}
+
+test('uses defaults, then the file, then the profile, then the environment', () => {
+  const { dir, file } = writeConfig('config.yaml', [
+    'discordChannelId: "111111111111111111"',
+    'pollingInterval: 1000',
+    'threadMode: thread',
+    'profiles:',
+    '  staging:',
+    '    pollingInterval: 2000',
+    '    mutedAccounts: [spammer, "@Other"]',
+    ''
+  ].join('\n'));
+  
+  const config = loadConfig({ file, profile: 'staging', env: { DISCORD_TOKEN: TOKEN, THREAD_MODE: 'off' }, baseDir: dir });
+  assert.deepEqual(config.errors, []);
+  assert.equal(config.settings.DISCORD_CHANNEL_ID, '111111111111111111');
+  assert.equal(config.settings.POLLING_INTERVAL, 2000);
+  assert.equal(config.settings.IDLE_POLLING_INTERVAL, 3000);
+  assert.equal(config.settings.THREAD_MODE, 'off');
+  assert.deepEqual(config.settings.MUTED_ACCOUNTS, ['spammer', '@Other']);
+  assert.equal(config.settings.STATE_DB_FILE, path.join(dir, 'tweets.db'));
+  assert.equal(config.origins.POLLING_INTERVAL, 'profile:staging');
+  assert.equal(config.origins.THREAD_MODE, 'env:THREAD_MODE');
+  assert.equal(config.origins.CATCH_UP_MAX_TWEETS, 'default');
+});
+
+test('parses environment variables and accepts old names', () => {
+  const config = loadConfig({
+    env: {
+      DISCORD_TOKEN: TOKEN,
+      DISCORD_CHANNEL_ID: CHANNEL_ID,
+      POLLING_INTERVAL: '600',
+      AXIOM_TWITTER_API_URL: 'https://api.example.com/tweets',
+      TWEET_SOURCES: 'bullx, axiom',
+      LOG_LEVELS: 'fetch=warn,media=debug'
+    }
+  });
+  
+  assert.deepEqual(config.errors, []);
+  assert.equal(config.settings.POLLING_INTERVAL, 600);
+  assert.equal(config.settings.BULLX_TWEETS_URL, 'https://api.example.com/tweets');
+  assert.deepEqual(config.settings.TWEET_SOURCES, ['bullx', 'axiom']);
+  assert.deepEqual(config.settings.LOG_LEVELS, { fetch: 'warn', media: 'debug' });
+});
+
+test('reports every invalid setting with where it came from', () => {
+  const { dir, file } = writeConfig('config.json', JSON.stringify({ discordChannelId: 123456789012345678, pollingInterval: 'fast', pollInterval: 300 }));
+  
+  const config = loadConfig({ file, env: { DISCORD_TOKEN: `Bot ${TOKEN}`, THREAD_MODE: 'sideways' }, baseDir: dir });
+  assert.equal(config.errors.length, 5);
+  assert.match(config.errors[0], /Unknown setting "pollInterval" in config\.json/);
+  assert.match(config.errors.find(error => error.startsWith('DISCORD_TOKEN')), /without the "Bot " prefix/);
+  assert.match(config.errors.find(error => error.startsWith('DISCORD_CHANNEL_ID')), /"discordChannelId" in config\.json\) must be a string \(quote the ID/);
+  assert.match(config.errors.find(error => error.startsWith('POLLING_INTERVAL')), /must be a number, got "fast"/);
+  assert.match(config.errors.find(error => error.startsWith('THREAD_MODE')), /environment variable THREAD_MODE\) must be one of message, thread, off/);
+});
+
+test('requires the token unless secrets are optional', () => {
+  assert.match(loadConfig({ env: {} }).errors[0], /DISCORD_TOKEN is required/);
+  assert.deepEqual(loadConfig({ env: {}, requireSecrets: false }).errors, []);
+  assert.match(loadConfig({ env: { DISCORD_TOKEN: 'not-a-token' } }).errors[0], /doesn't look like a Discord bot token/);
+});
+
+test('checks settings against each other', () => {
+  const config = loadConfig({ env: { DISCORD_TOKEN: TOKEN, POLLING_INTERVAL: '5000', IDLE_POLLING_INTERVAL: '1000' } });
+  assert.deepEqual(config.errors, ['IDLE_POLLING_INTERVAL must not be shorter than POLLING_INTERVAL']);
+});
+
+test('rejects unknown profiles and warns about secrets in the file', () => {
+  const { dir, file } = writeConfig('config.yml', `discordToken: ${TOKEN}\nprofiles:\n  prod: {}\n`);
+  
+  const config = loadConfig({ file, profile: 'staging', env: {}, baseDir: dir });
+  assert.deepEqual(config.errors, ['Profile "staging" is not defined in config.yml (profiles: prod)']);
+  assert.match(config.warnings[0], /discordToken is a secret/);
+  
+  assert.match(loadConfig({ profile: 'prod', env: { DISCORD_TOKEN: TOKEN } }).errors[0], /there is no config file/);
+});
+
+test('finds the config file by name or by the default names', () => {
+  const { dir, file } = writeConfig('config.yml', 'pollingInterval: 500\n');
+  assert.equal(findConfigFile(dir), file);
+  assert.equal(findConfigFile(dir, 'other.json'), path.join(dir, 'other.json'));
+  assert.equal(findConfigFile(path.join(dir, 'missing')), null);
+  assert.equal(toFileKey('CATCH_UP_MAX_AGE_MINUTES'), 'catchUpMaxAgeMinutes');
+});
+
+test('splits changed settings into reloadable and restart-required', () => {
+  const previous = loadConfig({ env: { DISCORD_TOKEN: TOKEN } }).settings;
+  const next = loadConfig({ env: { DISCORD_TOKEN: TOKEN, POLLING_INTERVAL: '1000', MUTED_ACCOUNTS: 'spammer', HEALTH_PORT: '9090' } }).settings;
+  
+  assert.deepEqual(diffSettings(previous, next), {
+    reloadable: ['POLLING_INTERVAL', 'MUTED_ACCOUNTS'],
+    restartRequired: ['HEALTH_PORT']
+  });
+  assert.deepEqual(diffSettings(previous, { ...previous }), { reloadable: [], restartRequired: [] });
+});
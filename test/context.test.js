@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getReferencedTweets,
+  isSelfReply,
+  groupThreads,
+  buildReplyField,
+  buildQuoteEmbed,
+  buildThreadDescription,
+  buildThreadField,
+  QUOTE_COLOR
+} from '../src/context.js';
+import { normalizeTweet } from '../src/sources/normalize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'bullx', `${name}.json`), 'utf8'));
+}
+
+function makeReply(id, username, parentId, parentUsername) {
+  return normalizeTweet({
+    id_str: id,
+    text: `tweet ${id}`,
+    user: { screen_name: username, name: username },
+    in_reply_to_status_id_str: parentId,
+    in_reply_to_screen_name: parentUsername
+  }, { source: 'bullx' });
+}
+
+function makeTweet(id, username) {
+  return normalizeTweet({ id_str: id, text: `tweet ${id}`, user: { screen_name: username, name: username } }, { source: 'bullx' });
+}
+
+test('shows the parent author and text of a reply', () => {
+  const detailed = loadFixture('detail-reply-parent-video');
+  const tweet = normalizeTweet(detailed, { source: 'bullx' });
+  const { parent, quoted } = getReferencedTweets(tweet, detailed);
+  
+  assert.equal(quoted, null);
+  assert.deepEqual(buildReplyField(parent), {
+    name: 'Replying to Degen Vids (@degenvids)',
+    value: '> this is going parabolic\n[View parent tweet](https://twitter.com/degenvids/status/1790000000000000002)'
+  });
+});
+
+test('falls back to the tweet store, then to the reference alone', () => {
+  const tweet = makeReply('2', 'alice', '1', 'bob');
+  
+  const stored = getReferencedTweets(tweet, null, {
+    findTweet: id => ({ id, author: 'bob', authorName: 'Bob', text: 'gm\nwagmi', url: 'https://twitter.com/bob/status/1' })
+  });
+  assert.deepEqual(buildReplyField(stored.parent), {
+    name: 'Replying to Bob (@bob)',
+    value: '> gm\n> wagmi\n[View parent tweet](https://twitter.com/bob/status/1)'
+  });
+  
+  const { parent } = getReferencedTweets(tweet, null);
+  assert.deepEqual(buildReplyField(parent), {
+    name: 'Replying to @bob',
+    value: '[View parent tweet](https://twitter.com/bob/status/1)'
+  });
+});
+
+test('renders a quoted tweet as a nested embed', () => {
+  const payload = {
+    id_str: '2',
+    text: 'look at this',
+    user: { screen_name: 'alice', name: 'Alice' },
+    quoted_status: {
+      id_str: '1',
+      text: 'the chart',
+      created_at: '2024-05-13T08:00:00.000Z',
+      user: { screen_name: 'bob', name: 'Bob', profile_image_url_https: 'https://pbs.twimg.com/bob.jpg' },
+      extended_entities: { media: [{ type: 'photo', media_url_https: 'https://pbs.twimg.com/media/chart.jpg' }] }
+    }
+  };
+  const tweet = normalizeTweet(payload, { source: 'bullx' });
+  const { quoted } = getReferencedTweets(tweet, null);
+  
+  const embed = buildQuoteEmbed(quoted).toJSON();
+  assert.equal(embed.color, parseInt(QUOTE_COLOR.slice(1), 16));
+  assert.equal(embed.url, 'https://twitter.com/bob/status/1');
+  assert.equal(embed.description, 'the chart');
+  assert.deepEqual(embed.author, { name: 'Bob (@bob)', icon_url: 'https://pbs.twimg.com/bob.jpg', url: 'https://twitter.com/bob' });
+  assert.equal(embed.image.url, 'https://pbs.twimg.com/media/chart.jpg');
+  assert.equal(embed.timestamp, '2024-05-13T08:00:00.000Z');
+  
+  assert.equal(buildQuoteEmbed(quoted, { showMedia: false }).toJSON().image, undefined);
+});
+
+test('recognizes self-replies', () => {
+  assert.equal(isSelfReply(makeReply('2', 'alice', '1', 'Alice')), true);
+  assert.equal(isSelfReply(makeReply('2', 'alice', '1', 'bob')), false);
+  assert.equal(isSelfReply(makeTweet('1', 'alice')), false);
+});
+
+test('groups consecutive self-replies into threads', () => {
+  const tweets = [
+    makeTweet('1', 'alice'),
+    makeTweet('2', 'bob'),
+    makeReply('3', 'alice', '1', 'alice'),
+    makeReply('4', 'bob', '1', 'alice'),
+    makeReply('5', 'alice', '3', 'alice'),
+    makeReply('6', 'alice', '3', 'alice')
+  ];
+  
+  assert.deepEqual(groupThreads(tweets).map(group => group.map(tweet => tweet.id)), [['1', '3', '5'], ['2'], ['4'], ['6']]);
+});
+
+test('formats a thread as one numbered description with links', () => {
+  const tweets = [makeTweet('1', 'alice'), makeReply('2', 'alice', '1', 'alice')];
+  
+  assert.equal(buildThreadDescription(tweets), '**1/2** tweet 1\n\n**2/2** tweet 2');
+  assert.deepEqual(buildThreadField(tweets), {
+    name: 'Thread of 2 tweets',
+    value: '[1](https://twitter.com/alice/status/1) • [2](https://twitter.com/alice/status/2)'
+  });
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeForComparison, textSimilarity, createDuplicateDetector, markEmbedAlsoPosted, ALSO_POSTED_FIELD } from '../src/dedup.js';
+
+const SOL_ADDRESS = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const OPTIONS = { channelIds: ['1'], window: 60 * 1000, similarity: 0.85 };
+
+function makeTweet(id, username, text) {
+  return { id, url: `https://twitter.com/${username}/status/${id}`, text, type: 'tweet', author: { username }, urls: [] };
+}
+
+test('compares tweet texts without links, mentions or punctuation', () => {
+  assert.equal(normalizeForComparison('GM @ansem!! $WIF to the moon https://t.co/abc'), 'gm $wif to the moon');
+  assert.equal(textSimilarity('$WIF to the moon, loading up here', '$wif to the moon... loading up here https://t.co/x'), 1);
+  assert.ok(textSimilarity('$WIF to the moon, loading up here', 'selling all my $BONK before the weekend') < 0.3);
+  assert.equal(textSimilarity('', ''), 0);
+});
+
+test('finds near-duplicates from other accounts within the window', () => {
+  const clock = { time: 0 };
+  const detector = createDuplicateDetector({ now: () => clock.time });
+  detector.add(makeTweet('1', 'ansem', `new gem, aping now ${SOL_ADDRESS}`), { channelIds: ['1', '2'], alertRules: ['cas'] });
+  detector.add(makeTweet('2', 'ansem', 'huge news for the $WIF community today, read this'), { channelIds: ['1'] });
+  
+  clock.time = 30 * 1000;
+  assert.deepEqual(detector.find(makeTweet('3', 'shill1', `${SOL_ADDRESS} 🚀`), OPTIONS), { tweetId: '1', reason: 'contract_address', alertRules: ['cas'] });
+  assert.deepEqual(detector.find(makeTweet('4', 'shill2', 'HUGE news for the $WIF community today! read this'), OPTIONS), { tweetId: '2', reason: 'text', alertRules: [] });
+  
+  // Not from the same account, not too short, not to channels the first tweet wasn't posted to
+  assert.equal(detector.find(makeTweet('5', 'Ansem', `aping more ${SOL_ADDRESS}`), OPTIONS), null);
+  assert.equal(detector.find(makeTweet('6', 'shill1', 'gm'), OPTIONS), null);
+  assert.equal(detector.find(makeTweet('7', 'shill1', `${SOL_ADDRESS}`), { ...OPTIONS, channelIds: ['3'] }), null);
+  
+  clock.time = 60 * 1000;
+  assert.equal(detector.find(makeTweet('8', 'shill1', `${SOL_ADDRESS} 🚀`), OPTIONS), null);
+});
+
+test('lists the accounts that also posted on the embed', () => {
+  const duplicates = [
+    { author: 'shill1', url: 'https://twitter.com/shill1/status/3' },
+    { author: 'shill2', url: 'https://twitter.com/shill2/status/4' }
+  ];
+  const embed = { title: 'tweet', fields: [{ name: 'Tokens', value: '$WIF' }, { name: ALSO_POSTED_FIELD, value: 'old' }] };
+  
+  assert.deepEqual(markEmbedAlsoPosted(embed, duplicates).fields, [
+    { name: 'Tokens', value: '$WIF' },
+    { name: ALSO_POSTED_FIELD, value: '[@shill1](https://twitter.com/shill1/status/3), [@shill2](https://twitter.com/shill2/status/4)' }
+  ]);
+  
+  const many = Array.from({ length: 40 }, (_, index) => ({ author: `shill${index}`, url: `https://twitter.com/shill${index}/status/${index}` }));
+  const { value } = markEmbedAlsoPosted({}, many).fields[0];
+  assert.ok(value.length <= 1024);
+  assert.match(value, /\) and \d+ more$/);  
+  // A link too long for the field on its own leaves only the count
+  const longUrl = `https://twitter.com/shill1/status/3?${'x'.repeat(1024)}`;
+  assert.equal(markEmbedAlsoPosted({}, [{ author: 'shill1', url: longUrl }]).fields[0].value, '1 account');
+  assert.equal(markEmbedAlsoPosted({}, [{ author: 'shill1', url: longUrl }, ...duplicates]).fields[0].value, '3 accounts');
+});
+
+test('makes room for the list on an embed at the field limit', () => {
+  const duplicates = [{ author: 'shill1', url: 'https://twitter.com/shill1/status/3' }];
+  const field = index => ({ name: `Field ${index}`, value: 'value' });
+  const cashtag = ticker => ({ name: `$${ticker}`, value: 'links', inline: true });
+  
+  // The last cashtag goes first
+  const withCashtags = [field(0), cashtag('WIF'), cashtag('BONK'), ...Array.from({ length: 22 }, (_, index) => field(index + 1))];
+  const fields = markEmbedAlsoPosted({ fields: withCashtags }, duplicates).fields;
+  assert.equal(fields.length, 25);
+  assert.deepEqual(fields.slice(0, 3), [field(0), cashtag('WIF'), field(1)]);
+  assert.equal(fields[24].name, ALSO_POSTED_FIELD);
+  
+  // Without inline fields the last one goes
+  const full = Array.from({ length: 25 }, (_, index) => field(index));
+  assert.deepEqual(markEmbedAlsoPosted({ fields: full }, duplicates).fields.map(({ name }) => name), [
+    ...full.slice(0, 24).map(({ name }) => name),
+    ALSO_POSTED_FIELD
+  ]);
+  
+  // Replacing an earlier list needs no room
+  const listed = [...full.slice(0, 24), { name: ALSO_POSTED_FIELD, value: 'old' }];
+  assert.deepEqual(markEmbedAlsoPosted({ fields: listed }, duplicates).fields.slice(0, 24), full.slice(0, 24));
+});
@@ -0,0 +1,231 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { openTweetStore } from '../src/store.js';
+import { createDeliveryQueue, isPermanentError, getDiscordRetryAfter } from '../src/delivery.js';
+
+function makeTweet(id, createdAt) {
+  return {
+    id,
+    source: 'bullx',
+    url: `https://twitter.com/alice/status/${id}`,
+    text: `tweet ${id}`,
+    type: 'tweet',
+    createdAt,
+    author: { username: 'alice', name: 'Alice' }
+  };
+}
+
+function toDestinations(channelIds, payload) {
+  return channelIds.map(channelId => ({ channelId, payload }));
+}
+
+function makePayload(id, extraMessages = []) {
+  return { messages: [{ embeds: [{ description: `tweet ${id}` }] }, ...extraMessages] };
+}
+
+// A fake channel that records what was sent, failing the sends given in failures
+function makeChannel(id, failures = []) {
+  const sent = [];
+  let calls = 0;
+  return {
+    id,
+    sent,
+    async send(message) {
+      const failure = failures[calls++];
+      if (failure) {
+        throw failure;
+      }
+      sent.push(message);
+      return { id: `m${calls}` };
+    }
+  };
+}
+
+function discordError(code) {
+  const error = new Error(`Discord error ${code}`);
+  error.code = code;
+  return error;
+}
+
+// Wait until a condition holds, failing after a second
+async function waitFor(condition) {
+  const deadline = Date.now() + 1000;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the delivery queue');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+test('sends each channel its tweets oldest first', async () => {
+  const store = openTweetStore(':memory:');
+  const channels = { 100: makeChannel('100'), 200: makeChannel('200') };
+  const queue = createDeliveryQueue({ store, getChannel: async id => channels[id] });
+  
+  queue.enqueue(makeTweet('3', 3000), toDestinations(['100', '200'], makePayload('3')));
+  queue.enqueue(makeTweet('1', 1000), toDestinations(['100'], makePayload('1')));
+  queue.enqueue(makeTweet('2', 2000), toDestinations(['100', '200'], makePayload('2')));
+  assert.equal(store.getTweet('1').status, 'queued');
+  
+  queue.start();
+  await waitFor(() => queue.getStats().pending === 0);
+  await queue.stop();
+  
+  assert.deepEqual(channels[100].sent.map(message => message.embeds[0].description), ['tweet 1', 'tweet 2', 'tweet 3']);
+  assert.deepEqual(channels[200].sent.map(message => message.embeds[0].description), ['tweet 2', 'tweet 3']);
+  assert.deepEqual(queue.getStats(), { pending: 0, sent: 5, failed: 0 });
+  assert.equal(store.getTweet('3').status, 'delivered');
+  
+  store.close();
+});
+
+test('retries failed sends with backoff, holding back later tweets', async () => {
+  const store = openTweetStore(':memory:');
+  const channel = makeChannel('100', [new Error('socket hang up'), new Error('socket hang up')]);
+  const finished = [];
+  const queue = createDeliveryQueue({
+    store,
+    getChannel: async () => channel,
+    baseDelay: 10,
+    onFinished: delivery => finished.push(delivery)
+  });
+  
+  queue.enqueue(makeTweet('1', 1000), toDestinations(['100'], makePayload('1')));
+  queue.enqueue(makeTweet('2', 2000), toDestinations(['100'], makePayload('2')));
+  queue.start();
+  await waitFor(() => finished.length === 2);
+  await queue.stop();
+  
+  assert.deepEqual(channel.sent.map(message => message.embeds[0].description), ['tweet 1', 'tweet 2']);
+  assert.equal(finished[0].tweetId, '1');
+  assert.equal(finished[0].attempts, 2);
+  assert.deepEqual(store.getDeliveries('1')[0].messageIds, ['m3']);
+  
+  store.close();
+});
+
+test('gives up on permanent errors and after the last attempt', async () => {
+  const store = openTweetStore(':memory:');
+  const channels = {
+    100: makeChannel('100', [discordError(50013)]),
+    200: makeChannel('200', [new Error('timeout'), new Error('timeout')])
+  };
+  const queue = createDeliveryQueue({ store, getChannel: async id => channels[id], maxAttempts: 2, baseDelay: 5 });
+  
+  queue.enqueue(makeTweet('1', 1000), toDestinations(['100', '200'], makePayload('1')));
+  queue.enqueue(makeTweet('2', 2000), toDestinations(['100'], makePayload('2')));
+  queue.start();
+  await waitFor(() => queue.getStats().pending === 0);
+  await queue.stop();
+  
+  const deliveries = store.getDeliveries('1');
+  assert.equal(deliveries[0].status, 'failed');
+  assert.equal(deliveries[0].attempts, 0);
+  assert.equal(deliveries[1].status, 'failed');
+  assert.equal(deliveries[1].error, 'timeout');
+  assert.equal(store.getTweet('1').status, 'failed');
+  assert.equal(store.getDeliveries('2')[0].status, 'sent');
+  
+  store.close();
+});
+
+test('picks up pending deliveries after a restart without repeating sent messages', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-delivery-'));
+  const videoPath = path.join(dir, 'video.mp4');
+  fs.writeFileSync(videoPath, 'video');
+  const payload = makePayload('1', [{ files: [{ attachment: videoPath, name: 'video.mp4' }] }]);
+  
+  // The embed goes out but the video fails, then the bot stops
+  let store = openTweetStore(path.join(dir, 'tweets.db'));
+  let channel = makeChannel('100', [null, new Error('socket hang up')]);
+  let queue = createDeliveryQueue({ store, getChannel: async () => channel, baseDelay: 10 });
+  queue.enqueue(makeTweet('1', 1000), toDestinations(['100'], payload));
+  queue.start();
+  await waitFor(() => store.getDeliveries('1')[0].attempts === 1);
+  await queue.stop();
+  store.close();
+  assert.equal(channel.sent.length, 1);
+  
+  store = openTweetStore(path.join(dir, 'tweets.db'));
+  channel = makeChannel('100');
+  queue = createDeliveryQueue({ store, getChannel: async () => channel });
+  queue.start();
+  await waitFor(() => queue.getStats().pending === 0);
+  await queue.stop();
+  
+  assert.deepEqual(channel.sent, [{ files: [{ attachment: videoPath, name: 'video.mp4' }] }]);
+  assert.deepEqual(store.getDeliveries('1')[0].messageIds, ['m1', 'm1']);
+  assert.equal(fs.existsSync(videoPath), false);
+  
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('adds the queue columns to an existing deliveries table', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-delivery-'));
+  const file = path.join(dir, 'tweets.db');
+  const db = new Database(file);
+  db.exec(`
+    CREATE TABLE deliveries (
+      tweet_id TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      message_ids TEXT NOT NULL DEFAULT '[]',
+      status TEXT NOT NULL,
+      error TEXT,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (tweet_id, channel_id)
+    );
+    INSERT INTO deliveries VALUES ('1', '100', '["m1"]', 'sent', NULL, 1000);
+  `);
+  db.close();
+  
+  const store = openTweetStore(file);
+  assert.equal(store.getDeliveries('1')[0].attempts, 0);
+  assert.deepEqual(store.countDeliveries(), { pending: 0, sent: 1, failed: 0 });
+  
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('classifies Discord errors', () => {
+  assert.equal(isPermanentError(discordError(50001)), true);
+  assert.equal(isPermanentError(discordError(500)), false);
+  assert.equal(isPermanentError(new Error('socket hang up')), false);
+  
+  assert.equal(getDiscordRetryAfter({ retryAfter: 1500 }), 1500);
+  assert.equal(getDiscordRetryAfter({ status: 429, rawError: { retry_after: 2.5 } }), 2500);
+  assert.equal(getDiscordRetryAfter(new Error('timeout')), null);
+});
+
+test('posts self-replies in a thread under the tweet they continue', async () => {
+  const store = openTweetStore(':memory:');
+  const threadMessages = [];
+  const thread = { id: 't1', send: async message => (threadMessages.push(message), { id: `tm${threadMessages.length}` }) };
+  const channel = makeChannel('100');
+  let startedWith = null;
+  channel.messages = {
+    fetch: async id => ({ id, thread: null, startThread: async options => (startedWith = { id, ...options }, thread) })
+  };
+  channel.threads = { fetch: async id => (id === thread.id ? thread : null) };
+  const queue = createDeliveryQueue({ store, getChannel: async () => channel });
+  
+  queue.enqueue(makeTweet('1', 1000), toDestinations(['100'], makePayload('1')));
+  queue.enqueue(makeTweet('2', 2000), toDestinations(['100'], { ...makePayload('2'), thread: { parentTweetId: '1', name: 'Thread by @alice' } }));
+  queue.enqueue(makeTweet('3', 3000), toDestinations(['100'], { ...makePayload('3'), thread: { parentTweetId: '2', name: 'Thread by @alice' } }));
+  queue.start();
+  await waitFor(() => queue.getStats().pending === 0);
+  await queue.stop();
+  
+  assert.deepEqual(startedWith, { id: 'm1', name: 'Thread by @alice' });
+  assert.deepEqual(channel.sent.map(message => message.embeds[0].description), ['tweet 1']);
+  assert.deepEqual(threadMessages.map(message => message.embeds[0].description), ['tweet 2', 'tweet 3']);
+  assert.equal(store.getDeliveries('1')[0].threadId, 't1');
+  assert.equal(store.getDeliveries('3')[0].threadId, 't1');
+  
+  store.close();
+});
@@ -0,0 +1,187 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openTweetStore } from '../src/store.js';
+import { compileRoutingTable, parseDigestWindow, resolveChannels } from '../src/routing.js';
+import { toDigestEntry, summarizeDigest, buildDigestMessage, formatDigestWindow, createDigestScheduler } from '../src/digest.js';
+
+const HOUR = 60 * 60 * 1000;
+const SOL_ADDRESS = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+
+function makeTweet(id, username, text, { media = [], raw = {}, createdAt = Date.parse('2024-05-13T08:00:00.000Z') } = {}) {
+  return {
+    id,
+    source: 'bullx',
+    url: `https://twitter.com/${username}/status/${id}`,
+    text,
+    type: 'tweet',
+    createdAt,
+    author: { username, name: username },
+    media,
+    urls: [],
+    raw
+  };
+}
+
+test('parses digest windows and compiles them on routes', () => {
+  assert.equal(parseDigestWindow('hourly'), HOUR);
+  assert.equal(parseDigestWindow('Daily'), 24 * HOUR);
+  assert.equal(parseDigestWindow('6h'), 6 * HOUR);
+  assert.equal(parseDigestWindow('30m'), 30 * 60 * 1000);
+  assert.equal(parseDigestWindow('0h'), null);
+  assert.equal(parseDigestWindow('weekly'), null);
+  
+  const table = compileRoutingTable({
+    routes: [
+      { name: 'daily', digest: { window: 'daily', top: 3 }, channels: ['1'] },
+      { name: 'live', channels: ['2'] }
+    ]
+  });
+  assert.deepEqual(table.routes[0].digest, { window: 24 * HOUR, top: 3 });
+  assert.equal(table.routes[1].digest, null);
+  assert.throws(() => compileRoutingTable({ routes: [{ name: 'bad', digest: 'weekly', channels: ['1'] }] }), /invalid digest window "weekly"/);
+  assert.throws(() => compileRoutingTable({ routes: [{ name: 'bad', digest: { window: 'hourly', top: 0 }, channels: ['1'] }] }), /invalid digest top/);
+  
+  assert.equal(formatDigestWindow(HOUR), 'Hourly');
+  assert.equal(formatDigestWindow(6 * HOUR), '6-hour');
+  assert.equal(formatDigestWindow(48 * HOUR), '2-day');
+  assert.equal(formatDigestWindow(30 * 60 * 1000), '30-minute');
+});
+
+test('resolves digest routes apart from the channels a tweet is posted to', () => {
+  const table = compileRoutingTable({
+    defaultChannels: ['9'],
+    routes: [
+      { name: 'kols', usernames: ['ansem'], digest: 'hourly', channels: ['1'] },
+      { name: 'calls', patterns: ['\\$WIF'], channels: ['2'] }
+    ]
+  });
+  
+  assert.deepEqual(resolveChannels(table, { username: 'ansem', tweetType: 'tweet', text: 'gm' }), { channelIds: [], routes: ['kols'], digests: ['kols'], filtered: [] });
+  assert.deepEqual(resolveChannels(table, { username: 'ansem', tweetType: 'tweet', text: '$WIF' }), { channelIds: ['2'], routes: ['kols', 'calls'], digests: ['kols'], filtered: [] });
+  assert.deepEqual(resolveChannels(table, { username: 'someone', tweetType: 'tweet', text: 'gm' }), { channelIds: ['9'], routes: [], digests: [], filtered: [] });
+});
+
+test('summarizes authors, tokens, top tweets and thumbnails', () => {
+  const entries = [
+    toDigestEntry(makeTweet('1', 'Ansem', `$WIF looks ready ${SOL_ADDRESS}`, { raw: { favorite_count: 10 } })),
+    toDigestEntry(makeTweet('2', 'ansem', '$WIF $WIF $BONK', { media: [{ type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg', previewUrl: 'https://pbs.twimg.com/media/a.jpg' }] })),
+    toDigestEntry(makeTweet('3', 'blknoiz06', `aping ${SOL_ADDRESS}`, { raw: { favorite_count: 50, retweet_count: 5 } }))
+  ];
+  
+  const summary = summarizeDigest(entries, { top: 2 });
+  assert.equal(summary.tweetCount, 3);
+  assert.deepEqual(summary.authors, [['Ansem', 2], ['blknoiz06', 1]]);
+  assert.deepEqual(summary.cashtags, [['WIF', 2], ['BONK', 1]]);
+  assert.deepEqual(summary.addresses, [[SOL_ADDRESS, 2]]);
+  assert.deepEqual(summary.topTweets.map(entry => entry.id), ['3', '1']);
+  assert.deepEqual(summary.thumbnails.map(entry => entry.id), ['2']);
+  
+  const message = buildDigestMessage(entries, {
+    routeName: 'kols',
+    window: HOUR,
+    from: Date.parse('2024-05-13T08:00:00.000Z'),
+    to: Date.parse('2024-05-13T09:00:00.000Z'),
+    top: 2
+  });
+  assert.deepEqual(message.embeds, [
+    {
+      color: 0x1DA1F2,
+      title: 'Hourly digest: kols',
+      url: 'https://twitter.com/blknoiz06/status/3',
+      description: '3 tweets from 2 accounts between <t:1715587200:f> and <t:1715590800:f>',
+      timestamp: '2024-05-13T09:00:00.000Z',
+      footer: { text: 'Hourly digest • via Twitter Feed', icon_url: 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png' },
+      fields: [
+        { name: 'Most active', value: '@Ansem: 2 tweets\n@blknoiz06: 1 tweet' },
+        { name: 'Top tickers', value: '$WIF (2)\n$BONK (1)', inline: true },
+        { name: 'Top contract addresses', value: `\`${SOL_ADDRESS}\` (2)`, inline: true },
+        { name: 'Top tweets', value: `[@blknoiz06](https://twitter.com/blknoiz06/status/3): aping ${SOL_ADDRESS}\n[@Ansem](https://twitter.com/Ansem/status/1): $WIF looks ready ${SOL_ADDRESS}` }
+      ],
+      image: { url: 'https://pbs.twimg.com/media/a.jpg' }
+    }
+  ]);
+});
+
+test('posts each digest once its window is over and retries channels that failed', async () => {
+  const store = openTweetStore(':memory:');
+  const routes = [{ name: 'kols', digest: 'hourly', channels: ['1', '2'] }];
+  const sent = [];
+  let failChannel = '2';
+  const clock = { time: Date.parse('2024-05-13T08:30:00.000Z') };
+  const scheduler = createDigestScheduler({
+    store,
+    getRoutingTable: () => compileRoutingTable({ routes }),
+    async send(channelId, message) {
+      if (channelId === failChannel) {
+        throw new Error('Missing Access');
+      }
+      sent.push({ channelId, message });
+    },
+    now: () => clock.time,
+    logger: { info() {}, error() {} }
+  });
+  
+  store.addDigestEntries(['kols'], [toDigestEntry(makeTweet('1', 'ansem', 'gm'))], Date.parse('2024-05-13T08:10:00.000Z'));
+  store.addDigestEntries(['kols'], [toDigestEntry(makeTweet('1', 'ansem', 'gm'))], Date.parse('2024-05-13T08:20:00.000Z'));
+  assert.equal(await scheduler.checkOnce(), 0);
+  assert.equal(sent.length, 0);
+  
+  // The next hour's tweets wait for the next digest
+  clock.time = Date.parse('2024-05-13T09:00:30.000Z');
+  store.addDigestEntries(['kols'], [toDigestEntry(makeTweet('2', 'ansem', 'gn'))], Date.parse('2024-05-13T09:00:10.000Z'));
+  assert.equal(await scheduler.checkOnce(), 0);
+  assert.deepEqual(sent.map(post => post.channelId), ['1']);
+  assert.equal(store.getDigestEntries('kols').length, 2);
+  
+  failChannel = null;
+  assert.equal(await scheduler.checkOnce(), 1);
+  assert.deepEqual(sent.map(post => post.channelId), ['1', '2']);
+  assert.match(sent[1].message.embeds[0].description, /^1 tweet from 1 account/);
+  assert.deepEqual(store.getDigestEntries('kols').map(entry => entry.id), ['2']);
+  
+  // A window without tweets posts nothing
+  assert.equal(await scheduler.checkOnce(), 0);
+  store.close();
+});
+
+test('retries a failed digest after the next window has started without posting it twice', async () => {
+  const store = openTweetStore(':memory:');
+  const routes = [{ name: 'kols', digest: 'hourly', channels: ['1', '2'] }];
+  const sent = [];
+  let failChannel = '2';
+  const clock = { time: Date.parse('2024-05-13T09:00:30.000Z') };
+  const scheduler = createDigestScheduler({
+    store,
+    getRoutingTable: () => compileRoutingTable({ routes }),
+    async send(channelId, message) {
+      if (channelId === failChannel) {
+        throw new Error('Missing Access');
+      }
+      sent.push({ channelId, to: message.embeds[0].timestamp });
+    },
+    now: () => clock.time,
+    logger: { info() {}, error() {} }
+  });
+  
+  store.addDigestEntries(['kols'], [toDigestEntry(makeTweet('1', 'ansem', 'gm'))], Date.parse('2024-05-13T08:10:00.000Z'));
+  assert.equal(await scheduler.checkOnce(), 0);
+  
+  // Channel 2 only comes back after the 10:00 window boundary
+  clock.time = Date.parse('2024-05-13T10:00:30.000Z');
+  store.addDigestEntries(['kols'], [toDigestEntry(makeTweet('2', 'ansem', 'gn'))], Date.parse('2024-05-13T09:10:00.000Z'));
+  failChannel = null;
+  assert.equal(await scheduler.checkOnce(), 1);
+  assert.deepEqual(sent, [
+    { channelId: '1', to: '2024-05-13T09:00:00.000Z' },
+    { channelId: '2', to: '2024-05-13T09:00:00.000Z' }
+  ]);
+  
+  // The next window's digest goes to both channels at the following check
+  assert.equal(await scheduler.checkOnce(), 1);
+  assert.deepEqual(sent.slice(2), [
+    { channelId: '1', to: '2024-05-13T10:00:00.000Z' },
+    { channelId: '2', to: '2024-05-13T10:00:00.000Z' }
+  ]);
+  assert.equal(store.getDigestEntries('kols').length, 0);
+  store.close();
+});
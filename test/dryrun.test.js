@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openTweetStore } from '../src/store.js';
+import { parseDryRunOption, createDryRunChannel, createDryRunOutput, snapshotTweetStore } from '../src/dryrun.js';
+
+const NOW = Date.parse('2024-05-13T08:00:00.000Z');
+
+test('reads the --dry-run option', () => {
+  assert.equal(parseDryRunOption([]), null);
+  assert.deepEqual(parseDryRunOption(['--dry-run']), { file: null });
+  assert.deepEqual(parseDryRunOption(['--dry-run=out.jsonl']), { file: 'out.jsonl' });
+});
+
+test('writes what is sent, edited and posted in threads instead of sending it', async () => {
+  const entries = [];
+  const channel = createDryRunChannel('100', { write: entry => entries.push(entry) }, { now: () => NOW });
+  
+  const message = await channel.send({ content: '<@&5>', allowedMentions: { roles: ['5'] }, embeds: [{ title: 'tweet' }], files: [{ name: 'gone.mp4', attachment: '/nonexistent/gone.mp4' }] });
+  assert.deepEqual(entries[0], {
+    dryRun: 'send',
+    time: '2024-05-13T08:00:00.000Z',
+    channelId: '100',
+    messageId: '100-1',
+    content: '<@&5>',
+    allowedMentions: { roles: ['5'] },
+    embeds: [{ title: 'tweet' }],
+    files: [{ name: 'gone.mp4', size: null }]
+  });
+  
+  const fetched = await channel.messages.fetch(message.id);
+  assert.deepEqual(fetched.embeds.map(embed => embed.toJSON()), [{ title: 'tweet' }]);
+  await fetched.edit({ embeds: [{ title: 'tweet (deleted)' }] });
+  assert.equal(entries[1].dryRun, 'edit');
+  assert.deepEqual(entries[1].embeds, [{ title: 'tweet (deleted)' }]);
+  
+  const thread = await fetched.startThread({ name: 'Thread by @ansem' });
+  await thread.send({ embeds: [{ title: 'reply' }] });
+  assert.equal(entries[2].channelId, '100-1-thread');
+  assert.equal(await channel.threads.fetch(thread.id), thread);
+  assert.equal((await channel.messages.fetch(message.id)).thread, thread);
+  
+  await assert.rejects(channel.messages.fetch('unknown'), /Unknown message/);
+});
+
+test('writes to a file and runs on a snapshot of the tweet store', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dryrun-test-'));
+  const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dryrun-test-'));
+  try {
+    const output = createDryRunOutput(path.join(dir, 'out.jsonl'));
+    const channel = createDryRunChannel('100', output, { now: () => NOW });
+    await channel.send({ embeds: [{ title: 'one' }] });
+    await channel.send({ embeds: [{ title: 'two' }] });
+    const lines = fs.readFileSync(path.join(dir, 'out.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.embeds[0].title), ['one', 'two']);
+    
+    const store = openTweetStore(path.join(dir, 'tweets.db'));
+    store.markSeen({ id: '1' });
+    const snapshot = openTweetStore(snapshotTweetStore(path.join(dir, 'tweets.db'), snapshotDir));
+    snapshot.markSeen({ id: '2' });
+    assert.equal(snapshot.hasSeen('1'), true);
+    assert.equal(store.hasSeen('2'), false);
+    store.close();
+    snapshot.close();
+    
+    // Without a tweet store the dry run starts from an empty one
+    assert.equal(snapshotTweetStore(path.join(dir, 'missing.db'), snapshotDir), path.join(snapshotDir, 'missing.db'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.rmSync(snapshotDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilters, checkFilters, detectSpam, DEFAULT_SPAM_RULES } from '../src/filters.js';
+import { compileRoutingTable, resolveChannels } from '../src/routing.js';
+
+function makeTweet(text, { username = 'ansem', type = 'tweet', media = [] } = {}) {
+  return { id: '1', text, type, author: { username, name: username }, media, raw: {} };
+}
+
+test('filters tweet types for everyone and per account', () => {
+  const filters = compileFilters({ types: ['tweet', 'reply'], accounts: { '@Ansem': { types: ['tweet'] }, blknoiz06: ['tweet', 'retweet'] } });
+  
+  assert.equal(checkFilters(filters, makeTweet('gm')), null);
+  assert.deepEqual(checkFilters(filters, makeTweet('gm', { type: 'reply' })), { kind: 'type', reason: 'reply not posted for @ansem' });
+  assert.deepEqual(checkFilters(filters, makeTweet('gm', { username: 'someone', type: 'retweet' })), { kind: 'type', reason: 'retweet not posted' });
+  assert.equal(checkFilters(filters, makeTweet('gm', { username: 'blknoiz06', type: 'retweet' })), null);
+  
+  assert.throws(() => compileFilters({ accounts: { ansem: ['quote'] } }), /Filter for @ansem has unknown tweet type "quote"/);
+  assert.throws(() => compileFilters({ block: ['('] }), /Filter blocklist has invalid pattern/);
+});
+
+test('applies the global allowlist before the blocklist', () => {
+  const filters = compileFilters({ allow: ['\\$[A-Z]+', 'pump\\.fun'], block: ['giveaway'] });
+  
+  assert.equal(checkFilters(filters, makeTweet('$WIF to the moon')), null);
+  assert.deepEqual(checkFilters(filters, makeTweet('gm')), { kind: 'allowlist', reason: 'not on the allowlist' });
+  assert.deepEqual(checkFilters(filters, makeTweet('$WIF GIVEAWAY')), { kind: 'blocklist', reason: 'blocked by /giveaway/' });
+});
+
+test('detects hashtag walls and replies that are only a link', () => {
+  assert.equal(detectSpam(makeTweet('#a #b #c #d #e #f'), DEFAULT_SPAM_RULES), '6 hashtags');
+  assert.equal(detectSpam(makeTweet('#a #b #c #d #e'), DEFAULT_SPAM_RULES), null);
+  assert.equal(detectSpam(makeTweet('@a @b @c @d @e @f @g @h @i gm'), DEFAULT_SPAM_RULES), '9 mentions');
+  assert.equal(detectSpam(makeTweet('@ansem https://t.co/xyz', { type: 'reply' }), DEFAULT_SPAM_RULES), 'reply with only a link');
+  assert.equal(detectSpam(makeTweet('@ansem look https://t.co/xyz', { type: 'reply' }), DEFAULT_SPAM_RULES), null);
+  assert.equal(detectSpam(makeTweet('@ansem https://t.co/xyz', { type: 'reply', media: [{ type: 'photo' }] }), DEFAULT_SPAM_RULES), null);
+  assert.equal(detectSpam(makeTweet('$A $B $C'), { ...DEFAULT_SPAM_RULES, maxCashtags: 2 }), '3 cashtags');
+  
+  const filters = compileFilters({ spam: { maxHashtags: 1, linkOnlyReplies: false } });
+  assert.deepEqual(checkFilters(filters, makeTweet('#a #b')), { kind: 'spam', reason: 'spam: 2 hashtags' });
+  assert.equal(checkFilters(filters, makeTweet('@ansem https://t.co/xyz', { type: 'reply' })), null);
+  assert.throws(() => compileFilters({ spam: { maxHashtags: -1 } }), /spam.maxHashtags must be a whole number/);
+});
+
+test('leaves a tweet out of routes whose own lists filter it', () => {
+  const table = compileRoutingTable({
+    defaultChannels: ['9'],
+    routes: [
+      { name: 'calls', usernames: ['ansem'], block: ['giveaway'], channels: ['1'] },
+      { name: 'cas', allow: ['pump\\.fun'], channels: ['2'] }
+    ]
+  });
+  const tweetInfo = text => ({ username: 'ansem', tweetType: 'tweet', text });
+  
+  assert.deepEqual(resolveChannels(table, tweetInfo('pump.fun/abc')).channelIds, ['1', '2']);
+  assert.deepEqual(resolveChannels(table, tweetInfo('pump.fun giveaway')), {
+    channelIds: ['2'],
+    routes: ['cas'],
+    digests: [],
+    filtered: ['blocked by /giveaway/ on route calls']
+  });
+  
+  // Filtered out of every route it matched, it doesn't fall back to the default channels
+  assert.deepEqual(resolveChannels(table, tweetInfo('giveaway')), {
+    channelIds: [],
+    routes: [],
+    digests: [],
+    filtered: ['blocked by /giveaway/ on route calls', 'not on the allowlist of route cas']
+  });
+  
+  assert.throws(() => compileRoutingTable({ routes: [{ name: 'quotes', types: ['Quote'], channels: ['1'] }] }), /Route "quotes" has unknown tweet type "quote"/);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { checkHealth, createHealthServer } from '../src/health.js';
+import { createMetricsRegistry } from '../src/metrics.js';
+
+const MINUTE = 60 * 1000;
+const NOW = 1715587200000;
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+test('is healthy while connected and fetching', () => {
+  const health = checkHealth({
+    discord: { ready: true },
+    lastFetchAt: NOW - 10 * 1000,
+    startedAt: NOW - 60 * MINUTE,
+    maxFetchAge: 5 * MINUTE,
+    now: NOW
+  });
+  
+  assert.equal(health.status, 'ok');
+  assert.deepEqual(health.problems, []);
+  assert.deepEqual(health.lastFetch, { at: new Date(NOW - 10 * 1000).toISOString(), ageSeconds: 10 });
+  assert.equal(health.uptimeSeconds, 3600);
+});
+
+test('is unhealthy when Discord disconnects or fetches go stale', () => {
+  const base = { discord: { ready: true }, startedAt: NOW - 60 * MINUTE, maxFetchAge: 5 * MINUTE, now: NOW };
+  
+  assert.deepEqual(checkHealth({ ...base, discord: { ready: false }, lastFetchAt: NOW }).problems, ['Discord is not connected']);
+  assert.deepEqual(checkHealth({ ...base, lastFetchAt: NOW - 10 * MINUTE }).problems, ['Last successful fetch was 600s ago']);
+  assert.deepEqual(checkHealth({ ...base, lastFetchAt: null }).problems, ['No successful fetch in the 3600s since startup']);
+  
+  // Startup gets the same grace period, and nothing is fetched while paused
+  assert.equal(checkHealth({ ...base, lastFetchAt: null, startedAt: NOW - MINUTE }).status, 'ok');
+  assert.equal(checkHealth({ ...base, lastFetchAt: NOW - 10 * MINUTE, paused: true }).status, 'ok');
+});
+
+test('serves /healthz and /metrics', async () => {
+  const metrics = createMetricsRegistry();
+  metrics.gauge('up', 'Up', () => 1);
+  let healthy = true;
+  const server = createHealthServer({
+    port: 0,
+    host: '127.0.0.1',
+    metrics,
+    getHealth: () => ({ status: healthy ? 'ok' : 'unhealthy', problems: healthy ? [] : ['Discord is not connected'] })
+  });
+  const port = await server.start();
+  
+  try {
+    const ok = await get(port, '/healthz');
+    assert.equal(ok.status, 200);
+    assert.equal(JSON.parse(ok.body).status, 'ok');
+    
+    healthy = false;
+    const unhealthy = await get(port, '/healthz');
+    assert.equal(unhealthy.status, 503);
+    assert.deepEqual(JSON.parse(unhealthy.body).problems, ['Discord is not connected']);
+    
+    const scrape = await get(port, '/metrics');
+    assert.equal(scrape.status, 200);
+    assert.match(scrape.headers['content-type'], /^text\/plain; version=0\.0\.4/);
+    assert.match(scrape.body, /^up 1$/m);
+    
+    assert.equal((await get(port, '/other')).status, 404);
+  } finally {
+    await server.stop();
+  }
+});
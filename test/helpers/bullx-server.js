@@ -0,0 +1,60 @@
+// Local stand-in for the BullX API that serves recorded payloads, for running
+// poll cycles offline: the feed at /feed, single tweets at /v2/tweet/<id> and
+// video files at /media/<path>. Video URLs in the payloads are rewritten to
+// point at the server, so media downloads stay local too.
+
+import http from 'http';
+
+const VIDEO_HOST = 'https://video.twimg.com/';
+
+// Start the server. tweets maps tweet IDs to the detail payloads served for
+// them; media maps paths on video.twimg.com to the bytes served for them.
+// Anything else is a 404, like a tweet BullX doesn't know.
+export async function startMockBullx({ tweets = {}, media = {} } = {}) {
+  let feed = { status: 200, body: { data: [] } };
+  const requests = [];
+  let baseUrl = null;
+  
+  function send(res, status, body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body).replaceAll(VIDEO_HOST, `${baseUrl}/media/`);
+    res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/html' : 'application/json' });
+    res.end(text);
+  }
+  
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, baseUrl);
+    requests.push(pathname);
+    
+    if (pathname === '/feed') {
+      send(res, feed.status, feed.body);
+    } else if (pathname.startsWith('/v2/tweet/')) {
+      const payload = tweets[pathname.slice('/v2/tweet/'.length)];
+      send(res, payload ? 200 : 404, payload ? { data: payload } : { error: 'Tweet not found' });
+    } else if (pathname.startsWith('/media/') && media[pathname.slice('/media/'.length)]) {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      res.end(media[pathname.slice('/media/'.length)]);
+    } else {
+      send(res, 404, { error: 'Not found' });
+    }
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  
+  return {
+    feedUrl: `${baseUrl}/feed`,
+    tweetUrlBase: `${baseUrl}/v2/tweet/`,
+    requests,
+    
+    // Serve this feed response from now on. A string body is sent as is, such
+    // as an HTML error page.
+    setFeed(body, status = 200) {
+      feed = { status, body };
+    },
+    
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
@@ -0,0 +1,39 @@
+// In-memory stand-in for a Discord text channel, recording what the delivery
+// queue sends: each message's text, mentions and embeds and the name and contents of its files,
+// read as they are sent because the queue deletes downloaded media afterwards.
+
+import fs from 'fs';
+
+export function createMemoryChannel(id) {
+  const messages = [];
+  
+  return {
+    id,
+    messages,
+    
+    async send(message) {
+      const sent = {
+        id: `${id}-${messages.length + 1}`,
+        url: `https://discord.com/channels/0/${id}/${id}-${messages.length + 1}`,
+        content: message.content,
+        allowedMentions: message.allowedMentions,
+        embeds: message.embeds || [],
+        files: (message.files || []).map(file => ({ name: file.name, data: fs.readFileSync(file.attachment) }))
+      };
+      messages.push(sent);
+      return sent;
+    },
+    
+    // Resolve once count messages have been sent, failing after two seconds
+    async waitForMessages(count) {
+      const deadline = Date.now() + 2000;
+      while (messages.length < count) {
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for ${count} messages in channel ${id}, got ${messages.length}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      return messages;
+    }
+  };
+}
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger, formatEntry, parseComponentLevels } from '../src/logger.js';
+import { createOpsAlerter } from '../src/ops.js';
+
+const NOW = new Date('2024-05-13T08:00:00.000Z');
+
+// A logger whose lines are collected as parsed entries
+function makeLogger(options = {}) {
+  const entries = [];
+  const log = createLogger({ ...options, write: line => entries.push(JSON.parse(line)), now: () => NOW });
+  return { log, entries };
+}
+
+test('writes console-style arguments as JSON entries', () => {
+  const error = Object.assign(new Error('Request failed with status code 429'), { response: { status: 429 } });
+  
+  const entry = formatEntry({ time: NOW.toISOString(), level: 'error', component: 'fetch', args: ['Error fetching tweets:', error, { source: 'bullx' }] });
+  assert.equal(entry.msg, 'Error fetching tweets');
+  assert.equal(entry.source, 'bullx');
+  assert.equal(entry.error.message, 'Request failed with status code 429');
+  assert.equal(entry.error.status, 429);
+  
+  assert.equal(formatEntry({ time: NOW.toISOString(), level: 'info', component: 'bot', args: ['Attempt 1/3 failed:', 'timeout', 3] }).msg, 'Attempt 1/3 failed: timeout 3');
+});
+
+test('keeps the entry\'s own fields when a logged object has fields of the same name', () => {
+  const { log, entries } = makeLogger();
+  
+  log.child('delivery').error('Send failed:', { level: 'debug', msg: 'context', component: 'other', time: 'never', channelId: '1' });
+  assert.deepEqual(entries, [{ time: NOW.toISOString(), level: 'error', component: 'delivery', msg: 'Send failed', channelId: '1' }]);
+  assert.deepEqual(Object.keys(entries[0]), ['time', 'level', 'component', 'msg', 'channelId']);
+});
+
+test('filters entries by component level', () => {
+  const { log, entries } = makeLogger({ level: 'info', levels: parseComponentLevels('fetch=warn, media=debug') });
+  
+  log.child('fetch').info('Fetching tweets');
+  log.child('fetch').error('Fetch failed');
+  log.child('media').debug('Downloading media');
+  log.child('delivery').debug('Cleaned up temp file');
+  log.info('Logged in');
+  
+  assert.deepEqual(entries.map(entry => `${entry.component}:${entry.level}:${entry.msg}`), [
+    'fetch:error:Fetch failed',
+    'media:debug:Downloading media',
+    'bot:info:Logged in'
+  ]);
+  assert.equal(entries[0].time, NOW.toISOString());
+  assert.throws(() => createLogger({ levels: { fetch: 'loud' } }), /Invalid log level "loud" for fetch/);
+  assert.throws(() => parseComponentLevels('fetch'), /expected component=level/);
+});
+
+test('rotates the log file by size', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-logs-'));
+  const file = path.join(dir, 'bot.log');
+  try {
+    const log = createLogger({ file, maxSize: 200, maxFiles: 2, write: () => {} });
+    for (let i = 0; i < 10; i++) {
+      log.info(`entry ${i}`);
+    }
+    
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['bot.log', 'bot.log.1', 'bot.log.2']);
+    const current = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).msg);
+    assert.equal(current[current.length - 1], 'entry 9');
+    assert.ok(fs.statSync(file).size <= 200);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sends each kind of ops alert at most once per cooldown', async () => {
+  let time = 0;
+  const sent = [];
+  const { log } = makeLogger({ level: 'silent' });
+  const alerter = createOpsAlerter({ send: async embed => sent.push(embed.toJSON()), cooldown: 1000, logger: log, now: () => time });
+  
+  assert.equal(await alerter.alert('auth:bullx', { title: 'Credentials rejected' }), true);
+  assert.equal(await alerter.alert('auth:bullx', { title: 'Credentials rejected' }), false);
+  assert.equal(await alerter.alert('auth:bullx', { title: 'Credentials rejected' }), false);
+  assert.equal(await alerter.alert('fetch-failures', { title: 'Fetching failed' }), true);
+  
+  time = 1500;
+  assert.equal(await alerter.alert('auth:bullx', { title: 'Credentials rejected' }), true);
+  
+  assert.deepEqual(sent.map(embed => embed.title), ['Credentials rejected', 'Fetching failed', 'Credentials rejected']);
+  assert.equal(sent[2].footer.text, '2 similar alerts held back since the last one');
+});
+
+test('logs ops alerts it fails to post instead of throwing', async () => {
+  const { log, entries } = makeLogger();
+  const alerter = createOpsAlerter({ send: async () => { throw new Error('Missing Access'); }, logger: log });
+  
+  assert.equal(await alerter.alert('delivery:1', { title: 'Could not send tweets to 1' }), false);
+  assert.deepEqual(entries.map(entry => entry.level), ['warn', 'error']);
+  assert.equal(entries[1].msg, 'Could not post ops alert "Could not send tweets to 1": Missing Access');
+});
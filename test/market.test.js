@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTokenData, createMockProvider, createCachedProvider, lookupMarketData, formatUsd, formatAge, formatMarketData } from '../src/market.js';
+
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const FIXTURES = {
+  [WIF]: { symbol: 'WIF', marketCap: 2.1e9 },
+  [BONK]: { symbol: 'BONK', marketCap: 1.5e9 }
+};
+
+// A mock provider counting its lookups, failing for the addresses in failing
+function countingProvider(failing = []) {
+  const mock = createMockProvider(FIXTURES);
+  const provider = {
+    name: 'mock',
+    calls: 0,
+    async getTokenData(address, chain) {
+      provider.calls++;
+      if (failing.includes(address)) {
+        throw new Error('provider unavailable');
+      }
+      return mock.getTokenData(address, chain);
+    }
+  };
+  return provider;
+}
+
+// A logger recording its error lines
+function makeLogger() {
+  const errors = [];
+  return { errors, error: (...args) => errors.push(args.join(' ')) };
+}
+
+test('maps token API fields onto one shape', () => {
+  assert.deepEqual(normalizeTokenData({
+    baseToken: { symbol: 'WIF', name: 'dogwifhat' },
+    priceUsd: '2.5',
+    fdv: 2.5e9,
+    liquidity: { usd: 1e7 },
+    volume: { h24: 3e8 },
+    pairCreatedAt: 1700000000
+  }), {
+    symbol: 'WIF',
+    name: 'dogwifhat',
+    priceUsd: 2.5,
+    marketCap: 2.5e9,
+    liquidity: 1e7,
+    volume24h: 3e8,
+    createdAt: 1700000000000,
+    holders: null
+  });
+  assert.equal(normalizeTokenData({ created_at: '2024-05-13T08:00:00.000Z' }).createdAt, Date.parse('2024-05-13T08:00:00.000Z'));
+  assert.equal(normalizeTokenData(null), null);
+});
+
+test('serves cached market data until the ttl runs out', async () => {
+  const clock = { time: 0 };
+  const provider = countingProvider();
+  const cached = createCachedProvider(provider, { ttl: 60 * 1000, now: () => clock.time });
+  
+  assert.equal((await cached.getTokenData(WIF, 'solana')).symbol, 'WIF');
+  clock.time = 59 * 1000;
+  assert.equal((await cached.getTokenData(WIF, 'solana')).symbol, 'WIF');
+  assert.equal(provider.calls, 1);
+  
+  // The same address on another chain is a separate entry
+  assert.equal((await cached.getTokenData(WIF, 'base')).symbol, 'WIF');
+  assert.equal(provider.calls, 2);
+  
+  clock.time = 61 * 1000;
+  await cached.getTokenData(WIF, 'solana');
+  assert.equal(provider.calls, 3);
+});
+
+test('shares one request between concurrent lookups of an address', async () => {
+  const provider = countingProvider();
+  const cached = createCachedProvider(provider, { now: () => 0 });
+  
+  const results = await Promise.all([
+    cached.getTokenData(WIF, 'solana'),
+    cached.getTokenData(WIF, 'solana'),
+    cached.getTokenData(WIF, 'solana')
+  ]);
+  assert.deepEqual(results.map(data => data.symbol), ['WIF', 'WIF', 'WIF']);
+  assert.equal(provider.calls, 1);
+});
+
+test('keeps failed lookups for the shorter error ttl', async () => {
+  const clock = { time: 0 };
+  const provider = countingProvider([WIF]);
+  const cached = createCachedProvider(provider, { ttl: 60 * 1000, errorTtl: 15 * 1000, now: () => clock.time });
+  
+  await assert.rejects(cached.getTokenData(WIF, 'solana'), /provider unavailable/);
+  clock.time = 10 * 1000;
+  await assert.rejects(cached.getTokenData(WIF, 'solana'), /provider unavailable/);
+  assert.equal(provider.calls, 1);
+  
+  clock.time = 26 * 1000;
+  await assert.rejects(cached.getTokenData(WIF, 'solana'), /provider unavailable/);
+  assert.equal(provider.calls, 2);
+});
+
+test('evicts the oldest entries once the cache is full', async () => {
+  const provider = countingProvider();
+  const cached = createCachedProvider(provider, { maxEntries: 1, now: () => 0 });
+  
+  await cached.getTokenData(WIF, 'solana');
+  await cached.getTokenData(BONK, 'solana');
+  assert.deepEqual([...cached.cache.keys()], [`solana:${BONK}`]);
+  
+  await cached.getTokenData(WIF, 'solana');
+  assert.equal(provider.calls, 3);
+});
+
+test('returns the market data that arrived in time and logs failed lookups', async () => {
+  const logger = makeLogger();
+  const provider = createCachedProvider(countingProvider([BONK]), { now: () => 0 });
+  
+  const results = await lookupMarketData(provider, [
+    { address: WIF, chain: 'solana' },
+    { address: BONK, chain: 'solana' },
+    { address: 'unknown', chain: 'solana' }
+  ], { logger });
+  assert.deepEqual([...results.keys()], [WIF]);
+  assert.equal(logger.errors.length, 1);
+  assert.match(logger.errors[0], new RegExp(`${BONK} failed: provider unavailable`));
+});
+
+test('gives up on lookups that take longer than the timeout', async () => {
+  const logger = makeLogger();
+  const slow = { name: 'slow', getTokenData: () => new Promise(() => {}) };
+  
+  const results = await lookupMarketData(slow, [{ address: WIF, chain: 'solana' }], { timeout: 20, logger });
+  assert.equal(results.size, 0);
+  assert.deepEqual(logger.errors, []);
+  assert.equal((await lookupMarketData(null, [{ address: WIF, chain: 'solana' }])).size, 0);
+});
+
+test('formats market data compactly', () => {
+  assert.equal(formatUsd(2.1e9), '$2.1B');
+  assert.equal(formatUsd(250e6), '$250M');
+  assert.equal(formatUsd(512), '$512');
+  assert.equal(formatUsd(0.00001234), '$0.000012');
+  assert.equal(formatUsd(null), 'n/a');
+  
+  assert.equal(formatAge(59 * 60 * 1000), '59m');
+  assert.equal(formatAge(3 * 60 * 60 * 1000), '3h');
+  assert.equal(formatAge(72 * 60 * 60 * 1000), '3d');
+  assert.equal(formatAge(-1), 'n/a');
+  
+  assert.equal(
+    formatMarketData({ marketCap: 2.1e9, liquidity: 5e6, volume24h: 12345, createdAt: 1000, holders: 12345 }, 1000 + 3 * 60 * 60 * 1000),
+    'MC $2.1B • Liq $5.0M • Vol 24h $12.3K • Age 3h • Holders 12,345'
+  );
+  assert.equal(formatMarketData({ marketCap: null, liquidity: null, volume24h: null, createdAt: null, holders: null }), 'MC n/a • Liq n/a • Vol 24h n/a • Age n/a • Holders n/a');
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  extractPayloadMedia,
+  extractMedia,
+  getBestVideoVariant,
+  getVariantsWithin,
+  estimateVariantSize,
+  partitionMedia,
+  dedupeMedia,
+  GALLERY_LIMIT
+} from '../src/media.js';
+import { normalizeTweet } from '../src/sources/normalize.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'bullx', `${name}.json`), 'utf8'));
+}
+
+test('returns every photo from extended_entities in order', () => {
+  const media = extractPayloadMedia(loadFixture('feed-photos'));
+  
+  assert.deepEqual(media.map(item => item.url), [
+    'https://pbs.twimg.com/media/GNa1.jpg',
+    'https://pbs.twimg.com/media/GNa2.jpg',
+    'https://pbs.twimg.com/media/GNa3.jpg'
+  ]);
+  assert.ok(media.every(item => item.type === 'photo'));
+});
+
+test('returns videos with all variants and picks the highest bitrate mp4', () => {
+  const [video] = extractPayloadMedia(loadFixture('feed-video'));
+  
+  assert.equal(video.type, 'video');
+  assert.equal(video.previewUrl, 'https://pbs.twimg.com/ext_tw_video_thumb/1790000000000000002/pu/img/thumb.jpg');
+  assert.equal(video.variants.length, 4);
+  assert.equal(getBestVideoVariant(video).url, 'https://video.twimg.com/ext_tw_video/1790000000000000002/pu/vid/720x1280/high.mp4');
+});
+
+test('picks the best variant estimated to fit an upload limit', () => {
+  const [video] = extractPayloadMedia(loadFixture('feed-video'));
+  
+  assert.equal(video.durationMs, 30000);
+  assert.equal(estimateVariantSize({ bitrate: 2176000 }, video.durationMs), 8976000);
+  assert.equal(estimateVariantSize({ bitrate: 0 }, video.durationMs), null);
+  assert.deepEqual(getVariantsWithin(video, 10 * 1024 * 1024).map(variant => variant.bitrate), [2176000, 950000, 632000]);
+  assert.deepEqual(getVariantsWithin(video, 4 * 1024 * 1024).map(variant => variant.bitrate), [950000, 632000]);
+  assert.deepEqual(getVariantsWithin(video, 1024 * 1024), []);
+  
+  // Without a duration nothing can be ruled out, so the download's size cap decides
+  assert.equal(getVariantsWithin({ ...video, durationMs: null }, 1024).length, 3);
+});
+
+test('falls back to link preview images from entities.urls', () => {
+  const media = extractPayloadMedia(loadFixture('feed-link-preview'));
+  
+  assert.deepEqual(media, [{
+    type: 'photo',
+    url: 'https://pbs.twimg.com/news_img/1/large.jpg',
+    previewUrl: 'https://pbs.twimg.com/news_img/1/large.jpg',
+    variants: []
+  }]);
+});
+
+test('prefers mediaDetails over the duplicate photos list of detailed payloads', () => {
+  const media = extractPayloadMedia(loadFixture('detail-photos'));
+  
+  assert.equal(media.length, 5);
+  assert.equal(media[4].url, 'https://pbs.twimg.com/media/P5.jpg');
+});
+
+test('keeps photos and GIFs together and labels animated_gif as gif', () => {
+  const media = extractPayloadMedia(loadFixture('detail-mixed'));
+  
+  assert.deepEqual(media.map(item => item.type), ['photo', 'gif']);
+  assert.equal(getBestVideoVariant(media[1]).url, 'https://video.twimg.com/tweet_video/M2.mp4');
+});
+
+test('reads syndication video objects that use src instead of url', () => {
+  const [video] = extractPayloadMedia(loadFixture('detail-syndication-video'));
+  
+  assert.equal(video.type, 'video');
+  assert.equal(video.previewUrl, 'https://pbs.twimg.com/ext_tw_video_thumb/6/pu/img/poster.jpg');
+  assert.equal(getBestVideoVariant(video).url, 'https://video.twimg.com/ext_tw_video/6/pu/vid/720x1280/v.mp4');
+});
+
+test('prefers the detailed payload over the media the feed reported', () => {
+  const tweet = normalizeTweet(loadFixture('feed-photos'), { source: 'bullx' });
+  const media = extractMedia(tweet, loadFixture('detail-mixed'));
+  
+  assert.deepEqual(media.map(item => item.type), ['photo', 'gif']);
+});
+
+test('falls back to the feed media when the detailed payload has none', () => {
+  const tweet = normalizeTweet(loadFixture('feed-photos'), { source: 'bullx' });
+  const media = extractMedia(tweet, { id_str: tweet.id, text: tweet.text });
+  
+  assert.equal(media.length, 3);
+});
+
+test('uses the parent tweet media for replies without media of their own', () => {
+  const detail = loadFixture('detail-reply-parent-video');
+  const tweet = normalizeTweet(detail, { source: 'bullx' });
+  const media = extractMedia(tweet, detail);
+  
+  assert.equal(tweet.type, 'reply');
+  assert.equal(media.length, 1);
+  assert.equal(media[0].type, 'video');
+  assert.equal(media[0].fromReferencedTweet, true);
+});
+
+test('returns no media for tweets without any', () => {
+  assert.deepEqual(extractMedia(normalizeTweet({ id: '1', text: 'just text' }), null), []);
+  assert.deepEqual(extractPayloadMedia(null), []);
+});
+
+test('limits the gallery to four photos and keeps videos separate', () => {
+  const photos = extractPayloadMedia(loadFixture('detail-photos'));
+  const [video] = extractPayloadMedia(loadFixture('feed-video'));
+  const result = partitionMedia([...photos, video]);
+  
+  assert.equal(result.photos.length, 5);
+  assert.equal(result.galleryPhotos.length, GALLERY_LIMIT);
+  assert.deepEqual(result.videos, [video]);
+});
+
+test('drops duplicate media items ignoring query strings', () => {
+  const media = dedupeMedia([
+    { type: 'photo', url: 'https://pbs.twimg.com/media/A.jpg?name=large', variants: [] },
+    { type: 'photo', url: 'https://pbs.twimg.com/media/A.jpg?name=small', variants: [] },
+    { type: 'photo', url: 'https://pbs.twimg.com/media/B.jpg', variants: [] }
+  ]);
+  
+  assert.equal(media.length, 2);
+});
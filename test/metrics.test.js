@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetricsRegistry } from '../src/metrics.js';
+
+test('renders counters and gauges in the Prometheus text format', () => {
+  const metrics = createMetricsRegistry({ prefix: 'tracker_' });
+  const errors = metrics.counter('fetch_errors_total', 'Failed fetches', ['source', 'status']);
+  metrics.gauge('discord_connected', 'Connected to Discord', () => 1);
+  metrics.gauge('deliveries', 'Deliveries by status', () => [{ labels: { status: 'pending' }, value: 2 }]);
+  metrics.gauge('last_fetch_success_timestamp_seconds', 'Last fetch', () => null);
+  
+  errors.inc({ source: 'bullx', status: 429 });
+  errors.inc({ source: 'bullx', status: 429 });
+  errors.inc({ source: 'axiom', status: 'network', extra: 'ignored' });
+  
+  assert.equal(errors.get({ source: 'bullx', status: 429 }), 2);
+  assert.equal(metrics.render(), [
+    '# HELP tracker_fetch_errors_total Failed fetches',
+    '# TYPE tracker_fetch_errors_total counter',
+    'tracker_fetch_errors_total{source="bullx",status="429"} 2',
+    'tracker_fetch_errors_total{source="axiom",status="network"} 1',
+    '# HELP tracker_discord_connected Connected to Discord',
+    '# TYPE tracker_discord_connected gauge',
+    'tracker_discord_connected 1',
+    '# HELP tracker_deliveries Deliveries by status',
+    '# TYPE tracker_deliveries gauge',
+    'tracker_deliveries{status="pending"} 2',
+    '# HELP tracker_last_fetch_success_timestamp_seconds Last fetch',
+    '# TYPE tracker_last_fetch_success_timestamp_seconds gauge',
+    ''
+  ].join('\n'));
+});
+
+test('counts histogram observations in cumulative buckets', () => {
+  const metrics = createMetricsRegistry();
+  const latency = metrics.histogram('latency_seconds', 'Latency', { buckets: [5, 1] });
+  
+  latency.observe({}, 0.5);
+  latency.observe({}, 3);
+  latency.observe({}, 60);
+  
+  assert.deepEqual(metrics.render().split('\n').slice(2, -1), [
+    'latency_seconds_bucket{le="1"} 1',
+    'latency_seconds_bucket{le="5"} 2',
+    'latency_seconds_bucket{le="+Inf"} 3',
+    'latency_seconds_sum 63.5',
+    'latency_seconds_count 3'
+  ]);
+});
+
+test('escapes label values and rejects duplicate metrics', () => {
+  const metrics = createMetricsRegistry();
+  const counter = metrics.counter('events_total', 'Events', ['name']);
+  counter.inc({ name: 'say "hi"\\\n' });
+  
+  assert.match(metrics.render(), /events_total\{name="say \\"hi\\"\\\\\\n"\} 1/);
+  assert.throws(() => metrics.counter('events_total', 'Again'), /already registered/);
+});
+
+test('leaves out a gauge that fails to collect and logs the error', () => {
+  const logged = [];
+  const metrics = createMetricsRegistry({ logger: { error: (...args) => logged.push(args.join(' ')) } });
+  metrics.gauge('broken', 'Broken', () => {
+    throw new Error('store closed');
+  });
+  metrics.gauge('working', 'Working', () => 1);
+  
+  assert.equal(metrics.render(), '# HELP working Working\n# TYPE working gauge\nworking 1\n');
+  assert.deepEqual(logged, ['Error collecting metric broken: store closed']);
+});
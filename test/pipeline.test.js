@@ -0,0 +1,488 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { openTweetStore } from '../src/store.js';
+import { createDeliveryQueue } from '../src/delivery.js';
+import { createSource } from '../src/sources/index.js';
+import { compileRoutingTable } from '../src/routing.js';
+import { loadConfig } from '../src/config.js';
+import { createLogger } from '../src/logger.js';
+import { createPipeline } from '../src/pipeline.js';
+import { createDigestScheduler } from '../src/digest.js';
+import { compileAlertRules } from '../src/alerts.js';
+import { compileFilters } from '../src/filters.js';
+import { startMockBullx } from './helpers/bullx-server.js';
+import { createMemoryChannel } from './helpers/discord.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CHANNEL_ID = '123456789012345678';
+const VIDEO_PATH = 'ext_tw_video/1790000000000000002/pu/vid/720x1280/high.mp4';
+const MID_VIDEO_PATH = 'ext_tw_video/1790000000000000002/pu/vid/480x852/mid.mp4';
+const LOW_VIDEO_PATH = 'ext_tw_video/1790000000000000002/pu/vid/320x568/low.mp4';
+const PARENT_VIDEO_PATH = 'ext_tw_video/2/pu/vid/720x1280/p.mp4';
+const VIDEO = Buffer.from('recorded video bytes');
+const PARENT_VIDEO = Buffer.from('recorded parent video bytes');
+
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'bullx', `${name}.json`), 'utf8'));
+}
+
+// A text-only tweet from @chartguy, as the feed lists it
+function textTweet(id, createdAt) {
+  return { id, text: `chart update ${id}`, created_at: createdAt, user: { id: '44196397', username: 'chartguy', name: 'Chart Guy' } };
+}
+
+// A pipeline reading from the mock BullX server and delivering to an in-memory
+// channel, on a clock the test moves. Each of extraSources is another BullX
+// source of that name, with a mock server of its own.
+async function setUp({ tweets = {}, media = {}, routes = [], alertRules = [], filters = {}, settings: overrides = {}, extraSources = [], onDuplicate, onStateChange, uploadLimit = 10 * 1024 * 1024, lastFetchTimestamp = Date.parse('2024-05-13T07:59:00.000Z') } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-test-'));
+  const logger = createLogger({ level: 'silent' });
+  const server = await startMockBullx({ tweets, media });
+  const store = openTweetStore(path.join(dir, 'tweets.db'));
+  const channel = createMemoryChannel(CHANNEL_ID);
+  const deliveryQueue = createDeliveryQueue({ store, getChannel: async id => id === CHANNEL_ID ? channel : null, logger });
+  const sources = [createSource({ type: 'bullx', url: server.feedUrl, tweetUrlBase: server.tweetUrlBase, logger })];
+  const extraServers = {};
+  for (const name of extraSources) {
+    extraServers[name] = await startMockBullx({ tweets, media });
+    sources.push(createSource({ type: 'bullx', name, url: extraServers[name].feedUrl, tweetUrlBase: extraServers[name].tweetUrlBase, logger }));
+  }
+  const settings = { ...loadConfig({ env: {}, requireSecrets: false }).settings, ...overrides };
+  const clock = { time: null };
+  
+  const pipeline = createPipeline({
+    getSources: () => sources,
+    store,
+    deliveryQueue,
+    getRoutingTable: () => compileRoutingTable({ routes }, CHANNEL_ID),
+    getAlertRules: () => compileAlertRules(alertRules),
+    getFilters: () => compileFilters(filters),
+    getSettings: () => settings,
+    getUploadLimit: async () => uploadLimit,
+    cacheDir: dir,
+    onDuplicate,
+    onStateChange,
+    lastFetchTimestamp,
+    retryDelay: 1,
+    now: () => clock.time,
+    logger
+  });
+  deliveryQueue.start();
+  
+  // Serve the feed at the given time and run one poll cycle
+  async function poll(at, feed, status = 200) {
+    clock.time = Date.parse(at);
+    server.setFeed(feed, status);
+    return pipeline.processTweets();
+  }
+  
+  async function tearDown() {
+    await deliveryQueue.stop();
+    await server.close();
+    for (const extraServer of Object.values(extraServers)) {
+      await extraServer.close();
+    }
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  
+  return { pipeline, server, extraServers, store, channel, clock, poll, tearDown };
+}
+
+const FOOTER_ICON = 'https://abs.twimg.com/icons/apple-touch-icon-192x192.png';
+const DEFAULT_AVATAR = 'https://abs.twimg.com/sticky/default_profile_images/default_profile_normal.png';
+
+test('posts recorded photo, video and reply tweets with their exact embeds and attachments', async () => {
+  const { channel, poll, tearDown } = await setUp({
+    tweets: { '1790000000000000007': loadFixture('detail-reply-parent-video') },
+    media: { [VIDEO_PATH]: VIDEO, [PARENT_VIDEO_PATH]: PARENT_VIDEO }
+  });
+  
+  try {
+    // Each cycle's feed still has the earlier tweets, which aren't posted again
+    assert.equal((await poll('2024-05-13T08:00:30.000Z', { data: [loadFixture('feed-photos')] })).newTweets, 1);
+    assert.equal((await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video'), loadFixture('feed-photos')] })).newTweets, 1);
+    assert.equal((await poll('2024-05-13T08:06:30.000Z', { data: [loadFixture('feed-reply'), loadFixture('feed-video'), loadFixture('feed-photos')] })).newTweets, 1);
+    const [photos, video, videoFile, reply, replyFile] = await channel.waitForMessages(5);
+    
+    assert.deepEqual(photos.embeds, [
+      {
+        color: 0x1DA1F2,
+        author: { name: 'Chart Guy (@chartguy)', url: 'https://twitter.com/chartguy', icon_url: 'https://pbs.twimg.com/profile_images/1/avatar_normal.jpg' },
+        url: 'https://twitter.com/chartguy/status/1790000000000000001',
+        description: 'gm. three charts for the week https://t.co/abc123',
+        timestamp: '2024-05-13T08:00:00.000Z',
+        fields: [{ name: 'Tweet Link', value: '[View original tweet](https://twitter.com/chartguy/status/1790000000000000001)' }],
+        footer: { text: 'Tweet • via Twitter Feed', icon_url: FOOTER_ICON },
+        image: { url: 'https://pbs.twimg.com/media/GNa1.jpg' }
+      },
+      { url: 'https://twitter.com/chartguy/status/1790000000000000001', image: { url: 'https://pbs.twimg.com/media/GNa2.jpg' } },
+      { url: 'https://twitter.com/chartguy/status/1790000000000000001', image: { url: 'https://pbs.twimg.com/media/GNa3.jpg' } }
+    ]);
+    assert.deepEqual(photos.files, []);
+    
+    assert.deepEqual(video.embeds, [{
+      color: 0x1DA1F2,
+      author: { name: 'Degen Vids (@degenvids)', url: 'https://twitter.com/degenvids', icon_url: DEFAULT_AVATAR },
+      url: 'https://twitter.com/degenvids/status/1790000000000000002',
+      description: 'this is going parabolic',
+      timestamp: '2024-05-13T08:01:00.000Z',
+      fields: [{ name: 'Tweet Link', value: '[View original tweet](https://twitter.com/degenvids/status/1790000000000000002)' }],
+      footer: { text: 'Tweet • via Twitter Feed • Video will follow', icon_url: FOOTER_ICON }
+    }]);
+    assert.deepEqual(videoFile.embeds, []);
+    assert.deepEqual(videoFile.files, [{ name: 'video_1790000000000000002_0.mp4', data: VIDEO }]);
+    
+    // The reply's detail lookup has the parent's video, sent in place of its own media
+    assert.deepEqual(reply.embeds, [{
+      color: 0x1DA1F2,
+      author: { name: 'Reply Guy (@replyguy)', url: 'https://twitter.com/replyguy', icon_url: DEFAULT_AVATAR },
+      url: 'https://twitter.com/replyguy/status/1790000000000000007',
+      description: '@degenvids this one is insane',
+      timestamp: '2024-05-13T08:06:00.000Z',
+      fields: [
+        { name: 'Tweet Link', value: '[View original tweet](https://twitter.com/replyguy/status/1790000000000000007)' },
+        { name: 'Replying to Degen Vids (@degenvids)', value: '> this is going parabolic\n[View parent tweet](https://twitter.com/degenvids/status/1790000000000000002)' }
+      ],
+      footer: { text: 'Reply • via Twitter Feed • Video from referenced tweet will follow', icon_url: FOOTER_ICON }
+    }]);
+    assert.deepEqual(replyFile.files, [{ name: 'video_parent_1790000000000000007_0.mp4', data: PARENT_VIDEO }]);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('skips malformed feed entries and fails the cycle on a malformed response', async () => {
+  const { channel, store, poll, tearDown } = await setUp();
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:07:30.000Z', loadFixture('feed-malformed'))).newTweets, 0);
+    assert.equal(store.hasSeen('1790000000000000010'), false);
+    
+    await assert.rejects(poll('2024-05-13T08:08:30.000Z', { data: 'maintenance' }), /Unexpected response format/);
+    await assert.rejects(poll('2024-05-13T08:08:45.000Z', '<html>Checking your browser</html>'), /Unexpected response format/);
+    await assert.rejects(poll('2024-05-13T08:09:30.000Z', '<html>Bad gateway</html>', 502), /status code 502/);
+    
+    // The feed recovering is picked up by the next cycle
+    assert.equal((await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video')] })).newTweets, 1);
+    const [embedMessage] = await channel.waitForMessages(1);
+    assert.equal(embedMessage.embeds[0].url, 'https://twitter.com/degenvids/status/1790000000000000002');
+  } finally {
+    await tearDown();
+  }
+});
+
+test('shows the thumbnail when a video cannot be downloaded', async () => {
+  const { channel, server, poll, tearDown } = await setUp();
+  
+  try {
+    await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video')] });
+    const [message] = await channel.waitForMessages(1);
+    
+    assert.equal(message.embeds[0].image.url, 'https://pbs.twimg.com/ext_tw_video_thumb/1790000000000000002/pu/img/thumb.jpg');
+    assert.equal(message.embeds[0].footer.text, 'Tweet • via Twitter Feed');
+    assert.ok(server.requests.includes(`/media/${VIDEO_PATH}`));
+    
+    // No message with the video follows
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('sends the best video that fits the upload limit', async () => {
+  // The mid variant is estimated to fit 4MB but turns out larger, so the low one is sent
+  const lowVideo = Buffer.from('low bitrate video');
+  const { channel, server, poll, tearDown } = await setUp({
+    uploadLimit: 4 * 1024 * 1024,
+    media: { [VIDEO_PATH]: VIDEO, [MID_VIDEO_PATH]: Buffer.alloc(4 * 1024 * 1024 + 1), [LOW_VIDEO_PATH]: lowVideo }
+  });
+  
+  try {
+    await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video')] });
+    const [message, videoFile] = await channel.waitForMessages(2);
+    
+    assert.equal(message.embeds[0].footer.text, 'Tweet • via Twitter Feed • Video will follow');
+    assert.deepEqual(videoFile.files, [{ name: 'video_1790000000000000002_0.mp4', data: lowVideo }]);
+    assert.deepEqual(server.requests.filter(request => request.startsWith('/media/')), [`/media/${MID_VIDEO_PATH}`, `/media/${LOW_VIDEO_PATH}`]);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('links a video that no variant of fits the upload limit', async () => {
+  const { channel, server, poll, tearDown } = await setUp({ uploadLimit: 1024 * 1024, media: { [VIDEO_PATH]: VIDEO } });
+  
+  try {
+    await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video')] });
+    const [message] = await channel.waitForMessages(1);
+    
+    assert.equal(message.embeds[0].image.url, 'https://pbs.twimg.com/ext_tw_video_thumb/1790000000000000002/pu/img/thumb.jpg');
+    assert.deepEqual(message.embeds[0].fields.at(-1), { name: 'Video', value: `[Play video](${server.feedUrl.replace('/feed', '/media/')}${VIDEO_PATH})` });
+    assert.equal(server.requests.some(request => request.startsWith('/media/')), false);
+    
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('marks the tweets of the first run as seen without posting them', async () => {
+  const { pipeline, channel, store, poll, tearDown } = await setUp({ lastFetchTimestamp: null });
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video'), loadFixture('feed-photos')] })).newTweets, 0);
+    assert.equal(store.hasSeen('1790000000000000001'), true);
+    assert.equal(store.hasSeen('1790000000000000002'), true);
+    assert.equal(pipeline.getLastFetchTimestamp(), Date.parse('2024-05-13T08:01:30.000Z'));
+    assert.equal(channel.messages.length, 0);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('collects tweets for a digest route while other tweets are posted live', async () => {
+  const routes = [{ name: 'charts', usernames: ['chartguy'], digest: 'hourly', channels: [CHANNEL_ID] }];
+  const { channel, store, clock, poll, tearDown } = await setUp({ routes, media: { [VIDEO_PATH]: VIDEO } });
+  const digests = createDigestScheduler({
+    store,
+    getRoutingTable: () => compileRoutingTable({ routes }, CHANNEL_ID),
+    send: (channelId, message) => channel.send(message),
+    now: () => clock.time,
+    logger: createLogger({ level: 'silent' })
+  });
+  
+  try {
+    await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-video'), loadFixture('feed-photos')] });
+    const [video, videoFile] = await channel.waitForMessages(2);
+    assert.equal(video.embeds[0].url, 'https://twitter.com/degenvids/status/1790000000000000002');
+    assert.deepEqual(videoFile.files.map(file => file.name), ['video_1790000000000000002_0.mp4']);
+    
+    // The photo tweet is only collected, and posted in the digest once the hour is over
+    assert.equal(store.getTweet('1790000000000000001').status, 'digested');
+    assert.deepEqual(store.getDigestEntries('charts').map(entry => entry.thumbnailUrl), ['https://pbs.twimg.com/media/GNa1.jpg']);
+    assert.equal(await digests.checkOnce(), 0);
+    
+    clock.time = Date.parse('2024-05-13T09:00:30.000Z');
+    assert.equal(await digests.checkOnce(), 1);
+    const [, , digest] = await channel.waitForMessages(3);
+    assert.equal(digest.embeds[0].title, 'Hourly digest: charts');
+    assert.deepEqual(digest.embeds[0].fields[0], { name: 'Most active', value: '@chartguy: 1 tweet' });
+    assert.deepEqual(store.getDigestEntries('charts'), []);
+    assert.equal(channel.messages.length, 3);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('highlights tweets matching an alert rule and pings its role once per cooldown', async () => {
+  const alertRules = [{ name: 'charts', usernames: ['chartguy'], roles: ['555'], color: '#FF4500', cooldownMinutes: 10 }];
+  const { channel, poll, tearDown } = await setUp({ alertRules });
+  const laterPhotos = { ...loadFixture('feed-photos'), id: '1790000000000000009', created_at: '2024-05-13T08:05:00.000Z' };
+  
+  try {
+    await poll('2024-05-13T08:00:30.000Z', { data: [loadFixture('feed-photos')] });
+    await poll('2024-05-13T08:05:30.000Z', { data: [laterPhotos, loadFixture('feed-photos')] });
+    const [first, second] = await channel.waitForMessages(2);
+    
+    assert.equal(first.content, '<@&555>');
+    assert.deepEqual(first.allowedMentions, { roles: ['555'], users: [] });
+    assert.equal(first.embeds[0].color, 0xFF4500);
+    assert.equal(second.content, undefined);
+    assert.equal(second.embeds[0].color, 0xFF4500);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('records tweets dropped by content filters instead of posting them', async () => {
+  const filters = { accounts: { replyguy: ['tweet'] } };
+  const { channel, store, poll, tearDown } = await setUp({ filters });
+  
+  try {
+    await poll('2024-05-13T08:06:30.000Z', { data: [loadFixture('feed-reply'), loadFixture('feed-photos')] });
+    const [photos] = await channel.waitForMessages(1);
+    assert.equal(photos.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000001');
+    
+    const [filtered] = store.getFilteredTweets({ since: 0 });
+    assert.equal(filtered.id, '1790000000000000007');
+    assert.equal(filtered.filterReason, 'reply not posted for @replyguy');
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('lists near-duplicates from other accounts on the first tweet instead of posting them', async () => {
+  const duplicatesOf = [];
+  const { channel, store, poll, tearDown } = await setUp({ onDuplicate: tweetId => duplicatesOf.push(tweetId) });
+  const copy = {
+    ...loadFixture('feed-photos'),
+    id: '1790000000000000010',
+    text: 'gm! three charts for the week https://t.co/xyz789',
+    created_at: '2024-05-13T08:00:20.000Z',
+    user: { id: '1', username: 'copycat', name: 'Copy Cat' }
+  };
+  
+  try {
+    await poll('2024-05-13T08:00:30.000Z', { data: [copy, loadFixture('feed-photos')] });
+    const [first] = await channel.waitForMessages(1);
+    assert.equal(first.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000001');
+    
+    const [duplicate] = store.getDuplicates('1790000000000000001');
+    assert.equal(duplicate.id, '1790000000000000010');
+    assert.equal(duplicate.status, 'duplicate');
+    assert.deepEqual(duplicatesOf, ['1790000000000000001']);
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('posts a near-duplicate that matches an alert rule the first tweet did not', async () => {
+  const alertRules = [{ name: 'vip', usernames: ['vip'], roles: ['555'] }];
+  const { channel, store, poll, tearDown } = await setUp({ alertRules });
+  const copy = {
+    ...loadFixture('feed-photos'),
+    id: '1790000000000000010',
+    text: 'gm! three charts for the week https://t.co/xyz789',
+    created_at: '2024-05-13T08:00:20.000Z',
+    user: { id: '2', username: 'vip', name: 'V I P' }
+  };
+  
+  try {
+    await poll('2024-05-13T08:00:30.000Z', { data: [copy, loadFixture('feed-photos')] });
+    const [first, alerted] = await channel.waitForMessages(2);
+    assert.equal(first.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000001');
+    assert.equal(alerted.embeds[0].url, 'https://twitter.com/vip/status/1790000000000000010');
+    assert.equal(alerted.content, '<@&555>');
+    assert.deepEqual(store.getDuplicates('1790000000000000001'), []);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('catches up on tweets missed since the last cycle and marks them as delayed', async () => {
+  const { channel, store, poll, tearDown } = await setUp();
+  
+  try {
+    // The last cycle was at 07:59, so the 08:00 tweet is caught up but the 07:57 one is too old
+    const result = await poll('2024-05-13T08:05:30.000Z', { data: [loadFixture('feed-photos'), textTweet('1790000000000000020', '2024-05-13T07:57:00.000Z')] });
+    assert.equal(result.newTweets, 1);
+    const [photos] = await channel.waitForMessages(1);
+    assert.equal(photos.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000001');
+    assert.equal(photos.embeds[0].title, '⏱ Delayed: posted 5m ago');
+    assert.equal(photos.embeds[0].footer.text, 'Delayed Tweet • via Twitter Feed');
+    assert.equal(store.hasSeen('1790000000000000020'), false);
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('catches up on the newest missed tweets up to CATCH_UP_MAX_TWEETS and skips the older ones', async () => {
+  const { channel, store, poll, tearDown } = await setUp({ settings: { CATCH_UP_MAX_TWEETS: 2 } });
+  const missed = [
+    textTweet('1790000000000000021', '2024-05-13T08:00:00.000Z'),
+    textTweet('1790000000000000022', '2024-05-13T08:01:00.000Z'),
+    textTweet('1790000000000000023', '2024-05-13T08:02:00.000Z')
+  ];
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:05:30.000Z', { data: missed })).newTweets, 2);
+    const messages = await channel.waitForMessages(2);
+    assert.deepEqual(messages.map(message => message.embeds[0].url), [
+      'https://twitter.com/chartguy/status/1790000000000000022',
+      'https://twitter.com/chartguy/status/1790000000000000023'
+    ]);
+    assert.equal(store.getTweet('1790000000000000021').status, 'skipped');
+    assert.equal(channel.messages.length, 2);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('never catches up on tweets older than CATCH_UP_MAX_AGE_MINUTES', async () => {
+  const { channel, store, poll, tearDown } = await setUp({
+    settings: { CATCH_UP_MAX_AGE_MINUTES: 10 },
+    lastFetchTimestamp: Date.parse('2024-05-13T07:00:00.000Z')
+  });
+  const missed = [textTweet('1790000000000000021', '2024-05-13T08:00:00.000Z'), textTweet('1790000000000000022', '2024-05-13T08:10:00.000Z')];
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:15:30.000Z', { data: missed })).newTweets, 1);
+    const [caughtUp] = await channel.waitForMessages(1);
+    assert.equal(caughtUp.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000022');
+    assert.equal(caughtUp.embeds[0].title, '⏱ Delayed: posted 5m ago');
+    assert.equal(store.hasSeen('1790000000000000021'), false);
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('only posts tweets from the last minute when CATCH_UP_MAX_TWEETS is 0', async () => {
+  const { channel, store, poll, tearDown } = await setUp({ settings: { CATCH_UP_MAX_TWEETS: 0 } });
+  const tweets = [textTweet('1790000000000000021', '2024-05-13T08:00:00.000Z'), textTweet('1790000000000000022', '2024-05-13T08:05:00.000Z')];
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:05:30.000Z', { data: tweets })).newTweets, 1);
+    const [live] = await channel.waitForMessages(1);
+    assert.equal(live.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000022');
+    assert.equal(live.embeds[0].title, undefined);
+    assert.equal(store.hasSeen('1790000000000000021'), false);
+    assert.equal(channel.messages.length, 1);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('saves the fetch times after every cycle, including quiet ones', async () => {
+  const saved = [];
+  const { pipeline, poll, tearDown } = await setUp({ onStateChange: () => saved.push(pipeline.getLastFetchTimestamp()) });
+  
+  try {
+    assert.equal((await poll('2024-05-13T08:00:30.000Z', { data: [] })).newTweets, 0);
+    assert.equal((await poll('2024-05-13T08:01:30.000Z', { data: [loadFixture('feed-photos')] })).newTweets, 1);
+    assert.deepEqual(saved, [Date.parse('2024-05-13T08:00:30.000Z'), Date.parse('2024-05-13T08:01:30.000Z')]);
+    
+    // A failed fetch leaves the saved times alone
+    await assert.rejects(poll('2024-05-13T08:02:30.000Z', '<html>Bad gateway</html>', 502));
+    assert.equal(saved.length, 2);
+  } finally {
+    await tearDown();
+  }
+});
+
+test('catches up on a failing source from its own last successful fetch', async () => {
+  const { pipeline, extraServers, channel, poll, tearDown } = await setUp({ extraSources: ['backup'] });
+  
+  try {
+    await poll('2024-05-13T08:00:30.000Z', { data: [] });
+    
+    // The backup source fails for a few cycles while the main one keeps succeeding
+    extraServers.backup.setFeed('<html>Bad gateway</html>', 502);
+    await poll('2024-05-13T08:02:30.000Z', { data: [] });
+    await poll('2024-05-13T08:05:30.000Z', { data: [] });
+    assert.deepEqual(pipeline.getSourceFetchTimestamps(), {
+      bullx: Date.parse('2024-05-13T08:05:30.000Z'),
+      backup: Date.parse('2024-05-13T08:00:30.000Z')
+    });
+    
+    // Once it is back, the tweet it missed meanwhile is still posted
+    extraServers.backup.setFeed({ data: [textTweet('1790000000000000021', '2024-05-13T08:01:00.000Z')] });
+    assert.equal((await poll('2024-05-13T08:06:30.000Z', { data: [] })).newTweets, 1);
+    const [caughtUp] = await channel.waitForMessages(1);
+    assert.equal(caughtUp.embeds[0].url, 'https://twitter.com/chartguy/status/1790000000000000021');
+    assert.equal(caughtUp.embeds[0].footer.text, 'Delayed Tweet • via Twitter Feed');
+  } finally {
+    await tearDown();
+  }
+});
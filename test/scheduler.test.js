@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPollScheduler, getRetryAfter, getBackoffDelay, createRollingStats } from '../src/scheduler.js';
+
+// Run a scheduler until it has completed the given number of cycles
+function runCycles(options, count) {
+  return new Promise(resolve => {
+    const cycles = [];
+    const scheduler = createPollScheduler({
+      ...options,
+      onCycle(cycle) {
+        cycles.push(cycle);
+        if (cycles.length === count) {
+          scheduler.stop().then(() => resolve({ cycles, stats: scheduler.getStats() }));
+        }
+      }
+    });
+    scheduler.start();
+  });
+}
+
+function rateLimitError(retryAfter) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: { 'retry-after': retryAfter } };
+  return error;
+}
+
+test('never runs two cycles at once', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  
+  await runCycles({
+    minInterval: 1,
+    task: async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+      return { newTweets: 1 };
+    }
+  }, 4);
+  
+  assert.equal(maxRunning, 1);
+});
+
+test('tightens the interval when active and relaxes it when idle', async () => {
+  const results = [{ newTweets: 0 }, { newTweets: 0 }, { newTweets: 0 }, { newTweets: 2 }, { newTweets: 0 }];
+  const { cycles } = await runCycles({
+    minInterval: 4,
+    idleInterval: 8,
+    idleGrowth: 1.5,
+    task: async () => results.shift()
+  }, 5);
+  
+  assert.deepEqual(cycles.map(cycle => cycle.nextDelayMs), [6, 8, 8, 4, 6]);
+});
+
+test('backs off exponentially on errors and resets after a success', async () => {
+  const outcomes = [new Error('boom'), new Error('boom'), null];
+  const { cycles, stats } = await runCycles({
+    minInterval: 1,
+    maxBackoff: 3000,
+    random: () => 0,
+    task: async () => {
+      const error = outcomes.shift();
+      if (error) throw error;
+      return { newTweets: 0 };
+    }
+  }, 3);
+  
+  // With no jitter the delay is half of the exponential 1s, 2s
+  assert.deepEqual(cycles.slice(0, 2).map(cycle => cycle.nextDelayMs), [500, 1000]);
+  assert.equal(cycles[1].error, 'boom');
+  assert.equal(cycles[2].nextDelayMs, 1);
+  assert.equal(stats.errors, 2);
+  assert.equal(stats.consecutiveErrors, 0);
+});
+
+test('waits at least as long as Retry-After on HTTP 429', async () => {
+  let calls = 0;
+  const { cycles } = await runCycles({
+    minInterval: 1,
+    random: () => 0,
+    task: async () => {
+      calls++;
+      if (calls === 1) throw rateLimitError('0.8');
+      return { newTweets: 0 };
+    }
+  }, 2);
+  
+  // The backoff alone would be 500ms
+  assert.equal(cycles[0].nextDelayMs, 800);
+});
+
+test('applies new intervals from the next cycle', async () => {
+  const delays = [];
+  await new Promise(resolve => {
+    const scheduler = createPollScheduler({
+      minInterval: 4,
+      idleInterval: 8,
+      task: async () => ({ newTweets: 1 }),
+      onCycle(cycle) {
+        delays.push(cycle.nextDelayMs);
+        if (delays.length === 1) {
+          scheduler.update({ minInterval: 2, idleInterval: 6 });
+        } else {
+          scheduler.stop().then(resolve);
+        }
+      }
+    });
+    scheduler.start();
+  });
+  
+  assert.deepEqual(delays, [4, 2]);
+});
+
+test('parses Retry-After seconds and dates', () => {
+  assert.equal(getRetryAfter(rateLimitError('30')), 30000);
+  
+  const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+  const delay = getRetryAfter(rateLimitError(inOneMinute));
+  assert.ok(delay > 58000 && delay <= 60000);
+  
+  assert.equal(getRetryAfter(new Error('network error')), null);
+  assert.equal(getRetryAfter({ response: { status: 500, headers: { 'retry-after': '30' } } }), null);
+});
+
+test('keeps backoff delays within the jitter range and cap', () => {
+  for (let attempt = 1; attempt <= 12; attempt++) {
+    const delay = getBackoffDelay(attempt, { baseDelay: 1000, maxDelay: 60000 });
+    const expected = Math.min(60000, 1000 * 2 ** (attempt - 1));
+    assert.ok(delay >= expected / 2 && delay <= expected);
+  }
+});
+
+test('summarizes the most recent samples', () => {
+  const stats = createRollingStats(3);
+  for (const value of [100, 200, 300, 400]) {
+    stats.add(value);
+  }
+  
+  assert.deepEqual(stats.summary(), { count: 3, last: 400, avg: 300, max: 400 });
+});
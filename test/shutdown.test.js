@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stopBot } from '../src/shutdown.js';
+
+// Stubs for the bot's parts, recording the order they are stopped in. The
+// delivery queue and health server take a moment, like draining sends.
+function makeParts(calls) {
+  const stop = (name, ms = 0) => async () => {
+    await new Promise(resolve => setTimeout(resolve, ms));
+    calls.push(name);
+  };
+  return {
+    pollScheduler: { stop: stop('poll') },
+    digestScheduler: { stop: stop('digest') },
+    tweetWatcher: { stop: stop('watcher') },
+    deliveryQueue: { stop: stop('delivery', 10) },
+    healthServer: { stop: stop('health', 10) },
+    saveState: () => calls.push('state'),
+    tweetStore: { close: () => calls.push('store') },
+    client: { destroy: stop('discord') }
+  };
+}
+
+test('stops the health server before closing the tweet store', async () => {
+  const calls = [];
+  await stopBot(makeParts(calls));
+  
+  assert.deepEqual(calls, ['poll', 'digest', 'watcher', 'delivery', 'health', 'state', 'store', 'discord']);
+});
+
+test('shuts down without polling or a health server', async () => {
+  const calls = [];
+  await stopBot({ ...makeParts(calls), pollScheduler: null, healthServer: null });
+  
+  assert.deepEqual(calls, ['digest', 'watcher', 'delivery', 'state', 'store', 'discord']);
+});
@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createSink, isSinkDestination, toSinkTweet, toSinkError } from '../src/sinks/index.js';
+import { signBody } from '../src/sinks/http.js';
+import { normalizeTweet } from '../src/sources/normalize.js';
+
+const ADDRESS = 'So11111111111111111111111111111111111111112';
+
+function makeSinkTweet(media = []) {
+  const tweet = normalizeTweet({
+    id_str: '1',
+    text: 'aping <this> & that',
+    created_at: '2024-05-13T08:00:00.000Z',
+    user: { screen_name: 'alice', name: 'Alice' }
+  }, { source: 'bullx' });
+  return toSinkTweet(tweet, {
+    media,
+    tokens: { addresses: [{ address: ADDRESS, chain: 'solana' }], cashtags: ['SOL'], links: [] },
+    marketData: new Map([[ADDRESS, { symbol: 'SOL', summary: 'MC $80B' }]])
+  });
+}
+
+// Answer every request with 200 and record it
+async function startServer(requests) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result: { message_id: 42 } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('summarizes a tweet for the sinks', () => {
+  const tweet = makeSinkTweet([
+    { type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg' },
+    {
+      type: 'video',
+      previewUrl: 'https://pbs.twimg.com/thumb.jpg',
+      variants: [
+        { contentType: 'video/mp4', bitrate: 256000, url: 'https://video.twimg.com/low.mp4' },
+        { contentType: 'video/mp4', bitrate: 2176000, url: 'https://video.twimg.com/high.mp4' }
+      ]
+    }
+  ]);
+  
+  assert.equal(tweet.author.username, 'alice');
+  assert.deepEqual(tweet.media.map(item => item.url), ['https://pbs.twimg.com/media/a.jpg', 'https://video.twimg.com/high.mp4']);
+  assert.deepEqual(tweet.tokens.addresses, [{ address: ADDRESS, chain: 'solana', symbol: 'SOL', summary: 'MC $80B' }]);
+  assert.equal(JSON.parse(JSON.stringify(tweet)).id, '1');
+  assert.equal(isSinkDestination('sink:slack'), true);
+  assert.equal(isSinkDestination('123456789'), false);
+});
+
+test('renders Telegram messages in HTML, then the media', () => {
+  const sink = createSink({ type: 'telegram', botToken: 'token', chatId: '-100' });
+  const messages = sink.render(makeSinkTweet([
+    { type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg' },
+    { type: 'photo', url: 'https://pbs.twimg.com/media/b.jpg' }
+  ]));
+  
+  assert.equal(sink.id, 'sink:telegram');
+  assert.deepEqual(messages.map(message => message.method), ['sendMessage', 'sendMediaGroup']);
+  assert.match(messages[0].body.text, /^<b>Alice<\/b> \(@alice\)/);
+  assert.match(messages[0].body.text, /aping &lt;this&gt; &amp; that/);
+  assert.match(messages[0].body.text, new RegExp(`\\$SOL <code>${ADDRESS}</code>`));
+  assert.equal(messages[1].body.media.length, 2);
+  assert.throws(() => createSink({ type: 'telegram', botToken: 'token' }), /needs a bot token and a chat ID/);
+});
+
+test('cuts a long tweet to Telegram\'s limit without breaking its HTML', () => {
+  const sink = createSink({ type: 'telegram', botToken: 'token', chatId: '-100' });
+  const tweet = makeSinkTweet();
+  tweet.text = 'a & <b> '.repeat(1000);
+  const [{ body }] = sink.render(tweet);
+  
+  assert.ok(body.text.length <= 4096);
+  assert.match(body.text, /…\n\$SOL <code>/);
+  assert.match(body.text, /\n\n<a href="[^"]+">View tweet<\/a>$/);
+  
+  // Only whole entities and the tags the message adds itself are left
+  const markup = body.text.replace(/<(\/?(b|i|code)|a href="[^"]+"|\/a)>/g, '');
+  assert.doesNotMatch(markup, /[<>]|&(?!(amp|lt|gt);)/);
+});
+
+test('renders one Slack message with blocks', () => {
+  const sink = createSink({ type: 'slack', webhookUrl: 'https://hooks.slack.com/services/x' });
+  const [message] = sink.render(makeSinkTweet([{ type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg' }]));
+  
+  assert.equal(message.text, '@alice: aping <this> & that');
+  assert.deepEqual(message.blocks.map(block => block.type), ['section', 'context', 'image']);
+  assert.equal(message.blocks[0].text.text, '*<https://twitter.com/alice/status/1|Alice (@alice)>*\naping &lt;this&gt; &amp; that');
+});
+
+test('signs HTTP sink requests over the exact body sent', async () => {
+  const requests = [];
+  const { server, url } = await startServer(requests);
+  try {
+    const sink = createSink({ type: 'http', url: `${url}/hook`, secret: 'shh', headers: { 'X-Env': 'test' } });
+    const [message] = sink.render(makeSinkTweet());
+    await sink.send(message);
+    
+    const [request] = requests;
+    const timestamp = request.headers['x-tracker-timestamp'];
+    assert.equal(request.headers['x-tracker-signature'], `sha256=${signBody('shh', timestamp, request.body)}`);
+    assert.equal(request.headers['x-env'], 'test');
+    assert.equal(JSON.parse(request.body).event, 'tweet');
+    assert.equal(JSON.parse(request.body).tweet.id, '1');
+  } finally {
+    server.close();
+  }
+});
+
+test('sends Telegram API calls to the configured chat', async () => {
+  const requests = [];
+  const { server, url } = await startServer(requests);
+  try {
+    const sink = createSink({ type: 'telegram', botToken: 'token', chatId: '-100', apiUrl: url });
+    const result = await sink.send({ method: 'sendPhoto', body: { photo: 'https://pbs.twimg.com/media/a.jpg' } });
+    
+    assert.deepEqual(result, { id: '42' });
+    assert.equal(requests[0].url, '/bottoken/sendPhoto');
+    assert.deepEqual(JSON.parse(requests[0].body), { chat_id: '-100', photo: 'https://pbs.twimg.com/media/a.jpg' });
+  } finally {
+    server.close();
+  }
+});
+
+test('makes sink errors retryable or permanent', () => {
+  const failure = (status, data = {}, headers = {}) => Object.assign(new Error(`status ${status}`), { response: { status, data, headers } });
+  
+  assert.equal(toSinkError(failure(429, { parameters: { retry_after: 3 } }), 'telegram').retryAfter, 3000);
+  assert.equal(toSinkError(failure(429, {}, { 'retry-after': '5' }), 'slack').retryAfter, 5000);
+  assert.equal(toSinkError(failure(400, { description: 'Bad Request: chat not found' }), 'telegram').permanent, true);
+  assert.match(toSinkError(failure(400, { description: 'Bad Request: chat not found' }), 'telegram').message, /chat not found/);
+  assert.equal(toSinkError(failure(503), 'http').permanent, undefined);
+  assert.equal(toSinkError(new Error('socket hang up'), 'http').permanent, undefined);
+});
@@ -0,0 +1,192 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createSource, fetchFromSources, mergeTweets, normalizeTweet } from '../src/sources/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function loadFixture(source, name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', source, `${name}.json`), 'utf8'));
+}
+
+// Serve body as JSON at every path, recording the request headers
+async function serve(body) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/feed`,
+    requests,
+    close: () => new Promise(resolve => server.close(() => resolve()))
+  };
+}
+
+// A logger recording its warning and error lines
+function makeLogger() {
+  const lines = [];
+  const record = level => (...args) => lines.push(`${level}: ${args.join(' ')}`);
+  return { lines, warn: record('warn'), error: record('error') };
+}
+
+// A source that resolves to tweets, or rejects with error
+function fakeSource(name, tweets, error = null) {
+  return {
+    name,
+    calls: 0,
+    async fetchTweets() {
+      this.calls++;
+      if (error) {
+        throw error;
+      }
+      return tweets;
+    }
+  };
+}
+
+function rateLimited(retryAfter) {
+  const error = new Error('Request failed with status code 429');
+  error.response = { status: 429, headers: { 'retry-after': retryAfter } };
+  return error;
+}
+
+function makeTweet(id, source, media = []) {
+  return { ...normalizeTweet({ id_str: id, text: `tweet ${id}`, user: { screen_name: 'alice' } }, { source }), media };
+}
+
+test('normalizes an Axiom feed sent with the session cookies', async () => {
+  const server = await serve(loadFixture('axiom', 'feed'));
+  
+  try {
+    const source = createSource({ type: 'axiom', url: server.url, cookies: 'session=abc' });
+    const tweets = await source.fetchTweets();
+    
+    assert.equal(server.requests[0].cookie, 'session=abc');
+    assert.deepEqual(tweets.map(tweet => tweet.id), ['1790000000000000101', '1790000000000000102']);
+    assert.equal(tweets[0].source, 'axiom');
+    assert.equal(tweets[0].url, 'https://twitter.com/chartguy/status/1790000000000000101');
+    assert.equal(tweets[0].createdAt, Date.parse('2024-05-13T08:00:00.000Z'));
+    assert.deepEqual(tweets[0].author, {
+      id: '44196397',
+      username: 'chartguy',
+      name: 'Chart Guy',
+      avatarUrl: 'https://pbs.twimg.com/profile_images/1/avatar_normal.jpg'
+    });
+    assert.deepEqual(tweets[0].media.map(item => item.url), ['https://pbs.twimg.com/media/AXa1.jpg']);
+    assert.deepEqual(tweets[0].urls, ['https://pump.fun/coin/EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm']);
+    assert.equal(tweets[1].type, 'retweet');
+    assert.deepEqual(tweets[1].references, [{ type: 'retweeted', id: '1790000000000000050', username: 'ansem' }]);
+  } finally {
+    await server.close();
+  }
+  
+  assert.throws(() => createSource({ type: 'axiom', url: server.url }), /needs AXIOM_COOKIES/);
+});
+
+test('maps a JSON feed onto tweets with the configured fields', async () => {
+  const server = await serve(loadFixture('json', 'feed'));
+  
+  try {
+    const config = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'json-source.example.json'), 'utf8'));
+    const source = createSource({ type: 'json', ...config, url: server.url, fields: { ...config.fields, type: 'kind', url: 'permalink' } });
+    const tweets = await source.fetchTweets();
+    
+    assert.equal(server.requests[0].authorization, 'Bearer YOUR_TOKEN');
+    assert.deepEqual(tweets.map(tweet => tweet.id), ['1790000000000000201', '1790000000000000202']);
+    
+    const [reply, post] = tweets;
+    assert.equal(reply.source, 'json');
+    assert.equal(reply.text, 'replying with two charts');
+    assert.equal(reply.type, 'reply');
+    assert.equal(reply.createdAt, Date.parse('2024-05-13T08:00:00.000Z'));
+    assert.deepEqual(reply.author, { id: null, username: 'bob', name: 'Bob', avatarUrl: 'https://example.com/bob.png' });
+    assert.equal(reply.url, 'https://example.com/posts/201');
+    assert.deepEqual(reply.media.map(item => [item.type, item.url]), [
+      ['photo', 'https://example.com/chart.jpg'],
+      ['video', 'https://example.com/clip.mp4?tag=1']
+    ]);
+    
+    // Types the bot doesn't know keep the default
+    assert.equal(post.type, 'tweet');
+    assert.equal(post.createdAt, Date.parse('2024-05-13T08:05:00.000Z'));
+    assert.equal(post.author.name, 'carol');
+    assert.equal(post.url, 'https://twitter.com/carol/status/1790000000000000202');
+  } finally {
+    await server.close();
+  }
+});
+
+test('rejects feeds without a tweet array', async () => {
+  const server = await serve({ result: { error: 'maintenance' } });
+  
+  try {
+    await assert.rejects(createSource({ type: 'axiom', url: server.url, cookies: 'session=abc' }).fetchTweets(), /Unexpected response format/);
+    await assert.rejects(createSource({ type: 'json', url: server.url, itemsPath: 'result.items' }).fetchTweets(), /Unexpected response format/);
+  } finally {
+    await server.close();
+  }
+});
+
+test('merges tweets reported by several sources', () => {
+  const photo = [{ type: 'photo', url: 'https://pbs.twimg.com/media/a.jpg' }];
+  const merged = mergeTweets([
+    [makeTweet('1', 'bullx'), makeTweet('2', 'bullx', photo)],
+    [makeTweet('1', 'axiom', photo), makeTweet('2', 'axiom'), makeTweet('3', 'axiom')]
+  ]);
+  
+  assert.deepEqual(merged.map(tweet => [tweet.id, tweet.source]), [['1', 'bullx'], ['2', 'bullx'], ['3', 'axiom']]);
+  
+  // The first report wins, with media filled in from a later one
+  assert.deepEqual(merged[0].media, photo);
+  assert.deepEqual(merged[1].media, photo);
+});
+
+test('fetches from the sources that work and fails only when all of them fail', async () => {
+  const logger = makeLogger();
+  const fetched = [];
+  const working = fakeSource('bullx', [makeTweet('1', 'bullx')]);
+  const broken = fakeSource('axiom', [], new Error('socket hang up'));
+  
+  const tweets = await fetchFromSources([working, broken], {
+    logger,
+    onFetch: (source, error) => fetched.push([source.name, error?.message ?? null])
+  });
+  assert.deepEqual(tweets.map(tweet => tweet.id), ['1']);
+  assert.deepEqual(fetched, [['bullx', null], ['axiom', 'socket hang up']]);
+  assert.deepEqual(logger.lines, ['error: Error fetching tweets from source "axiom": socket hang up']);
+  
+  await assert.rejects(fetchFromSources([broken, fakeSource('json', [], new Error('timeout'))], { logger }), /socket hang up/);
+});
+
+test('skips a rate limited source until its Retry-After has passed', async () => {
+  const logger = makeLogger();
+  const working = fakeSource('bullx', [makeTweet('1', 'bullx')]);
+  const limited = fakeSource('axiom', [], rateLimited('30'));
+  
+  const before = Date.now();
+  await fetchFromSources([working, limited], { logger });
+  assert.ok(limited.cooldownUntil >= before + 30 * 1000 && limited.cooldownUntil <= Date.now() + 30 * 1000);
+  assert.deepEqual(logger.lines, ['warn: Source "axiom" is rate limited, skipping it for 30000ms']);
+  
+  await fetchFromSources([working, limited], { logger });
+  assert.equal(working.calls, 2);
+  assert.equal(limited.calls, 1);
+  
+  // With every source cooling down, the error says when to try again
+  await assert.rejects(fetchFromSources([limited], { logger }), error => {
+    assert.equal(error.message, 'All sources are rate limited');
+    assert.equal(error.retryAt, limited.cooldownUntil);
+    return true;
+  });
+  assert.equal(limited.calls, 1);
+  
+  limited.cooldownUntil = Date.now() - 1;
+  await assert.rejects(fetchFromSources([limited], { logger }), /status code 429/);
+  assert.equal(limited.calls, 2);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { readStateFile, writeStateFile, getBackupPath } from '../src/state.js';
+
+function withStateFile(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-test-'));
+  try {
+    return fn(path.join(dir, 'bot_state.json'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('writes the state atomically and keeps the version it replaces', () => withStateFile(stateFile => {
+  assert.equal(readStateFile(stateFile), null);
+  
+  writeStateFile(stateFile, { lastFetchTimestamp: 1, paused: false });
+  assert.deepEqual(readStateFile(stateFile), { state: { lastFetchTimestamp: 1, paused: false }, fromBackup: false });
+  assert.equal(fs.existsSync(getBackupPath(stateFile)), false);
+  
+  writeStateFile(stateFile, { lastFetchTimestamp: 2, paused: true });
+  assert.deepEqual(readStateFile(stateFile).state, { lastFetchTimestamp: 2, paused: true });
+  assert.deepEqual(JSON.parse(fs.readFileSync(getBackupPath(stateFile), 'utf8')), { lastFetchTimestamp: 1, paused: false });
+  assert.equal(fs.existsSync(`${stateFile}.tmp`), false);
+}));
+
+test('reads the backup when the state file is corrupt', () => withStateFile(stateFile => {
+  writeStateFile(stateFile, { lastFetchTimestamp: 1 });
+  writeStateFile(stateFile, { lastFetchTimestamp: 2 });
+  
+  fs.writeFileSync(stateFile, '{"lastFetchTimestamp": 17155');
+  assert.deepEqual(readStateFile(stateFile), { state: { lastFetchTimestamp: 1 }, fromBackup: true });
+  
+  fs.writeFileSync(stateFile, '{"lastFetchTimestamp": "yesterday"}');
+  assert.deepEqual(readStateFile(stateFile), { state: { lastFetchTimestamp: 1 }, fromBackup: true });
+  
+  fs.writeFileSync(stateFile, '{"lastFetchTimestamp": 2, "sourceFetchTimestamps": {"bullx": null}}');
+  assert.deepEqual(readStateFile(stateFile), { state: { lastFetchTimestamp: 1 }, fromBackup: true });
+}));
+
+test('refuses a corrupt state file without a usable backup', () => withStateFile(stateFile => {
+  fs.writeFileSync(stateFile, '');
+  assert.throws(() => readStateFile(stateFile), /State file .*bot_state\.json is corrupt \(.*\) and has no backup/);
+  
+  fs.writeFileSync(getBackupPath(stateFile), '[]');
+  assert.throws(() => readStateFile(stateFile), /is corrupt \(.*\) and so is its backup \(not a JSON object\)/);
+  
+  fs.rmSync(stateFile);
+  assert.throws(() => readStateFile(stateFile), /is missing and its backup is corrupt \(not a JSON object\)/);
+}));
@@ -0,0 +1,157 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openTweetStore } from '../src/store.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function makeTweet(id, username, createdAt, text = `tweet ${id}`) {
+  return {
+    id,
+    source: 'bullx',
+    url: `https://twitter.com/${username}/status/${id}`,
+    text,
+    type: 'tweet',
+    createdAt,
+    author: { username, name: username }
+  };
+}
+
+test('records seen tweets once', () => {
+  const store = openTweetStore(':memory:');
+  
+  assert.equal(store.hasSeen('1'), false);
+  assert.equal(store.markSeen(makeTweet('1', 'alice', Date.now())), true);
+  assert.equal(store.markSeen(makeTweet('1', 'alice', Date.now())), false);
+  assert.equal(store.hasSeen('1'), true);
+  assert.equal(store.count(), 1);
+  
+  store.close();
+});
+
+test('stores deliveries with their Discord message IDs and status', () => {
+  const store = openTweetStore(':memory:');
+  store.markSeen(makeTweet('1', 'alice', Date.now()));
+  
+  store.recordDelivery('1', { channelId: '100', messageIds: ['m1', 'm2'], status: 'sent' });
+  store.recordDelivery('1', { channelId: '200', status: 'failed', error: 'Missing Access' });
+  store.setStatus('1', 'delivered');
+  
+  assert.equal(store.getTweet('1').status, 'delivered');
+  assert.deepEqual(store.getDeliveries('1').map(({ channelId, messageIds, status, error }) => ({ channelId, messageIds, status, error })), [
+    { channelId: '100', messageIds: ['m1', 'm2'], status: 'sent', error: null },
+    { channelId: '200', messageIds: [], status: 'failed', error: 'Missing Access' }
+  ]);
+  
+  store.close();
+});
+
+test('answers what an account posted in a time range', () => {
+  const store = openTweetStore(':memory:');
+  const now = Date.now();
+  store.markSeen(makeTweet('1', 'Alice', now - 30 * HOUR));
+  store.markSeen(makeTweet('2', 'alice', now - 20 * HOUR));
+  store.markSeen(makeTweet('3', 'alice', now - 1 * HOUR));
+  store.markSeen(makeTweet('4', 'bob', now - 1 * HOUR));
+  
+  assert.deepEqual(store.getTweetsByAuthor('@ALICE').map(tweet => tweet.id), ['3', '2']);
+  assert.deepEqual(store.getTweetsByAuthor('alice', { since: now - 48 * HOUR, until: now - 10 * HOUR }).map(tweet => tweet.id), ['2', '1']);
+  assert.equal(store.getRecentTweets({ since: now - 2 * HOUR }).length, 2);
+  
+  store.close();
+});
+
+test('keeps filtered tweets with their reason, newest first', () => {
+  const store = openTweetStore(':memory:');
+  const now = Date.now();
+  store.markSeen(makeTweet('1', 'alice', now), { status: 'filtered', filterReason: 'spam: 9 hashtags', seenAt: now - 2 * HOUR });
+  store.markManySeen([makeTweet('2', 'bob', now)], { status: 'filtered', filterReason: 'retweet not posted', seenAt: now - HOUR });
+  store.markSeen(makeTweet('3', 'alice', now));
+  
+  assert.deepEqual(store.getFilteredTweets().map(tweet => [tweet.id, tweet.filterReason]), [['2', 'retweet not posted'], ['1', 'spam: 9 hashtags']]);
+  assert.deepEqual(store.getFilteredTweets({ since: now - 90 * 60 * 1000 }).map(tweet => tweet.id), ['2']);
+  assert.equal(store.getTweet('3').filterReason, null);
+  
+  store.close();
+});
+
+test('finds the near-duplicates of a tweet in the order they were seen', () => {
+  const store = openTweetStore(':memory:');
+  const now = Date.now();
+  store.markSeen(makeTweet('1', 'alice', now));
+  store.markSeen(makeTweet('3', 'carol', now), { status: 'duplicate', duplicateOf: '1', seenAt: now + 2000 });
+  store.markSeen(makeTweet('2', 'bob', now), { status: 'duplicate', duplicateOf: '1', seenAt: now + 1000 });
+  
+  assert.deepEqual(store.getDuplicates('1').map(tweet => [tweet.id, tweet.author, tweet.duplicateOf]), [['2', 'bob', '1'], ['3', 'carol', '1']]);
+  assert.deepEqual(store.getDuplicates('2'), []);
+  assert.equal(store.getTweet('1').duplicateOf, null);
+  
+  store.close();
+});
+
+test('forgets a tweet with its deliveries and digest entries', () => {
+  const store = openTweetStore(':memory:');
+  store.markSeen(makeTweet('1', 'alice', Date.now()), { status: 'delivered' });
+  store.recordDelivery('1', { channelId: '100', messageIds: ['m1'], status: 'sent' });
+  store.addDigestEntries(['daily'], [{ id: '1' }]);
+  store.markSeen(makeTweet('2', 'bob', Date.now()));
+  store.markSeen(makeTweet('3', 'bob', Date.now()));
+  assert.deepEqual(store.countByStatus(), { seen: 2, delivered: 1 });
+  
+  assert.equal(store.forgetTweet('1'), true);
+  assert.equal(store.forgetTweet('1'), false);
+  assert.equal(store.hasSeen('1'), false);
+  assert.deepEqual(store.getDeliveries('1'), []);
+  assert.deepEqual(store.getDigestEntries('daily'), []);
+  assert.deepEqual(store.countByStatus(), { seen: 2 });
+  
+  store.close();
+});
+
+test('refuses to open a corrupt tweet store', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  const filePath = path.join(dir, 'tweets.db');
+  try {
+    fs.writeFileSync(filePath, 'not a database, just what was left after a crash');
+    assert.throws(() => openTweetStore(filePath), /not a database/);
+    
+    fs.writeFileSync(path.join(dir, 'processed_ids.json'), '{"1": true,');
+    const store = openTweetStore(path.join(dir, 'fresh.db'));
+    assert.throws(() => store.migrateFromJson(path.join(dir, 'processed_ids.json')), /processed_ids\.json is corrupt/);
+    store.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('prunes tweets and deliveries past the retention period', () => {
+  const store = openTweetStore(':memory:');
+  store.markSeen(makeTweet('1', 'alice', null), { seenAt: Date.now() - 40 * 24 * HOUR });
+  store.recordDelivery('1', { channelId: '100', messageIds: ['m1'], status: 'sent' });
+  store.markSeen(makeTweet('2', 'alice', null));
+  
+  assert.equal(store.prune(30 * 24 * HOUR), 1);
+  assert.equal(store.hasSeen('1'), false);
+  assert.deepEqual(store.getDeliveries('1'), []);
+  assert.equal(store.hasSeen('2'), true);
+  
+  store.close();
+});
+
+test('migrates processed IDs from the old JSON file once', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tweet-store-'));
+  const jsonFile = path.join(dir, 'processed_ids.json');
+  fs.writeFileSync(jsonFile, JSON.stringify({ 10: true, 11: true }));
+  
+  const store = openTweetStore(path.join(dir, 'tweets.db'));
+  assert.equal(store.migrateFromJson(jsonFile), 2);
+  assert.equal(store.hasSeen('10'), true);
+  assert.equal(fs.existsSync(jsonFile), false);
+  assert.equal(fs.existsSync(`${jsonFile}.migrated`), true);
+  assert.equal(store.migrateFromJson(jsonFile), 0);
+  
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,19 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { truncateText, joinLines } from '../src/text.js';
+
+test('shortens text to a limit with an ellipsis', () => {
+  assert.equal(truncateText('abcdef', 4), 'abc…');
+  assert.equal(truncateText('ab  cdef', 4), 'ab…');
+  assert.equal(truncateText('abc', 4), 'abc');
+  assert.equal(truncateText(null, 4), '');
+});
+
+test('joins whole lines within a limit and counts the ones left off', () => {
+  const lines = ['first line', 'second line', 'third line'];
+  
+  assert.equal(joinLines(lines, 100), 'first line\nsecond line\nthird line');
+  assert.equal(joinLines(lines, 40), 'first line\nsecond line\n…and 1 more');
+  assert.equal(joinLines(lines, 100, { maxLines: 1 }), 'first line\n…and 2 more');
+  assert.equal(joinLines(['a line too long for the limit'], 20), '…and 1 more');
+});
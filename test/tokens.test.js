@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isSolanaAddress, isEvmAddress, parseTokenLink, extractTokens, buildTokenFields } from '../src/tokens.js';
+
+const WIF = 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm';
+const WSOL = 'So11111111111111111111111111111111111111112';
+const PEPE = '0x6982508145454Ce325dDbE47a25d4ec3d2311933';
+const PAIR = '0x4200000000000000000000000000000000000006';
+
+test('recognizes Solana addresses by decoding them to 32 bytes', () => {
+  assert.equal(isSolanaAddress(WIF), true);
+  assert.equal(isSolanaAddress(WSOL), true);
+  
+  // Base58 characters of the right length that don't decode to 32 bytes
+  assert.equal(isSolanaAddress('22222222222222222222222222222222'), false);
+  assert.equal(isSolanaAddress('z'.repeat(44)), false);
+  
+  // Characters base58 leaves out, and the wrong length
+  assert.equal(isSolanaAddress(`${WIF.slice(0, -1)}0`), false);
+  assert.equal(isSolanaAddress(WIF.slice(0, 31)), false);
+  assert.equal(isSolanaAddress(null), false);
+});
+
+test('recognizes EVM addresses', () => {
+  assert.equal(isEvmAddress(PEPE), true);
+  assert.equal(isEvmAddress(PEPE.toLowerCase()), true);
+  assert.equal(isEvmAddress(PEPE.slice(0, -1)), false);
+  assert.equal(isEvmAddress(`${PEPE.slice(0, -1)}g`), false);
+});
+
+test('finds contract addresses and cashtags in tweet text', () => {
+  const tokens = extractTokens(`aping $wif and $WIF again, not $100. CA: ${WIF}\n${PEPE} https://t.co/abc123`);
+  
+  assert.deepEqual(tokens.addresses, [{ address: PEPE, chain: 'ethereum' }, { address: WIF, chain: 'solana' }]);
+  assert.deepEqual(tokens.cashtags, ['WIF']);
+  assert.deepEqual(tokens.links, []);
+  
+  // Words that look like base58 but aren't addresses are left alone
+  assert.deepEqual(extractTokens('ThisIsJustAVeryLongHashtagLikeWordToo').addresses, []);
+});
+
+test('reads the chain and address from pump.fun, Dexscreener and Birdeye links', () => {
+  assert.deepEqual(parseTokenLink(`https://pump.fun/coin/${WIF}`), {
+    platform: 'pump.fun', url: `https://pump.fun/coin/${WIF}`, chain: 'solana', address: WIF, isToken: true
+  });
+  assert.equal(parseTokenLink(`https://www.pump.fun/${WIF}`).address, WIF);
+  assert.deepEqual(parseTokenLink(`https://dexscreener.com/base/${PAIR}`), {
+    platform: 'Dexscreener', url: `https://dexscreener.com/base/${PAIR}`, chain: 'base', address: PAIR, isToken: false
+  });
+  assert.deepEqual(parseTokenLink(`https://birdeye.so/token/${PEPE}?chain=bsc`), {
+    platform: 'Birdeye', url: `https://birdeye.so/token/${PEPE}?chain=bsc`, chain: 'bsc', address: PEPE, isToken: true
+  });
+  assert.equal(parseTokenLink(`https://birdeye.so/token/${WIF}`).chain, 'solana');
+  
+  assert.equal(parseTokenLink('https://pump.fun/board'), null);
+  assert.equal(parseTokenLink('https://twitter.com/ansem'), null);
+  assert.equal(parseTokenLink('not a url'), null);
+});
+
+test('takes token addresses from links but not Dexscreener pair addresses', () => {
+  const tokens = extractTokens('new one', [`https://pump.fun/coin/${WSOL}`, `https://dexscreener.com/base/${PAIR}`, `https://birdeye.so/token/${PEPE}?chain=bsc`]);
+  
+  assert.deepEqual(tokens.addresses, [{ address: WSOL, chain: 'solana' }, { address: PEPE, chain: 'bsc' }]);
+  assert.deepEqual(tokens.links.map(link => link.platform), ['pump.fun', 'Dexscreener', 'Birdeye']);
+});
+
+test('builds a field per address and cashtag and one for pair links', () => {
+  const tokens = extractTokens(`$WIF ${WIF}`, [`https://dexscreener.com/base/${PAIR}`]);
+  const fields = buildTokenFields(tokens, { marketData: new Map([[WIF, { symbol: 'WIF', summary: 'MC $2.1B' }]]) });
+  
+  assert.deepEqual(fields.map(field => field.name), ['Solana CA ($WIF)', '$WIF', 'Token Links']);
+  assert.match(fields[0].value, new RegExp(`^\`${WIF}\`\\nMC \\$2\\.1B\\n\\[BullX\\]`));
+  assert.equal(fields[1].inline, true);
+  assert.equal(fields[2].value, `[Dexscreener (Base)](https://dexscreener.com/base/${PAIR})`);
+});
+
+test('keeps the token links field within Discord\'s field limit', () => {
+  const pairs = Array.from({ length: 20 }, (_, index) => `https://dexscreener.com/ethereum/0x${String(index).padStart(40, 'a')}`);
+  const [field] = buildTokenFields(extractTokens('', pairs));
+  
+  const lines = field.value.split('\n');
+  
+  assert.equal(field.name, 'Token Links');
+  assert.ok(field.value.length <= 1024);
+  assert.match(lines.pop(), /^…and \d+ more$/);
+  assert.equal(lines.length, 20 - Number(field.value.match(/(\d+) more$/)[1]));
+  for (const line of lines) {
+    assert.match(line, /^\[Dexscreener \(Ethereum\)\]\(https:\/\/dexscreener\.com\/ethereum\/0x[0-9a]{40}\)$/);
+  }
+});
@@ -0,0 +1,172 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { openTweetStore } from '../src/store.js';
+import {
+  createTweetWatcher,
+  lookUpTweet,
+  normalizeTweetText,
+  diffWords,
+  formatDiff,
+  markEmbedDeleted,
+  markEmbedEdited,
+  buildChangeAlert,
+  DELETED_COLOR
+} from '../src/watcher.js';
+
+const MINUTE = 60 * 1000;
+
+function makeTweet(id, text, createdAt = Date.now()) {
+  return {
+    id,
+    source: 'bullx',
+    url: `https://twitter.com/alice/status/${id}`,
+    text,
+    type: 'tweet',
+    createdAt,
+    author: { username: 'alice', name: 'Alice' }
+  };
+}
+
+function notFound() {
+  const error = new Error('Request failed with status code 404');
+  error.response = { status: 404 };
+  return error;
+}
+
+// A store with delivered tweets
+function makeStore(tweets) {
+  const store = openTweetStore(':memory:');
+  for (const tweet of tweets) {
+    store.markSeen(tweet, { status: 'delivered' });
+  }
+  return store;
+}
+
+test('tells deleted tweets apart from failed lookups', async () => {
+  assert.equal((await lookUpTweet(async () => null, '1')).status, 'missing');
+  assert.equal((await lookUpTweet(async () => { throw notFound(); }, '1')).status, 'missing');
+  assert.equal((await lookUpTweet(async () => ({ raw: { __typename: 'TweetTombstone' } }), '1')).status, 'missing');
+  assert.equal((await lookUpTweet(async () => { throw new Error('timeout'); }, '1')).status, 'error');
+  assert.equal((await lookUpTweet(async () => makeTweet('1', 'gm'), '1')).status, 'found');
+});
+
+test('ignores link, entity and whitespace differences', () => {
+  assert.equal(normalizeTweetText('buy  $PEPE &amp; hold https://t.co/abc123\n'), 'buy $PEPE & hold');
+});
+
+test('diffs tweet text word by word', () => {
+  const diff = diffWords('buy PEPE now and hold', 'buy WIF now and hold forever');
+  
+  assert.deepEqual(diff, [
+    { type: 'same', text: 'buy' },
+    { type: 'added', text: 'WIF' },
+    { type: 'removed', text: 'PEPE' },
+    { type: 'same', text: 'now and hold' },
+    { type: 'added', text: 'forever' }
+  ]);
+  assert.equal(formatDiff(diff), 'buy **WIF** ~~PEPE~~ now and hold **forever**');
+});
+
+test('marks relayed embeds as deleted or edited', () => {
+  const original = {
+    color: 0x1DA1F2,
+    description: 'buy PEPE',
+    fields: [{ name: 'Tweet Link', value: '[View original tweet](https://twitter.com/alice/status/1)' }]
+  };
+  
+  const deleted = markEmbedDeleted(original, 1715587200000).toJSON();
+  assert.equal(deleted.color, parseInt(DELETED_COLOR.slice(1), 16));
+  assert.equal(deleted.title, '🗑 Tweet deleted');
+  assert.equal(deleted.description, 'buy PEPE');
+  assert.deepEqual(deleted.fields[1], { name: 'Deleted', value: '<t:1715587200:R>' });
+  
+  const edited = markEmbedEdited(original, diffWords('buy PEPE', 'buy WIF'), 1715587200000).toJSON();
+  const editedAgain = markEmbedEdited(edited, diffWords('buy WIF', 'sell WIF'), 1715587260000).toJSON();
+  assert.deepEqual(editedAgain.fields.map(field => field.name), ['Tweet Link', 'Edited']);
+  assert.equal(editedAgain.fields[1].value, '**sell** ~~buy~~ WIF\n<t:1715587260:R>');
+});
+
+test('builds alerts linking to the relayed messages', () => {
+  const record = { id: '1', author: 'alice', text: 'buy PEPE', url: 'https://twitter.com/alice/status/1', createdAt: Date.now() - 5 * MINUTE };
+  const alert = buildChangeAlert(record, { change: 'deleted', messageUrls: ['https://discord.com/channels/1/2/3'] }).toJSON();
+  
+  assert.equal(alert.title, '@alice deleted a tweet');
+  assert.equal(alert.description, 'buy PEPE');
+  assert.deepEqual(alert.fields, [
+    { name: 'Lived for', value: '5 min' },
+    { name: 'Relayed as', value: 'https://discord.com/channels/1/2/3' }
+  ]);
+});
+
+test('reports a deletion once it is confirmed', async () => {
+  const store = makeStore([makeTweet('1', 'buy PEPE'), makeTweet('2', 'gm')]);
+  const deleted = [];
+  const watcher = createTweetWatcher({
+    store,
+    fetchTweet: async id => {
+      if (id === '1') {
+        throw notFound();
+      }
+      return makeTweet(id, 'gm');
+    },
+    window: 30 * MINUTE,
+    onDeleted: async record => deleted.push(record.id)
+  });
+  
+  await watcher.checkOnce();
+  assert.deepEqual(deleted, []);
+  await watcher.checkOnce();
+  assert.deepEqual(deleted, ['1']);
+  assert.ok(store.getTweet('1').deletedAt);
+  
+  // Deleted tweets aren't checked again
+  await watcher.checkOnce();
+  assert.deepEqual(deleted, ['1']);
+  assert.deepEqual(store.getTweetsToRecheck({ since: 0 }).map(record => record.id), ['2']);
+  
+  store.close();
+});
+
+test('a lookup that finds the tweet again resets the deletion count', async () => {
+  const store = makeStore([makeTweet('1', 'gm')]);
+  const responses = [null, makeTweet('1', 'gm'), null];
+  const deleted = [];
+  const watcher = createTweetWatcher({
+    store,
+    fetchTweet: async () => responses.shift(),
+    window: 30 * MINUTE,
+    onDeleted: async record => deleted.push(record.id)
+  });
+  
+  for (let i = 0; i < 3; i++) {
+    await watcher.checkOnce();
+  }
+  assert.deepEqual(deleted, []);
+  
+  store.close();
+});
+
+test('reports edits with a diff and only checks recent tweets', async () => {
+  const store = makeStore([makeTweet('1', 'buy PEPE https://t.co/x'), makeTweet('2', 'old', Date.now() - 60 * MINUTE)]);
+  const edits = [];
+  const fetched = [];
+  const watcher = createTweetWatcher({
+    store,
+    fetchTweet: async id => {
+      fetched.push(id);
+      return makeTweet(id, 'buy WIF https://t.co/y');
+    },
+    window: 30 * MINUTE,
+    onEdited: async (record, newText, diff) => edits.push({ id: record.id, newText, diff: formatDiff(diff) })
+  });
+  
+  await watcher.checkOnce();
+  await watcher.checkOnce();
+  
+  assert.deepEqual(fetched, ['1', '1']);
+  assert.deepEqual(edits, [{ id: '1', newText: 'buy WIF https://t.co/y', diff: 'buy **WIF** ~~PEPE~~' }]);
+  assert.equal(store.getTweet('1').text, 'buy WIF https://t.co/y');
+  assert.ok(store.getTweet('1').editedAt);
+  
+  store.close();
+});
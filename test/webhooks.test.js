@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWebhookSender, toWebhookUsername, WEBHOOK_NAME } from '../src/webhooks.js';
+
+// A fake channel with the webhooks given, recording the ones it creates
+function makeChannel(id, existing = []) {
+  const sent = [];
+  const channel = {
+    id,
+    sent,
+    created: [],
+    async send(message) {
+      sent.push(message);
+      return { id: `bot-${sent.length}` };
+    },
+    async fetchWebhooks() {
+      return [...existing, ...channel.created];
+    },
+    async createWebhook({ name }) {
+      const webhook = makeWebhook(`created-${channel.created.length + 1}`, name);
+      channel.created.push(webhook);
+      return webhook;
+    }
+  };
+  return channel;
+}
+
+function makeWebhook(id, name = WEBHOOK_NAME, ownerId = 'bot') {
+  const sent = [];
+  return {
+    id,
+    name,
+    token: 'token',
+    owner: { id: ownerId },
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { id: `${id}-${sent.length}` };
+    }
+  };
+}
+
+const author = { name: 'Alice', avatarUrl: 'https://pbs.twimg.com/alice.jpg' };
+
+test('creates one webhook per channel and posts as the tweet author', async () => {
+  const sender = createWebhookSender({ getOwnerId: () => 'bot' });
+  const channel = makeChannel('100', [makeWebhook('other', WEBHOOK_NAME, 'someone-else')]);
+  
+  await sender.send(channel, { embeds: [{ description: 'gm' }] }, author);
+  await sender.send(channel, { embeds: [{ description: 'gn' }] }, author);
+  
+  assert.equal(channel.created.length, 1);
+  assert.deepEqual(channel.created[0].sent, [
+    { embeds: [{ description: 'gm' }], username: 'Alice', avatarURL: 'https://pbs.twimg.com/alice.jpg', threadId: undefined },
+    { embeds: [{ description: 'gn' }], username: 'Alice', avatarURL: 'https://pbs.twimg.com/alice.jpg', threadId: undefined }
+  ]);
+  assert.deepEqual(channel.sent, []);
+});
+
+test('reuses the webhook it created before a restart', async () => {
+  const sender = createWebhookSender({ getOwnerId: () => 'bot' });
+  const existing = makeWebhook('existing');
+  const channel = makeChannel('100', [existing]);
+  
+  await sender.send(channel, { content: 'gm' }, author);
+  
+  assert.equal(channel.created.length, 0);
+  assert.equal(existing.sent.length, 1);
+});
+
+test('posts in threads through the parent channel webhook', async () => {
+  const sender = createWebhookSender({ getOwnerId: () => 'bot' });
+  const channel = makeChannel('100');
+  const thread = { id: 't1', parent: channel, isThread: () => true, send: async () => assert.fail('sent as the bot') };
+  
+  await sender.send(thread, { content: 'gm' }, author);
+  
+  assert.equal(channel.created[0].sent[0].threadId, 't1');
+});
+
+test('falls back to posting as the bot when webhooks are not allowed', async () => {
+  const sender = createWebhookSender({ getOwnerId: () => 'bot' });
+  const channel = makeChannel('100');
+  channel.createWebhook = async () => {
+    throw new Error('Missing Permissions');
+  };
+  
+  const message = await sender.send(channel, { content: 'gm' }, author);
+  await sender.send(channel, { content: 'gn' }, author);
+  
+  assert.equal(message.id, 'bot-1');
+  assert.deepEqual(channel.sent, [{ content: 'gm' }, { content: 'gn' }]);
+});
+
+test('keeps webhook usernames within Discord rules', () => {
+  assert.equal(toWebhookUsername('Discord Degen'), 'disc0rd Degen');
+  assert.equal(toWebhookUsername('a'.repeat(100)).length, 80);
+  assert.equal(toWebhookUsername(''), WEBHOOK_NAME);
+});